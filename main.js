@@ -1,11 +1,22 @@
-const { app, BrowserWindow, ipcMain } = require('electron');
+const { app, BrowserWindow, ipcMain, dialog } = require('electron');
 const path = require('path');
+const crypto = require('crypto');
+const fs = require('fs').promises;
 
 // Import application services
 const DataStore = require('./src/storage/dataStore');
+const { resolveDataPath, prepareDataDirectory, migrateUserData } = require('./src/storage/dataLocation');
 const AuthManager = require('./src/auth/authManager');
 const PasswordManager = require('./src/auth/passwordManager');
 const PolicyManager = require('./src/policy/policyManager');
+const EnforcementScheduler = require('./src/policy/enforcementScheduler');
+const PolicyScheduler = require('./src/policy/policyScheduler');
+const { getBrowserIds } = require('./src/policy/browserCatalog');
+const { DEFAULT_REGISTRY_PROVIDER, getRegistryProviders, getRegistryProviderIds, createRegistry } = require('./src/registry/registryProviders');
+const ConfigTransfer = require('./src/storage/configTransfer');
+const { parseDomainList } = require('./src/utils/domainListParser');
+const UrlPattern = require('./src/utils/urlPattern');
+const { ScheduleRule } = require('./src/storage/models');
 const PrivilegeChecker = require('./src/utils/privilegeChecker');
 const Logger = require('./src/utils/logger');
 
@@ -14,6 +25,11 @@ let dataStore;
 let authManager;
 let passwordManager;
 let policyManager;
+let enforcementScheduler;
+let policyScheduler;
+
+// Verified configuration waiting for the user to confirm the import preview
+let pendingImport = null;
 
 /**
  * Initialize application services
@@ -22,14 +38,47 @@ async function initializeServices() {
   try {
     Logger.info('Initializing application services...', null, 'Application');
     
-    // Initialize data store and load data
-    dataStore = new DataStore();
-    await dataStore.load();
+    // Use the machine-wide data directory, make sure only administrators can change it
+    // and move over the per-user data file of earlier versions
+    const { dataPath, source } = resolveDataPath();
+    Logger.info(`Data file: ${dataPath}`, { source: source }, 'Application');
+    await prepareDataDirectory(path.dirname(dataPath));
+    await migrateUserData(dataPath);
     
-    // Initialize managers
+    // Initialize data store and load data
+    dataStore = new DataStore(dataPath);
     authManager = new AuthManager(dataStore);
     passwordManager = new PasswordManager(dataStore);
-    policyManager = new PolicyManager();
+    try {
+      await dataStore.load();
+    } catch (error) {
+      if (error.code !== 'DATA_LOCKED') {
+        throw error;
+      }
+      // The login screen offers to unlock the data file (see data:unlock)
+      Logger.warn('Data file is locked on this machine, waiting for recovery', dataStore.getLockStatus(), 'Application');
+    }
+    
+    // Tell the user if the data file was damaged and a backup had to be restored
+    const recovery = dataStore.getRecoveryStatus();
+    if (recovery) {
+      setTimeout(() => {
+        if (mainWindow) {
+          dialog.showMessageBox(mainWindow, {
+            type: 'warning',
+            title: 'Data Restored From Backup',
+            message: 'Data Restored From Backup',
+            detail: `The data file could not be loaded (${recovery.reason}), so the backup from ${new Date(recovery.backupModified).toLocaleString()} was restored. Changes made after that backup were lost; please review your settings.` +
+              (recovery.corruptPath ? `\n\nThe damaged file was kept as ${recovery.corruptPath}.` : ''),
+            buttons: ['OK']
+          });
+        }
+      }, 1000); // Delay to ensure window is created
+    }
+    
+    if (!dataStore.getLockStatus()) {
+      await initializeManagers();
+    }
     
     Logger.info('Application services initialized successfully', null, 'Application');
     
@@ -40,7 +89,6 @@ async function initializeServices() {
       Logger.warn('Some features may not work correctly', null, 'Application');
       
       // Display privilege warning to user
-      const { dialog } = require('electron');
       setTimeout(() => {
         if (mainWindow) {
           dialog.showMessageBox(mainWindow, {
@@ -61,6 +109,233 @@ async function initializeServices() {
   }
 }
 
+/**
+ * Initialize the managers that need the loaded data
+ * Runs once the data store is loaded, which is at startup unless the data file is
+ * locked on this machine (then after data:unlock)
+ */
+async function initializeManagers() {
+  const settings = await dataStore.getSettings();
+  policyManager = new PolicyManager({ dataStore: dataStore, registry: createConfiguredRegistry(settings) });
+  
+  // Apply the saved browser selection for website policies
+  const targetResult = policyManager.setTargetBrowsers(settings.targetBrowsers || null);
+  if (!targetResult.success) {
+    Logger.warn('Saved target browsers are invalid, targeting every browser', targetResult.error, 'Application');
+    policyManager.setTargetBrowsers(null);
+  }
+  
+  // Periodically re-apply the stored policies if enforcement is enabled
+  enforcementScheduler = new EnforcementScheduler({
+    policyManager: policyManager,
+    getDesiredState: getDesiredPolicyState,
+    intervalMinutes: settings.enforcementIntervalMinutes
+  });
+  if (settings.enforcementEnabled) {
+    enforcementScheduler.start();
+  }
+  
+  // Apply the schedule rules in effect now and switch policies at rule boundaries
+  policyScheduler = new PolicyScheduler({
+    policyManager: policyManager,
+    getRules: () => dataStore.getSchedules(),
+    getDesiredState: getDesiredPolicyState
+  });
+  await policyScheduler.start();
+}
+
+/**
+ * Create the registry backend selected in the settings
+ * Falls back to the default provider if the saved one is unknown
+ * @param {Object} settings - Current application settings
+ * @returns {Object} Registry backend
+ */
+function createConfiguredRegistry(settings) {
+  const providerId = settings.registryProvider || DEFAULT_REGISTRY_PROVIDER;
+  if (!getRegistryProviderIds().includes(providerId)) {
+    Logger.warn(`Saved registry provider "${providerId}" is unknown, using ${DEFAULT_REGISTRY_PROVIDER}`, null, 'Application');
+    return createRegistry(DEFAULT_REGISTRY_PROVIDER);
+  }
+  return createRegistry(providerId);
+}
+
+/**
+ * Check whether browser internal pages should be blocked along with websites
+ * Enabled unless the user turned it off (older settings files don't have it)
+ * @param {Object} settings - Current application settings
+ * @returns {boolean} True if internal pages should be blocked
+ */
+function isInternalPagesLockdownEnabled(settings) {
+  return settings.internalPagesLockdown !== false;
+}
+
+/**
+ * Get the drive and website modes recorded in the stored settings
+ * @param {Object} settings - Current application settings
+ * @returns {Object} Policy state ({ driveBlock, websiteBlock, whitelist, whitelistedDomains, blocklist, blockedDomains })
+ */
+function getStoredPolicyState(settings) {
+  return {
+    driveBlock: !!settings.driveBlockEnabled,
+    websiteBlock: !!settings.websiteBlockEnabled,
+    whitelist: !!settings.whitelistEnabled,
+    whitelistedDomains: settings.whitelistedDomains || [],
+    blocklist: !!settings.blocklistEnabled,
+    blockedDomains: settings.blockedDomains || []
+  };
+}
+
+/**
+ * Build the desired policy state from the stored settings and active schedules
+ * Settings (rather than toggle states, which are overwritten by every sync)
+ * record what the administrator last applied
+ * @param {Object} settings - Settings to use instead of the stored settings (e.g. an import preview)
+ * @returns {Promise<Object>} Desired policy state (see DriftDetector)
+ */
+async function getDesiredPolicyState(settings = null) {
+  settings = settings || await dataStore.getSettings();
+  const schedules = await dataStore.getSchedules();
+  
+  const state = {
+    ...getStoredPolicyState(settings),
+    internalPagesLockdown: isInternalPagesLockdownEnabled(settings)
+  };
+  
+  return PolicyScheduler.applyActiveRules(state, PolicyScheduler.getActiveRules(schedules, new Date()));
+}
+
+/**
+ * Switch the target browsers and apply a desired state to the new selection
+ * Browsers that are no longer targeted have their website policies removed; the
+ * previous selection is restored if either step fails
+ * @param {Array<string>} browserIds - Browser ids to target
+ * @param {Object} desired - Desired policy state (see DriftDetector)
+ * @param {string} action - Action name logged for the change
+ * @returns {Promise<Object>} Result object with the targeted browsers
+ */
+async function applyToTargetBrowsers(browserIds, desired, action) {
+  const previousBrowsers = policyManager.getTargetBrowsers();
+  
+  const targetResult = policyManager.setTargetBrowsers(browserIds);
+  if (!targetResult.success) {
+    return targetResult;
+  }
+  
+  // Remove policies from browsers that are no longer targeted
+  const removedBrowsers = previousBrowsers.filter(id => !targetResult.browsers.includes(id));
+  if (removedBrowsers.length > 0) {
+    const clearResult = await policyManager.applyPolicy('clearBrowsers', {
+      browsers: removedBrowsers
+    });
+    
+    if (!clearResult.success) {
+      policyManager.setTargetBrowsers(previousBrowsers);
+      return clearResult;
+    }
+  }
+  
+  const result = await policyManager.applyPolicy('desiredState', { ...desired, action });
+  if (!result.success) {
+    policyManager.setTargetBrowsers(previousBrowsers);
+    return result;
+  }
+  
+  return { ...result, browsers: targetResult.browsers };
+}
+
+/**
+ * Merge imported profiles into the stored ones
+ * An imported profile replaces a stored profile with the same name
+ * @param {Array<Object>} stored - Stored profiles
+ * @param {Array<Object>} imported - Imported profiles
+ * @returns {Object} Merged profiles and the names of added and replaced profiles
+ */
+function mergeImportedProfiles(stored, imported) {
+  const importedNames = imported.map(p => p.name.toLowerCase());
+  const kept = stored.filter(p => !importedNames.includes(p.name.toLowerCase()));
+  const replaced = stored.filter(p => importedNames.includes(p.name.toLowerCase())).map(p => p.name);
+  
+  return {
+    profiles: [
+      ...kept,
+      ...imported.map(p => ({ ...p, id: crypto.randomUUID(), lastModified: new Date().toISOString() }))
+    ],
+    added: imported.map(p => p.name).filter(name => !replaced.some(r => r.toLowerCase() === name.toLowerCase())),
+    replaced: replaced
+  };
+}
+
+/**
+ * Build the schedule overview returned to the renderer
+ * @returns {Promise<Object>} Rules, ids of the active rules and conflicts between rules
+ */
+async function getScheduleOverview() {
+  const schedules = await dataStore.getSchedules();
+  
+  return {
+    success: true,
+    schedules: schedules,
+    activeRuleIds: PolicyScheduler.getActiveRules(schedules, new Date()).map(rule => rule.id),
+    conflicts: PolicyScheduler.findConflicts(schedules)
+  };
+}
+
+/**
+ * Check whether enabling a website mode conflicts with the active one
+ * Blocking all websites (with or without a whitelist) and blocking specific
+ * domains both own the browsers' URLBlocklist, so only one can be active
+ * @param {Object} settings - Current application settings
+ * @param {string} mode - Mode being enabled ('websiteBlock', 'whitelist' or 'blocklist')
+ * @returns {Object|null} Error result, or null if there is no conflict
+ */
+function getWebsiteModeConflict(settings, mode) {
+  if (mode === 'blocklist' && (settings.websiteBlockEnabled || settings.whitelistEnabled)) {
+    return {
+      success: false,
+      error: {
+        code: 'MODE_CONFLICT',
+        message: 'Website blocking mode conflict',
+        details: 'Disable "Block All Websites" and the domain whitelist before blocking specific websites',
+        recoverable: true
+      }
+    };
+  }
+  
+  if (mode !== 'blocklist' && settings.blocklistEnabled) {
+    return {
+      success: false,
+      error: {
+        code: 'MODE_CONFLICT',
+        message: 'Website blocking mode conflict',
+        details: 'Disable "Block Specific Websites" before blocking all websites or enabling the whitelist',
+        recoverable: true
+      }
+    };
+  }
+  
+  return null;
+}
+
+/**
+ * Build the error returned while the data file is locked on this machine
+ * @returns {Object|null} Error result, or null if the data file is open
+ */
+function getDataLockedError() {
+  const lock = dataStore.getLockStatus();
+  if (!lock) {
+    return null;
+  }
+  return {
+    success: false,
+    error: {
+      code: 'DATA_LOCKED',
+      message: 'The data file is locked on this computer',
+      details: lock.reason,
+      recoverable: true
+    }
+  };
+}
+
 /**
  * Register all IPC handlers for communication with renderer process
  */
@@ -74,6 +349,11 @@ function registerIpcHandlers() {
    */
   ipcMain.handle('auth:login', async (event, username, password) => {
     try {
+      const lockedError = getDataLockedError();
+      if (lockedError) {
+        return lockedError;
+      }
+      
       const result = await authManager.authenticate(username, password);
       return result;
     } catch (error) {
@@ -181,6 +461,11 @@ function registerIpcHandlers() {
    */
   ipcMain.handle('auth:getSecurityQuestion', async (event) => {
     try {
+      const lockedError = getDataLockedError();
+      if (lockedError) {
+        return lockedError;
+      }
+      
       const question = await passwordManager.getSecurityQuestion();
       
       return {
@@ -312,8 +597,18 @@ function registerIpcHandlers() {
         };
       }
       
+      const settings = await dataStore.getSettings();
+      
+      if (enabled) {
+        const conflict = getWebsiteModeConflict(settings, 'websiteBlock');
+        if (conflict) {
+          return conflict;
+        }
+      }
+      
       const result = await policyManager.applyPolicy('browser', {
-        blockAllWebsites: enabled
+        blockAllWebsites: enabled,
+        blockInternalPages: isInternalPagesLockdownEnabled(settings)
       });
       
       // Update settings and toggle states in data store
@@ -364,9 +659,17 @@ function registerIpcHandlers() {
       const settings = await dataStore.getSettings();
       const domains = settings.whitelistedDomains || [];
       
+      if (enabled) {
+        const conflict = getWebsiteModeConflict(settings, 'whitelist');
+        if (conflict) {
+          return conflict;
+        }
+      }
+      
       const result = await policyManager.applyPolicy('whitelist', {
         enabled: enabled,
-        domains: domains
+        domains: domains,
+        blockInternalPages: isInternalPagesLockdownEnabled(settings)
       });
       
       // Update settings and toggle states in data store
@@ -396,9 +699,11 @@ function registerIpcHandlers() {
   });
   
   /**
-   * Handle add domain request
+   * Handle toggle internal pages lockdown request
+   * The registry is only changed while websites are blocked or whitelisted;
+   * otherwise the preference is saved and applied the next time they are
    */
-  ipcMain.handle('policy:addDomain', async (event, domain) => {
+  ipcMain.handle('policy:toggleInternalPages', async (event, enabled) => {
     try {
       // Check if user is authenticated
       if (!authManager.isAuthenticated()) {
@@ -413,32 +718,38 @@ function registerIpcHandlers() {
         };
       }
       
-      const result = await policyManager.applyPolicy('domain', {
-        action: 'add',
-        domain: domain
-      });
+      const settings = await dataStore.getSettings();
+      let result;
+      
+      if (settings.websiteBlockEnabled || settings.whitelistEnabled) {
+        result = await policyManager.applyPolicy('internalPages', {
+          enabled: enabled
+        });
+      } else {
+        result = {
+          success: true,
+          message: enabled
+            ? 'Browser internal pages will be blocked when website restrictions are enabled'
+            : 'Browser internal pages will not be blocked',
+          status: 'saved'
+        };
+      }
       
       // Update settings in data store
       if (result.success) {
-        const settings = await dataStore.getSettings();
-        const domains = settings.whitelistedDomains || [];
-        
-        if (!domains.includes(domain)) {
-          domains.push(domain);
-          await dataStore.updateSettings({
-            whitelistedDomains: domains
-          });
-        }
+        await dataStore.updateSettings({
+          internalPagesLockdown: enabled
+        });
       }
       
       return result;
     } catch (error) {
-      Logger.error('Add domain error', error, 'IPC');
+      Logger.error('Toggle internal pages error', error, 'IPC');
       return {
         success: false,
         error: {
           code: 'POLICY_ERROR',
-          message: 'Failed to add domain',
+          message: 'Failed to toggle internal pages lockdown',
           details: error.message,
           recoverable: false
         }
@@ -447,9 +758,11 @@ function registerIpcHandlers() {
   });
   
   /**
-   * Handle remove domain request
+   * Handle set target browsers request
+   * Browsers that are deselected have their website policies removed and the
+   * active website modes are re-applied so newly selected browsers pick them up
    */
-  ipcMain.handle('policy:removeDomain', async (event, domain) => {
+  ipcMain.handle('policy:setTargetBrowsers', async (event, browserIds) => {
     try {
       // Check if user is authenticated
       if (!authManager.isAuthenticated()) {
@@ -464,30 +777,29 @@ function registerIpcHandlers() {
         };
       }
       
-      const result = await policyManager.applyPolicy('domain', {
-        action: 'remove',
-        domain: domain
-      });
-      
-      // Update settings in data store
-      if (result.success) {
-        const settings = await dataStore.getSettings();
-        const domains = settings.whitelistedDomains || [];
-        
-        const updatedDomains = domains.filter(d => d !== domain);
-        await dataStore.updateSettings({
-          whitelistedDomains: updatedDomains
-        });
+      // Re-apply the stored policy state to the new selection
+      const desired = await getDesiredPolicyState();
+      const targetResult = await applyToTargetBrowsers(browserIds, desired, 'retarget');
+      if (!targetResult.success) {
+        return targetResult;
       }
       
-      return result;
+      await dataStore.updateSettings({
+        targetBrowsers: targetResult.browsers
+      });
+      
+      return {
+        success: true,
+        message: `Website policies now apply to ${targetResult.browsers.length} browsers`,
+        browsers: targetResult.browsers
+      };
     } catch (error) {
-      Logger.error('Remove domain error', error, 'IPC');
+      Logger.error('Set target browsers error', error, 'IPC');
       return {
         success: false,
         error: {
           code: 'POLICY_ERROR',
-          message: 'Failed to remove domain',
+          message: 'Failed to update browser selection',
           details: error.message,
           recoverable: false
         }
@@ -496,9 +808,9 @@ function registerIpcHandlers() {
   });
   
   /**
-   * Handle get domains request
+   * Handle toggle blocklist request (block specific websites)
    */
-  ipcMain.handle('policy:getDomains', async (event) => {
+  ipcMain.handle('policy:toggleBlocklist', async (event, enabled) => {
     try {
       // Check if user is authenticated
       if (!authManager.isAuthenticated()) {
@@ -507,37 +819,58 @@ function registerIpcHandlers() {
           error: {
             code: 'NOT_AUTHENTICATED',
             message: 'Authentication required',
-            details: 'You must be logged in to view policies',
+            details: 'You must be logged in to modify policies',
             recoverable: true
           }
         };
       }
       
+      // Get current blocked domain list from settings
       const settings = await dataStore.getSettings();
+      const domains = settings.blockedDomains || [];
       
-      return {
-        success: true,
-        domains: settings.whitelistedDomains || [],
-        count: (settings.whitelistedDomains || []).length
-      };
+      if (enabled) {
+        const conflict = getWebsiteModeConflict(settings, 'blocklist');
+        if (conflict) {
+          return conflict;
+        }
+      }
+      
+      const result = await policyManager.applyPolicy('blocklist', {
+        enabled: enabled,
+        domains: domains
+      });
+      
+      // Update settings and toggle states in data store
+      if (result.success) {
+        await dataStore.updateSettings({
+          blocklistEnabled: enabled
+        });
+        
+        await dataStore.updateToggleStates({
+          blocklist: enabled
+        });
+      }
+      
+      return result;
     } catch (error) {
-      Logger.error('Get domains error', error, 'IPC');
+      Logger.error('Toggle blocklist error', error, 'IPC');
       return {
         success: false,
         error: {
-          code: 'DATA_ERROR',
-          message: 'Failed to retrieve domains',
+          code: 'POLICY_ERROR',
+          message: 'Failed to toggle blocklist',
           details: error.message,
           recoverable: false
         }
       };
     }
   });
-
+  
   /**
-   * Handle get whitelisted domains request
+   * Handle add blocked domain request
    */
-  ipcMain.handle('policy:getWhitelistedDomains', async (event) => {
+  ipcMain.handle('policy:addBlockedDomain', async (event, domain) => {
     try {
       // Check if user is authenticated
       if (!authManager.isAuthenticated()) {
@@ -546,37 +879,72 @@ function registerIpcHandlers() {
           error: {
             code: 'NOT_AUTHENTICATED',
             message: 'Authentication required',
-            details: 'You must be logged in to view policies',
+            details: 'You must be logged in to modify policies',
             recoverable: true
           }
         };
       }
       
+      // Store patterns in canonical form so lists compare and deduplicate reliably
+      domain = UrlPattern.normalize(domain) || domain;
+      
       const settings = await dataStore.getSettings();
+      let result;
       
-      return {
-        success: true,
-        domains: settings.whitelistedDomains || [],
-        count: (settings.whitelistedDomains || []).length
-      };
+      // Only touch the registry while blocklist mode is active; otherwise just save the list
+      if (settings.blocklistEnabled) {
+        result = await policyManager.applyPolicy('blockedDomain', {
+          action: 'add',
+          domain: domain
+        });
+      } else if (!policyManager.validateDomain(domain)) {
+        result = {
+          success: false,
+          error: {
+            code: 'INVALID_DOMAIN_FORMAT',
+            message: 'Invalid domain format',
+            details: `The domain "${domain}" has an invalid format. Please use a valid domain name (e.g., example.com)`,
+            recoverable: true
+          }
+        };
+      } else {
+        result = {
+          success: true,
+          message: `Domain "${domain}" added to the blocklist`,
+          status: 'saved'
+        };
+      }
+      
+      // Update settings in data store
+      if (result.success) {
+        const domains = settings.blockedDomains || [];
+        
+        if (!domains.some(d => UrlPattern.equals(d, domain))) {
+          await dataStore.updateSettings({
+            blockedDomains: [...domains, domain]
+          });
+        }
+      }
+      
+      return result;
     } catch (error) {
-      Logger.error('Get whitelisted domains error', error, 'IPC');
+      Logger.error('Add blocked domain error', error, 'IPC');
       return {
         success: false,
         error: {
-          code: 'DATA_ERROR',
-          message: 'Failed to retrieve whitelisted domains',
+          code: 'POLICY_ERROR',
+          message: 'Failed to add blocked domain',
           details: error.message,
           recoverable: false
         }
       };
     }
   });
-
+  
   /**
-   * Handle get blocked domains request
+   * Handle remove blocked domain request
    */
-  ipcMain.handle('policy:getBlockedDomains', async (event) => {
+  ipcMain.handle('policy:removeBlockedDomain', async (event, domain) => {
     try {
       // Check if user is authenticated
       if (!authManager.isAuthenticated()) {
@@ -585,39 +953,51 @@ function registerIpcHandlers() {
           error: {
             code: 'NOT_AUTHENTICATED',
             message: 'Authentication required',
-            details: 'You must be logged in to view policies',
+            details: 'You must be logged in to modify policies',
             recoverable: true
           }
         };
       }
       
       const settings = await dataStore.getSettings();
+      let result;
       
-      // If website blocking is enabled, all websites are blocked (represented as "*")
-      // Return a descriptive list for the UI
-      if (settings.websiteBlockEnabled) {
-        return {
+      // Only touch the registry while blocklist mode is active; otherwise just save the list
+      if (settings.blocklistEnabled) {
+        result = await policyManager.applyPolicy('blockedDomain', {
+          action: 'remove',
+          domain: domain
+        });
+      } else {
+        result = {
           success: true,
-          domains: ['*'],
-          description: 'All websites are blocked',
-          count: 1
+          message: `Domain "${domain}" removed from the blocklist`,
+          status: 'saved'
         };
       }
       
-      // If no blocking is enabled, return empty list
-      return {
-        success: true,
-        domains: [],
-        description: 'No websites are blocked',
-        count: 0
-      };
+      // Update settings in data store
+      if (result.success) {
+        const updatedDomains = (settings.blockedDomains || []).filter(d => !UrlPattern.equals(d, domain));
+        const updates = { blockedDomains: updatedDomains };
+        
+        // Removing the last domain turns blocklist mode off
+        if (result.status === 'blocklist_disabled') {
+          updates.blocklistEnabled = false;
+          await dataStore.updateToggleStates({ blocklist: false });
+        }
+        
+        await dataStore.updateSettings(updates);
+      }
+      
+      return result;
     } catch (error) {
-      Logger.error('Get blocked domains error', error, 'IPC');
+      Logger.error('Remove blocked domain error', error, 'IPC');
       return {
         success: false,
         error: {
-          code: 'DATA_ERROR',
-          message: 'Failed to retrieve blocked domains',
+          code: 'POLICY_ERROR',
+          message: 'Failed to remove blocked domain',
           details: error.message,
           recoverable: false
         }
@@ -625,12 +1005,10 @@ function registerIpcHandlers() {
     }
   });
   
-  // ===== Settings Handlers =====
-  
   /**
-   * Handle get status request
+   * Handle add domain request
    */
-  ipcMain.handle('settings:getStatus', async (event) => {
+  ipcMain.handle('policy:addDomain', async (event, domain) => {
     try {
       // Check if user is authenticated
       if (!authManager.isAuthenticated()) {
@@ -639,29 +1017,1255 @@ function registerIpcHandlers() {
           error: {
             code: 'NOT_AUTHENTICATED',
             message: 'Authentication required',
-            details: 'You must be logged in to view status',
+            details: 'You must be logged in to modify policies',
             recoverable: true
           }
         };
       }
       
-      // Get current policy status from PolicyManager
-      const policyStatus = await policyManager.getCurrentPolicyStatus();
+      // Store patterns in canonical form so lists compare and deduplicate reliably
+      domain = UrlPattern.normalize(domain) || domain;
       
-      // Get settings from data store
       const settings = await dataStore.getSettings();
+      let result;
       
-      // Get toggle states from data store
-      const toggleStates = await dataStore.getToggleStates();
-      
-      return {
-        success: true,
-        status: {
-          authenticated: authManager.isAuthenticated(),
-          user: authManager.getCurrentUser(),
-          policies: policyStatus.success ? policyStatus.policies : null,
-          settings: settings,
-          toggleStates: toggleStates,
+      // Only touch the registry while whitelist mode is active; otherwise just save the list
+      if (settings.whitelistEnabled) {
+        const conflict = getWebsiteModeConflict(settings, 'whitelist');
+        if (conflict) {
+          return conflict;
+        }
+        
+        result = await policyManager.applyPolicy('domain', {
+          action: 'add',
+          domain: domain
+        });
+      } else if (!policyManager.validateDomain(domain)) {
+        result = {
+          success: false,
+          error: {
+            code: 'INVALID_DOMAIN_FORMAT',
+            message: 'Invalid domain format',
+            details: `The domain "${domain}" has an invalid format. Please use a valid domain name (e.g., example.com)`,
+            recoverable: true
+          }
+        };
+      } else {
+        result = {
+          success: true,
+          message: `Domain "${domain}" added to the whitelist`,
+          status: 'saved'
+        };
+      }
+      
+      // Update settings in data store
+      if (result.success) {
+        const domains = settings.whitelistedDomains || [];
+        
+        if (!domains.some(d => UrlPattern.equals(d, domain))) {
+          await dataStore.updateSettings({
+            whitelistedDomains: [...domains, domain]
+          });
+        }
+      }
+      
+      return result;
+    } catch (error) {
+      Logger.error('Add domain error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'POLICY_ERROR',
+          message: 'Failed to add domain',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle bulk domain import request
+   * Parses a plain, CSV or hosts-file list and adds every valid domain to the
+   * whitelist with a single whitelist update (written to the registry only while
+   * whitelist mode is active)
+   */
+  ipcMain.handle('policy:importDomains', async (event, text, format) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const parsed = parseDomainList(text, {
+        format: format,
+        validateDomain: (domain) => policyManager.validateDomain(domain)
+      });
+      
+      if (parsed.domains.length === 0) {
+        return {
+          success: false,
+          error: {
+            code: 'NO_VALID_DOMAINS',
+            message: 'No valid domains found',
+            details: parsed.invalid.length > 0
+              ? `${parsed.invalid.length} entries could not be read as domains`
+              : 'The list is empty',
+            recoverable: true
+          },
+          invalid: parsed.invalid
+        };
+      }
+      
+      const settings = await dataStore.getSettings();
+      
+      // Only touch the registry while whitelist mode is active; otherwise just save the list
+      if (settings.whitelistEnabled) {
+        const conflict = getWebsiteModeConflict(settings, 'whitelist');
+        if (conflict) {
+          return { ...conflict, invalid: parsed.invalid };
+        }
+        
+        const result = await policyManager.applyPolicy('domain', {
+          action: 'addMany',
+          domains: parsed.domains
+        });
+        
+        if (!result.success) {
+          return { ...result, invalid: parsed.invalid };
+        }
+      }
+      
+      const stored = settings.whitelistedDomains || [];
+      const added = parsed.domains.filter(domain => !stored.some(d => UrlPattern.equals(d, domain)));
+      if (added.length > 0) {
+        await dataStore.updateSettings({
+          whitelistedDomains: [...stored, ...added]
+        });
+      }
+      
+      Logger.info(`Imported ${added.length} domains into the whitelist`, {
+        format: parsed.format,
+        invalid: parsed.invalid.length,
+        duplicates: parsed.duplicates
+      }, 'IPC');
+      
+      return {
+        success: true,
+        message: `${added.length} domains added to the whitelist`,
+        format: parsed.format,
+        added: added.length,
+        alreadyPresent: parsed.domains.length - added.length,
+        duplicates: parsed.duplicates,
+        invalid: parsed.invalid
+      };
+    } catch (error) {
+      Logger.error('Import domains error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'POLICY_ERROR',
+          message: 'Failed to import domains',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle remove domain request
+   */
+  ipcMain.handle('policy:removeDomain', async (event, domain) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const settings = await dataStore.getSettings();
+      let result;
+      
+      // Only touch the registry while whitelist mode is active; otherwise just save the list
+      if (settings.whitelistEnabled) {
+        result = await policyManager.applyPolicy('domain', {
+          action: 'remove',
+          domain: domain
+        });
+      } else {
+        result = {
+          success: true,
+          message: `Domain "${domain}" removed from the whitelist`,
+          status: 'saved'
+        };
+      }
+      
+      // Update settings in data store
+      if (result.success) {
+        const updatedDomains = (settings.whitelistedDomains || []).filter(d => !UrlPattern.equals(d, domain));
+        const updates = { whitelistedDomains: updatedDomains };
+        
+        // Removing the last domain turns whitelist mode off
+        if (result.status === 'whitelist_disabled') {
+          updates.whitelistEnabled = false;
+          await dataStore.updateToggleStates({ whitelist: false });
+        }
+        
+        await dataStore.updateSettings(updates);
+      }
+      
+      return result;
+    } catch (error) {
+      Logger.error('Remove domain error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'POLICY_ERROR',
+          message: 'Failed to remove domain',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle get domains request
+   */
+  ipcMain.handle('policy:getDomains', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const settings = await dataStore.getSettings();
+      
+      return {
+        success: true,
+        domains: settings.whitelistedDomains || [],
+        count: (settings.whitelistedDomains || []).length
+      };
+    } catch (error) {
+      Logger.error('Get domains error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'DATA_ERROR',
+          message: 'Failed to retrieve domains',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+
+  /**
+   * Handle get browser status request (website policy state per browser)
+   */
+  ipcMain.handle('policy:getBrowserStatus', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      return await policyManager.getBrowserStatus();
+    } catch (error) {
+      Logger.error('Get browser status error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'STATUS_ERROR',
+          message: 'Failed to retrieve browser status',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+
+  /**
+   * Handle get whitelisted domains request
+   */
+  ipcMain.handle('policy:getWhitelistedDomains', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const settings = await dataStore.getSettings();
+      
+      return {
+        success: true,
+        domains: settings.whitelistedDomains || [],
+        count: (settings.whitelistedDomains || []).length
+      };
+    } catch (error) {
+      Logger.error('Get whitelisted domains error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'DATA_ERROR',
+          message: 'Failed to retrieve whitelisted domains',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+
+  /**
+   * Handle get blocked domains request
+   */
+  ipcMain.handle('policy:getBlockedDomains', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const settings = await dataStore.getSettings();
+      const domains = settings.blockedDomains || [];
+      
+      let description = 'No websites are blocked';
+      if (settings.websiteBlockEnabled) {
+        description = 'All websites are blocked';
+      } else if (settings.blocklistEnabled && domains.length > 0) {
+        description = `${domains.length} websites are blocked`;
+      } else if (domains.length > 0) {
+        description = 'Blocklist is saved but not active';
+      }
+      
+      return {
+        success: true,
+        domains: domains,
+        allBlocked: !!settings.websiteBlockEnabled,
+        blocklistEnabled: !!settings.blocklistEnabled,
+        description: description,
+        count: domains.length
+      };
+    } catch (error) {
+      Logger.error('Get blocked domains error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'DATA_ERROR',
+          message: 'Failed to retrieve blocked domains',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle policy preview request (dry run of a toggle change)
+   */
+  ipcMain.handle('policy:previewToggle', async (event, toggle, enabled) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to preview policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      let policyType;
+      let policySettings;
+      
+      switch (toggle) {
+        case 'driveBlock':
+          policyType = 'drive';
+          policySettings = { blockWriteAccess: enabled };
+          break;
+        case 'websiteBlock': {
+          const settings = await dataStore.getSettings();
+          policyType = 'browser';
+          policySettings = { blockAllWebsites: enabled, blockInternalPages: isInternalPagesLockdownEnabled(settings) };
+          break;
+        }
+        case 'whitelist': {
+          const settings = await dataStore.getSettings();
+          policyType = 'whitelist';
+          policySettings = {
+            enabled: enabled,
+            domains: settings.whitelistedDomains || [],
+            blockInternalPages: isInternalPagesLockdownEnabled(settings)
+          };
+          break;
+        }
+        case 'blocklist': {
+          const settings = await dataStore.getSettings();
+          policyType = 'blocklist';
+          policySettings = { enabled: enabled, domains: settings.blockedDomains || [] };
+          break;
+        }
+        default:
+          return {
+            success: false,
+            error: {
+              code: 'INVALID_TOGGLE',
+              message: 'Invalid toggle',
+              details: `Unknown toggle: ${toggle}`,
+              recoverable: false
+            }
+          };
+      }
+      
+      return await policyManager.applyPolicy(policyType, policySettings, { dryRun: true });
+    } catch (error) {
+      Logger.error('Preview policy error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'POLICY_PREVIEW_ERROR',
+          message: 'Failed to preview policy',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle detect drift request (compare stored state with the live registry)
+   */
+  ipcMain.handle('policy:detectDrift', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      return await policyManager.detectDrift(await getDesiredPolicyState());
+    } catch (error) {
+      Logger.error('Detect drift error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'DRIFT_DETECTION_ERROR',
+          message: 'Failed to check for policy drift',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle resolve drift request
+   * 'reapply' writes the stored state back to the registry,
+   * 'adopt' saves the live registry state as the stored state
+   */
+  ipcMain.handle('policy:resolveDrift', async (event, action) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const desired = await getDesiredPolicyState();
+      
+      if (action === 'reapply') {
+        const result = await policyManager.applyPolicy('desiredState', { ...desired, action: 'reapply' });
+        if (!result.success) {
+          return result;
+        }
+        
+        return {
+          ...result,
+          drift: await policyManager.detectDrift(desired)
+        };
+      }
+      
+      if (action === 'adopt') {
+        const detection = await policyManager.detectDrift(desired);
+        if (!detection.success) {
+          return detection;
+        }
+        
+        const live = detection.live;
+        await dataStore.updateSettings({
+          driveBlockEnabled: live.driveBlock,
+          websiteBlockEnabled: live.websiteBlock,
+          whitelistEnabled: live.whitelist,
+          whitelistedDomains: live.whitelistedDomains,
+          blocklistEnabled: live.blocklist,
+          blockedDomains: live.blockedDomains,
+          internalPagesLockdown: live.internalPagesLockdown
+        });
+        
+        await dataStore.updateToggleStates({
+          driveBlock: live.driveBlock,
+          websiteBlock: live.websiteBlock,
+          whitelist: live.whitelist,
+          blocklist: live.blocklist,
+          lastSynced: new Date().toISOString()
+        });
+        
+        Logger.info('Live policy state adopted as stored state', live, 'IPC');
+        
+        return {
+          success: true,
+          message: 'The live registry state has been saved as the stored state',
+          state: live,
+          drift: await policyManager.detectDrift(await getDesiredPolicyState())
+        };
+      }
+      
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_ACTION',
+          message: 'Invalid drift action',
+          details: `Unknown action: ${action}. Valid actions are: reapply, adopt`,
+          recoverable: false
+        }
+      };
+    } catch (error) {
+      Logger.error('Resolve drift error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'POLICY_ERROR',
+          message: 'Failed to resolve policy drift',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  // ===== Profile Handlers =====
+  
+  /**
+   * Handle get profiles request
+   */
+  ipcMain.handle('profile:getAll', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view profiles',
+            recoverable: true
+          }
+        };
+      }
+      
+      return await policyManager.getProfiles();
+    } catch (error) {
+      Logger.error('Get profiles error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'PROFILE_ERROR',
+          message: 'Failed to retrieve profiles',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle create profile request
+   * The new profile bundles the current drive and website settings
+   */
+  ipcMain.handle('profile:create', async (event, name) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify profiles',
+            recoverable: true
+          }
+        };
+      }
+      
+      const settings = await dataStore.getSettings();
+      return await policyManager.createProfile(name, getStoredPolicyState(settings));
+    } catch (error) {
+      Logger.error('Create profile error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'PROFILE_ERROR',
+          message: 'Failed to create profile',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle rename profile request
+   */
+  ipcMain.handle('profile:rename', async (event, profileId, name) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify profiles',
+            recoverable: true
+          }
+        };
+      }
+      
+      return await policyManager.renameProfile(profileId, name);
+    } catch (error) {
+      Logger.error('Rename profile error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'PROFILE_ERROR',
+          message: 'Failed to rename profile',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle delete profile request
+   */
+  ipcMain.handle('profile:delete', async (event, profileId) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify profiles',
+            recoverable: true
+          }
+        };
+      }
+      
+      return await policyManager.deleteProfile(profileId);
+    } catch (error) {
+      Logger.error('Delete profile error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'PROFILE_ERROR',
+          message: 'Failed to delete profile',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle activate profile request
+   */
+  ipcMain.handle('profile:activate', async (event, profileId) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify policies',
+            recoverable: true
+          }
+        };
+      }
+      
+      const result = await policyManager.activateProfile(profileId);
+      
+      // Active schedules still take precedence over the profile
+      const schedules = await dataStore.getSchedules();
+      if (result.success && PolicyScheduler.getActiveRules(schedules, new Date()).length > 0) {
+        await policyScheduler.evaluate(true);
+      }
+      
+      return result;
+    } catch (error) {
+      Logger.error('Activate profile error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'PROFILE_ERROR',
+          message: 'Failed to activate profile',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  // ===== Schedule Handlers =====
+  
+  /**
+   * Handle get schedules request
+   */
+  ipcMain.handle('schedule:getAll', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view schedules',
+            recoverable: true
+          }
+        };
+      }
+      
+      return await getScheduleOverview();
+    } catch (error) {
+      Logger.error('Get schedules error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'SCHEDULE_ERROR',
+          message: 'Failed to retrieve schedules',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle save schedule request
+   * Creates a rule when it has no id, otherwise replaces the rule with that id.
+   * Rules that overlap another rule with a different website policy are rejected
+   */
+  ipcMain.handle('schedule:save', async (event, ruleData) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify schedules',
+            recoverable: true
+          }
+        };
+      }
+      
+      const schedules = await dataStore.getSchedules();
+      const existing = ruleData.id ? schedules.find(rule => rule.id === ruleData.id) : null;
+      
+      if (ruleData.id && !existing) {
+        return {
+          success: false,
+          error: {
+            code: 'SCHEDULE_NOT_FOUND',
+            message: 'Schedule not found',
+            details: 'The schedule may have been deleted',
+            recoverable: true
+          }
+        };
+      }
+      
+      const rule = new ScheduleRule({
+        ...ruleData,
+        id: existing ? existing.id : crypto.randomUUID(),
+        name: typeof ruleData.name === 'string' ? ruleData.name.trim() : ruleData.name,
+        createdAt: existing ? existing.createdAt : undefined,
+        lastModified: new Date().toISOString()
+      });
+      
+      try {
+        rule.validate();
+      } catch (validationError) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_SCHEDULE',
+            message: 'Invalid schedule',
+            details: validationError.message,
+            recoverable: true
+          }
+        };
+      }
+      
+      const invalidDomain = (rule.settings.domains || []).find(domain => !policyManager.validateDomain(domain));
+      if (invalidDomain) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_DOMAIN',
+            message: 'Invalid domain format',
+            details: `"${invalidDomain}": ${UrlPattern.parse(invalidDomain).error}`,
+            recoverable: true
+          }
+        };
+      }
+      
+      if (rule.settings.domains) {
+        rule.settings.domains = UrlPattern.unique(rule.settings.domains);
+      }
+      
+      const updated = existing
+        ? schedules.map(r => (r.id === rule.id ? rule.toJSON() : r))
+        : [...schedules, rule.toJSON()];
+      
+      const conflicts = PolicyScheduler.findConflicts(updated)
+        .filter(c => c.ruleId === rule.id || c.otherRuleId === rule.id);
+      if (conflicts.length > 0) {
+        return {
+          success: false,
+          error: {
+            code: 'SCHEDULE_CONFLICT',
+            message: 'Schedule conflicts with another schedule',
+            details: conflicts.map(c => c.message).join('; '),
+            recoverable: true
+          },
+          conflicts: conflicts
+        };
+      }
+      
+      await dataStore.updateSchedules(updated);
+      Logger.info(`Schedule "${rule.name}" ${existing ? 'updated' : 'created'}`, rule.toJSON(), 'IPC');
+      
+      // Apply right away in case the change affects the current time
+      const applied = await policyScheduler.evaluate(true);
+      
+      return {
+        ...(await getScheduleOverview()),
+        message: existing ? 'Schedule updated' : 'Schedule created',
+        rule: rule.toJSON(),
+        applied: applied
+      };
+    } catch (error) {
+      Logger.error('Save schedule error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'SCHEDULE_ERROR',
+          message: 'Failed to save schedule',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle delete schedule request
+   */
+  ipcMain.handle('schedule:delete', async (event, ruleId) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to modify schedules',
+            recoverable: true
+          }
+        };
+      }
+      
+      const schedules = await dataStore.getSchedules();
+      const rule = schedules.find(r => r.id === ruleId);
+      
+      if (!rule) {
+        return {
+          success: false,
+          error: {
+            code: 'SCHEDULE_NOT_FOUND',
+            message: 'Schedule not found',
+            details: 'The schedule may have been deleted',
+            recoverable: true
+          }
+        };
+      }
+      
+      await dataStore.updateSchedules(schedules.filter(r => r.id !== ruleId));
+      Logger.info(`Schedule "${rule.name}" deleted`, { id: ruleId }, 'IPC');
+      
+      // Switch off the rule's policy if it was active
+      const applied = await policyScheduler.evaluate(true);
+      
+      return {
+        ...(await getScheduleOverview()),
+        message: 'Schedule deleted',
+        applied: applied
+      };
+    } catch (error) {
+      Logger.error('Delete schedule error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'SCHEDULE_ERROR',
+          message: 'Failed to delete schedule',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  // ===== Configuration Export/Import Handlers =====
+  
+  /**
+   * Handle export configuration request
+   * Writes the settings and profiles to a signed JSON file chosen by the user
+   */
+  ipcMain.handle('config:export', async (event, passphrase) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to export the configuration',
+            recoverable: true
+          }
+        };
+      }
+      
+      const exported = ConfigTransfer.createExport(
+        await dataStore.getSettings(),
+        await dataStore.getProfiles(),
+        passphrase
+      );
+      if (!exported.success) {
+        return exported;
+      }
+      
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Export Configuration',
+        defaultPath: 'gpm-config.json',
+        filters: [{ name: 'Configuration', extensions: ['json'] }]
+      });
+      
+      if (canceled || !filePath) {
+        return { success: true, canceled: true };
+      }
+      
+      await fs.writeFile(filePath, JSON.stringify(exported.file, null, 2), 'utf8');
+      Logger.info(`Configuration exported to ${filePath}`, null, 'IPC');
+      
+      return {
+        success: true,
+        message: 'Configuration exported',
+        filePath: filePath
+      };
+    } catch (error) {
+      Logger.error('Export configuration error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'CONFIG_EXPORT_ERROR',
+          message: 'Failed to export configuration',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle import preview request
+   * Reads a configuration file chosen by the user, verifies its signature and schema
+   * and returns the changes importing it would make. The verified configuration is
+   * kept until config:applyImport or the next preview
+   */
+  ipcMain.handle('config:previewImport', async (event, passphrase) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to import a configuration',
+            recoverable: true
+          }
+        };
+      }
+      
+      pendingImport = null;
+      
+      const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+        title: 'Import Configuration',
+        filters: [{ name: 'Configuration', extensions: ['json'] }],
+        properties: ['openFile']
+      });
+      
+      if (canceled || filePaths.length === 0) {
+        return { success: true, canceled: true };
+      }
+      
+      const parsed = ConfigTransfer.parseImport(await fs.readFile(filePaths[0], 'utf8'), passphrase, {
+        isValidDomain: (domain) => policyManager.validateDomain(domain),
+        browserIds: getBrowserIds()
+      });
+      if (!parsed.success) {
+        Logger.warn('Configuration import rejected', parsed.error, 'IPC');
+        return parsed;
+      }
+      
+      const settings = await dataStore.getSettings();
+      const imported = parsed.config.settings;
+      
+      const settingChanges = Object.keys(imported)
+        .filter(key => JSON.stringify(imported[key]) !== JSON.stringify(settings[key] === undefined ? null : settings[key]))
+        .map(key => ({ setting: key, current: settings[key] === undefined ? null : settings[key], imported: imported[key] }));
+      
+      const profiles = mergeImportedProfiles(await dataStore.getProfiles(), parsed.config.profiles);
+      
+      // Preview under the imported browser selection, as config:applyImport applies it
+      const registry = await policyManager.previewPolicy('desiredState', {
+        ...(await getDesiredPolicyState({ ...settings, ...imported })),
+        action: 'import'
+      }, { targetBrowsers: imported.targetBrowsers });
+      
+      pendingImport = { config: parsed.config, filePath: filePaths[0] };
+      
+      return {
+        success: true,
+        filePath: filePaths[0],
+        exportedAt: parsed.exportedAt,
+        settingChanges: settingChanges,
+        profilesAdded: profiles.added,
+        profilesReplaced: profiles.replaced,
+        registryChanges: registry.success ? registry.changes : null
+      };
+    } catch (error) {
+      Logger.error('Preview import error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'CONFIG_IMPORT_ERROR',
+          message: 'Failed to read configuration file',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle apply import request
+   * Applies the previewed configuration through PolicyManager and stores it
+   */
+  ipcMain.handle('config:applyImport', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to import a configuration',
+            recoverable: true
+          }
+        };
+      }
+      
+      if (!pendingImport) {
+        return {
+          success: false,
+          error: {
+            code: 'NO_PENDING_IMPORT',
+            message: 'No configuration to import',
+            details: 'Choose and preview a configuration file first',
+            recoverable: true
+          }
+        };
+      }
+      
+      const { config, filePath } = pendingImport;
+      const settings = { ...(await dataStore.getSettings()), ...config.settings, activeProfileId: null };
+      const browserIds = config.settings.targetBrowsers !== undefined
+        ? config.settings.targetBrowsers
+        : policyManager.getTargetBrowsers();
+      
+      const result = await applyToTargetBrowsers(browserIds, await getDesiredPolicyState(settings), 'import');
+      if (!result.success) {
+        return result;
+      }
+      
+      const profiles = mergeImportedProfiles(await dataStore.getProfiles(), config.profiles);
+      await dataStore.updateProfiles(profiles.profiles);
+      await dataStore.updateSettings(settings);
+      await dataStore.updateToggleStates({
+        driveBlock: !!settings.driveBlockEnabled,
+        websiteBlock: !!settings.websiteBlockEnabled,
+        whitelist: !!settings.whitelistEnabled,
+        blocklist: !!settings.blocklistEnabled,
+        lastSynced: new Date().toISOString()
+      });
+      
+      enforcementScheduler.setIntervalMinutes(settings.enforcementIntervalMinutes || 5);
+      if (settings.enforcementEnabled) {
+        enforcementScheduler.start();
+      } else {
+        enforcementScheduler.stop();
+      }
+      
+      pendingImport = null;
+      Logger.info(`Configuration imported from ${filePath}`, {
+        settings: Object.keys(config.settings),
+        profilesAdded: profiles.added,
+        profilesReplaced: profiles.replaced
+      }, 'IPC');
+      
+      return {
+        success: true,
+        message: 'Configuration imported'
+      };
+    } catch (error) {
+      Logger.error('Apply import error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'CONFIG_IMPORT_ERROR',
+          message: 'Failed to import configuration',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  // ===== Settings Handlers =====
+  
+  /**
+   * Handle get status request
+   */
+  ipcMain.handle('settings:getStatus', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to view status',
+            recoverable: true
+          }
+        };
+      }
+      
+      // Get current policy status from PolicyManager
+      const policyStatus = await policyManager.getCurrentPolicyStatus();
+      
+      // Get settings from data store
+      const settings = await dataStore.getSettings();
+      
+      // Get toggle states from data store
+      const toggleStates = await dataStore.getToggleStates();
+      
+      return {
+        success: true,
+        status: {
+          authenticated: authManager.isAuthenticated(),
+          user: authManager.getCurrentUser(),
+          policies: policyStatus.success ? policyStatus.policies : null,
+          settings: settings,
+          toggleStates: toggleStates,
+          enforcement: enforcementScheduler.getStatus(),
+          registryProviders: getRegistryProviders(),
+          dataRecovery: dataStore.getRecoveryStatus(),
           timestamp: new Date().toISOString()
         }
       };
@@ -718,6 +2322,167 @@ function registerIpcHandlers() {
     }
   });
   
+  /**
+   * Handle update enforcement request
+   * Turns the periodic re-apply of the stored policies on or off
+   */
+  ipcMain.handle('settings:updateEnforcement', async (event, enabled, intervalMinutes) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to update settings',
+            recoverable: true
+          }
+        };
+      }
+      
+      if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 1440) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_INTERVAL',
+            message: 'Invalid enforcement interval',
+            details: 'The interval must be a whole number of minutes between 1 and 1440',
+            recoverable: true
+          }
+        };
+      }
+      
+      await dataStore.updateSettings({
+        enforcementEnabled: enabled,
+        enforcementIntervalMinutes: intervalMinutes
+      });
+      
+      enforcementScheduler.setIntervalMinutes(intervalMinutes);
+      if (enabled) {
+        enforcementScheduler.start();
+      } else {
+        enforcementScheduler.stop();
+      }
+      
+      Logger.info(`Policy enforcement ${enabled ? 'enabled' : 'disabled'}`, { intervalMinutes }, 'IPC');
+      
+      return {
+        success: true,
+        message: enabled
+          ? `Policies will be re-applied every ${intervalMinutes} minutes if they are changed`
+          : 'Automatic policy enforcement disabled',
+        enforcement: enforcementScheduler.getStatus()
+      };
+    } catch (error) {
+      Logger.error('Update enforcement error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'SETTINGS_ERROR',
+          message: 'Failed to update enforcement settings',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle acknowledge data recovery request
+   * Hides the notice about a data file restored from backup
+   */
+  ipcMain.handle('settings:acknowledgeDataRecovery', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to update settings',
+            recoverable: true
+          }
+        };
+      }
+      
+      dataStore.clearRecoveryStatus();
+      
+      return {
+        success: true,
+        message: 'Data recovery notice dismissed'
+      };
+    } catch (error) {
+      Logger.error('Acknowledge data recovery error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'SETTINGS_ERROR',
+          message: 'Failed to dismiss the data recovery notice',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle update registry provider request
+   * Switches the backend used to read and write the registry
+   */
+  ipcMain.handle('settings:setRegistryProvider', async (event, providerId) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to update settings',
+            recoverable: true
+          }
+        };
+      }
+      
+      if (!getRegistryProviderIds().includes(providerId)) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_REGISTRY_PROVIDER',
+            message: 'Invalid registry provider',
+            details: `Choose one of: ${getRegistryProviderIds().join(', ')}`,
+            recoverable: true
+          }
+        };
+      }
+      
+      policyManager.setRegistry(createRegistry(providerId));
+      await dataStore.updateSettings({ registryProvider: providerId });
+      
+      const provider = getRegistryProviders().find(entry => entry.id === providerId);
+      Logger.info(`Registry provider changed to ${provider.name}`, null, 'IPC');
+      
+      return {
+        success: true,
+        message: `The registry is now accessed through ${provider.name}`,
+        provider: provider
+      };
+    } catch (error) {
+      Logger.error('Update registry provider error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'SETTINGS_ERROR',
+          message: 'Failed to change the registry provider',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
   /**
    * Handle sync policy states request
    */
@@ -785,13 +2550,17 @@ function registerIpcHandlers() {
           driveBlockEnabled: false,
           websiteBlockEnabled: false,
           whitelistEnabled: false,
-          whitelistedDomains: []
+          whitelistedDomains: [],
+          blocklistEnabled: false,
+          blockedDomains: [],
+          activeProfileId: null
         });
         
         await dataStore.updateToggleStates({
           driveBlock: false,
           websiteBlock: false,
           whitelist: false,
+          blocklist: false,
           lastSynced: new Date().toISOString()
         });
         
@@ -813,6 +2582,157 @@ function registerIpcHandlers() {
     }
   });
   
+  // ===== Data File Handlers =====
+  
+  /**
+   * Handle data file status request
+   * Available before login so the login screen can offer to unlock a locked data file
+   */
+  ipcMain.handle('data:getStatus', async (event) => {
+    try {
+      const lock = dataStore.getLockStatus();
+      return {
+        success: true,
+        locked: !!lock,
+        lock: lock
+      };
+    } catch (error) {
+      Logger.error('Get data status error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'DATA_STATUS_ERROR',
+          message: 'Failed to get data file status',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle unlock data file request
+   * Opens a data file that's locked on this machine with the developer key, a recovery
+   * file chosen by the user or the previous computer name, and re-wraps its key for
+   * this machine
+   */
+  ipcMain.handle('data:unlock', async (event, method, value) => {
+    try {
+      const lock = dataStore.getLockStatus();
+      if (!lock) {
+        return {
+          success: false,
+          error: {
+            code: 'DATA_NOT_LOCKED',
+            message: 'The data file is not locked',
+            details: 'The data file was opened with the key of this computer',
+            recoverable: false
+          }
+        };
+      }
+      
+      if (!lock.methods.includes(method)) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_METHOD',
+            message: 'This recovery method is not available for the data file',
+            details: `Available methods: ${lock.methods.join(', ') || 'none'}`,
+            recoverable: true
+          }
+        };
+      }
+      
+      let credential = value;
+      if (method === 'recoveryFile') {
+        const { canceled, filePaths } = await dialog.showOpenDialog(mainWindow, {
+          title: 'Open Recovery File',
+          filters: [{ name: 'Recovery File', extensions: ['json'] }],
+          properties: ['openFile']
+        });
+        
+        if (canceled || !filePaths || filePaths.length === 0) {
+          return { success: true, canceled: true };
+        }
+        
+        credential = await fs.readFile(filePaths[0], 'utf8');
+      }
+      
+      await dataStore.unlockWith(method, credential);
+      await initializeManagers();
+      Logger.info(`Data file unlocked using method: ${method}`, null, 'IPC');
+      
+      return {
+        success: true,
+        message: 'Data file unlocked'
+      };
+    } catch (error) {
+      Logger.warn(`Data file unlock failed using method: ${method}`, { message: error.message }, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'DATA_UNLOCK_ERROR',
+          message: 'Failed to unlock the data file',
+          details: error.message,
+          recoverable: true
+        }
+      };
+    }
+  });
+  
+  /**
+   * Handle create recovery file request
+   * Writes a recovery file that can unlock the data file on another machine to a
+   * location chosen by the user; it replaces any earlier recovery file
+   */
+  ipcMain.handle('data:createRecoveryFile', async (event) => {
+    try {
+      // Check if user is authenticated
+      if (!authManager.isAuthenticated()) {
+        return {
+          success: false,
+          error: {
+            code: 'NOT_AUTHENTICATED',
+            message: 'Authentication required',
+            details: 'You must be logged in to create a recovery file',
+            recoverable: true
+          }
+        };
+      }
+      
+      const { canceled, filePath } = await dialog.showSaveDialog(mainWindow, {
+        title: 'Save Recovery File',
+        defaultPath: 'gpm-recovery.json',
+        filters: [{ name: 'Recovery File', extensions: ['json'] }]
+      });
+      
+      if (canceled || !filePath) {
+        return { success: true, canceled: true };
+      }
+      
+      const recoveryFile = await dataStore.createRecoveryFile();
+      await fs.writeFile(filePath, JSON.stringify(recoveryFile, null, 2), { encoding: 'utf8', mode: 0o600 });
+      Logger.info(`Recovery file saved to ${filePath}`, null, 'IPC');
+      
+      return {
+        success: true,
+        message: 'Recovery file created',
+        filePath: filePath
+      };
+    } catch (error) {
+      Logger.error('Create recovery file error', error, 'IPC');
+      return {
+        success: false,
+        error: {
+          code: 'RECOVERY_FILE_ERROR',
+          message: 'Failed to create recovery file',
+          details: error.message,
+          recoverable: false
+        }
+      };
+    }
+  });
+  
   // ===== Navigation Handlers =====
   
   /**
@@ -920,6 +2840,7 @@ app.whenReady().then(async () => {
     });
   } catch (error) {
     Logger.error('Application initialization failed', error, 'Application');
+    dialog.showErrorBox('Group Policy Manager could not start', error.message);
     app.quit();
   }
 });
@@ -932,5 +2853,11 @@ app.on('window-all-closed', () => {
 });
 
 app.on('before-quit', () => {
+  if (enforcementScheduler) {
+    enforcementScheduler.stop();
+  }
+  if (policyScheduler) {
+    policyScheduler.stop();
+  }
   Logger.logAppEvent('shutdown', { reason: 'Application quit requested' });
 });
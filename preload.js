@@ -9,6 +9,18 @@ const validators = {
   isObject: (value) => typeof value === 'object' && value !== null && !Array.isArray(value),
   isNonEmptyString: (value) => typeof value === 'string' && value.trim().length > 0,
   isValidPasswordMethod: (method) => ['old', 'security', 'developer'].includes(method),
+  isValidToggle: (toggle) => ['driveBlock', 'websiteBlock', 'whitelist', 'blocklist'].includes(toggle),
+  isValidDriftAction: (action) => ['reapply', 'adopt'].includes(action),
+  isValidPassphrase: (value) => typeof value === 'string' && value.length >= 8,
+  isValidDomainListFormat: (format) => ['auto', 'text', 'csv', 'hosts'].includes(format),
+  isValidUnlockMethod: (method) => ['developerKey', 'recoveryFile', 'previousHostname'].includes(method),
+  // Shape of a whitelist/blocklist entry. The preload runs sandboxed and can't load
+  // src/utils/urlPattern.js, so the full pattern check happens in the main process
+  isDomainEntry: (value) => typeof value === 'string' && value.trim().length > 0 &&
+    value.length <= 2048 && !/\s|[?#]/.test(value.trim()),
+  isValidInterval: (value) => Number.isInteger(value) && value >= 1 && value <= 1440,
+  isNonEmptyStringArray: (value) => Array.isArray(value) && value.length > 0 &&
+    value.every(item => typeof item === 'string' && item.trim().length > 0),
   isValidPasswordData: (method, data) => {
     if (!validators.isObject(data)) return false;
     
@@ -146,15 +158,60 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('policy:toggleWhitelist', enabled);
   },
   
+  toggleBlocklist: (enabled) => {
+    if (!validators.isBoolean(enabled)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Enabled parameter must be a boolean',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:toggleBlocklist', enabled);
+  },
+
+  toggleInternalPages: (enabled) => {
+    if (!validators.isBoolean(enabled)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Enabled parameter must be a boolean',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:toggleInternalPages', enabled);
+  },
+
+  previewToggle: (toggle, enabled) => {
+    if (!validators.isValidToggle(toggle) || !validators.isBoolean(enabled)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameters',
+          details: 'Toggle must be one of: driveBlock, websiteBlock, whitelist, blocklist and enabled must be a boolean',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:previewToggle', toggle, enabled);
+  },
+  
   // Domain management
   addDomain: (domain) => {
-    if (!validators.isNonEmptyString(domain)) {
+    if (!validators.isDomainEntry(domain)) {
       return Promise.resolve({
         success: false,
         error: {
           code: 'INVALID_INPUT',
           message: 'Invalid domain parameter',
-          details: 'Domain must be a non-empty string',
+          details: 'Enter a domain or URL pattern without spaces, query string or fragment',
           recoverable: true
         }
       });
@@ -162,6 +219,21 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('policy:addDomain', domain);
   },
 
+  importDomains: (text, format = 'auto') => {
+    if (!validators.isNonEmptyString(text) || !validators.isValidDomainListFormat(format)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Paste a non-empty domain list and choose auto, text, csv or hosts as the format',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:importDomains', text, format);
+  },
+
   removeDomain: (domain) => {
     if (!validators.isNonEmptyString(domain)) {
       return Promise.resolve({
@@ -177,6 +249,36 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('policy:removeDomain', domain);
   },
 
+  addBlockedDomain: (domain) => {
+    if (!validators.isDomainEntry(domain)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid domain parameter',
+          details: 'Enter a domain or URL pattern without spaces, query string or fragment',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:addBlockedDomain', domain);
+  },
+
+  removeBlockedDomain: (domain) => {
+    if (!validators.isNonEmptyString(domain)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid domain parameter',
+          details: 'Domain must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:removeBlockedDomain', domain);
+  },
+
   getDomains: () => {
     return ipcRenderer.invoke('policy:getDomains');
   },
@@ -188,6 +290,144 @@ contextBridge.exposeInMainWorld('api', {
   getBlockedDomains: () => {
     return ipcRenderer.invoke('policy:getBlockedDomains');
   },
+
+  getBrowserStatus: () => {
+    return ipcRenderer.invoke('policy:getBrowserStatus');
+  },
+
+  detectDrift: () => {
+    return ipcRenderer.invoke('policy:detectDrift');
+  },
+
+  resolveDrift: (action) => {
+    if (!validators.isValidDriftAction(action)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Action must be "reapply" or "adopt"',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:resolveDrift', action);
+  },
+
+  setTargetBrowsers: (browserIds) => {
+    if (!validators.isNonEmptyStringArray(browserIds)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Select at least one browser',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('policy:setTargetBrowsers', browserIds);
+  },
+  
+  // Profiles
+  getProfiles: () => {
+    return ipcRenderer.invoke('profile:getAll');
+  },
+
+  createProfile: (name) => {
+    if (!validators.isNonEmptyString(name)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Profile name must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('profile:create', name);
+  },
+
+  renameProfile: (profileId, name) => {
+    if (!validators.isNonEmptyString(profileId) || !validators.isNonEmptyString(name)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Profile id and name must be non-empty strings',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('profile:rename', profileId, name);
+  },
+
+  deleteProfile: (profileId) => {
+    if (!validators.isNonEmptyString(profileId)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Profile id must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('profile:delete', profileId);
+  },
+
+  activateProfile: (profileId) => {
+    if (!validators.isNonEmptyString(profileId)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Profile id must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('profile:activate', profileId);
+  },
+
+  // Schedules
+  getSchedules: () => {
+    return ipcRenderer.invoke('schedule:getAll');
+  },
+
+  saveSchedule: (rule) => {
+    if (!validators.isObject(rule)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid schedule parameter',
+          details: 'Schedule must be an object',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('schedule:save', rule);
+  },
+
+  deleteSchedule: (ruleId) => {
+    if (!validators.isNonEmptyString(ruleId)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Schedule id must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('schedule:delete', ruleId);
+  },
   
   // Settings and status
   getStatus: () => {
@@ -209,6 +449,101 @@ contextBridge.exposeInMainWorld('api', {
     return ipcRenderer.invoke('settings:updateSettings', settings);
   },
 
+  updateEnforcement: (enabled, intervalMinutes) => {
+    if (!validators.isBoolean(enabled) || !validators.isValidInterval(intervalMinutes)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Enabled must be a boolean and the interval a whole number of minutes between 1 and 1440',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('settings:updateEnforcement', enabled, intervalMinutes);
+  },
+
+  acknowledgeDataRecovery: () => {
+    return ipcRenderer.invoke('settings:acknowledgeDataRecovery');
+  },
+
+  setRegistryProvider: (providerId) => {
+    if (!validators.isNonEmptyString(providerId)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'Registry provider must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('settings:setRegistryProvider', providerId);
+  },
+
+  // Configuration export/import
+  exportConfig: (passphrase) => {
+    if (!validators.isValidPassphrase(passphrase)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'The passphrase must be at least 8 characters long',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('config:export', passphrase);
+  },
+
+  previewImport: (passphrase) => {
+    if (!validators.isValidPassphrase(passphrase)) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameter',
+          details: 'The passphrase must be at least 8 characters long',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('config:previewImport', passphrase);
+  },
+
+  applyImport: () => {
+    return ipcRenderer.invoke('config:applyImport');
+  },
+
+  // Data file recovery
+  getDataStatus: () => {
+    return ipcRenderer.invoke('data:getStatus');
+  },
+
+  unlockData: (method, value) => {
+    // The recovery file is chosen in a dialog opened by the main process
+    if (!validators.isValidUnlockMethod(method) ||
+        (method !== 'recoveryFile' && !validators.isNonEmptyString(value))) {
+      return Promise.resolve({
+        success: false,
+        error: {
+          code: 'INVALID_INPUT',
+          message: 'Invalid input parameters',
+          details: 'Method must be one of: developerKey, recoveryFile, previousHostname; the developer key or computer name must be a non-empty string',
+          recoverable: true
+        }
+      });
+    }
+    return ipcRenderer.invoke('data:unlock', method, method === 'recoveryFile' ? null : value);
+  },
+
+  createRecoveryFile: () => {
+    return ipcRenderer.invoke('data:createRecoveryFile');
+  },
+
   // Navigation helper
   loadMainApp: () => {
     return ipcRenderer.invoke('navigation:loadMainApp');
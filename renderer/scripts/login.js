@@ -282,3 +282,140 @@ developerKeyForm.addEventListener('submit', async (e) => {
 
 // Handle close success button
 document.getElementById('closeSuccessBtn').addEventListener('click', hidePasswordRecoveryModal);
+
+
+// Unlock Data Modal Logic
+const unlockModal = document.getElementById('unlockDataModal');
+const unlockMethodSelection = document.getElementById('unlockMethodSelection');
+const unlockDeveloperKeyMethod = document.getElementById('unlockDeveloperKeyMethod');
+const unlockHostnameMethod = document.getElementById('unlockHostnameMethod');
+const unlockSuccess = document.getElementById('unlockSuccess');
+const unlockMethodBtns = document.querySelectorAll('.unlock-method-btn');
+const unlockBackBtns = document.querySelectorAll('.unlock-back-btn');
+const unlockDeveloperKeyForm = document.getElementById('unlockDeveloperKeyForm');
+const unlockHostnameForm = document.getElementById('unlockHostnameForm');
+const unlockMethodError = document.getElementById('unlockMethodError');
+const unlockDeveloperKeyError = document.getElementById('unlockDeveloperKeyError');
+const unlockHostnameError = document.getElementById('unlockHostnameError');
+
+// Show the unlock modal if the data file can't be opened on this computer
+async function checkDataLock() {
+  try {
+    const result = await window.api.getDataStatus();
+    if (!result.success || !result.locked) {
+      return;
+    }
+    
+    document.getElementById('unlockReason').textContent =
+      `The data could not be opened on this computer: ${result.lock.reason}.`;
+    unlockMethodBtns.forEach(btn => {
+      btn.classList.toggle('hidden', !result.lock.methods.includes(btn.dataset.method));
+    });
+    if (result.lock.methods.length === 0) {
+      showUnlockError(unlockMethodError, 'No recovery method is available for this data file');
+    }
+    
+    showUnlockMethodSelection();
+    unlockModal.classList.add('show');
+  } catch (error) {
+    console.error('Error checking data status:', error);
+  }
+}
+
+// Show unlock method selection screen
+function showUnlockMethodSelection() {
+  hideAllUnlockSections();
+  unlockMethodSelection.classList.remove('hidden');
+}
+
+// Hide all unlock sections
+function hideAllUnlockSections() {
+  unlockMethodSelection.classList.add('hidden');
+  unlockDeveloperKeyMethod.classList.add('hidden');
+  unlockHostnameMethod.classList.add('hidden');
+  unlockSuccess.classList.add('hidden');
+}
+
+// Display an unlock error message
+function showUnlockError(errorElement, message) {
+  errorElement.textContent = message;
+  errorElement.classList.add('show');
+}
+
+// Clear an unlock error message
+function clearUnlockError(errorElement) {
+  errorElement.textContent = '';
+  errorElement.classList.remove('show');
+}
+
+// Unlock the data file and show the result
+async function unlockData(method, value, errorElement) {
+  clearUnlockError(errorElement);
+  
+  try {
+    const result = await window.api.unlockData(method, value);
+    
+    if (result.success && result.canceled) {
+      return;
+    }
+    if (result.success) {
+      hideAllUnlockSections();
+      unlockSuccess.classList.remove('hidden');
+    } else {
+      const details = result.error?.details ? ` (${result.error.details})` : '';
+      showUnlockError(errorElement, (result.error?.message || 'Failed to unlock the data') + details);
+    }
+  } catch (error) {
+    showUnlockError(errorElement, 'An unexpected error occurred');
+    console.error('Unlock data error:', error);
+  }
+}
+
+// Handle unlock method selection
+unlockMethodBtns.forEach(btn => {
+  btn.addEventListener('click', async (e) => {
+    const method = e.target.dataset.method;
+    
+    if (method === 'recoveryFile') {
+      // The main process asks for the file
+      await unlockData('recoveryFile', null, unlockMethodError);
+      return;
+    }
+    
+    clearUnlockError(unlockMethodError);
+    hideAllUnlockSections();
+    if (method === 'developerKey') {
+      unlockDeveloperKeyMethod.classList.remove('hidden');
+    } else if (method === 'previousHostname') {
+      unlockHostnameMethod.classList.remove('hidden');
+    }
+  });
+});
+
+// Handle unlock back button clicks
+unlockBackBtns.forEach(btn => {
+  btn.addEventListener('click', showUnlockMethodSelection);
+});
+
+// Handle developer key unlock form submission
+unlockDeveloperKeyForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const key = document.getElementById('unlockDeveloperKey').value.trim();
+  await unlockData('developerKey', key, unlockDeveloperKeyError);
+});
+
+// Handle previous computer name unlock form submission
+unlockHostnameForm.addEventListener('submit', async (e) => {
+  e.preventDefault();
+  const hostname = document.getElementById('unlockHostname').value.trim();
+  await unlockData('previousHostname', hostname, unlockHostnameError);
+});
+
+// Handle close unlock success button
+document.getElementById('closeUnlockSuccessBtn').addEventListener('click', () => {
+  unlockModal.classList.remove('show');
+  unlockDeveloperKeyForm.reset();
+  unlockHostnameForm.reset();
+});
+
+checkDataLock();
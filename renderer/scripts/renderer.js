@@ -4,15 +4,78 @@
 const driveBlockToggle = document.getElementById('driveBlockToggle');
 const websiteBlockToggle = document.getElementById('websiteBlockToggle');
 const whitelistToggle = document.getElementById('whitelistToggle');
+const blocklistToggle = document.getElementById('blocklistToggle');
+const internalPagesToggle = document.getElementById('internalPagesToggle');
 const driveStatus = document.getElementById('driveStatus');
 const websiteStatus = document.getElementById('websiteStatus');
 const whitelistStatus = document.getElementById('whitelistStatus');
+const blocklistStatus = document.getElementById('blocklistStatus');
+const internalPagesStatus = document.getElementById('internalPagesStatus');
+const enforcementToggle = document.getElementById('enforcementToggle');
+const enforcementStatus = document.getElementById('enforcementStatus');
+const enforcementIntervalInput = document.getElementById('enforcementIntervalInput');
+const saveEnforcementIntervalBtn = document.getElementById('saveEnforcementIntervalBtn');
+const registryProviderSelect = document.getElementById('registryProviderSelect');
 const domainInput = document.getElementById('domainInput');
 const addDomainBtn = document.getElementById('addDomainBtn');
+const bulkImportBtn = document.getElementById('bulkImportBtn');
+const bulkImportModal = document.getElementById('bulkImportModal');
+const closeBulkImportModal = document.getElementById('closeBulkImportModal');
+const bulkImportFile = document.getElementById('bulkImportFile');
+const bulkImportText = document.getElementById('bulkImportText');
+const bulkImportFormat = document.getElementById('bulkImportFormat');
+const bulkImportInvalidList = document.getElementById('bulkImportInvalidList');
+const cancelBulkImportBtn = document.getElementById('cancelBulkImportBtn');
+const confirmBulkImportBtn = document.getElementById('confirmBulkImportBtn');
 const whitelistedDomainsList = document.getElementById('whitelistedDomainsList');
+const blockedDomainInput = document.getElementById('blockedDomainInput');
+const addBlockedDomainBtn = document.getElementById('addBlockedDomainBtn');
 const blockedDomainsList = document.getElementById('blockedDomainsList');
+const browserStatusList = document.getElementById('browserStatusList');
+const scheduleList = document.getElementById('scheduleList');
+const scheduleForm = document.getElementById('scheduleForm');
+const scheduleNameInput = document.getElementById('scheduleNameInput');
+const scheduleDays = document.getElementById('scheduleDays');
+const scheduleStartInput = document.getElementById('scheduleStartInput');
+const scheduleEndInput = document.getElementById('scheduleEndInput');
+const schedulePolicySelect = document.getElementById('schedulePolicySelect');
+const scheduleDomainsGroup = document.getElementById('scheduleDomainsGroup');
+const scheduleDomainsInput = document.getElementById('scheduleDomainsInput');
+const saveScheduleBtn = document.getElementById('saveScheduleBtn');
+const cancelScheduleEditBtn = document.getElementById('cancelScheduleEditBtn');
+const recoveryBanner = document.getElementById('recoveryBanner');
+const recoverySummary = document.getElementById('recoverySummary');
+const dismissRecoveryBtn = document.getElementById('dismissRecoveryBtn');
+const driftBanner = document.getElementById('driftBanner');
+const driftSummary = document.getElementById('driftSummary');
+const driftList = document.getElementById('driftList');
+const reapplyStoredBtn = document.getElementById('reapplyStoredBtn');
+const adoptLiveBtn = document.getElementById('adoptLiveBtn');
 const logoutBtn = document.getElementById('logoutBtn');
+const profileSelect = document.getElementById('profileSelect');
+const manageProfilesBtn = document.getElementById('manageProfilesBtn');
+const profilesModal = document.getElementById('profilesModal');
+const closeProfilesModal = document.getElementById('closeProfilesModal');
+const cancelProfilesBtn = document.getElementById('cancelProfilesBtn');
+const profileList = document.getElementById('profileList');
+const createProfileForm = document.getElementById('createProfileForm');
+const profileNameInput = document.getElementById('profileNameInput');
 const changePasswordBtn = document.getElementById('changePasswordBtn');
+const exportConfigBtn = document.getElementById('exportConfigBtn');
+const importConfigBtn = document.getElementById('importConfigBtn');
+const createRecoveryFileBtn = document.getElementById('createRecoveryFileBtn');
+const configModal = document.getElementById('configModal');
+const configModalTitle = document.getElementById('configModalTitle');
+const closeConfigModal = document.getElementById('closeConfigModal');
+const configHint = document.getElementById('configHint');
+const configPassphraseForm = document.getElementById('configPassphraseForm');
+const configPassphraseInput = document.getElementById('configPassphraseInput');
+const cancelConfigBtn = document.getElementById('cancelConfigBtn');
+const importPreview = document.getElementById('importPreview');
+const importPreviewSummary = document.getElementById('importPreviewSummary');
+const importPreviewList = document.getElementById('importPreviewList');
+const cancelImportBtn = document.getElementById('cancelImportBtn');
+const confirmImportBtn = document.getElementById('confirmImportBtn');
 const messageArea = document.getElementById('messageArea');
 const resetAllBtn = document.getElementById('resetAllBtn');
 const resetModal = document.getElementById('resetModal');
@@ -26,6 +89,29 @@ const cancelSecurityQuestionBtn = document.getElementById('cancelSecurityQuestio
 const securityQuestionForm = document.getElementById('securityQuestionForm');
 const securityQuestionInput = document.getElementById('securityQuestion');
 const securityAnswerInput = document.getElementById('securityAnswer');
+const previewModal = document.getElementById('previewModal');
+const closePreviewModal = document.getElementById('closePreviewModal');
+const cancelPreviewBtn = document.getElementById('cancelPreviewBtn');
+const confirmPreviewBtn = document.getElementById('confirmPreviewBtn');
+const previewSummary = document.getElementById('previewSummary');
+const previewChangesList = document.getElementById('previewChangesList');
+
+// Resolves the pending policy preview confirmation (true = apply)
+let previewResolver = null;
+
+// Id of the schedule being edited (null = the form adds a new schedule)
+let editingScheduleId = null;
+
+// Whether the configuration modal exports or imports ('export' | 'import')
+let configMode = 'export';
+
+const SCHEDULE_DAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const SCHEDULE_POLICY_NAMES = {
+  browser: 'Block all websites',
+  whitelist: 'Allow only',
+  blocklist: 'Block',
+  drive: 'Block external drive writes'
+};
 
 // Initialize application on page load
 document.addEventListener('DOMContentLoaded', async () => {
@@ -55,6 +141,9 @@ async function loadCurrentStatus() {
       whitelistToggle.checked = syncedStates.whitelist || false;
       updateStatusIndicator(whitelistStatus, syncedStates.whitelist);
       
+      blocklistToggle.checked = syncedStates.blocklist || false;
+      updateStatusIndicator(blocklistStatus, syncedStates.blocklist);
+      
       console.log('Policy states synchronized:', syncedStates);
     } else {
       console.warn('Failed to sync policy states, loading from settings:', syncResult.error);
@@ -82,13 +171,30 @@ async function loadCurrentStatus() {
           ? toggleStates.whitelist 
           : (status.settings?.whitelistEnabled || false);
         updateStatusIndicator(whitelistStatus, whitelistToggle.checked);
+        
+        blocklistToggle.checked = toggleStates.blocklist !== undefined 
+          ? toggleStates.blocklist 
+          : (status.settings?.blocklistEnabled || false);
+        updateStatusIndicator(blocklistStatus, blocklistToggle.checked);
       } else {
         showErrorMessage(result.error, 'load status');
       }
     }
     
+    await loadInternalPagesSetting();
+    await loadEnforcementSetting();
+    
     // Load domain lists
     await loadDomainLists();
+    
+    await loadSchedules();
+    await loadProfiles();
+    
+    // Warn if the data file was restored from a backup
+    await checkDataRecovery();
+    
+    // Warn about changes made outside the application
+    await checkPolicyDrift();
   } catch (error) {
     console.error('Error loading status:', error);
     showErrorMessage({ message: 'Error loading application status', details: error.message });
@@ -103,6 +209,23 @@ function setupEventListeners() {
   driveBlockToggle.addEventListener('change', handleDriveBlockToggle);
   websiteBlockToggle.addEventListener('change', handleWebsiteBlockToggle);
   whitelistToggle.addEventListener('change', handleWhitelistToggle);
+  blocklistToggle.addEventListener('change', handleBlocklistToggle);
+  internalPagesToggle.addEventListener('change', handleInternalPagesToggle);
+  enforcementToggle.addEventListener('change', handleEnforcementToggle);
+  saveEnforcementIntervalBtn.addEventListener('click', handleSaveEnforcementInterval);
+  registryProviderSelect.addEventListener('change', handleRegistryProviderChange);
+  
+  // Data recovery banner
+  dismissRecoveryBtn.addEventListener('click', handleDismissRecovery);
+  
+  // Policy drift banner actions
+  reapplyStoredBtn.addEventListener('click', () => handleResolveDrift('reapply'));
+  adoptLiveBtn.addEventListener('click', () => handleResolveDrift('adopt'));
+  
+  // Schedule editor
+  scheduleForm.addEventListener('submit', handleSaveSchedule);
+  cancelScheduleEditBtn.addEventListener('click', resetScheduleForm);
+  schedulePolicySelect.addEventListener('change', updateScheduleDomainsVisibility);
   
   // Domain management event handlers (Subtask 11.2)
   addDomainBtn.addEventListener('click', handleAddDomain);
@@ -111,6 +234,22 @@ function setupEventListeners() {
       handleAddDomain();
     }
   });
+  bulkImportBtn.addEventListener('click', showBulkImportModal);
+  closeBulkImportModal.addEventListener('click', hideBulkImportModal);
+  cancelBulkImportBtn.addEventListener('click', hideBulkImportModal);
+  confirmBulkImportBtn.addEventListener('click', handleBulkImport);
+  bulkImportFile.addEventListener('change', handleBulkImportFile);
+  bulkImportModal.addEventListener('click', (e) => {
+    if (e.target === bulkImportModal) {
+      hideBulkImportModal();
+    }
+  });
+  addBlockedDomainBtn.addEventListener('click', handleAddBlockedDomain);
+  blockedDomainInput.addEventListener('keypress', (e) => {
+    if (e.key === 'Enter') {
+      handleAddBlockedDomain();
+    }
+  });
   
   // Settings and logout event handlers (Subtask 11.3)
   logoutBtn.addEventListener('click', handleLogout);
@@ -129,6 +268,47 @@ function setupEventListeners() {
     }
   });
   
+  // Policy preview modal event handlers
+  closePreviewModal.addEventListener('click', () => hidePreviewModal(false));
+  cancelPreviewBtn.addEventListener('click', () => hidePreviewModal(false));
+  confirmPreviewBtn.addEventListener('click', () => hidePreviewModal(true));
+  
+  // Treat clicking outside the preview modal as cancel
+  previewModal.addEventListener('click', (e) => {
+    if (e.target === previewModal) {
+      hidePreviewModal(false);
+    }
+  });
+  
+  // Profile switcher and profiles modal event handlers
+  profileSelect.addEventListener('change', handleProfileSelect);
+  manageProfilesBtn.addEventListener('click', showProfilesModal);
+  closeProfilesModal.addEventListener('click', hideProfilesModal);
+  cancelProfilesBtn.addEventListener('click', hideProfilesModal);
+  createProfileForm.addEventListener('submit', handleCreateProfile);
+  
+  profilesModal.addEventListener('click', (e) => {
+    if (e.target === profilesModal) {
+      hideProfilesModal();
+    }
+  });
+  
+  // Configuration export/import modal event handlers
+  exportConfigBtn.addEventListener('click', () => showConfigModal('export'));
+  importConfigBtn.addEventListener('click', () => showConfigModal('import'));
+  createRecoveryFileBtn.addEventListener('click', handleCreateRecoveryFile);
+  closeConfigModal.addEventListener('click', hideConfigModal);
+  cancelConfigBtn.addEventListener('click', hideConfigModal);
+  cancelImportBtn.addEventListener('click', hideConfigModal);
+  configPassphraseForm.addEventListener('submit', handleConfigPassphraseSubmit);
+  confirmImportBtn.addEventListener('click', handleConfirmImport);
+  
+  configModal.addEventListener('click', (e) => {
+    if (e.target === configModal) {
+      hideConfigModal();
+    }
+  });
+  
   // Security question modal event handlers (Subtask 11.6)
   setupSecurityQuestionBtn.addEventListener('click', showSecurityQuestionModal);
   closeSecurityQuestionModal.addEventListener('click', hideSecurityQuestionModal);
@@ -185,12 +365,19 @@ async function handleWebsiteBlockToggle(event) {
   const enabled = event.target.checked;
   
   try {
+    // Show the planned registry changes before applying them
+    if (!(await confirmPolicyChange('websiteBlock', enabled))) {
+      event.target.checked = !enabled;
+      return;
+    }
+    
     const result = await window.api.toggleWebsiteBlock(enabled);
     
     if (result.success) {
       updateStatusIndicator(websiteStatus, enabled);
       // Update blocked domains list in real-time
       await loadBlockedDomains();
+      await loadBrowserStatus();
       showSuccessMessage(
         enabled ? 'All websites blocked successfully' : 'Website blocking disabled',
         enabled ? 'All browsers will be blocked from accessing websites.' : 'Users can now access websites normally.'
@@ -216,12 +403,19 @@ async function handleWhitelistToggle(event) {
   const enabled = event.target.checked;
   
   try {
+    // Show the planned registry changes before applying them
+    if (!(await confirmPolicyChange('whitelist', enabled))) {
+      event.target.checked = !enabled;
+      return;
+    }
+    
     const result = await window.api.toggleWhitelist(enabled);
     
     if (result.success) {
       updateStatusIndicator(whitelistStatus, enabled);
       // Update whitelisted domains list in real-time
       await loadWhitelistedDomains();
+      await loadBrowserStatus();
       showSuccessMessage(
         enabled ? 'Domain whitelist enabled successfully' : 'Domain whitelist disabled',
         enabled ? 'Only whitelisted domains will be accessible.' : 'All websites are now accessible (unless blocked).'
@@ -240,226 +434,1683 @@ async function handleWhitelistToggle(event) {
 }
 
 /**
- * Update status indicator text and styling
- * Requirements: 6.3
+ * Handle blocklist toggle change (block specific websites)
  */
-function updateStatusIndicator(element, enabled) {
-  if (enabled) {
-    element.textContent = 'Enabled';
-    element.classList.add('status-enabled');
-    element.classList.remove('status-disabled');
-  } else {
-    element.textContent = 'Disabled';
-    element.classList.add('status-disabled');
-    element.classList.remove('status-enabled');
+async function handleBlocklistToggle(event) {
+  const enabled = event.target.checked;
+  
+  try {
+    // Show the planned registry changes before applying them
+    if (!(await confirmPolicyChange('blocklist', enabled))) {
+      event.target.checked = !enabled;
+      return;
+    }
+    
+    const result = await window.api.toggleBlocklist(enabled);
+    
+    if (result.success) {
+      updateStatusIndicator(blocklistStatus, enabled);
+      // Update blocked domains list in real-time
+      await loadBlockedDomains();
+      await loadBrowserStatus();
+      showSuccessMessage(
+        enabled ? 'Website blocklist enabled successfully' : 'Website blocklist disabled',
+        enabled ? 'Websites in the blocked list can no longer be accessed.' : 'Previously blocked websites are accessible again.'
+      );
+    } else {
+      // Revert toggle on failure
+      event.target.checked = !enabled;
+      showErrorMessage(result.error, 'blocklist policy');
+    }
+  } catch (error) {
+    // Revert toggle on error
+    event.target.checked = !enabled;
+    console.error('Error toggling blocklist:', error);
+    showErrorMessage({ message: 'Error updating blocklist policy', details: error.message });
   }
 }
 
 // ============================================================================
-// Subtask 11.2: Domain management logic
-// Requirements: 3.2, 3.3, 3.6
+// Policy Drift
 // ============================================================================
 
 /**
- * Handle add domain button click
- * Requirements: 3.2, 3.6, 7.3
+ * Compare the stored settings with the live registry and show the drift banner
  */
-async function handleAddDomain() {
-  const domain = domainInput.value.trim();
-  
-  // Validate domain is not empty
-  if (!domain) {
-    showErrorMessage({ 
-      message: 'Please enter a domain',
-      code: 'INVALID_DOMAIN',
-      details: 'Domain field cannot be empty'
-    });
-    return;
+async function checkPolicyDrift() {
+  try {
+    const result = await window.api.detectDrift();
+    
+    if (result.success) {
+      displayPolicyDrift(result);
+    } else {
+      console.error('Failed to check policy drift:', result.error);
+    }
+  } catch (error) {
+    console.error('Error checking policy drift:', error);
   }
+}
+
+/**
+ * Show or hide the drift banner
+ * @param {Object} result - Drift detection result from the main process
+ */
+function displayPolicyDrift(result) {
+  driftList.innerHTML = '';
   
-  // Basic domain validation (client-side)
-  if (!isValidDomain(domain)) {
-    showErrorMessage({ 
-      message: 'Invalid domain format',
-      code: 'INVALID_DOMAIN'
-    });
+  if (!result.hasDrift) {
+    driftBanner.classList.add('hidden');
     return;
   }
   
+  const scopes = new Set(result.discrepancies.map(d => d.scope));
+  driftSummary.textContent = `${result.discrepancies.length} differences in ${scopes.size} ${scopes.size === 1 ? 'area' : 'areas'}`;
+  
+  result.discrepancies.forEach(discrepancy => {
+    const item = document.createElement('li');
+    
+    const scope = document.createElement('span');
+    scope.className = 'drift-scope';
+    scope.textContent = `${discrepancy.name}:`;
+    
+    item.appendChild(scope);
+    item.appendChild(document.createTextNode(discrepancy.message));
+    driftList.appendChild(item);
+  });
+  
+  driftBanner.classList.remove('hidden');
+}
+
+/**
+ * Show the data recovery banner if the data file was restored from a backup at startup
+ */
+async function checkDataRecovery() {
   try {
-    const result = await window.api.addDomain(domain);
+    const result = await window.api.getStatus();
+    const recovery = result.success ? result.status.dataRecovery : null;
+    
+    if (!recovery) {
+      recoveryBanner.classList.add('hidden');
+      return;
+    }
+    
+    recoverySummary.textContent = `The data file could not be loaded (${recovery.reason}). ` +
+      `The backup from ${new Date(recovery.backupModified).toLocaleString()} was restored; review your settings for changes made after it.`;
+    recoveryBanner.classList.remove('hidden');
+  } catch (error) {
+    console.error('Error checking data recovery:', error);
+  }
+}
+
+/**
+ * Handle dismiss button on the data recovery banner
+ */
+async function handleDismissRecovery() {
+  try {
+    const result = await window.api.acknowledgeDataRecovery();
     
     if (result.success) {
-      domainInput.value = ''; // Clear input
-      await loadDomainLists(); // Refresh domain lists in real-time
-      showSuccessMessage(
-        `Domain "${domain}" added successfully`,
-        'The domain has been added to the whitelist and will be accessible when whitelist mode is enabled.'
-      );
+      recoveryBanner.classList.add('hidden');
     } else {
-      showErrorMessage(result.error, 'add domain');
+      showErrorMessage(result.error, 'data recovery notice');
     }
   } catch (error) {
-    console.error('Error adding domain:', error);
-    showErrorMessage({ message: 'Error adding domain', details: error.message });
+    console.error('Error dismissing data recovery notice:', error);
+    showErrorMessage({ message: 'Error dismissing data recovery notice', details: error.message });
   }
 }
 
 /**
- * Handle remove domain button click
- * Requirements: 3.3, 7.3
+ * Resolve policy drift by re-applying the stored settings or adopting the live ones
+ * @param {string} action - 'reapply' or 'adopt'
  */
-async function handleRemoveDomain(domain) {
+async function handleResolveDrift(action) {
+  reapplyStoredBtn.disabled = true;
+  adoptLiveBtn.disabled = true;
+  
   try {
-    const result = await window.api.removeDomain(domain);
+    const result = await window.api.resolveDrift(action);
     
     if (result.success) {
-      await loadDomainLists(); // Refresh domain lists in real-time
       showSuccessMessage(
-        `Domain "${domain}" removed successfully`,
-        'The domain has been removed from the whitelist and will no longer be accessible in whitelist mode.'
+        action === 'reapply' ? 'Stored settings re-applied' : 'Live settings adopted',
+        result.message
       );
+      
+      // Refresh toggles, lists and the banner from the new state
+      await loadCurrentStatus();
     } else {
-      showErrorMessage(result.error, 'remove domain');
+      showErrorMessage(result.error, 'policy drift');
     }
   } catch (error) {
-    console.error('Error removing domain:', error);
-    showErrorMessage({ message: 'Error removing domain', details: error.message });
+    console.error('Error resolving policy drift:', error);
+    showErrorMessage({ message: 'Error resolving policy drift', details: error.message });
+  } finally {
+    reapplyStoredBtn.disabled = false;
+    adoptLiveBtn.disabled = false;
   }
 }
 
 /**
- * Load and display both whitelisted and blocked domain lists
- * Requirements: 7.1, 7.2, 7.3
+ * Load the internal pages lockdown preference (enabled unless turned off)
  */
-async function loadDomainLists() {
-  await Promise.all([
-    loadWhitelistedDomains(),
-    loadBlockedDomains()
-  ]);
+async function loadInternalPagesSetting() {
+  const result = await window.api.getStatus();
+  
+  if (result.success) {
+    const enabled = result.status.settings?.internalPagesLockdown !== false;
+    internalPagesToggle.checked = enabled;
+    updateStatusIndicator(internalPagesStatus, enabled);
+  }
 }
 
 /**
- * Load and display whitelisted domains
- * Requirements: 7.2, 7.3
+ * Handle internal pages lockdown toggle change
  */
-async function loadWhitelistedDomains() {
+async function handleInternalPagesToggle(event) {
+  const enabled = event.target.checked;
+  
   try {
-    const result = await window.api.getWhitelistedDomains();
+    const result = await window.api.toggleInternalPages(enabled);
     
     if (result.success) {
-      const domains = result.domains || [];
-      displayWhitelistedDomains(domains);
+      updateStatusIndicator(internalPagesStatus, enabled);
+      await loadBrowserStatus();
+      showSuccessMessage(
+        enabled ? 'Browser internal pages lockdown enabled' : 'Browser internal pages lockdown disabled',
+        result.status === 'saved'
+          ? result.message
+          : (enabled ? 'Browser settings, flags and extensions pages are now blocked.' : 'Browser internal pages are accessible again.')
+      );
     } else {
-      console.error('Failed to load whitelisted domains:', result.error);
+      // Revert toggle on failure
+      event.target.checked = !enabled;
+      showErrorMessage(result.error, 'internal pages policy');
     }
   } catch (error) {
-    console.error('Error loading whitelisted domains:', error);
+    // Revert toggle on error
+    event.target.checked = !enabled;
+    console.error('Error toggling internal pages lockdown:', error);
+    showErrorMessage({ message: 'Error updating internal pages policy', details: error.message });
   }
 }
 
+// ============================================================================
+// Policy Profiles
+// ============================================================================
+
 /**
- * Load and display blocked domains
- * Requirements: 7.1, 7.3
+ * Load the profiles into the header switcher and the profiles modal
  */
-async function loadBlockedDomains() {
+async function loadProfiles() {
   try {
-    const result = await window.api.getBlockedDomains();
+    const result = await window.api.getProfiles();
     
     if (result.success) {
-      const domains = result.domains || [];
-      const description = result.description || '';
-      displayBlockedDomains(domains, description);
+      displayProfiles(result);
     } else {
-      console.error('Failed to load blocked domains:', result.error);
+      showErrorMessage(result.error, 'load profiles');
     }
   } catch (error) {
-    console.error('Error loading blocked domains:', error);
+    console.error('Error loading profiles:', error);
   }
 }
 
 /**
- * Display whitelisted domains in UI
- * Requirements: 7.2, 7.3, 7.4, 7.5
+ * Display the profiles
+ * @param {Object} overview - Result of getProfiles ({ profiles, activeProfileId, activeProfileModified })
  */
-function displayWhitelistedDomains(domains) {
-  whitelistedDomainsList.innerHTML = '';
+function displayProfiles(overview) {
+  profileSelect.innerHTML = '';
   
-  // Show empty state message if no domains
-  if (domains.length === 0) {
+  const noneOption = document.createElement('option');
+  noneOption.value = '';
+  noneOption.textContent = 'No profile';
+  profileSelect.appendChild(noneOption);
+  
+  overview.profiles.forEach(profile => {
+    const option = document.createElement('option');
+    option.value = profile.id;
+    option.textContent = profile.id === overview.activeProfileId && overview.activeProfileModified
+      ? `${profile.name} (modified)`
+      : profile.name;
+    profileSelect.appendChild(option);
+  });
+  
+  profileSelect.value = overview.activeProfileId || '';
+  
+  profileList.innerHTML = '';
+  
+  if (overview.profiles.length === 0) {
     const emptyItem = document.createElement('li');
     emptyItem.className = 'domain-item empty';
-    emptyItem.textContent = 'No domains whitelisted';
-    whitelistedDomainsList.appendChild(emptyItem);
+    emptyItem.textContent = 'No profiles';
+    profileList.appendChild(emptyItem);
     return;
   }
   
-  // Display each whitelisted domain with remove button
-  domains.forEach(domain => {
+  overview.profiles.forEach(profile => {
     const listItem = document.createElement('li');
-    listItem.className = 'domain-item';
+    listItem.className = 'domain-item profile-item';
     
-    const domainText = document.createElement('span');
-    domainText.className = 'domain-text';
-    domainText.textContent = domain;
+    const details = document.createElement('span');
+    details.className = 'profile-details';
     
-    const removeBtn = document.createElement('button');
-    removeBtn.className = 'btn btn-danger btn-small';
-    removeBtn.textContent = 'Remove';
-    removeBtn.addEventListener('click', () => handleRemoveDomain(domain));
+    const nameInput = document.createElement('input');
+    nameInput.type = 'text';
+    nameInput.className = 'profile-name-input';
+    nameInput.value = profile.name;
+    nameInput.maxLength = 50;
     
-    listItem.appendChild(domainText);
-    listItem.appendChild(removeBtn);
-    whitelistedDomainsList.appendChild(listItem);
+    const summary = document.createElement('span');
+    summary.className = 'profile-summary';
+    summary.textContent = describeProfile(profile);
+    
+    details.appendChild(nameInput);
+    details.appendChild(summary);
+    
+    const actions = document.createElement('span');
+    actions.className = 'profile-actions';
+    
+    const renameBtn = document.createElement('button');
+    renameBtn.className = 'btn btn-secondary btn-small';
+    renameBtn.textContent = 'Rename';
+    renameBtn.addEventListener('click', () => handleRenameProfile(profile, nameInput.value));
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-danger btn-small';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => handleDeleteProfile(profile));
+    
+    actions.appendChild(renameBtn);
+    actions.appendChild(deleteBtn);
+    
+    listItem.appendChild(details);
+    listItem.appendChild(actions);
+    profileList.appendChild(listItem);
   });
 }
 
 /**
- * Display blocked domains in UI
- * Requirements: 7.1, 7.3, 7.4, 7.5
+ * Describe the settings bundled in a profile
+ * @param {Object} profile - Policy profile
+ * @returns {string} Human readable summary
  */
-function displayBlockedDomains(domains, description) {
-  blockedDomainsList.innerHTML = '';
+function describeProfile(profile) {
+  const parts = [profile.driveBlock ? 'Drive writes blocked' : 'Drive writes allowed'];
   
-  // Show empty state message if no domains are blocked
-  if (domains.length === 0) {
-    const emptyItem = document.createElement('li');
-    emptyItem.className = 'domain-item empty';
-    emptyItem.textContent = 'No websites blocked';
-    blockedDomainsList.appendChild(emptyItem);
+  if (profile.whitelist) {
+    parts.push(`Only ${profile.whitelistedDomains.length} whitelisted domains`);
+  } else if (profile.websiteBlock) {
+    parts.push('All websites blocked');
+  } else if (profile.blocklist) {
+    parts.push(`${profile.blockedDomains.length} websites blocked`);
+  } else {
+    parts.push('Websites open');
+  }
+  
+  return parts.join(', ');
+}
+
+/**
+ * Handle a profile choice in the header switcher
+ */
+async function handleProfileSelect() {
+  const profileId = profileSelect.value;
+  
+  // "No profile" only describes the state, there is nothing to apply
+  if (!profileId) {
     return;
   }
   
-  // Display blocked domains (read-only, no remove button)
-  domains.forEach(domain => {
-    const listItem = document.createElement('li');
-    listItem.className = 'domain-item blocked';
+  profileSelect.disabled = true;
+  
+  try {
+    const result = await window.api.activateProfile(profileId);
     
-    const domainText = document.createElement('span');
-    domainText.className = 'domain-text';
+    if (result.success) {
+      showSuccessMessage(result.message, 'Drive and website policies were updated.');
+    } else {
+      showErrorMessage(result.error, 'profile activation');
+    }
+  } catch (error) {
+    console.error('Error activating profile:', error);
+    showErrorMessage({ message: 'Error activating profile', details: error.message });
+  } finally {
+    profileSelect.disabled = false;
+    // Refresh toggles, lists and the switcher from the stored state
+    await loadCurrentStatus();
+  }
+}
+
+/**
+ * Handle create profile form submission
+ */
+async function handleCreateProfile(event) {
+  event.preventDefault();
+  
+  try {
+    const result = await window.api.createProfile(profileNameInput.value.trim());
     
-    // If domain is "*", show descriptive text
-    if (domain === '*') {
-      domainText.textContent = description || 'All websites are blocked';
-      domainText.style.fontStyle = 'italic';
+    if (result.success) {
+      profileNameInput.value = '';
+      await loadProfiles();
+      showSuccessMessage(result.message, 'The current drive and website settings were saved in the profile.');
     } else {
-      domainText.textContent = domain;
+      showErrorMessage(result.error, 'profile');
     }
+  } catch (error) {
+    console.error('Error creating profile:', error);
+    showErrorMessage({ message: 'Error creating profile', details: error.message });
+  }
+}
+
+/**
+ * Rename a profile
+ * @param {Object} profile - Policy profile
+ * @param {string} name - New name
+ */
+async function handleRenameProfile(profile, name) {
+  try {
+    const result = await window.api.renameProfile(profile.id, name.trim());
     
-    listItem.appendChild(domainText);
+    if (result.success) {
+      await loadProfiles();
+      showSuccessMessage(result.message);
+    } else {
+      showErrorMessage(result.error, 'profile');
+    }
+  } catch (error) {
+    console.error('Error renaming profile:', error);
+    showErrorMessage({ message: 'Error renaming profile', details: error.message });
+  }
+}
+
+/**
+ * Delete a profile
+ * @param {Object} profile - Policy profile
+ */
+async function handleDeleteProfile(profile) {
+  try {
+    const result = await window.api.deleteProfile(profile.id);
+    
+    if (result.success) {
+      await loadProfiles();
+      showSuccessMessage(result.message);
+    } else {
+      showErrorMessage(result.error, 'profile');
+    }
+  } catch (error) {
+    console.error('Error deleting profile:', error);
+    showErrorMessage({ message: 'Error deleting profile', details: error.message });
+  }
+}
+
+/**
+ * Show the profiles modal
+ */
+function showProfilesModal() {
+  profilesModal.classList.add('show');
+  document.body.style.overflow = 'hidden';
+  profileNameInput.focus();
+}
+
+/**
+ * Hide the profiles modal
+ */
+function hideProfilesModal() {
+  profilesModal.classList.remove('show');
+  document.body.style.overflow = '';
+}
+
+// ============================================================================
+// Configuration Export/Import
+// ============================================================================
+
+/**
+ * Show the configuration modal
+ * @param {string} mode - 'export' or 'import'
+ */
+function showConfigModal(mode) {
+  configMode = mode;
+  configModalTitle.textContent = mode === 'export' ? 'Export Configuration' : 'Import Configuration';
+  configHint.textContent = mode === 'export'
+    ? 'Settings, domain lists and profiles are written to a file signed with this passphrase. Passwords and recovery keys are never exported.'
+    : 'Enter the passphrase the configuration was exported with. The file is verified and you can review the changes before they are applied.';
+  configPassphraseInput.value = '';
+  configPassphraseForm.classList.remove('hidden');
+  importPreview.classList.add('hidden');
+  configModal.classList.add('show');
+  document.body.style.overflow = 'hidden';
+  configPassphraseInput.focus();
+}
+
+/**
+ * Hide the configuration modal
+ */
+function hideConfigModal() {
+  configModal.classList.remove('show');
+  document.body.style.overflow = '';
+  configPassphraseInput.value = '';
+}
+
+/**
+ * Handle passphrase submission: export, or verify and preview an import
+ */
+async function handleConfigPassphraseSubmit(event) {
+  event.preventDefault();
+  const passphrase = configPassphraseInput.value;
+  
+  try {
+    if (configMode === 'export') {
+      const result = await window.api.exportConfig(passphrase);
+      
+      if (result.success && !result.canceled) {
+        hideConfigModal();
+        showSuccessMessage(result.message, `Saved to ${result.filePath}`);
+      } else if (!result.success) {
+        showErrorMessage(result.error, 'configuration export');
+      }
+      return;
+    }
+    
+    const preview = await window.api.previewImport(passphrase);
+    
+    if (preview.success && !preview.canceled) {
+      displayImportPreview(preview);
+    } else if (!preview.success) {
+      showErrorMessage(preview.error, 'configuration import');
+    }
+  } catch (error) {
+    console.error('Error processing configuration file:', error);
+    showErrorMessage({ message: 'Error processing configuration file', details: error.message });
+  }
+}
+
+/**
+ * Show the changes an import would make
+ * @param {Object} preview - Result of previewImport
+ */
+function displayImportPreview(preview) {
+  configPassphraseForm.classList.add('hidden');
+  importPreview.classList.remove('hidden');
+  
+  const exportedAt = preview.exportedAt ? new Date(preview.exportedAt).toLocaleString() : 'an unknown date';
+  importPreviewSummary.textContent = `Signature verified. Configuration exported on ${exportedAt}.`;
+  
+  importPreviewList.innerHTML = '';
+  
+  const addItem = (text) => {
+    const listItem = document.createElement('li');
+    listItem.className = 'preview-change';
+    listItem.textContent = text;
+    importPreviewList.appendChild(listItem);
+  };
+  
+  preview.settingChanges.forEach(change => {
+    addItem(`${change.setting}: ${formatConfigValue(change.current)} → ${formatConfigValue(change.imported)}`);
+  });
+  preview.profilesAdded.forEach(name => addItem(`Profile "${name}" will be added`));
+  preview.profilesReplaced.forEach(name => addItem(`Profile "${name}" will be replaced`));
+  
+  if (preview.registryChanges) {
+    addItem(`${preview.registryChanges.length} registry keys will be changed`);
+  }
+  
+  if (importPreviewList.children.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.className = 'preview-change empty';
+    emptyItem.textContent = 'The configuration matches the current settings';
+    importPreviewList.appendChild(emptyItem);
+  }
+}
+
+/**
+ * Format a setting value for the import preview
+ * @param {*} value - Setting value
+ * @returns {string} Display text
+ */
+function formatConfigValue(value) {
+  if (Array.isArray(value)) {
+    return value.length > 0 ? value.join(', ') : '(none)';
+  }
+  if (value === null || value === undefined) {
+    return '(default)';
+  }
+  return String(value);
+}
+
+/**
+ * Apply the previewed import
+ */
+async function handleConfirmImport() {
+  confirmImportBtn.disabled = true;
+  
+  try {
+    const result = await window.api.applyImport();
+    
+    if (result.success) {
+      hideConfigModal();
+      showSuccessMessage(result.message, 'Policies were applied from the imported configuration.');
+      await loadCurrentStatus();
+    } else {
+      showErrorMessage(result.error, 'configuration import');
+    }
+  } catch (error) {
+    console.error('Error importing configuration:', error);
+    showErrorMessage({ message: 'Error importing configuration', details: error.message });
+  } finally {
+    confirmImportBtn.disabled = false;
+  }
+}
+
+// ============================================================================
+// Schedules
+// ============================================================================
+
+/**
+ * Load and display the schedule rules
+ */
+async function loadSchedules() {
+  try {
+    const result = await window.api.getSchedules();
+    
+    if (result.success) {
+      displaySchedules(result);
+    } else {
+      showErrorMessage(result.error, 'load schedules');
+    }
+  } catch (error) {
+    console.error('Error loading schedules:', error);
+  }
+}
+
+/**
+ * Display the schedule rules with their active and conflict state
+ * @param {Object} overview - Result of getSchedules ({ schedules, activeRuleIds, conflicts })
+ */
+function displaySchedules(overview) {
+  scheduleList.innerHTML = '';
+  
+  if (overview.schedules.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.className = 'domain-item empty';
+    emptyItem.textContent = 'No schedules';
+    scheduleList.appendChild(emptyItem);
+    return;
+  }
+  
+  overview.schedules.forEach(rule => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item schedule-item';
+    
+    const enabledLabel = document.createElement('label');
+    enabledLabel.className = 'schedule-enabled';
+    enabledLabel.title = 'Enable or disable this schedule';
+    
+    const enabledCheckbox = document.createElement('input');
+    enabledCheckbox.type = 'checkbox';
+    enabledCheckbox.checked = rule.enabled !== false;
+    enabledCheckbox.dataset.scheduleId = rule.id;
+    enabledCheckbox.addEventListener('change', (event) => handleScheduleEnabledChange(event, rule));
+    
+    const details = document.createElement('span');
+    details.className = 'schedule-details';
+    
+    const name = document.createElement('span');
+    name.className = 'domain-text';
+    name.textContent = rule.name;
+    
+    const summary = document.createElement('span');
+    summary.className = 'schedule-summary';
+    summary.textContent = describeSchedule(rule);
+    
+    details.appendChild(name);
+    details.appendChild(summary);
+    
+    const conflict = overview.conflicts.find(c => c.ruleId === rule.id || c.otherRuleId === rule.id);
+    if (conflict) {
+      const conflictText = document.createElement('span');
+      conflictText.className = 'schedule-conflict';
+      conflictText.textContent = conflict.message;
+      details.appendChild(conflictText);
+    }
+    
+    enabledLabel.appendChild(enabledCheckbox);
+    enabledLabel.appendChild(details);
+    listItem.appendChild(enabledLabel);
+    
+    if (overview.activeRuleIds.includes(rule.id)) {
+      const activeBadge = document.createElement('span');
+      activeBadge.className = 'schedule-active';
+      activeBadge.textContent = 'Active now';
+      listItem.appendChild(activeBadge);
+    }
+    
+    const actions = document.createElement('span');
+    actions.className = 'schedule-actions';
+    
+    const editBtn = document.createElement('button');
+    editBtn.className = 'btn btn-secondary btn-small';
+    editBtn.textContent = 'Edit';
+    editBtn.addEventListener('click', () => handleEditSchedule(rule));
+    
+    const deleteBtn = document.createElement('button');
+    deleteBtn.className = 'btn btn-danger btn-small';
+    deleteBtn.textContent = 'Delete';
+    deleteBtn.addEventListener('click', () => handleDeleteSchedule(rule));
+    
+    actions.appendChild(editBtn);
+    actions.appendChild(deleteBtn);
+    listItem.appendChild(actions);
+    
+    scheduleList.appendChild(listItem);
+  });
+}
+
+/**
+ * Describe when a schedule runs and what it does
+ * @param {Object} rule - Schedule rule
+ * @returns {string} Human readable summary
+ */
+function describeSchedule(rule) {
+  // List the days Monday first
+  const days = [1, 2, 3, 4, 5, 6, 0]
+    .filter(day => rule.days.includes(day))
+    .map(day => SCHEDULE_DAY_NAMES[day])
+    .join(', ');
+  
+  const overnight = rule.end <= rule.start ? ' (next day)' : '';
+  let policy = SCHEDULE_POLICY_NAMES[rule.policyType] || rule.policyType;
+  if (rule.settings && rule.settings.domains) {
+    policy += ` ${rule.settings.domains.map(UrlPattern.toDisplay).join(', ')}`;
+  }
+  
+  return `${days}, ${rule.start}-${rule.end}${overnight}: ${policy}`;
+}
+
+/**
+ * Show the domains field only for policies that need domains
+ */
+function updateScheduleDomainsVisibility() {
+  const needsDomains = ['whitelist', 'blocklist'].includes(schedulePolicySelect.value);
+  scheduleDomainsGroup.classList.toggle('hidden', !needsDomains);
+}
+
+/**
+ * Read the schedule form into a rule object
+ * @returns {Object} Schedule rule data
+ */
+function readScheduleForm() {
+  const days = Array.from(scheduleDays.querySelectorAll('input[type="checkbox"]'))
+    .filter(cb => cb.checked)
+    .map(cb => Number(cb.value));
+  
+  const policyType = schedulePolicySelect.value;
+  const settings = {};
+  if (policyType === 'whitelist' || policyType === 'blocklist') {
+    settings.domains = scheduleDomainsInput.value
+      .split(',')
+      .map(domain => domain.trim())
+      .filter(domain => domain.length > 0);
+  }
+  
+  const rule = {
+    name: scheduleNameInput.value.trim(),
+    days: days,
+    start: scheduleStartInput.value,
+    end: scheduleEndInput.value,
+    policyType: policyType,
+    settings: settings
+  };
+  
+  if (editingScheduleId) {
+    rule.id = editingScheduleId;
+  }
+  
+  return rule;
+}
+
+/**
+ * Reset the schedule form to add a new schedule
+ */
+function resetScheduleForm() {
+  editingScheduleId = null;
+  scheduleForm.reset();
+  scheduleStartInput.value = '09:00';
+  scheduleEndInput.value = '11:00';
+  saveScheduleBtn.textContent = 'Add Schedule';
+  cancelScheduleEditBtn.classList.add('hidden');
+  updateScheduleDomainsVisibility();
+}
+
+/**
+ * Load a schedule into the form for editing
+ * @param {Object} rule - Schedule rule
+ */
+function handleEditSchedule(rule) {
+  editingScheduleId = rule.id;
+  scheduleNameInput.value = rule.name;
+  scheduleDays.querySelectorAll('input[type="checkbox"]').forEach(cb => {
+    cb.checked = rule.days.includes(Number(cb.value));
+  });
+  scheduleStartInput.value = rule.start;
+  scheduleEndInput.value = rule.end;
+  schedulePolicySelect.value = rule.policyType;
+  scheduleDomainsInput.value = (rule.settings?.domains || []).map(UrlPattern.toDisplay).join(', ');
+  saveScheduleBtn.textContent = 'Update Schedule';
+  cancelScheduleEditBtn.classList.remove('hidden');
+  updateScheduleDomainsVisibility();
+  scheduleNameInput.focus();
+}
+
+/**
+ * Handle schedule form submission (add or update)
+ */
+async function handleSaveSchedule(event) {
+  event.preventDefault();
+  saveScheduleBtn.disabled = true;
+  
+  try {
+    const rule = readScheduleForm();
+    if (editingScheduleId) {
+      // Keep the enabled state of the schedule being edited
+      const checkbox = scheduleList.querySelector(`[data-schedule-id="${editingScheduleId}"]`);
+      rule.enabled = checkbox ? checkbox.checked : true;
+    }
+    
+    const result = await window.api.saveSchedule(rule);
+    
+    if (result.success) {
+      displaySchedules(result);
+      resetScheduleForm();
+      await loadBrowserStatus();
+      showSuccessMessage(result.message, result.applied && !result.applied.success
+        ? 'The schedule was saved but its policies could not be applied right now.'
+        : null);
+    } else {
+      showErrorMessage(result.error, 'schedule');
+    }
+  } catch (error) {
+    console.error('Error saving schedule:', error);
+    showErrorMessage({ message: 'Error saving schedule', details: error.message });
+  } finally {
+    saveScheduleBtn.disabled = false;
+  }
+}
+
+/**
+ * Enable or disable a schedule
+ * @param {Event} event - Checkbox change event
+ * @param {Object} rule - Schedule rule
+ */
+async function handleScheduleEnabledChange(event, rule) {
+  const enabled = event.target.checked;
+  
+  try {
+    const result = await window.api.saveSchedule({ ...rule, enabled: enabled });
+    
+    if (result.success) {
+      displaySchedules(result);
+      await loadBrowserStatus();
+      showSuccessMessage(enabled ? `Schedule "${rule.name}" enabled` : `Schedule "${rule.name}" disabled`);
+    } else {
+      // Revert checkbox on failure
+      event.target.checked = !enabled;
+      showErrorMessage(result.error, 'schedule');
+    }
+  } catch (error) {
+    // Revert checkbox on error
+    event.target.checked = !enabled;
+    console.error('Error updating schedule:', error);
+    showErrorMessage({ message: 'Error updating schedule', details: error.message });
+  }
+}
+
+/**
+ * Delete a schedule
+ * @param {Object} rule - Schedule rule
+ */
+async function handleDeleteSchedule(rule) {
+  try {
+    const result = await window.api.deleteSchedule(rule.id);
+    
+    if (result.success) {
+      if (editingScheduleId === rule.id) {
+        resetScheduleForm();
+      }
+      displaySchedules(result);
+      await loadBrowserStatus();
+      showSuccessMessage(`Schedule "${rule.name}" deleted`);
+    } else {
+      showErrorMessage(result.error, 'schedule');
+    }
+  } catch (error) {
+    console.error('Error deleting schedule:', error);
+    showErrorMessage({ message: 'Error deleting schedule', details: error.message });
+  }
+}
+
+/**
+ * Load the automatic enforcement settings
+ */
+async function loadEnforcementSetting() {
+  const result = await window.api.getStatus();
+  
+  if (result.success) {
+    const settings = result.status.settings || {};
+    enforcementToggle.checked = settings.enforcementEnabled === true;
+    enforcementIntervalInput.value = settings.enforcementIntervalMinutes || 5;
+    updateStatusIndicator(enforcementStatus, enforcementToggle.checked);
+    renderRegistryProviders(result.status.registryProviders || [], settings.registryProvider || 'powershell');
+  }
+}
+
+/**
+ * Render the registry provider options
+ * @param {Array<Object>} providers - Available providers ({ id, name, description })
+ * @param {string} selectedId - Id of the provider in use
+ */
+function renderRegistryProviders(providers, selectedId) {
+  registryProviderSelect.innerHTML = '';
+  
+  providers.forEach(provider => {
+    const option = document.createElement('option');
+    option.value = provider.id;
+    option.textContent = provider.name;
+    option.title = provider.description;
+    registryProviderSelect.appendChild(option);
+  });
+  
+  registryProviderSelect.value = selectedId;
+  registryProviderSelect.dataset.current = selectedId;
+}
+
+/**
+ * Handle registry provider selection change
+ */
+async function handleRegistryProviderChange() {
+  const providerId = registryProviderSelect.value;
+  registryProviderSelect.disabled = true;
+  
+  try {
+    const result = await window.api.setRegistryProvider(providerId);
+    
+    if (result.success) {
+      registryProviderSelect.dataset.current = providerId;
+      showSuccessMessage('Registry provider changed', result.message);
+    } else {
+      // Revert selection on failure
+      registryProviderSelect.value = registryProviderSelect.dataset.current;
+      showErrorMessage(result.error, 'registry provider');
+    }
+  } catch (error) {
+    registryProviderSelect.value = registryProviderSelect.dataset.current;
+    console.error('Error changing registry provider:', error);
+    showErrorMessage({ message: 'Error changing registry provider', details: error.message });
+  } finally {
+    registryProviderSelect.disabled = false;
+  }
+}
+
+/**
+ * Handle create recovery file request
+ * The main process asks where to save the file
+ */
+async function handleCreateRecoveryFile() {
+  createRecoveryFileBtn.disabled = true;
+  
+  try {
+    const result = await window.api.createRecoveryFile();
+    
+    if (result.success && !result.canceled) {
+      showSuccessMessage('Recovery file created', `Saved to ${result.filePath}. Keep it somewhere safe: it unlocks the data on any computer, and it replaces any earlier recovery file.`);
+    } else if (!result.success) {
+      showErrorMessage(result.error, 'recovery file');
+    }
+  } catch (error) {
+    console.error('Error creating recovery file:', error);
+    showErrorMessage({ message: 'Error creating recovery file', details: error.message });
+  } finally {
+    createRecoveryFileBtn.disabled = false;
+  }
+}
+
+/**
+ * Save the automatic enforcement settings
+ * @param {boolean} enabled - Whether enforcement should run
+ * @returns {Promise<Object|null>} IPC result, or null if the interval is invalid
+ */
+async function saveEnforcementSettings(enabled) {
+  const intervalMinutes = Number(enforcementIntervalInput.value);
+  
+  if (!Number.isInteger(intervalMinutes) || intervalMinutes < 1 || intervalMinutes > 1440) {
+    showErrorMessage({
+      message: 'Invalid enforcement interval',
+      details: 'Enter a whole number of minutes between 1 and 1440'
+    });
+    return null;
+  }
+  
+  return await window.api.updateEnforcement(enabled, intervalMinutes);
+}
+
+/**
+ * Handle automatic enforcement toggle change
+ */
+async function handleEnforcementToggle(event) {
+  const enabled = event.target.checked;
+  
+  try {
+    const result = await saveEnforcementSettings(enabled);
+    
+    if (result && result.success) {
+      updateStatusIndicator(enforcementStatus, enabled);
+      showSuccessMessage(
+        enabled ? 'Automatic enforcement enabled' : 'Automatic enforcement disabled',
+        result.message
+      );
+    } else {
+      // Revert toggle on failure
+      event.target.checked = !enabled;
+      if (result) {
+        showErrorMessage(result.error, 'enforcement settings');
+      }
+    }
+  } catch (error) {
+    // Revert toggle on error
+    event.target.checked = !enabled;
+    console.error('Error updating enforcement settings:', error);
+    showErrorMessage({ message: 'Error updating enforcement settings', details: error.message });
+  }
+}
+
+/**
+ * Handle save enforcement interval button click
+ */
+async function handleSaveEnforcementInterval() {
+  saveEnforcementIntervalBtn.disabled = true;
+  
+  try {
+    const result = await saveEnforcementSettings(enforcementToggle.checked);
+    
+    if (result && result.success) {
+      showSuccessMessage('Enforcement interval saved', result.message);
+    } else if (result) {
+      showErrorMessage(result.error, 'enforcement settings');
+    }
+  } catch (error) {
+    console.error('Error saving enforcement interval:', error);
+    showErrorMessage({ message: 'Error saving enforcement interval', details: error.message });
+  } finally {
+    saveEnforcementIntervalBtn.disabled = false;
+  }
+}
+
+/**
+ * Update status indicator text and styling
+ * Requirements: 6.3
+ */
+function updateStatusIndicator(element, enabled) {
+  if (enabled) {
+    element.textContent = 'Enabled';
+    element.classList.add('status-enabled');
+    element.classList.remove('status-disabled');
+  } else {
+    element.textContent = 'Disabled';
+    element.classList.add('status-disabled');
+    element.classList.remove('status-enabled');
+  }
+}
+
+// ============================================================================
+// Policy Preview (dry run) confirmation
+// ============================================================================
+
+/**
+ * Preview the registry changes for a toggle and ask the user to confirm them
+ * @returns {Promise<boolean>} True if the user confirmed the change
+ */
+async function confirmPolicyChange(toggle, enabled) {
+  const preview = await window.api.previewToggle(toggle, enabled);
+  
+  if (!preview.success) {
+    showErrorMessage(preview.error, 'policy preview');
+    return false;
+  }
+  
+  displayPolicyPreview(preview);
+  previewModal.classList.add('show');
+  // Prevent body scroll when modal is open
+  document.body.style.overflow = 'hidden';
+  
+  return new Promise(resolve => {
+    previewResolver = resolve;
+  });
+}
+
+/**
+ * Hide the policy preview modal and resolve the pending confirmation
+ */
+function hidePreviewModal(confirmed) {
+  previewModal.classList.remove('show');
+  // Restore body scroll
+  document.body.style.overflow = '';
+  
+  if (previewResolver) {
+    const resolve = previewResolver;
+    previewResolver = null;
+    resolve(confirmed);
+  }
+}
+
+/**
+ * Display the planned registry changes in the preview modal
+ */
+function displayPolicyPreview(preview) {
+  const { created, modified, deleted } = preview.summary;
+  previewSummary.textContent = preview.changes.length > 0
+    ? `The following registry changes will be made: ${created} keys created, ${modified} modified, ${deleted} deleted.`
+    : 'No registry changes are required. The policy is already in the requested state.';
+  
+  previewChangesList.innerHTML = '';
+  
+  if (preview.changes.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.className = 'preview-change empty';
+    emptyItem.textContent = 'No changes';
+    previewChangesList.appendChild(emptyItem);
+    return;
+  }
+  
+  preview.changes.forEach(change => {
+    const listItem = document.createElement('li');
+    listItem.className = 'preview-change';
+    
+    const keyRow = document.createElement('div');
+    keyRow.className = 'preview-key';
+    
+    const actionBadge = document.createElement('span');
+    actionBadge.className = `preview-action ${change.action}`;
+    actionBadge.textContent = change.action;
+    
+    const keyPath = document.createElement('span');
+    keyPath.textContent = change.path;
+    
+    keyRow.appendChild(actionBadge);
+    keyRow.appendChild(keyPath);
+    listItem.appendChild(keyRow);
+    
+    // List individual value changes under the key
+    if (change.values.length > 0) {
+      const valueList = document.createElement('ul');
+      valueList.className = 'preview-values';
+      
+      change.values.forEach(value => {
+        const valueItem = document.createElement('li');
+        valueItem.className = `preview-value ${value.action}`;
+        valueItem.textContent = formatPreviewValue(value);
+        valueList.appendChild(valueItem);
+      });
+      
+      listItem.appendChild(valueList);
+    }
+    
+    previewChangesList.appendChild(listItem);
+  });
+}
+
+/**
+ * Format a single registry value change for display
+ */
+function formatPreviewValue(value) {
+  switch (value.action) {
+    case 'add':
+      return `+ ${value.name} = "${value.to}"`;
+    case 'remove':
+      return `- ${value.name} = "${value.from}"`;
+    case 'change':
+    default:
+      return `~ ${value.name}: "${value.from}" → "${value.to}"`;
+  }
+}
+
+// ============================================================================
+// Subtask 11.2: Domain management logic
+// Requirements: 3.2, 3.3, 3.6
+// ============================================================================
+
+/**
+ * Handle add domain button click
+ * Requirements: 3.2, 3.6, 7.3
+ */
+async function handleAddDomain() {
+  const domain = domainInput.value.trim();
+  
+  // Validate domain is not empty
+  if (!domain) {
+    showErrorMessage({ 
+      message: 'Please enter a domain',
+      code: 'INVALID_DOMAIN',
+      details: 'Domain field cannot be empty'
+    });
+    return;
+  }
+  
+  // Basic domain validation (client-side)
+  if (!isValidDomain(domain)) {
+    showErrorMessage({ 
+      message: 'Invalid domain format',
+      code: 'INVALID_DOMAIN',
+      details: UrlPattern.parse(domain).error
+    });
+    return;
+  }
+  
+  try {
+    const result = await window.api.addDomain(domain);
+    
+    if (result.success) {
+      domainInput.value = ''; // Clear input
+      await loadDomainLists(); // Refresh domain lists in real-time
+      showSuccessMessage(
+        `Domain "${domain}" added successfully`,
+        'The domain has been added to the whitelist and will be accessible when whitelist mode is enabled.'
+      );
+    } else {
+      showErrorMessage(result.error, 'add domain');
+    }
+  } catch (error) {
+    console.error('Error adding domain:', error);
+    showErrorMessage({ message: 'Error adding domain', details: error.message });
+  }
+}
+
+/**
+ * Show the bulk domain import modal
+ */
+function showBulkImportModal() {
+  bulkImportText.value = '';
+  bulkImportFile.value = '';
+  bulkImportFormat.value = 'auto';
+  bulkImportInvalidList.innerHTML = '';
+  bulkImportInvalidList.classList.add('hidden');
+  bulkImportModal.classList.add('show');
+  document.body.style.overflow = 'hidden';
+  bulkImportText.focus();
+}
+
+/**
+ * Hide the bulk domain import modal
+ */
+function hideBulkImportModal() {
+  bulkImportModal.classList.remove('show');
+  document.body.style.overflow = '';
+}
+
+/**
+ * Load a chosen file into the import text area
+ */
+async function handleBulkImportFile() {
+  const file = bulkImportFile.files[0];
+  if (!file) {
+    return;
+  }
+  
+  try {
+    bulkImportText.value = await file.text();
+    
+    // Hosts files usually have no extension
+    if (/\.csv$/i.test(file.name)) {
+      bulkImportFormat.value = 'csv';
+    }
+  } catch (error) {
+    console.error('Error reading domain list file:', error);
+    showErrorMessage({ message: 'Error reading file', details: error.message });
+  }
+}
+
+/**
+ * Show the entries that could not be imported
+ * @param {Array<Object>} invalid - Invalid entries ({ line, value })
+ */
+function displayInvalidImportEntries(invalid) {
+  bulkImportInvalidList.innerHTML = '';
+  bulkImportInvalidList.classList.toggle('hidden', invalid.length === 0);
+  
+  invalid.forEach(entry => {
+    const listItem = document.createElement('li');
+    listItem.className = 'preview-change';
+    listItem.textContent = `Line ${entry.line}: "${entry.value}" is not a valid domain`;
+    bulkImportInvalidList.appendChild(listItem);
+  });
+}
+
+/**
+ * Handle bulk domain import
+ */
+async function handleBulkImport() {
+  const text = bulkImportText.value;
+  
+  if (!text.trim()) {
+    showErrorMessage({ message: 'Please paste or load a domain list', code: 'INVALID_INPUT' });
+    return;
+  }
+  
+  confirmBulkImportBtn.disabled = true;
+  
+  try {
+    const result = await window.api.importDomains(text, bulkImportFormat.value);
+    displayInvalidImportEntries(result.invalid || []);
+    
+    if (result.success) {
+      await loadDomainLists();
+      
+      const notes = [];
+      if (result.alreadyPresent > 0) {
+        notes.push(`${result.alreadyPresent} were already whitelisted`);
+      }
+      if (result.duplicates > 0) {
+        notes.push(`${result.duplicates} duplicates were skipped`);
+      }
+      if (result.invalid.length > 0) {
+        notes.push(`${result.invalid.length} invalid entries were skipped`);
+      }
+      
+      // Keep the modal open so invalid entries can be reviewed
+      if (result.invalid.length === 0) {
+        hideBulkImportModal();
+      }
+      
+      showSuccessMessage(result.message, notes.length > 0 ? `${notes.join(', ')}.` : null);
+    } else {
+      showErrorMessage(result.error, 'domain import');
+    }
+  } catch (error) {
+    console.error('Error importing domains:', error);
+    showErrorMessage({ message: 'Error importing domains', details: error.message });
+  } finally {
+    confirmBulkImportBtn.disabled = false;
+  }
+}
+
+/**
+ * Handle remove domain button click
+ * Requirements: 3.3, 7.3
+ */
+async function handleRemoveDomain(domain) {
+  try {
+    const result = await window.api.removeDomain(domain);
+    
+    if (result.success) {
+      // Removing the last domain turns whitelist mode off
+      if (result.status === 'whitelist_disabled') {
+        whitelistToggle.checked = false;
+        updateStatusIndicator(whitelistStatus, false);
+      }
+      
+      await loadDomainLists(); // Refresh domain lists in real-time
+      showSuccessMessage(
+        `Domain "${domain}" removed successfully`,
+        'The domain has been removed from the whitelist and will no longer be accessible in whitelist mode.'
+      );
+    } else {
+      showErrorMessage(result.error, 'remove domain');
+    }
+  } catch (error) {
+    console.error('Error removing domain:', error);
+    showErrorMessage({ message: 'Error removing domain', details: error.message });
+  }
+}
+
+/**
+ * Handle add blocked domain button click
+ */
+async function handleAddBlockedDomain() {
+  const domain = blockedDomainInput.value.trim();
+  
+  // Validate domain is not empty
+  if (!domain) {
+    showErrorMessage({ 
+      message: 'Please enter a domain',
+      code: 'INVALID_DOMAIN',
+      details: 'Domain field cannot be empty'
+    });
+    return;
+  }
+  
+  // Basic domain validation (client-side)
+  if (!isValidDomain(domain)) {
+    showErrorMessage({ 
+      message: 'Invalid domain format',
+      code: 'INVALID_DOMAIN',
+      details: UrlPattern.parse(domain).error
+    });
+    return;
+  }
+  
+  try {
+    const result = await window.api.addBlockedDomain(domain);
+    
+    if (result.success) {
+      blockedDomainInput.value = ''; // Clear input
+      await loadBlockedDomains(); // Refresh blocked list in real-time
+      await loadBrowserStatus();
+      showSuccessMessage(
+        `Domain "${domain}" blocked successfully`,
+        blocklistToggle.checked
+          ? 'The domain can no longer be accessed.'
+          : 'The domain will be blocked when "Block Specific Websites" is enabled.'
+      );
+    } else {
+      showErrorMessage(result.error, 'add blocked domain');
+    }
+  } catch (error) {
+    console.error('Error adding blocked domain:', error);
+    showErrorMessage({ message: 'Error adding blocked domain', details: error.message });
+  }
+}
+
+/**
+ * Handle remove blocked domain button click
+ */
+async function handleRemoveBlockedDomain(domain) {
+  try {
+    const result = await window.api.removeBlockedDomain(domain);
+    
+    if (result.success) {
+      // Removing the last domain turns blocklist mode off
+      if (result.status === 'blocklist_disabled') {
+        blocklistToggle.checked = false;
+        updateStatusIndicator(blocklistStatus, false);
+      }
+      
+      await loadBlockedDomains(); // Refresh blocked list in real-time
+      await loadBrowserStatus();
+      showSuccessMessage(
+        `Domain "${domain}" unblocked successfully`,
+        'The domain has been removed from the blocked websites list.'
+      );
+    } else {
+      showErrorMessage(result.error, 'remove blocked domain');
+    }
+  } catch (error) {
+    console.error('Error removing blocked domain:', error);
+    showErrorMessage({ message: 'Error removing blocked domain', details: error.message });
+  }
+}
+
+/**
+ * Load and display both whitelisted and blocked domain lists
+ * Requirements: 7.1, 7.2, 7.3
+ */
+async function loadDomainLists() {
+  await Promise.all([
+    loadWhitelistedDomains(),
+    loadBlockedDomains(),
+    loadBrowserStatus()
+  ]);
+}
+
+/**
+ * Load and display the website policy state of each browser
+ */
+async function loadBrowserStatus() {
+  try {
+    const result = await window.api.getBrowserStatus();
+    
+    if (result.success) {
+      displayBrowserStatus(result.browsers || []);
+    } else {
+      console.error('Failed to load browser status:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading browser status:', error);
+  }
+}
+
+/**
+ * Display the website policy state of each browser
+ * @param {Array<Object>} browsers - Per-browser status from the main process
+ */
+function displayBrowserStatus(browsers) {
+  browserStatusList.innerHTML = '';
+  
+  browsers.forEach(browser => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item browser-status';
+    
+    const nameLabel = document.createElement('label');
+    nameLabel.className = 'browser-target';
+    
+    const targetCheckbox = document.createElement('input');
+    targetCheckbox.type = 'checkbox';
+    targetCheckbox.className = 'browser-target-checkbox';
+    targetCheckbox.value = browser.id;
+    targetCheckbox.checked = browser.targeted;
+    targetCheckbox.addEventListener('change', handleTargetBrowsersChange);
+    
+    const nameText = document.createElement('span');
+    nameText.className = 'domain-text';
+    nameText.textContent = browser.name;
+    
+    nameLabel.appendChild(targetCheckbox);
+    nameLabel.appendChild(nameText);
+    
+    const stateText = document.createElement('span');
+    stateText.className = 'browser-state';
+    stateText.textContent = describeBrowserStatus(browser);
+    stateText.classList.add(browser.error ? 'error' : (isBrowserRestricted(browser) ? 'restricted' : 'open'));
+    
+    listItem.appendChild(nameLabel);
+    listItem.appendChild(stateText);
+    browserStatusList.appendChild(listItem);
+  });
+}
+
+/**
+ * Handle a change to the browsers website policies apply to
+ */
+async function handleTargetBrowsersChange(event) {
+  const checkboxes = browserStatusList.querySelectorAll('.browser-target-checkbox');
+  const browserIds = Array.from(checkboxes).filter(cb => cb.checked).map(cb => cb.value);
+  
+  if (browserIds.length === 0) {
+    event.target.checked = true;
+    showErrorMessage({ message: 'Select at least one browser', details: 'Website policies must apply to at least one browser.' });
+    return;
+  }
+  
+  checkboxes.forEach(cb => { cb.disabled = true; });
+  
+  try {
+    const result = await window.api.setTargetBrowsers(browserIds);
+    
+    if (result.success) {
+      showSuccessMessage('Browser selection updated', result.message);
+    } else {
+      showErrorMessage(result.error, 'browser selection');
+    }
+  } catch (error) {
+    console.error('Error updating browser selection:', error);
+    showErrorMessage({ message: 'Error updating browser selection', details: error.message });
+  }
+  
+  // Reload so checkboxes and states reflect what was actually applied
+  await loadBrowserStatus();
+}
+
+/**
+ * Check whether any website policy is applied to a browser
+ * @param {Object} browser - Browser status
+ * @returns {boolean} True if the browser is restricted
+ */
+function isBrowserRestricted(browser) {
+  return browser.allBlocked || browser.blockedCount > 0 || browser.internalPagesBlocked;
+}
+
+/**
+ * Build a short description of a browser's website policy state
+ * @param {Object} browser - Browser status
+ * @returns {string} Status text
+ */
+function describeBrowserStatus(browser) {
+  if (browser.error) {
+    return 'Status unavailable';
+  }
+  
+  const parts = [];
+  
+  if (browser.allBlocked) {
+    parts.push(browser.allowedCount > 0 ? `Whitelist (${browser.allowedCount} allowed)` : 'All websites blocked');
+  } else if (browser.blockedCount > 0) {
+    parts.push(`${browser.blockedCount} websites blocked`);
+  }
+  
+  if (browser.internalPagesBlocked) {
+    parts.push('internal pages blocked');
+  }
+  
+  if (parts.length === 0) {
+    return 'Not restricted';
+  }
+  
+  const text = parts.join(', ');
+  return text.charAt(0).toUpperCase() + text.slice(1);
+}
+
+/**
+ * Load and display whitelisted domains
+ * Requirements: 7.2, 7.3
+ */
+async function loadWhitelistedDomains() {
+  try {
+    const result = await window.api.getWhitelistedDomains();
+    
+    if (result.success) {
+      const domains = result.domains || [];
+      displayWhitelistedDomains(domains);
+    } else {
+      console.error('Failed to load whitelisted domains:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading whitelisted domains:', error);
+  }
+}
+
+/**
+ * Load and display blocked domains
+ * Requirements: 7.1, 7.3
+ */
+async function loadBlockedDomains() {
+  try {
+    const result = await window.api.getBlockedDomains();
+    
+    if (result.success) {
+      const domains = result.domains || [];
+      const description = result.description || '';
+      displayBlockedDomains(domains, description, result.allBlocked);
+    } else {
+      console.error('Failed to load blocked domains:', result.error);
+    }
+  } catch (error) {
+    console.error('Error loading blocked domains:', error);
+  }
+}
+
+/**
+ * Display whitelisted domains in UI
+ * Requirements: 7.2, 7.3, 7.4, 7.5
+ */
+function displayWhitelistedDomains(domains) {
+  whitelistedDomainsList.innerHTML = '';
+  
+  // Show empty state message if no domains
+  if (domains.length === 0) {
+    const emptyItem = document.createElement('li');
+    emptyItem.className = 'domain-item empty';
+    emptyItem.textContent = 'No domains whitelisted';
+    whitelistedDomainsList.appendChild(emptyItem);
+    return;
+  }
+  
+  // Display each whitelisted domain with remove button
+  domains.forEach(domain => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item';
+    
+    const domainText = document.createElement('span');
+    domainText.className = 'domain-text';
+    domainText.textContent = UrlPattern.toDisplay(domain);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-danger btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => handleRemoveDomain(domain));
+    
+    listItem.appendChild(domainText);
+    listItem.appendChild(removeBtn);
+    whitelistedDomainsList.appendChild(listItem);
+  });
+}
+
+/**
+ * Display blocked domains in UI
+ * Requirements: 7.1, 7.3, 7.4, 7.5
+ */
+function displayBlockedDomains(domains, description, allBlocked = false) {
+  blockedDomainsList.innerHTML = '';
+  
+  // Show empty state message if no domains are blocked
+  if (domains.length === 0 && !allBlocked) {
+    const emptyItem = document.createElement('li');
+    emptyItem.className = 'domain-item empty';
+    emptyItem.textContent = 'No websites blocked';
+    blockedDomainsList.appendChild(emptyItem);
+    return;
+  }
+  
+  // When everything is blocked, show descriptive text instead of "*"
+  if (allBlocked) {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item blocked';
+    
+    const domainText = document.createElement('span');
+    domainText.className = 'domain-text';
+    domainText.textContent = description || 'All websites are blocked';
+    domainText.style.fontStyle = 'italic';
+    
+    listItem.appendChild(domainText);
+    blockedDomainsList.appendChild(listItem);
+  }
+  
+  // Display each blocked domain with remove button
+  domains.forEach(domain => {
+    const listItem = document.createElement('li');
+    listItem.className = 'domain-item blocked';
+    
+    const domainText = document.createElement('span');
+    domainText.className = 'domain-text';
+    domainText.textContent = UrlPattern.toDisplay(domain);
+    
+    const removeBtn = document.createElement('button');
+    removeBtn.className = 'btn btn-danger btn-small';
+    removeBtn.textContent = 'Remove';
+    removeBtn.addEventListener('click', () => handleRemoveBlockedDomain(domain));
+    
+    listItem.appendChild(domainText);
+    listItem.appendChild(removeBtn);
     blockedDomainsList.appendChild(listItem);
   });
 }
 
 /**
  * Validate domain format (client-side validation)
+ * Accepts domains and URL patterns (see src/utils/urlPattern.js)
  * Requirements: 3.6
  */
 function isValidDomain(domain) {
-  // Basic domain validation regex
-  // Allows: example.com, sub.example.com, example.co.uk
-  const domainRegex = /^([a-zA-Z0-9]([a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)+[a-zA-Z]{2,}$/;
-  return domainRegex.test(domain);
+  return UrlPattern.isValid(domain);
 }
 
 // ============================================================================
@@ -542,14 +2193,17 @@ async function handleResetAllPolicies() {
       driveBlockToggle.checked = false;
       websiteBlockToggle.checked = false;
       whitelistToggle.checked = false;
+      blocklistToggle.checked = false;
       
       // Update status indicators (Requirement 9.6)
       updateStatusIndicator(driveStatus, false);
       updateStatusIndicator(websiteStatus, false);
       updateStatusIndicator(whitelistStatus, false);
+      updateStatusIndicator(blocklistStatus, false);
       
       // Clear domain lists (Requirement 9.5)
       await loadDomainLists();
+      await checkPolicyDrift();
       
       // Show success message (Requirement 9.8)
       showSuccessMessage(
@@ -798,7 +2452,8 @@ function showErrorMessage(error, context = '') {
       
     case 'INVALID_DOMAIN':
       message = 'Invalid domain format';
-      instructions = 'Please enter a valid domain name (e.g., example.com, subdomain.example.com).';
+      instructions = `${error.details ? error.details + '. ' : ''}Enter a domain (e.g., example.com) or a URL pattern ` +
+        '(e.g., docs.google.com/forms, .example.com for the host only, https://example.com:8443).';
       showMessage(message, 'error', { instructions });
       return;
       
@@ -0,0 +1,99 @@
+/**
+ * Browser catalog - every browser the website policies are written for
+ * Each entry describes the browser's policy root key and the policy dialect it reads:
+ * 'chromium' browsers use URLBlocklist/URLAllowlist, 'firefox' uses WebsiteFilter
+ */
+
+/**
+ * Build the internal page URLs of a Chromium-based browser
+ * @param {string} scheme - Internal URL scheme (e.g. chrome)
+ * @returns {Array<string>} Internal page URLs
+ */
+function chromiumInternalPages(scheme) {
+  return ['settings', 'flags', 'extensions', 'apps', 'history', 'downloads']
+    .map(page => `${scheme}://${page}`);
+}
+
+const BROWSERS = [
+  {
+    id: 'chrome',
+    name: 'Google Chrome',
+    dialect: 'chromium',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome',
+    internalPages: chromiumInternalPages('chrome')
+  },
+  {
+    id: 'edge',
+    name: 'Microsoft Edge',
+    dialect: 'chromium',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge',
+    internalPages: chromiumInternalPages('edge')
+  },
+  {
+    id: 'firefox',
+    name: 'Mozilla Firefox',
+    dialect: 'firefox',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\Mozilla\\Firefox',
+    internalPages: ['about:config', 'about:addons', 'about:profiles', 'about:support']
+  },
+  {
+    id: 'brave',
+    name: 'Brave',
+    dialect: 'chromium',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\BraveSoftware\\Brave',
+    internalPages: chromiumInternalPages('brave')
+  },
+  {
+    id: 'chromium',
+    name: 'Chromium',
+    dialect: 'chromium',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\Chromium',
+    internalPages: chromiumInternalPages('chrome')
+  },
+  {
+    id: 'vivaldi',
+    name: 'Vivaldi',
+    dialect: 'chromium',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\Vivaldi',
+    internalPages: chromiumInternalPages('vivaldi')
+  },
+  {
+    id: 'opera',
+    name: 'Opera',
+    dialect: 'chromium',
+    policyRoot: 'HKLM:\\SOFTWARE\\Policies\\Opera Software\\Opera Stable',
+    internalPages: chromiumInternalPages('opera')
+  }
+];
+
+/**
+ * Get every browser in the catalog
+ * @returns {Array<Object>} Browser entries ({ id, name, dialect, policyRoot, internalPages })
+ */
+function getBrowsers() {
+  return BROWSERS.map(browser => ({ ...browser, internalPages: [...browser.internalPages] }));
+}
+
+/**
+ * Get a single browser by id
+ * @param {string} id - Browser id (e.g. 'brave')
+ * @returns {Object|null} Browser entry, or null if the id is unknown
+ */
+function getBrowser(id) {
+  const browser = BROWSERS.find(b => b.id === id);
+  return browser ? { ...browser, internalPages: [...browser.internalPages] } : null;
+}
+
+/**
+ * Get the ids of all browsers in the catalog
+ * @returns {Array<string>} Browser ids
+ */
+function getBrowserIds() {
+  return BROWSERS.map(browser => browser.id);
+}
+
+module.exports = {
+  getBrowsers,
+  getBrowser,
+  getBrowserIds
+};
@@ -1,25 +1,47 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const Logger = require('../utils/logger');
 const PrivilegeChecker = require('../utils/privilegeChecker');
-
-const execAsync = promisify(exec);
+const PowerShellRegistry = require('../registry/powerShellRegistry');
+const ChromiumPolicyWriter = require('./chromiumPolicyWriter');
+const FirefoxPolicyWriter = require('./firefoxPolicyWriter');
+const BrowserCatalog = require('./browserCatalog');
+const UrlPattern = require('../utils/urlPattern');
 
 /**
  * BrowserPolicy - Manages browser website access policies via Windows Registry
- * Supports Chrome, Edge, and Firefox browsers
+ * Supports every browser in the browser catalog (Chrome, Edge, Firefox, Brave, Chromium,
+ * Vivaldi and Opera) in three modes: allow everything, block everything (optionally with
+ * a whitelist) and block specific domains
  */
 class BrowserPolicy {
-  constructor() {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Object} options.registry - Registry backend (defaults to PowerShellRegistry)
+   * @param {Object} options.privilegeChecker - Privilege checker (defaults to PrivilegeChecker)
+   * @param {string} options.firefoxPoliciesPath - Optional Firefox distribution/policies.json to keep in sync
+   * @param {Array<Object>} options.browsers - Browser entries to manage (defaults to the browser catalog)
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new PowerShellRegistry();
+    this.privilegeChecker = options.privilegeChecker || PrivilegeChecker;
+    this.browsers = options.browsers || BrowserCatalog.getBrowsers();
+
     // Registry paths for different browsers
-    this.browserPaths = {
-      chrome: 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome',
-      edge: 'HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge',
-      firefox: 'HKLM:\\SOFTWARE\\Policies\\Mozilla\\Firefox'
-    };
+    this.browserPaths = {};
+
+    // Browser internal pages that could be used to undo restrictions
+    this.internalPages = {};
 
-    // Domain validation regex - validates domain format
-    this.domainRegex = /^(?:[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?\.)*[a-zA-Z0-9](?:[a-zA-Z0-9-]{0,61}[a-zA-Z0-9])?$/;
+    for (const browser of this.browsers) {
+      this.browserPaths[browser.id] = browser.policyRoot;
+      this.internalPages[browser.id] = browser.internalPages;
+    }
+
+    // Browsers website policies are applied to (null = every browser)
+    this.targetBrowsers = null;
+
+    // Policy writers - Firefox uses WebsiteFilter, everything else the Chromium policies
+    this.chromiumWriter = new ChromiumPolicyWriter(this.registry);
+    this.firefoxWriter = new FirefoxPolicyWriter(this.registry, { policiesPath: options.firefoxPoliciesPath });
   }
 
   /**
@@ -31,7 +53,7 @@ class BrowserPolicy {
       Logger.info('Attempting to block all websites across all browsers', null, 'BrowserPolicy');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Block All Websites');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Block All Websites');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for blocking websites', privilegeCheck.error, 'BrowserPolicy');
         return privilegeCheck;
@@ -40,22 +62,10 @@ class BrowserPolicy {
       const results = [];
 
       // Block websites for each browser
-      for (const [browser, path] of Object.entries(this.browserPaths)) {
+      for (const [browser, path] of this._getTargetPaths()) {
         try {
-          const blocklistPath = `${path}\\URLBlocklist`;
-          
-          // Create the policy path and URLBlocklist key if they don't exist
-          // Then set blocking rule to block all URLs
-          const command = `powershell -Command "` +
-            `if (-not (Test-Path '${path}')) { ` +
-            `New-Item -Path '${path}' -Force | Out-Null; ` +
-            `}; ` +
-            `if (-not (Test-Path '${blocklistPath}')) { ` +
-            `New-Item -Path '${blocklistPath}' -Force | Out-Null; ` +
-            `}; ` +
-            `Set-ItemProperty -Path '${blocklistPath}' -Name '1' -Value '*' -Type String -Force"`;
-
-          await execAsync(command, { shell: 'powershell.exe' });
+          await this._getWriter(browser).blockAll(path);
+
           results.push({ browser, success: true });
           Logger.debug(`Blocked all websites for ${browser}`, null, 'BrowserPolicy');
         } catch (error) {
@@ -96,7 +106,7 @@ class BrowserPolicy {
       Logger.info('Attempting to unblock all websites across all browsers', null, 'BrowserPolicy');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Unblock All Websites');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Unblock All Websites');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for unblocking websites', privilegeCheck.error, 'BrowserPolicy');
         return privilegeCheck;
@@ -105,17 +115,11 @@ class BrowserPolicy {
       const results = [];
 
       // Remove blocking policies for each browser
-      for (const [browser, path] of Object.entries(this.browserPaths)) {
+      for (const [browser, path] of this._getTargetPaths()) {
         try {
-          const blocklistPath = `${path}\\URLBlocklist`;
-          
-          // Remove the URLBlocklist key if it exists
-          const command = `powershell -Command "` +
-            `if (Test-Path '${blocklistPath}') { ` +
-            `Remove-Item -Path '${blocklistPath}' -Recurse -Force; ` +
-            `}"`;
-
-          await execAsync(command, { shell: 'powershell.exe' });
+          await this._getWriter(browser).unblockAll(path);
+          await this._getWriter(browser).unblockInternalPages(path, this.internalPages[browser]);
+
           results.push({ browser, success: true });
           Logger.debug(`Unblocked websites for ${browser}`, null, 'BrowserPolicy');
         } catch (error) {
@@ -156,7 +160,7 @@ class BrowserPolicy {
       Logger.info('Attempting to enable domain whitelist', { domainCount: domains.length }, 'BrowserPolicy');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Enable Domain Whitelist');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Enable Domain Whitelist');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for enabling whitelist', privilegeCheck.error, 'BrowserPolicy');
         return privilegeCheck;
@@ -178,42 +182,16 @@ class BrowserPolicy {
         };
       }
 
+      // Entries that only differ in spelling (case, Unicode/punycode, www.) are written once
+      domains = UrlPattern.unique(domains);
+
       const results = [];
 
       // Apply whitelist for each browser
-      for (const [browser, path] of Object.entries(this.browserPaths)) {
+      for (const [browser, path] of this._getTargetPaths()) {
         try {
-          const blocklistPath = `${path}\\URLBlocklist`;
-          const allowlistPath = `${path}\\URLAllowlist`;
-          
-          // First, block all websites
-          let command = `powershell -Command "` +
-            `if (-not (Test-Path '${path}')) { ` +
-            `New-Item -Path '${path}' -Force | Out-Null; ` +
-            `}; ` +
-            `if (-not (Test-Path '${blocklistPath}')) { ` +
-            `New-Item -Path '${blocklistPath}' -Force | Out-Null; ` +
-            `}; ` +
-            `Set-ItemProperty -Path '${blocklistPath}' -Name '1' -Value '*' -Type String -Force"`;
-
-          await execAsync(command, { shell: 'powershell.exe' });
-
-          // Then, create allowlist with specified domains
-          command = `powershell -Command "` +
-            `if (-not (Test-Path '${allowlistPath}')) { ` +
-            `New-Item -Path '${allowlistPath}' -Force | Out-Null; ` +
-            `}"`;
-
-          await execAsync(command, { shell: 'powershell.exe' });
-
-          // Add each domain to the allowlist
-          for (let i = 0; i < domains.length; i++) {
-            const domain = domains[i];
-            command = `powershell -Command "` +
-              `Set-ItemProperty -Path '${allowlistPath}' -Name '${i + 1}' -Value '${domain}' -Type String -Force"`;
-            
-            await execAsync(command, { shell: 'powershell.exe' });
-          }
+          // Block all websites, then allow the specified domains
+          await this._getWriter(browser).enableWhitelist(path, domains);
 
           results.push({ browser, success: true, domainCount: domains.length });
           Logger.debug(`Enabled whitelist for ${browser} with ${domains.length} domains`, null, 'BrowserPolicy');
@@ -255,7 +233,7 @@ class BrowserPolicy {
       Logger.info('Attempting to disable domain whitelist', null, 'BrowserPolicy');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Disable Domain Whitelist');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Disable Domain Whitelist');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for disabling whitelist', privilegeCheck.error, 'BrowserPolicy');
         return privilegeCheck;
@@ -264,21 +242,11 @@ class BrowserPolicy {
       const results = [];
 
       // Remove whitelist and blocklist for each browser
-      for (const [browser, path] of Object.entries(this.browserPaths)) {
+      for (const [browser, path] of this._getTargetPaths()) {
         try {
-          const blocklistPath = `${path}\\URLBlocklist`;
-          const allowlistPath = `${path}\\URLAllowlist`;
-          
-          // Remove both blocklist and allowlist keys
-          const command = `powershell -Command "` +
-            `if (Test-Path '${blocklistPath}') { ` +
-            `Remove-Item -Path '${blocklistPath}' -Recurse -Force; ` +
-            `}; ` +
-            `if (Test-Path '${allowlistPath}') { ` +
-            `Remove-Item -Path '${allowlistPath}' -Recurse -Force; ` +
-            `}"`;
-
-          await execAsync(command, { shell: 'powershell.exe' });
+          await this._getWriter(browser).disableWhitelist(path);
+          await this._getWriter(browser).unblockInternalPages(path, this.internalPages[browser]);
+
           results.push({ browser, success: true });
           Logger.debug(`Disabled whitelist for ${browser}`, null, 'BrowserPolicy');
         } catch (error) {
@@ -309,6 +277,128 @@ class BrowserPolicy {
     }
   }
 
+  /**
+   * Block browser internal pages (settings, flags, extensions, about:config...)
+   * so users can't use them to undo website restrictions
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async blockInternalPages() {
+    try {
+      Logger.info('Attempting to block browser internal pages', null, 'BrowserPolicy');
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Block Browser Internal Pages');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for blocking internal pages', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      const results = [];
+
+      for (const [browser, path] of this._getTargetPaths()) {
+        try {
+          await this._getWriter(browser).blockInternalPages(path, this.internalPages[browser]);
+
+          results.push({ browser, success: true });
+          Logger.debug(`Blocked internal pages for ${browser}`, null, 'BrowserPolicy');
+        } catch (error) {
+          Logger.error(`Failed to block internal pages for ${browser}`, error, 'BrowserPolicy');
+          results.push({ browser, success: false, error: error.message });
+        }
+      }
+
+      const allSuccess = results.every(r => r.success);
+      const successCount = results.filter(r => r.success).length;
+
+      if (allSuccess) {
+        Logger.info('Browser internal pages blocked successfully', { results }, 'BrowserPolicy');
+      } else {
+        Logger.warn(`Internal pages blocked for ${successCount} of ${results.length} browsers`, { results }, 'BrowserPolicy');
+      }
+
+      return {
+        success: allSuccess,
+        message: allSuccess
+          ? 'Browser internal pages have been blocked'
+          : `Internal pages blocked for ${successCount} of ${results.length} browsers`,
+        results: results,
+        status: 'internal_pages_blocked'
+      };
+    } catch (error) {
+      return this._handlePolicyError(error, 'block browser internal pages');
+    }
+  }
+
+  /**
+   * Unblock browser internal pages, leaving other website policies untouched
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async unblockInternalPages() {
+    try {
+      Logger.info('Attempting to unblock browser internal pages', null, 'BrowserPolicy');
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Unblock Browser Internal Pages');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for unblocking internal pages', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      const results = [];
+
+      for (const [browser, path] of this._getTargetPaths()) {
+        try {
+          await this._getWriter(browser).unblockInternalPages(path, this.internalPages[browser]);
+
+          results.push({ browser, success: true });
+          Logger.debug(`Unblocked internal pages for ${browser}`, null, 'BrowserPolicy');
+        } catch (error) {
+          Logger.error(`Failed to unblock internal pages for ${browser}`, error, 'BrowserPolicy');
+          results.push({ browser, success: false, error: error.message });
+        }
+      }
+
+      const allSuccess = results.every(r => r.success);
+      const successCount = results.filter(r => r.success).length;
+
+      if (allSuccess) {
+        Logger.info('Browser internal pages unblocked successfully', { results }, 'BrowserPolicy');
+      } else {
+        Logger.warn(`Internal pages unblocked for ${successCount} of ${results.length} browsers`, { results }, 'BrowserPolicy');
+      }
+
+      return {
+        success: allSuccess,
+        message: allSuccess
+          ? 'Browser internal pages have been unblocked'
+          : `Internal pages unblocked for ${successCount} of ${results.length} browsers`,
+        results: results,
+        status: 'internal_pages_unblocked'
+      };
+    } catch (error) {
+      return this._handlePolicyError(error, 'unblock browser internal pages');
+    }
+  }
+
+  /**
+   * Check whether browser internal pages are currently blocked
+   * @returns {Promise<Object>} Result object with blocked flag
+   */
+  async getInternalPagesStatus() {
+    try {
+      // Read from the first targeted browser (use as source of truth)
+      const [browser, path] = this._getTargetPaths()[0];
+      const blocked = await this._getWriter(browser).areInternalPagesBlocked(path, this.internalPages[browser]);
+
+      return {
+        success: true,
+        blocked: blocked
+      };
+    } catch (error) {
+      return this._handlePolicyError(error, 'read internal pages status');
+    }
+  }
+
   /**
    * Add a domain to the whitelist
    * @param {string} domain - Domain to add
@@ -326,14 +416,15 @@ class BrowserPolicy {
           error: {
             code: 'INVALID_DOMAIN_FORMAT',
             message: 'Invalid domain format',
-            details: `The domain "${domain}" has an invalid format. Please use a valid domain name (e.g., example.com)`,
+            details: `The entry "${domain}" has an invalid format: ${UrlPattern.parse(domain).error}. ` +
+              'Use a domain (example.com) or a URL pattern (docs.google.com/forms, .example.com, https://example.com:8443)',
             recoverable: true
           }
         };
       }
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Add Domain to Whitelist');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Add Domain to Whitelist');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for adding domain', privilegeCheck.error, 'BrowserPolicy');
         return privilegeCheck;
@@ -346,7 +437,7 @@ class BrowserPolicy {
       }
 
       // Check if domain already exists
-      if (currentDomains.domains.includes(domain)) {
+      if (this._containsDomain(currentDomains.domains, domain)) {
         Logger.debug(`Domain already exists in whitelist: ${domain}`, null, 'BrowserPolicy');
         return {
           success: true,
@@ -367,6 +458,61 @@ class BrowserPolicy {
     }
   }
 
+  /**
+   * Add several domains to the whitelist with a single whitelist rewrite
+   * @param {Array<string>} domains - Domains to add
+   * @returns {Promise<Object>} Result object with the number of domains added
+   */
+  async addDomains(domains) {
+    try {
+      Logger.info(`Attempting to add ${domains.length} domains to whitelist`, null, 'BrowserPolicy');
+
+      const invalid = domains.filter(domain => !this.validateDomain(domain));
+      if (invalid.length > 0) {
+        Logger.warn('Invalid domain format in bulk import', { invalid }, 'BrowserPolicy');
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_DOMAIN_FORMAT',
+            message: 'Invalid domain format',
+            details: `These domains have an invalid format: ${invalid.join(', ')}`,
+            recoverable: true
+          }
+        };
+      }
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Add Domains to Whitelist');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for adding domains', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      const currentDomains = await this.getDomainList();
+      if (!currentDomains.success) {
+        return currentDomains;
+      }
+
+      const newDomains = UrlPattern.unique(domains).filter(domain => !this._containsDomain(currentDomains.domains, domain));
+      if (newDomains.length === 0) {
+        return {
+          success: true,
+          message: 'All domains are already in the whitelist',
+          status: 'already_exists',
+          added: 0
+        };
+      }
+
+      const updatedDomains = [...currentDomains.domains, ...newDomains];
+      Logger.info(`Adding ${newDomains.length} domains to whitelist`, { totalDomains: updatedDomains.length }, 'BrowserPolicy');
+
+      const result = await this.enableWhitelist(updatedDomains);
+      return result.success ? { ...result, added: newDomains.length } : result;
+    } catch (error) {
+      return this._handlePolicyError(error, 'add domains to whitelist');
+    }
+  }
+
   /**
    * Remove a domain from the whitelist
    * @param {string} domain - Domain to remove
@@ -377,7 +523,7 @@ class BrowserPolicy {
       Logger.info(`Attempting to remove domain from whitelist: ${domain}`, null, 'BrowserPolicy');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Remove Domain from Whitelist');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Remove Domain from Whitelist');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for removing domain', privilegeCheck.error, 'BrowserPolicy');
         return privilegeCheck;
@@ -390,7 +536,7 @@ class BrowserPolicy {
       }
 
       // Check if domain exists
-      if (!currentDomains.domains.includes(domain)) {
+      if (!this._containsDomain(currentDomains.domains, domain)) {
         Logger.debug(`Domain not found in whitelist: ${domain}`, null, 'BrowserPolicy');
         return {
           success: true,
@@ -400,7 +546,7 @@ class BrowserPolicy {
       }
 
       // Remove domain from the list
-      const updatedDomains = currentDomains.domains.filter(d => d !== domain);
+      const updatedDomains = currentDomains.domains.filter(d => !UrlPattern.equals(d, domain));
       
       Logger.info(`Removing domain from whitelist: ${domain}`, { remainingDomains: updatedDomains.length }, 'BrowserPolicy');
       
@@ -425,24 +571,9 @@ class BrowserPolicy {
     try {
       Logger.debug('Retrieving domain whitelist', null, 'BrowserPolicy');
 
-      // Read domains from Chrome registry (use as source of truth)
-      const allowlistPath = `${this.browserPaths.chrome}\\URLAllowlist`;
-      
-      const command = `powershell -Command "` +
-        `if (Test-Path '${allowlistPath}') { ` +
-        `$props = Get-ItemProperty -Path '${allowlistPath}' -ErrorAction SilentlyContinue; ` +
-        `if ($props) { ` +
-        `$props.PSObject.Properties | Where-Object { $_.Name -match '^\\d+$' } | ForEach-Object { $_.Value }; ` +
-        `} ` +
-        `}"`;
-
-      const { stdout } = await execAsync(command, { shell: 'powershell.exe' });
-      
-      const domains = stdout
-        .trim()
-        .split('\n')
-        .map(d => d.trim())
-        .filter(d => d.length > 0);
+      // Read domains from the first targeted browser (use as source of truth)
+      const [browser, path] = this._getTargetPaths()[0];
+      const domains = await this._getWriter(browser).getAllowedDomains(path);
 
       Logger.debug(`Retrieved ${domains.length} domains from whitelist`, { domains }, 'BrowserPolicy');
 
@@ -452,31 +583,473 @@ class BrowserPolicy {
         count: domains.length
       };
     } catch (error) {
-      // If error reading, return empty list (whitelist not configured)
-      Logger.debug('No whitelist configured or error reading domains', null, 'BrowserPolicy');
+      return this._handlePolicyError(error, 'read domain whitelist');
+    }
+  }
+
+  /**
+   * Enable blocklist mode - allow all websites except the specified domains
+   * @param {Array<string>} domains - Array of domains to block
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async enableBlocklist(domains) {
+    try {
+      Logger.info('Attempting to enable domain blocklist', { domainCount: domains.length }, 'BrowserPolicy');
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Enable Domain Blocklist');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for enabling blocklist', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      // Validate all domains
+      const invalidDomains = domains.filter(domain => !this.validateDomain(domain));
+      if (invalidDomains.length > 0) {
+        Logger.warn('Invalid domains detected', { invalidDomains }, 'BrowserPolicy');
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_DOMAIN_FORMAT',
+            message: 'Invalid domain format',
+            details: `The following domains have invalid format: ${invalidDomains.join(', ')}`,
+            recoverable: true,
+            invalidDomains: invalidDomains
+          }
+        };
+      }
+
+      // Entries that only differ in spelling (case, Unicode/punycode, www.) are written once
+      domains = UrlPattern.unique(domains);
+
+      const results = [];
+
+      // Apply blocklist for each browser
+      for (const [browser, path] of this._getTargetPaths()) {
+        try {
+          await this._getWriter(browser).enableBlocklist(path, domains);
+
+          results.push({ browser, success: true, domainCount: domains.length });
+          Logger.debug(`Enabled blocklist for ${browser} with ${domains.length} domains`, null, 'BrowserPolicy');
+        } catch (error) {
+          Logger.error(`Failed to enable blocklist for ${browser}`, error, 'BrowserPolicy');
+          results.push({ browser, success: false, error: error.message });
+        }
+      }
+
+      const allSuccess = results.every(r => r.success);
+      const successCount = results.filter(r => r.success).length;
+
+      if (allSuccess) {
+        Logger.info(`Domain blocklist enabled successfully with ${domains.length} domains`, { results }, 'BrowserPolicy');
+      } else {
+        Logger.warn(`Blocklist enabled for ${successCount} of ${results.length} browsers`, { results }, 'BrowserPolicy');
+      }
+
+      return {
+        success: allSuccess,
+        message: allSuccess
+          ? `Domain blocklist enabled with ${domains.length} domains`
+          : `Blocklist enabled for ${successCount} of ${results.length} browsers`,
+        results: results,
+        status: 'blocklist_enabled',
+        domainCount: domains.length
+      };
+    } catch (error) {
+      return this._handlePolicyError(error, 'enable domain blocklist');
+    }
+  }
+
+  /**
+   * Disable blocklist mode - remove all blocked domains
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async disableBlocklist() {
+    try {
+      Logger.info('Attempting to disable domain blocklist', null, 'BrowserPolicy');
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Disable Domain Blocklist');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for disabling blocklist', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      const results = [];
+
+      // Remove the blocklist for each browser
+      for (const [browser, path] of this._getTargetPaths()) {
+        try {
+          await this._getWriter(browser).disableBlocklist(path);
+
+          results.push({ browser, success: true });
+          Logger.debug(`Disabled blocklist for ${browser}`, null, 'BrowserPolicy');
+        } catch (error) {
+          Logger.error(`Failed to disable blocklist for ${browser}`, error, 'BrowserPolicy');
+          results.push({ browser, success: false, error: error.message });
+        }
+      }
+
+      const allSuccess = results.every(r => r.success);
+      const successCount = results.filter(r => r.success).length;
+
+      if (allSuccess) {
+        Logger.info('Domain blocklist disabled successfully', { results }, 'BrowserPolicy');
+      } else {
+        Logger.warn(`Blocklist disabled for ${successCount} of ${results.length} browsers`, { results }, 'BrowserPolicy');
+      }
+
+      return {
+        success: allSuccess,
+        message: allSuccess
+          ? 'Domain blocklist has been disabled'
+          : `Blocklist disabled for ${successCount} of ${results.length} browsers`,
+        results: results,
+        status: 'blocklist_disabled'
+      };
+    } catch (error) {
+      return this._handlePolicyError(error, 'disable domain blocklist');
+    }
+  }
+
+  /**
+   * Add a domain to the blocklist
+   * @param {string} domain - Domain to block
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async addBlockedDomain(domain) {
+    try {
+      Logger.info(`Attempting to add domain to blocklist: ${domain}`, null, 'BrowserPolicy');
+
+      // Validate domain format
+      if (!this.validateDomain(domain)) {
+        Logger.warn(`Invalid domain format: ${domain}`, null, 'BrowserPolicy');
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_DOMAIN_FORMAT',
+            message: 'Invalid domain format',
+            details: `The entry "${domain}" has an invalid format: ${UrlPattern.parse(domain).error}. ` +
+              'Use a domain (example.com) or a URL pattern (docs.google.com/forms, .example.com, https://example.com:8443)',
+            recoverable: true
+          }
+        };
+      }
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Add Domain to Blocklist');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for adding blocked domain', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      // Get current blocklist
+      const currentDomains = await this.getBlockedDomainList();
+      if (!currentDomains.success) {
+        return currentDomains;
+      }
+
+      // Check if domain already exists
+      if (this._containsDomain(currentDomains.domains, domain)) {
+        Logger.debug(`Domain already exists in blocklist: ${domain}`, null, 'BrowserPolicy');
+        return {
+          success: true,
+          message: `Domain "${domain}" is already in the blocklist`,
+          status: 'already_exists'
+        };
+      }
+
+      const updatedDomains = [...currentDomains.domains, domain];
+
+      Logger.info(`Adding domain to blocklist: ${domain}`, { totalDomains: updatedDomains.length }, 'BrowserPolicy');
+
+      // Re-enable blocklist with updated domain list
+      return await this.enableBlocklist(updatedDomains);
+    } catch (error) {
+      return this._handlePolicyError(error, 'add domain to blocklist');
+    }
+  }
+
+  /**
+   * Remove a domain from the blocklist
+   * @param {string} domain - Domain to unblock
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async removeBlockedDomain(domain) {
+    try {
+      Logger.info(`Attempting to remove domain from blocklist: ${domain}`, null, 'BrowserPolicy');
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Remove Domain from Blocklist');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for removing blocked domain', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      // Get current blocklist
+      const currentDomains = await this.getBlockedDomainList();
+      if (!currentDomains.success) {
+        return currentDomains;
+      }
+
+      // Check if domain exists
+      if (!this._containsDomain(currentDomains.domains, domain)) {
+        Logger.debug(`Domain not found in blocklist: ${domain}`, null, 'BrowserPolicy');
+        return {
+          success: true,
+          message: `Domain "${domain}" is not in the blocklist`,
+          status: 'not_found'
+        };
+      }
+
+      const updatedDomains = currentDomains.domains.filter(d => !UrlPattern.equals(d, domain));
+
+      Logger.info(`Removing domain from blocklist: ${domain}`, { remainingDomains: updatedDomains.length }, 'BrowserPolicy');
+
+      // If no domains left, disable blocklist
+      if (updatedDomains.length === 0) {
+        Logger.info('No domains remaining, disabling blocklist', null, 'BrowserPolicy');
+        return await this.disableBlocklist();
+      }
+
+      // Re-enable blocklist with updated domain list
+      return await this.enableBlocklist(updatedDomains);
+    } catch (error) {
+      return this._handlePolicyError(error, 'remove domain from blocklist');
+    }
+  }
+
+  /**
+   * Get the current list of blocked domains (blocklist mode)
+   * The "*" block-all rule is not a managed domain and is excluded
+   * @returns {Promise<Object>} Result object with array of domains
+   */
+  async getBlockedDomainList() {
+    try {
+      Logger.debug('Retrieving domain blocklist', null, 'BrowserPolicy');
+
+      // Read domains from the first targeted browser (use as source of truth)
+      const [browser, path] = this._getTargetPaths()[0];
+      const domains = await this._getWriter(browser).getBlockedDomains(path);
+
+      Logger.debug(`Retrieved ${domains.length} domains from blocklist`, { domains }, 'BrowserPolicy');
+
       return {
         success: true,
-        domains: [],
-        count: 0
+        domains: domains,
+        count: domains.length
       };
+    } catch (error) {
+      return this._handlePolicyError(error, 'read domain blocklist');
     }
   }
 
   /**
-   * Validate domain format using regex
-   * @param {string} domain - Domain to validate
-   * @returns {boolean} True if domain is valid
+   * Choose which browsers website policies are applied to
+   * Browsers that are no longer targeted keep their policies until cleared
+   * @param {Array<string>|null} browserIds - Browser ids, or null for every browser
+   * @returns {Object} Result object with the targeted browser ids
    */
-  validateDomain(domain) {
-    if (!domain || typeof domain !== 'string') {
-      return false;
+  setTargetBrowsers(browserIds) {
+    if (browserIds === null || browserIds === undefined) {
+      this.targetBrowsers = null;
+      return { success: true, browsers: this.getTargetBrowsers() };
     }
 
-    // Remove protocol if present
-    const cleanDomain = domain.replace(/^https?:\/\//, '').replace(/\/.*$/, '');
-    
-    // Check against regex
-    return this.domainRegex.test(cleanDomain);
+    const unknown = Array.isArray(browserIds) ? browserIds.filter(id => !this.browserPaths[id]) : [];
+    if (!Array.isArray(browserIds) || browserIds.length === 0 || unknown.length > 0) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_BROWSER_SELECTION',
+          message: 'Invalid browser selection',
+          details: unknown.length > 0
+            ? `Unknown browsers: ${unknown.join(', ')}`
+            : 'At least one browser must be selected',
+          recoverable: true
+        }
+      };
+    }
+
+    // Keep catalog order so the source-of-truth browser is stable
+    this.targetBrowsers = Object.keys(this.browserPaths).filter(id => browserIds.includes(id));
+    Logger.info('Website policy target browsers updated', { browsers: this.targetBrowsers }, 'BrowserPolicy');
+
+    return { success: true, browsers: this.getTargetBrowsers() };
+  }
+
+  /**
+   * Get the ids of the browsers website policies are applied to
+   * @returns {Array<string>} Browser ids
+   */
+  getTargetBrowsers() {
+    return this.targetBrowsers ? [...this.targetBrowsers] : Object.keys(this.browserPaths);
+  }
+
+  /**
+   * Remove every website policy from the given browsers
+   * Used when browsers stop being targeted so they don't keep stale restrictions
+   * @param {Array<string>} browserIds - Browser ids
+   * @returns {Promise<Object>} Result object with success status and message
+   */
+  async clearBrowsers(browserIds) {
+    try {
+      Logger.info('Attempting to clear website policies', { browsers: browserIds }, 'BrowserPolicy');
+
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Clear Browser Website Policies');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for clearing browser policies', privilegeCheck.error, 'BrowserPolicy');
+        return privilegeCheck;
+      }
+
+      const results = [];
+
+      for (const browser of browserIds.filter(id => this.browserPaths[id])) {
+        const path = this.browserPaths[browser];
+        const writer = this._getWriter(browser);
+
+        try {
+          await writer.disableWhitelist(path);
+          await writer.disableBlocklist(path);
+          await writer.unblockInternalPages(path, this.internalPages[browser]);
+
+          results.push({ browser, success: true });
+          Logger.debug(`Cleared website policies for ${browser}`, null, 'BrowserPolicy');
+        } catch (error) {
+          Logger.error(`Failed to clear website policies for ${browser}`, error, 'BrowserPolicy');
+          results.push({ browser, success: false, error: error.message });
+        }
+      }
+
+      const allSuccess = results.every(r => r.success);
+      const successCount = results.filter(r => r.success).length;
+
+      if (allSuccess) {
+        Logger.info('Website policies cleared successfully', { results }, 'BrowserPolicy');
+      } else {
+        Logger.warn(`Website policies cleared for ${successCount} of ${results.length} browsers`, { results }, 'BrowserPolicy');
+      }
+
+      return {
+        success: allSuccess,
+        message: allSuccess
+          ? `Website policies removed from ${results.length} browsers`
+          : `Website policies cleared for ${successCount} of ${results.length} browsers`,
+        results: results,
+        status: 'browsers_cleared'
+      };
+    } catch (error) {
+      return this._handlePolicyError(error, 'clear browser website policies');
+    }
+  }
+
+  /**
+   * Get the website policy state of every browser
+   * @returns {Promise<Object>} Result object with per-browser status
+   */
+  async getBrowserStatus() {
+    const browsers = [];
+
+    for (const browser of this.browsers) {
+      const writer = this._getWriter(browser.id);
+      const path = browser.policyRoot;
+
+      try {
+        const allowedDomains = await writer.getAllowedDomains(path);
+        const blockedDomains = await writer.getBlockedDomains(path);
+
+        browsers.push({
+          id: browser.id,
+          name: browser.name,
+          dialect: browser.dialect,
+          targeted: this.getTargetBrowsers().includes(browser.id),
+          allBlocked: await writer.isBlockingAll(path),
+          allowedCount: allowedDomains.length,
+          blockedCount: blockedDomains.length,
+          allowedDomains: allowedDomains,
+          blockedDomains: blockedDomains,
+          internalPagesBlocked: await writer.areInternalPagesBlocked(path, browser.internalPages),
+          error: null
+        });
+      } catch (error) {
+        Logger.warn(`Failed to read website policy status for ${browser.id}`, { error: error.message }, 'BrowserPolicy');
+        browsers.push({
+          id: browser.id,
+          name: browser.name,
+          dialect: browser.dialect,
+          targeted: this.getTargetBrowsers().includes(browser.id),
+          allBlocked: false,
+          allowedCount: 0,
+          blockedCount: 0,
+          allowedDomains: [],
+          blockedDomains: [],
+          internalPagesBlocked: false,
+          error: error.message
+        });
+      }
+    }
+
+    return {
+      success: true,
+      browsers: browsers
+    };
+  }
+
+  /**
+   * Get the registry keys written by website policies
+   * Parent keys are listed before their subkeys
+   * @returns {Array<string>} Registry key paths
+   */
+  getPolicyKeys() {
+    const keys = [];
+
+    for (const [browser, path] of Object.entries(this.browserPaths)) {
+      keys.push(...this._getWriter(browser).getPolicyKeys(path));
+    }
+
+    return keys;
+  }
+
+  /**
+   * Validate a whitelist/blocklist entry (a domain or a Chromium URL filter pattern)
+   * @param {string} domain - Entry to validate
+   * @returns {boolean} True if the entry is valid
+   */
+  validateDomain(domain) {
+    return UrlPattern.isValid(domain);
+  }
+
+  /**
+   * Check whether a list contains an entry, comparing normalized forms
+   * (so bücher.de matches xn--bcher-kva.de and www.example.com matches example.com)
+   * @private
+   * @param {Array<string>} domains - Whitelist or blocklist entries
+   * @param {string} domain - Entry to look for
+   * @returns {boolean} True if the list contains the entry
+   */
+  _containsDomain(domains, domain) {
+    return domains.some(d => UrlPattern.equals(d, domain));
+  }
+
+  /**
+   * Get the policy root of every targeted browser
+   * @private
+   * @returns {Array<Array<string>>} [browserId, policyRoot] pairs
+   */
+  _getTargetPaths() {
+    return this.getTargetBrowsers().map(id => [id, this.browserPaths[id]]);
+  }
+
+  /**
+   * Get the policy writer for a browser
+   * @private
+   * @param {string} browser - Browser name
+   * @returns {Object} Policy writer
+   */
+  _getWriter(browser) {
+    const entry = this.browsers.find(b => b.id === browser);
+    return entry && entry.dialect === 'firefox' ? this.firefoxWriter : this.chromiumWriter;
   }
 
   /**
@@ -0,0 +1,197 @@
+const { readNumberedList, writeNumberedList } = require('../registry/registryList');
+const UrlPattern = require('../utils/urlPattern');
+
+/**
+ * ChromiumPolicyWriter - Writes website policies for Chromium-based browsers
+ * Uses the URLBlocklist and URLAllowlist policies under the browser's policy root
+ */
+class ChromiumPolicyWriter {
+  /**
+   * @param {Object} registry - Registry backend
+   */
+  constructor(registry) {
+    this.registry = registry;
+  }
+
+  /**
+   * Block all websites
+   * Existing blocklist entries (such as internal pages) are kept alongside the "*" rule
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<void>}
+   */
+  async blockAll(rootPath) {
+    const entries = await readNumberedList(this.registry, this._blocklistPath(rootPath));
+    if (entries.includes('*')) {
+      return;
+    }
+
+    await this.registry.createKey(rootPath);
+    await writeNumberedList(this.registry, this._blocklistPath(rootPath), ['*', ...entries]);
+  }
+
+  /**
+   * Remove the block-all rule (and any other blocklist entries)
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<void>}
+   */
+  async unblockAll(rootPath) {
+    await this.registry.deleteKey(this._blocklistPath(rootPath));
+  }
+
+  /**
+   * Block all websites except the given domains
+   * @param {string} rootPath - Browser policy root key
+   * @param {Array<string>} domains - Domains to allow
+   * @returns {Promise<void>}
+   */
+  async enableWhitelist(rootPath, domains) {
+    await this.blockAll(rootPath);
+    await writeNumberedList(this.registry, this._allowlistPath(rootPath), domains.map(UrlPattern.toChromium));
+  }
+
+  /**
+   * Remove whitelist mode (both blocklist and allowlist)
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<void>}
+   */
+  async disableWhitelist(rootPath) {
+    await this.registry.deleteKey(this._blocklistPath(rootPath));
+    await this.registry.deleteKey(this._allowlistPath(rootPath));
+  }
+
+  /**
+   * Block only the given domains
+   * @param {string} rootPath - Browser policy root key
+   * @param {Array<string>} domains - Domains to block
+   * @returns {Promise<void>}
+   */
+  async enableBlocklist(rootPath, domains) {
+    await this.registry.createKey(rootPath);
+    await writeNumberedList(this.registry, this._blocklistPath(rootPath), domains.map(UrlPattern.toChromium));
+  }
+
+  /**
+   * Remove blocklist mode
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<void>}
+   */
+  async disableBlocklist(rootPath) {
+    await this.registry.deleteKey(this._blocklistPath(rootPath));
+  }
+
+  /**
+   * Add browser internal pages (e.g. chrome://settings) to the blocklist
+   * @param {string} rootPath - Browser policy root key
+   * @param {Array<string>} pages - Internal page URLs to block
+   * @returns {Promise<void>}
+   */
+  async blockInternalPages(rootPath, pages) {
+    const entries = await readNumberedList(this.registry, this._blocklistPath(rootPath));
+    const missing = pages.filter(page => !entries.includes(page));
+    if (missing.length === 0) {
+      return;
+    }
+
+    await this.registry.createKey(rootPath);
+    await writeNumberedList(this.registry, this._blocklistPath(rootPath), [...entries, ...missing]);
+  }
+
+  /**
+   * Remove browser internal pages from the blocklist, keeping all other entries
+   * @param {string} rootPath - Browser policy root key
+   * @param {Array<string>} pages - Internal page URLs to unblock
+   * @returns {Promise<void>}
+   */
+  async unblockInternalPages(rootPath, pages) {
+    const entries = await readNumberedList(this.registry, this._blocklistPath(rootPath));
+    const remaining = entries.filter(entry => !pages.includes(entry));
+    if (remaining.length === entries.length) {
+      return;
+    }
+
+    if (remaining.length === 0) {
+      await this.registry.deleteKey(this._blocklistPath(rootPath));
+    } else {
+      await writeNumberedList(this.registry, this._blocklistPath(rootPath), remaining);
+    }
+  }
+
+  /**
+   * Check whether all of the given internal pages are blocked
+   * @param {string} rootPath - Browser policy root key
+   * @param {Array<string>} pages - Internal page URLs
+   * @returns {Promise<boolean>} True if every page is in the blocklist
+   */
+  async areInternalPagesBlocked(rootPath, pages) {
+    const entries = await readNumberedList(this.registry, this._blocklistPath(rootPath));
+    return pages.every(page => entries.includes(page));
+  }
+
+  /**
+   * Check whether the block-all rule is in place
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<boolean>} True if all websites are blocked
+   */
+  async isBlockingAll(rootPath) {
+    const entries = await readNumberedList(this.registry, this._blocklistPath(rootPath));
+    return entries.includes('*');
+  }
+
+  /**
+   * Read the whitelisted domains
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<Array<string>>} Allowed domains
+   */
+  async getAllowedDomains(rootPath) {
+    return await readNumberedList(this.registry, this._allowlistPath(rootPath));
+  }
+
+  /**
+   * Read the blocked domains, excluding the "*" block-all rule and internal pages
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Promise<Array<string>>} Blocked domains
+   */
+  async getBlockedDomains(rootPath) {
+    const entries = await readNumberedList(this.registry, this._blocklistPath(rootPath));
+    return entries.filter(entry => entry !== '*' && !this._isInternalPage(entry));
+  }
+
+  /**
+   * Get the registry keys written by this writer (parents before subkeys)
+   * @param {string} rootPath - Browser policy root key
+   * @returns {Array<string>} Registry key paths
+   */
+  getPolicyKeys(rootPath) {
+    return [rootPath, this._blocklistPath(rootPath), this._allowlistPath(rootPath)];
+  }
+
+  /**
+   * Check whether a blocklist entry is a browser internal page rather than a website
+   * @private
+   * @param {string} entry - Blocklist entry
+   * @returns {boolean} True for entries with a non-web scheme (e.g. chrome://settings)
+   */
+  _isInternalPage(entry) {
+    return /^(about:|[a-z][a-z0-9+.-]*:\/\/)/i.test(entry) && !/^(https?|ftp|wss?):/i.test(entry);
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Browser policy root key
+   * @returns {string} URLBlocklist key path
+   */
+  _blocklistPath(rootPath) {
+    return `${rootPath}\\URLBlocklist`;
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Browser policy root key
+   * @returns {string} URLAllowlist key path
+   */
+  _allowlistPath(rootPath) {
+    return `${rootPath}\\URLAllowlist`;
+  }
+}
+
+module.exports = ChromiumPolicyWriter;
@@ -0,0 +1,242 @@
+const Logger = require('../utils/logger');
+const UrlPattern = require('../utils/urlPattern');
+
+/**
+ * DriftDetector - Compares the stored (desired) policy state with the live registry
+ * Detects hand edits and Group Policy overrides per browser and for removable storage
+ *
+ * The desired state has the shape:
+ * { driveBlock, websiteBlock, whitelist, whitelistedDomains, blocklist, blockedDomains, internalPagesLockdown }
+ */
+class DriftDetector {
+  /**
+   * @param {Object} policyManager - PolicyManager used to read live policy state
+   */
+  constructor(policyManager) {
+    this.policyManager = policyManager;
+  }
+
+  /**
+   * Compare the desired state with the live registry
+   * @param {Object} desired - Desired policy state
+   * @returns {Promise<Object>} Result with discrepancies and the live state
+   */
+  async detect(desired) {
+    try {
+      Logger.debug('Checking for policy drift', desired, 'DriftDetector');
+
+      const discrepancies = [];
+
+      // Removable storage
+      const driveStatus = await this.policyManager.drivePolicy.getWriteAccessStatus();
+      if (!driveStatus.success) {
+        discrepancies.push({
+          scope: 'drive',
+          name: 'Removable storage',
+          policy: 'status',
+          expected: null,
+          actual: null,
+          message: 'Could not read the removable storage policy'
+        });
+      } else if (driveStatus.isBlocked !== !!desired.driveBlock) {
+        discrepancies.push({
+          scope: 'drive',
+          name: 'Removable storage',
+          policy: 'driveBlock',
+          expected: !!desired.driveBlock,
+          actual: driveStatus.isBlocked,
+          message: desired.driveBlock
+            ? 'Write access should be blocked but is allowed'
+            : 'Write access should be allowed but is blocked'
+        });
+      }
+
+      // Browsers
+      const browserStatus = await this.policyManager.getBrowserStatus();
+      if (!browserStatus.success) {
+        return browserStatus;
+      }
+
+      // Browsers that aren't targeted may carry policies managed elsewhere
+      const targets = this.policyManager.getTargetBrowsers();
+      const expected = this._getExpectedBrowserState(desired);
+      for (const browser of browserStatus.browsers.filter(b => targets.includes(b.id))) {
+        discrepancies.push(...this._compareBrowser(browser, expected));
+      }
+
+      const live = this._getLiveState(desired, driveStatus, browserStatus.browsers, targets);
+      const hasDrift = discrepancies.length > 0;
+
+      if (hasDrift) {
+        Logger.warn(`Policy drift detected (${discrepancies.length} discrepancies)`, { discrepancies }, 'DriftDetector');
+      } else {
+        Logger.debug('No policy drift detected', null, 'DriftDetector');
+      }
+
+      return {
+        success: true,
+        hasDrift: hasDrift,
+        discrepancies: discrepancies,
+        live: live,
+        checkedAt: new Date().toISOString()
+      };
+    } catch (error) {
+      Logger.error('Error detecting policy drift', error, 'DriftDetector');
+      return {
+        success: false,
+        error: {
+          code: 'DRIFT_DETECTION_ERROR',
+          message: 'Failed to check for policy drift',
+          details: error.message || 'An unexpected error occurred while comparing policy state',
+          recoverable: true,
+          originalError: error.toString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Get the website policy state a targeted browser should be in
+   * @private
+   * @param {Object} desired - Desired policy state
+   * @returns {Object} Expected browser state
+   */
+  _getExpectedBrowserState(desired) {
+    const allBlocked = !!(desired.websiteBlock || desired.whitelist);
+
+    return {
+      allBlocked: allBlocked,
+      allowedDomains: desired.whitelist ? (desired.whitelistedDomains || []) : [],
+      blockedDomains: desired.blocklist && !allBlocked ? (desired.blockedDomains || []) : [],
+      internalPagesBlocked: allBlocked && desired.internalPagesLockdown !== false
+    };
+  }
+
+  /**
+   * List the differences between a browser's live and expected state
+   * @private
+   * @param {Object} browser - Live browser status from BrowserPolicy.getBrowserStatus
+   * @param {Object} expected - Expected browser state
+   * @returns {Array<Object>} Discrepancies
+   */
+  _compareBrowser(browser, expected) {
+    const discrepancies = [];
+    const base = { scope: browser.id, name: browser.name };
+
+    if (browser.error) {
+      return [{ ...base, policy: 'status', expected: null, actual: null, message: `Could not read policies: ${browser.error}` }];
+    }
+
+    if (browser.allBlocked !== expected.allBlocked) {
+      discrepancies.push({
+        ...base,
+        policy: 'websiteBlock',
+        expected: expected.allBlocked,
+        actual: browser.allBlocked,
+        message: expected.allBlocked
+          ? 'All websites should be blocked but are not'
+          : 'All websites are blocked but should not be'
+      });
+    }
+
+    const allowed = this._compareDomains(expected.allowedDomains, browser.allowedDomains, browser.dialect);
+    if (allowed) {
+      discrepancies.push({ ...base, policy: 'whitelist', expected: expected.allowedDomains, actual: browser.allowedDomains, ...allowed });
+    }
+
+    const blocked = this._compareDomains(expected.blockedDomains, browser.blockedDomains, browser.dialect);
+    if (blocked) {
+      discrepancies.push({ ...base, policy: 'blocklist', expected: expected.blockedDomains, actual: browser.blockedDomains, ...blocked });
+    }
+
+    if (browser.internalPagesBlocked !== expected.internalPagesBlocked) {
+      discrepancies.push({
+        ...base,
+        policy: 'internalPages',
+        expected: expected.internalPagesBlocked,
+        actual: browser.internalPagesBlocked,
+        message: expected.internalPagesBlocked
+          ? 'Internal pages should be blocked but are not'
+          : 'Internal pages are blocked but should not be'
+      });
+    }
+
+    return discrepancies;
+  }
+
+  /**
+   * Compare two domain lists ignoring order, case and entry spelling
+   * @private
+   * @param {Array<string>} expected - Expected entries
+   * @param {Array<string>} actual - Live entries
+   * @param {string} dialect - Policy dialect of the browser the live entries were read from
+   * @returns {Object|null} Missing/extra domains and a message, or null if the lists match
+   */
+  _compareDomains(expected, actual, dialect) {
+    const actualKeys = new Set(actual.map(d => this._normalizeDomain(d)));
+    const expectedKeys = new Set(expected.map(d => this._normalizeDomain(d, dialect)));
+
+    const missing = expected.filter(d => !actualKeys.has(this._normalizeDomain(d, dialect)));
+    const extra = actual.filter(d => !expectedKeys.has(this._normalizeDomain(d)));
+
+    if (missing.length === 0 && extra.length === 0) {
+      return null;
+    }
+
+    const parts = [];
+    if (missing.length > 0) {
+      parts.push(`missing ${missing.join(', ')}`);
+    }
+    if (extra.length > 0) {
+      parts.push(`unexpected ${extra.join(', ')}`);
+    }
+
+    return { missing, extra, message: `Domain list differs: ${parts.join('; ')}` };
+  }
+
+  /**
+   * Reduce an entry to its canonical form for comparison
+   * Expected Firefox entries go through the match pattern translation first, since
+   * it drops parts (ports) that can't be read back from the registry
+   * @private
+   * @param {string} domain - Whitelist or blocklist entry
+   * @param {string} dialect - Policy dialect the entry is compared against (optional)
+   * @returns {string} Canonical entry
+   */
+  _normalizeDomain(domain, dialect = null) {
+    const entry = dialect === 'firefox' ? UrlPattern.fromFirefox(UrlPattern.toFirefox(domain)) : domain;
+    return UrlPattern.normalize(entry) || String(entry).trim().toLowerCase();
+  }
+
+  /**
+   * Describe the live registry state in the same shape as the desired state
+   * Website modes are read from the first targeted browser (the source of truth);
+   * domain lists of inactive modes keep their stored values
+   * @private
+   * @param {Object} desired - Desired policy state
+   * @param {Object} driveStatus - Live drive status
+   * @param {Array<Object>} browsers - Live browser statuses
+   * @param {Array<string>} targets - Targeted browser ids
+   * @returns {Object} Live policy state
+   */
+  _getLiveState(desired, driveStatus, browsers, targets) {
+    const primary = browsers.find(b => b.id === targets[0]) || {};
+    const allowed = primary.allowedDomains || [];
+    const blocked = primary.blockedDomains || [];
+
+    const whitelist = !!primary.allBlocked && allowed.length > 0;
+    const blocklist = !primary.allBlocked && blocked.length > 0;
+
+    return {
+      driveBlock: driveStatus.success ? driveStatus.isBlocked : !!desired.driveBlock,
+      websiteBlock: !!primary.allBlocked && allowed.length === 0,
+      whitelist: whitelist,
+      whitelistedDomains: whitelist ? allowed : (desired.whitelistedDomains || []),
+      blocklist: blocklist,
+      blockedDomains: blocklist ? blocked : (desired.blockedDomains || []),
+      internalPagesLockdown: primary.allBlocked ? !!primary.internalPagesBlocked : desired.internalPagesLockdown !== false
+    };
+  }
+}
+
+module.exports = DriftDetector;
@@ -1,15 +1,19 @@
-const { exec } = require('child_process');
-const { promisify } = require('util');
 const Logger = require('../utils/logger');
 const PrivilegeChecker = require('../utils/privilegeChecker');
-
-const execAsync = promisify(exec);
+const PowerShellRegistry = require('../registry/powerShellRegistry');
 
 /**
  * DrivePolicy - Manages external drive write access policies via Windows Registry
  */
 class DrivePolicy {
-  constructor() {
+  /**
+   * @param {Object} options - Policy options
+   * @param {Object} options.registry - Registry backend (defaults to PowerShellRegistry)
+   * @param {Object} options.privilegeChecker - Privilege checker (defaults to PrivilegeChecker)
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new PowerShellRegistry();
+    this.privilegeChecker = options.privilegeChecker || PrivilegeChecker;
     this.registryPath = 'HKLM:\\SYSTEM\\CurrentControlSet\\Control\\StorageDevicePolicies';
     this.registryValueName = 'WriteProtect';
   }
@@ -18,76 +22,31 @@ class DrivePolicy {
    * Block write access to external removable drives
    * @returns {Promise<Object>} Result object with success status and message
    */
-  // async blockWriteAccess() {
-  //   try {
-  //     Logger.info('Attempting to block external drive write access', null, 'DrivePolicy');
-
-  //     // Verify administrator privileges
-  //     const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Block External Drive Write Access');
-  //     if (!privilegeCheck.success) {
-  //       Logger.warn('Privilege check failed for blocking drive write access', privilegeCheck.error, 'DrivePolicy');
-  //       return privilegeCheck;
-  //     }
-
-  //     // Create the registry key if it doesn't exist, then set WriteProtect to 1
-  //     const command = `powershell -Command "` +
-  //       `if (-not (Test-Path '${this.registryPath}')) { ` +
-  //       `New-Item -Path '${this.registryPath}' -Force | Out-Null; ` +
-  //       `}; ` +
-  //       `Set-ItemProperty -Path '${this.registryPath}' -Name '${this.registryValueName}' -Value 1 -Type DWord -Force"`;
-
-  //     await execAsync(command, { shell: 'powershell.exe' });
-
-  //     Logger.info('External drive write access blocked successfully', null, 'DrivePolicy');
-      
-  //     return {
-  //       success: true,
-  //       message: 'External drive write access has been blocked',
-  //       status: 'blocked'
-  //     };
-  //   } catch (error) {
-  //     return this._handleRegistryError(error, 'block write access');
-  //   }
-  // }
   async blockWriteAccess() {
-  try {
-    Logger.info('Attempting to block external drive write access', null, 'DrivePolicy');
-
-    // Verify administrator privileges
-    const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Block External Drive Write Access');
-    if (!privilegeCheck.success) {
-      Logger.warn('Privilege check failed for blocking drive write access', privilegeCheck.error, 'DrivePolicy');
-      return privilegeCheck;
-    }
-
-    const command = `
-      if (-not (Test-Path '${this.registryPath}')) {
-        New-Item -Path '${this.registryPath}' -Force | Out-Null;
-      };
-      Set-ItemProperty -Path '${this.registryPath}' -Name '${this.registryValueName}' -Value 1 -Type DWord -Force
-    `;
-
-    const { stdout, stderr } = await execAsync(`powershell -Command "${command}"`, {
-      shell: 'powershell.exe'
-    });
+    try {
+      Logger.info('Attempting to block external drive write access', null, 'DrivePolicy');
 
-    Logger.info(`PowerShell stdout: ${stdout}`, null, 'DrivePolicy');
-    if (stderr) {
-      Logger.warn(`PowerShell stderr: ${stderr}`, null, 'DrivePolicy');
-    }
+      // Verify administrator privileges
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Block External Drive Write Access');
+      if (!privilegeCheck.success) {
+        Logger.warn('Privilege check failed for blocking drive write access', privilegeCheck.error, 'DrivePolicy');
+        return privilegeCheck;
+      }
 
-    Logger.info('External drive write access blocked successfully', null, 'DrivePolicy');
+      // Create the registry key if it doesn't exist, then set WriteProtect to 1
+      await this.registry.setValue(this.registryPath, this.registryValueName, 1, 'DWord');
 
-    return {
-      success: true,
-      message: 'External drive write access has been blocked',
-      status: 'blocked'
-    };
+      Logger.info('External drive write access blocked successfully', null, 'DrivePolicy');
 
-  } catch (error) {
-    return this._handleRegistryError(error, 'block write access');
+      return {
+        success: true,
+        message: 'External drive write access has been blocked',
+        status: 'blocked'
+      };
+    } catch (error) {
+      return this._handleRegistryError(error, 'block write access');
+    }
   }
-}
 
   /**
    * Allow write access to external removable drives
@@ -98,20 +57,14 @@ class DrivePolicy {
       Logger.info('Attempting to allow external drive write access', null, 'DrivePolicy');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Allow External Drive Write Access');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Allow External Drive Write Access');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for allowing drive write access', privilegeCheck.error, 'DrivePolicy');
         return privilegeCheck;
       }
 
       // Set WriteProtect to 0 to allow write access
-      const command = `powershell -Command "` +
-        `if (-not (Test-Path '${this.registryPath}')) { ` +
-        `New-Item -Path '${this.registryPath}' -Force | Out-Null; ` +
-        `}; ` +
-        `Set-ItemProperty -Path '${this.registryPath}' -Name '${this.registryValueName}' -Value 0 -Type DWord -Force"`;
-
-      await execAsync(command, { shell: 'powershell.exe' });
+      await this.registry.setValue(this.registryPath, this.registryValueName, 0, 'DWord');
 
       Logger.info('External drive write access allowed successfully', null, 'DrivePolicy');
       
@@ -134,16 +87,7 @@ class DrivePolicy {
       Logger.debug('Checking external drive write access status', null, 'DrivePolicy');
 
       // Read the WriteProtect value from registry
-      const command = `powershell -Command "` +
-        `try { ` +
-        `$value = Get-ItemProperty -Path '${this.registryPath}' -Name '${this.registryValueName}' -ErrorAction Stop; ` +
-        `$value.${this.registryValueName}; ` +
-        `} catch { ` +
-        `Write-Output '-1'; ` +
-        `}"`;
-
-      const { stdout } = await execAsync(command, { shell: 'powershell.exe' });
-      const value = parseInt(stdout.trim(), 10);
+      const value = await this.registry.getValue(this.registryPath, this.registryValueName);
 
       let status;
       let isBlocked;
@@ -173,6 +117,14 @@ class DrivePolicy {
     }
   }
 
+  /**
+   * Get the registry keys written by the drive policy
+   * @returns {Array<string>} Registry key paths
+   */
+  getPolicyKeys() {
+    return [this.registryPath];
+  }
+
   /**
    * Handle registry operation errors with structured error responses
    * @private
@@ -0,0 +1,163 @@
+const Logger = require('../utils/logger');
+
+// Policy type logged for each kind of corrected discrepancy
+const DISCREPANCY_POLICY_TYPES = {
+  driveBlock: 'drive',
+  websiteBlock: 'browser',
+  whitelist: 'whitelist',
+  blocklist: 'blocklist',
+  internalPages: 'internalPages'
+};
+
+/**
+ * EnforcementScheduler - Periodically re-applies the stored policy state
+ * Each run compares the live registry with the desired state and, if someone
+ * removed or changed policies, writes the desired state back
+ */
+class EnforcementScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.policyManager - PolicyManager used to detect drift and apply policies
+   * @param {Function} options.getDesiredState - Async function returning the desired policy state
+   * @param {number} options.intervalMinutes - Minutes between checks (default 5)
+   */
+  constructor(options) {
+    this.policyManager = options.policyManager;
+    this.getDesiredState = options.getDesiredState;
+    this.intervalMinutes = options.intervalMinutes || 5;
+    this.timer = null;
+    this.checking = false;
+    this.lastRun = null;
+  }
+
+  /**
+   * Start periodic enforcement (restarts the timer if already running)
+   * @param {number} intervalMinutes - Optional new interval in minutes
+   */
+  start(intervalMinutes) {
+    if (intervalMinutes) {
+      this.intervalMinutes = intervalMinutes;
+    }
+
+    this.stop();
+    this.timer = setInterval(() => this.runOnce(), this.intervalMinutes * 60 * 1000);
+
+    // Don't keep the process alive just for enforcement
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    Logger.info(`Policy enforcement started (every ${this.intervalMinutes} minutes)`, null, 'EnforcementScheduler');
+  }
+
+  /**
+   * Stop periodic enforcement
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      Logger.info('Policy enforcement stopped', null, 'EnforcementScheduler');
+    }
+  }
+
+  /**
+   * Change the interval between checks (restarts the timer if running)
+   * @param {number} intervalMinutes - Minutes between checks
+   */
+  setIntervalMinutes(intervalMinutes) {
+    this.intervalMinutes = intervalMinutes;
+    if (this.isRunning()) {
+      this.start();
+    }
+  }
+
+  /**
+   * Check whether periodic enforcement is active
+   * @returns {boolean} True if the timer is running
+   */
+  isRunning() {
+    return this.timer !== null;
+  }
+
+  /**
+   * Get the scheduler state
+   * @returns {Object} Running flag, interval and the result of the last run
+   */
+  getStatus() {
+    return {
+      running: this.isRunning(),
+      intervalMinutes: this.intervalMinutes,
+      lastRun: this.lastRun
+    };
+  }
+
+  /**
+   * Check for drift once and re-apply the desired state if needed
+   * Runs are skipped while a previous run is still in progress
+   * @returns {Promise<Object>} Run result
+   */
+  async runOnce() {
+    if (this.checking) {
+      return { success: true, skipped: true };
+    }
+
+    this.checking = true;
+
+    try {
+      const desired = await this.getDesiredState();
+      const drift = await this.policyManager.detectDrift(desired);
+
+      if (!drift.success) {
+        Logger.warn('Policy enforcement check failed', drift.error, 'EnforcementScheduler');
+        return this._recordRun({ success: false, corrected: false, error: drift.error });
+      }
+
+      if (!drift.hasDrift) {
+        return this._recordRun({ success: true, corrected: false, discrepancies: 0 });
+      }
+
+      Logger.warn(`Enforcing stored policies (${drift.discrepancies.length} discrepancies)`, null, 'EnforcementScheduler');
+
+      const result = await this.policyManager.applyPolicy('desiredState', { ...desired, action: 'enforced' });
+
+      // Log each correction so tampering can be traced per browser and policy
+      for (const discrepancy of drift.discrepancies) {
+        const policyType = DISCREPANCY_POLICY_TYPES[discrepancy.policy];
+        if (policyType) {
+          Logger.logPolicyChange(policyType, 'enforced', result.success, {
+            scope: discrepancy.scope,
+            expected: discrepancy.expected,
+            actual: discrepancy.actual,
+            message: discrepancy.message
+          });
+        }
+      }
+
+      return this._recordRun({
+        success: result.success,
+        corrected: result.success,
+        discrepancies: drift.discrepancies.length,
+        error: result.success ? null : result.error
+      });
+    } catch (error) {
+      Logger.error('Policy enforcement run failed', error, 'EnforcementScheduler');
+      return this._recordRun({ success: false, corrected: false, error: { message: error.message } });
+    } finally {
+      this.checking = false;
+    }
+  }
+
+  /**
+   * Remember the result of a run
+   * @private
+   * @param {Object} result - Run result
+   * @returns {Object} The run result with its timestamp
+   */
+  _recordRun(result) {
+    this.lastRun = { ...result, timestamp: new Date().toISOString() };
+    return this.lastRun;
+  }
+}
+
+module.exports = EnforcementScheduler;
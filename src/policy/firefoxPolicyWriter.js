@@ -0,0 +1,419 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Logger = require('../utils/logger');
+const UrlPattern = require('../utils/urlPattern');
+const { readNumberedList, writeNumberedList } = require('../registry/registryList');
+
+// Firefox match pattern that covers every URL
+const ALL_URLS = '<all_urls>';
+
+// WebsiteFilter can't match about: pages, Firefox has a dedicated policy for each one
+const ABOUT_PAGE_POLICIES = {
+  'about:config': 'BlockAboutConfig',
+  'about:addons': 'BlockAboutAddons',
+  'about:profiles': 'BlockAboutProfiles',
+  'about:support': 'BlockAboutSupport'
+};
+
+/**
+ * FirefoxPolicyWriter - Writes website policies in the format Firefox reads
+ * Firefox ignores the Chromium URLBlocklist/URLAllowlist policies and instead uses
+ * WebsiteFilter\Block and WebsiteFilter\Exceptions lists of match patterns
+ */
+class FirefoxPolicyWriter {
+  /**
+   * @param {Object} registry - Registry backend
+   * @param {Object} options - Writer options
+   * @param {string} options.policiesPath - Optional distribution/policies.json file to keep in sync
+   */
+  constructor(registry, options = {}) {
+    this.registry = registry;
+    this.policiesPath = options.policiesPath || null;
+  }
+
+  /**
+   * Convert a whitelist/blocklist entry to a Firefox match pattern
+   * @param {string} domain - Entry (e.g. example.com or docs.google.com/forms)
+   * @returns {string} Match pattern (e.g. *://*.example.com/*)
+   */
+  static toMatchPattern(domain) {
+    return UrlPattern.toFirefox(domain);
+  }
+
+  /**
+   * Convert a match pattern written by toMatchPattern back to an entry
+   * @param {string} pattern - Match pattern
+   * @returns {string} Entry, or the pattern unchanged if it isn't one of ours
+   */
+  static fromMatchPattern(pattern) {
+    return UrlPattern.fromFirefox(pattern);
+  }
+
+  /**
+   * Block all websites
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<void>}
+   */
+  async blockAll(rootPath) {
+    await this._removeLegacyKeys(rootPath);
+    await this.registry.createKey(rootPath);
+    await writeNumberedList(this.registry, this._blockPath(rootPath), [ALL_URLS]);
+    await this._writePoliciesFile([ALL_URLS], await this._readExceptions(rootPath));
+  }
+
+  /**
+   * Remove the block-all rule (and any other blocked patterns)
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<void>}
+   */
+  async unblockAll(rootPath) {
+    await this._removeLegacyKeys(rootPath);
+    await this.registry.deleteKey(this._blockPath(rootPath));
+    await this._writePoliciesFile([], await this._readExceptions(rootPath));
+  }
+
+  /**
+   * Block all websites except the given domains
+   * @param {string} rootPath - Firefox policy root key
+   * @param {Array<string>} domains - Domains to allow
+   * @returns {Promise<void>}
+   */
+  async enableWhitelist(rootPath, domains) {
+    const exceptions = domains.map(domain => FirefoxPolicyWriter.toMatchPattern(domain));
+
+    await this._removeLegacyKeys(rootPath);
+    await this.registry.createKey(rootPath);
+    await writeNumberedList(this.registry, this._blockPath(rootPath), [ALL_URLS]);
+    await writeNumberedList(this.registry, this._exceptionsPath(rootPath), exceptions);
+    await this._writePoliciesFile([ALL_URLS], exceptions);
+  }
+
+  /**
+   * Remove whitelist mode (both blocked patterns and exceptions)
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<void>}
+   */
+  async disableWhitelist(rootPath) {
+    await this._removeLegacyKeys(rootPath);
+    await this.registry.deleteKey(this._filterPath(rootPath));
+    await this._writePoliciesFile([], []);
+  }
+
+  /**
+   * Block only the given domains
+   * @param {string} rootPath - Firefox policy root key
+   * @param {Array<string>} domains - Domains to block
+   * @returns {Promise<void>}
+   */
+  async enableBlocklist(rootPath, domains) {
+    const patterns = domains.map(domain => FirefoxPolicyWriter.toMatchPattern(domain));
+
+    await this._removeLegacyKeys(rootPath);
+    await this.registry.createKey(rootPath);
+    await writeNumberedList(this.registry, this._blockPath(rootPath), patterns);
+    await this._writePoliciesFile(patterns, await this._readExceptions(rootPath));
+  }
+
+  /**
+   * Remove blocklist mode
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<void>}
+   */
+  async disableBlocklist(rootPath) {
+    await this.unblockAll(rootPath);
+  }
+
+  /**
+   * Block Firefox internal pages (e.g. about:config)
+   * Pages without a dedicated Firefox policy are ignored
+   * @param {string} rootPath - Firefox policy root key
+   * @param {Array<string>} pages - Internal page URLs to block
+   * @returns {Promise<void>}
+   */
+  async blockInternalPages(rootPath, pages) {
+    const policyNames = this._getAboutPolicyNames(pages);
+
+    await this.registry.createKey(rootPath);
+    for (const name of policyNames) {
+      await this.registry.setValue(rootPath, name, 1, 'DWord');
+    }
+
+    await this._updatePoliciesFile(policies => {
+      for (const name of policyNames) {
+        policies[name] = true;
+      }
+    });
+  }
+
+  /**
+   * Unblock Firefox internal pages
+   * @param {string} rootPath - Firefox policy root key
+   * @param {Array<string>} pages - Internal page URLs to unblock
+   * @returns {Promise<void>}
+   */
+  async unblockInternalPages(rootPath, pages) {
+    const policyNames = this._getAboutPolicyNames(pages);
+
+    for (const name of policyNames) {
+      await this.registry.deleteValue(rootPath, name);
+    }
+
+    await this._updatePoliciesFile(policies => {
+      for (const name of policyNames) {
+        delete policies[name];
+      }
+    });
+  }
+
+  /**
+   * Check whether all of the given internal pages are blocked
+   * @param {string} rootPath - Firefox policy root key
+   * @param {Array<string>} pages - Internal page URLs
+   * @returns {Promise<boolean>} True if every page's policy is enabled
+   */
+  async areInternalPagesBlocked(rootPath, pages) {
+    for (const name of this._getAboutPolicyNames(pages)) {
+      if (await this.registry.getValue(rootPath, name) !== 1) {
+        return false;
+      }
+    }
+    return true;
+  }
+
+  /**
+   * Check whether the block-all rule is in place
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<boolean>} True if all websites are blocked
+   */
+  async isBlockingAll(rootPath) {
+    const patterns = await readNumberedList(this.registry, this._blockPath(rootPath));
+    return patterns.includes(ALL_URLS);
+  }
+
+  /**
+   * Read the whitelisted domains
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<Array<string>>} Allowed domains
+   */
+  async getAllowedDomains(rootPath) {
+    const patterns = await this._readExceptions(rootPath);
+    return patterns.map(pattern => FirefoxPolicyWriter.fromMatchPattern(pattern));
+  }
+
+  /**
+   * Read the blocked domains, excluding the <all_urls> block-all rule
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<Array<string>>} Blocked domains
+   */
+  async getBlockedDomains(rootPath) {
+    const patterns = await readNumberedList(this.registry, this._blockPath(rootPath));
+    return patterns
+      .filter(pattern => pattern !== ALL_URLS)
+      .map(pattern => FirefoxPolicyWriter.fromMatchPattern(pattern));
+  }
+
+  /**
+   * Rewrite the policies of distribution/policies.json from the registry, if configured
+   * PolicyManager calls this once its registry batch succeeded, so the file never gets
+   * ahead of the registry
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<void>}
+   */
+  async syncPoliciesFile(rootPath) {
+    if (!this.policiesPath) {
+      return;
+    }
+
+    const block = await readNumberedList(this.registry, this._blockPath(rootPath));
+    const exceptions = await this._readExceptions(rootPath);
+    const aboutPolicies = {};
+    for (const name of Object.values(ABOUT_PAGE_POLICIES)) {
+      aboutPolicies[name] = await this.registry.getValue(rootPath, name) === 1;
+    }
+
+    await this._updatePoliciesFile(policies => {
+      if (block.length > 0) {
+        policies.WebsiteFilter = { Block: block, Exceptions: exceptions };
+      } else {
+        delete policies.WebsiteFilter;
+      }
+      for (const [name, blocked] of Object.entries(aboutPolicies)) {
+        if (blocked) {
+          policies[name] = true;
+        } else {
+          delete policies[name];
+        }
+      }
+    });
+  }
+
+  /**
+   * Read distribution/policies.json as it is, so it can be restored after a failed change
+   * @returns {Promise<string|null>} File contents, or null if not configured or missing
+   */
+  async readPoliciesFile() {
+    if (!this.policiesPath) {
+      return null;
+    }
+
+    try {
+      return await fs.readFile(this.policiesPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return null;
+      }
+      throw new Error(`Failed to read Firefox policies file: ${error.message}`);
+    }
+  }
+
+  /**
+   * Put back contents read by readPoliciesFile
+   * @param {string|null} content - File contents, or null to remove the file
+   * @returns {Promise<void>}
+   */
+  async restorePoliciesFile(content) {
+    if (!this.policiesPath) {
+      return;
+    }
+
+    if (content === null) {
+      await fs.rm(this.policiesPath, { force: true });
+    } else {
+      await fs.writeFile(this.policiesPath, content, 'utf8');
+    }
+  }
+
+  /**
+   * Get the registry keys written by this writer (parents before subkeys)
+   * Includes the Chromium-style keys older versions wrote so they are covered by rollback
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Array<string>} Registry key paths
+   */
+  getPolicyKeys(rootPath) {
+    return [
+      rootPath,
+      this._filterPath(rootPath),
+      this._blockPath(rootPath),
+      this._exceptionsPath(rootPath),
+      ...this._legacyPaths(rootPath)
+    ];
+  }
+
+  /**
+   * Remove URLBlocklist/URLAllowlist keys written by older versions
+   * Firefox never read them, they only made the registry look configured
+   * @private
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<void>}
+   */
+  async _removeLegacyKeys(rootPath) {
+    for (const legacyPath of this._legacyPaths(rootPath)) {
+      await this.registry.deleteKey(legacyPath);
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Promise<Array<string>>} Exception match patterns
+   */
+  async _readExceptions(rootPath) {
+    return await readNumberedList(this.registry, this._exceptionsPath(rootPath));
+  }
+
+  /**
+   * Get the Firefox policy names that block the given about: pages
+   * @private
+   * @param {Array<string>} pages - Internal page URLs
+   * @returns {Array<string>} Policy value names
+   */
+  _getAboutPolicyNames(pages) {
+    return pages
+      .map(page => ABOUT_PAGE_POLICIES[page.toLowerCase()])
+      .filter(Boolean);
+  }
+
+  /**
+   * Mirror the WebsiteFilter policy into distribution/policies.json, if configured
+   * @private
+   * @param {Array<string>} block - Blocked match patterns
+   * @param {Array<string>} exceptions - Exception match patterns
+   * @returns {Promise<void>}
+   */
+  async _writePoliciesFile(block, exceptions) {
+    await this._updatePoliciesFile(policies => {
+      if (block.length > 0) {
+        policies.WebsiteFilter = { Block: block, Exceptions: exceptions };
+      } else {
+        delete policies.WebsiteFilter;
+      }
+    });
+  }
+
+  /**
+   * Update distribution/policies.json, if configured
+   * Policies not touched by the update are preserved
+   * @private
+   * @param {Function} update - Receives the policies object and modifies it in place
+   * @returns {Promise<void>}
+   */
+  async _updatePoliciesFile(update) {
+    if (!this.policiesPath) {
+      return;
+    }
+
+    let content = { policies: {} };
+    try {
+      content = JSON.parse(await fs.readFile(this.policiesPath, 'utf8'));
+      content.policies = content.policies || {};
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to read Firefox policies file: ${error.message}`);
+      }
+    }
+
+    update(content.policies);
+
+    await fs.mkdir(path.dirname(this.policiesPath), { recursive: true });
+    await fs.writeFile(this.policiesPath, JSON.stringify(content, null, 2), 'utf8');
+    Logger.debug(`Updated Firefox policies file: ${this.policiesPath}`, null, 'BrowserPolicy');
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {string} WebsiteFilter key path
+   */
+  _filterPath(rootPath) {
+    return `${rootPath}\\WebsiteFilter`;
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {string} WebsiteFilter\Block key path
+   */
+  _blockPath(rootPath) {
+    return `${this._filterPath(rootPath)}\\Block`;
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {string} WebsiteFilter\Exceptions key path
+   */
+  _exceptionsPath(rootPath) {
+    return `${this._filterPath(rootPath)}\\Exceptions`;
+  }
+
+  /**
+   * @private
+   * @param {string} rootPath - Firefox policy root key
+   * @returns {Array<string>} Chromium-style key paths written by older versions
+   */
+  _legacyPaths(rootPath) {
+    return [`${rootPath}\\URLBlocklist`, `${rootPath}\\URLAllowlist`];
+  }
+}
+
+module.exports = FirefoxPolicyWriter;
@@ -1,5 +1,12 @@
+const crypto = require('crypto');
 const DrivePolicy = require('./drivePolicy');
 const BrowserPolicy = require('./browserPolicy');
+const PowerShellRegistry = require('../registry/powerShellRegistry');
+const RegistrySnapshot = require('../registry/registrySnapshot');
+const { buildBatchSteps, runBatch } = require('../registry/registryBatch');
+const MemoryRegistry = require('../registry/memoryRegistry');
+const DriftDetector = require('./driftDetector');
+const { PolicyProfile } = require('../storage/models');
 const PrivilegeChecker = require('../utils/privilegeChecker');
 const Logger = require('../utils/logger');
 
@@ -8,63 +15,84 @@ const Logger = require('../utils/logger');
  * Coordinates privilege checking and policy application
  */
 class PolicyManager {
-  constructor() {
-    this.drivePolicy = new DrivePolicy();
-    this.browserPolicy = new BrowserPolicy();
+  /**
+   * @param {Object} options - Manager options
+   * @param {Object} options.registry - Registry backend shared by all policies (defaults to PowerShellRegistry)
+   * @param {Object} options.privilegeChecker - Privilege checker (defaults to PrivilegeChecker)
+   * @param {string} options.firefoxPoliciesPath - Optional Firefox distribution/policies.json to keep in sync
+   * @param {Object} options.dataStore - DataStore holding policy profiles (required for profile operations)
+   */
+  constructor(options = {}) {
+    this.registry = options.registry || new PowerShellRegistry();
+    this.dataStore = options.dataStore || null;
+    this.firefoxPoliciesPath = options.firefoxPoliciesPath || null;
+    this.privilegeChecker = options.privilegeChecker || PrivilegeChecker;
+    this.options = options;
+
+    this._createPolicies();
+    this.driftDetector = new DriftDetector(this);
+  }
+
+  /**
+   * Switch the registry backend (e.g. when the registry provider setting changes)
+   * The policies are recreated on the new backend and keep their target browsers
+   * @param {Object} registry - Registry backend
+   */
+  setRegistry(registry) {
+    const targetBrowsers = this.browserPolicy.targetBrowsers;
+
+    this.registry = registry;
+    this._createPolicies();
+    this.browserPolicy.setTargetBrowsers(targetBrowsers);
+
+    Logger.info(`Registry backend changed to ${registry.constructor.name}`, null, 'PolicyManager');
+  }
+
+  /**
+   * Create the drive and browser policies on the current registry backend
+   * @private
+   */
+  _createPolicies() {
+    const policyOptions = { ...this.options, registry: this.registry, privilegeChecker: this.privilegeChecker };
+    this.drivePolicy = new DrivePolicy(policyOptions);
+    this.browserPolicy = new BrowserPolicy(policyOptions);
   }
 
   /**
    * Apply a policy based on policy type and settings
-   * @param {string} policyType - Type of policy ('drive', 'browser', 'whitelist')
+   * The affected registry keys are read at once, the policy runs against an in-memory
+   * copy of them and the resulting changes are written as a single registry batch;
+   * if any step of the batch fails the keys are restored from the snapshot
+   * @param {string} policyType - Type of policy ('drive', 'browser', 'whitelist', 'domain', 'blocklist', 'blockedDomain', 'internalPages', 'clearBrowsers', 'desiredState')
    * @param {Object} settings - Policy-specific settings
+   * @param {Object} options - Application options
+   * @param {boolean} options.dryRun - Compute the planned registry changes without applying them
    * @returns {Promise<Object>} Result object with success status and message
    */
-  async applyPolicy(policyType, settings) {
+  async applyPolicy(policyType, settings, options = {}) {
+    if (options.dryRun) {
+      return await this.previewPolicy(policyType, settings, options);
+    }
+
     try {
       Logger.debug(`Applying policy: ${policyType}`, settings, 'PolicyManager');
 
       // Verify administrator privileges before any policy modification
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation(`Apply ${policyType} policy`);
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation(`Apply ${policyType} policy`);
       if (!privilegeCheck.success) {
         Logger.warn(`Privilege check failed for policy: ${policyType}`, privilegeCheck.error, 'PolicyManager');
         return privilegeCheck;
       }
 
-      let result;
-      let action = 'apply';
+      // Snapshot affected registry keys so a failed change can be rolled back
+      const snapshot = await RegistrySnapshot.capture(this.registry, this._getAffectedKeys(policyType));
 
-      switch (policyType) {
-        case 'drive':
-          action = settings.blockWriteAccess ? 'block' : 'allow';
-          result = await this._applyDrivePolicy(settings);
-          break;
-
-        case 'browser':
-          action = settings.blockAllWebsites ? 'block' : 'unblock';
-          result = await this._applyBrowserPolicy(settings);
-          break;
-
-        case 'whitelist':
-          action = settings.enabled ? 'enable' : 'disable';
-          result = await this._applyWhitelistPolicy(settings);
-          break;
-
-        case 'domain':
-          action = settings.action;
-          result = await this._applyDomainPolicy(settings);
-          break;
-
-        default:
-          result = {
-            success: false,
-            error: {
-              code: 'INVALID_POLICY_TYPE',
-              message: 'Invalid policy type',
-              details: `Unknown policy type: ${policyType}. Valid types are: drive, browser, whitelist, domain`,
-              recoverable: false
-            }
-          };
-      }
+      let action = null;
+      const result = await this._runBatched(snapshot, async (sandbox) => {
+        const execution = await sandbox._executePolicy(policyType, settings);
+        action = execution.action;
+        return execution.result;
+      }, `${policyType} policy`);
 
       // Log policy change
       Logger.logPolicyChange(policyType, action, result.success, result.error || result);
@@ -85,6 +113,84 @@ class PolicyManager {
     }
   }
 
+  /**
+   * Preview a policy change without modifying the registry
+   * The policy runs against an in-memory copy of the affected keys and the
+   * resulting state is compared with the live registry
+   * @param {string} policyType - Type of policy ('drive', 'browser', 'whitelist', 'domain', 'blocklist', 'blockedDomain', 'internalPages', 'clearBrowsers', 'desiredState')
+   * @param {Object} settings - Policy-specific settings
+   * @param {Object} options - Preview options
+   * @param {Array<string>|null} options.targetBrowsers - Browsers to target instead of the current
+   *   selection; browsers dropped from the current selection are cleared first, as when the selection changes
+   * @returns {Promise<Object>} Result object with the list of planned registry changes
+   */
+  async previewPolicy(policyType, settings, options = {}) {
+    try {
+      Logger.debug(`Previewing policy: ${policyType}`, settings, 'PolicyManager');
+
+      const keys = this._getAffectedKeys(policyType);
+      const before = await RegistrySnapshot.capture(this.registry, keys);
+
+      // Run the real policy logic against a sandbox seeded with the live keys
+      const sandbox = this._createSandbox(before);
+
+      if (options.targetBrowsers !== undefined) {
+        const targetResult = sandbox.setTargetBrowsers(options.targetBrowsers);
+        if (!targetResult.success) {
+          return targetResult;
+        }
+
+        const removedBrowsers = this.getTargetBrowsers().filter(id => !targetResult.browsers.includes(id));
+        if (removedBrowsers.length > 0) {
+          const cleared = await sandbox._executePolicy('clearBrowsers', { browsers: removedBrowsers });
+          if (!cleared.result.success) {
+            return cleared.result;
+          }
+        }
+      }
+
+      const { action, result } = await sandbox._executePolicy(policyType, settings);
+      if (!result.success) {
+        return result;
+      }
+
+      const after = await RegistrySnapshot.capture(sandbox.registry, keys);
+      const changes = before.diff(after);
+
+      const summary = {
+        created: changes.filter(c => c.action === 'create').length,
+        modified: changes.filter(c => c.action === 'modify').length,
+        deleted: changes.filter(c => c.action === 'delete').length
+      };
+
+      Logger.info(`Policy preview computed: ${policyType} - ${action}`, summary, 'PolicyManager');
+
+      return {
+        success: true,
+        dryRun: true,
+        policyType: policyType,
+        action: action,
+        message: changes.length > 0
+          ? `${changes.length} registry keys will be changed`
+          : 'No registry changes are required',
+        changes: changes,
+        summary: summary
+      };
+    } catch (error) {
+      Logger.error(`Error previewing policy: ${policyType}`, error, 'PolicyManager');
+      return {
+        success: false,
+        error: {
+          code: 'POLICY_PREVIEW_ERROR',
+          message: 'Failed to preview policy',
+          details: error.message || 'An unexpected error occurred while previewing the policy',
+          recoverable: true,
+          originalError: error.toString()
+        }
+      };
+    }
+  }
+
   /**
    * Get current status of all policies
    * @returns {Promise<Object>} Current policy status across all policy types
@@ -98,6 +204,11 @@ class PolicyManager {
       
       // Get domain list (indicates if whitelist is active)
       const domainList = await this.browserPolicy.getDomainList();
+
+      // Get blocked domain list (indicates if blocklist is active)
+      const blockedList = await this.browserPolicy.getBlockedDomainList();
+
+      const internalPages = await this.browserPolicy.getInternalPagesStatus();
       
       // Determine browser policy status based on domain list
       const whitelistActive = domainList.success && domainList.count > 0;
@@ -114,7 +225,11 @@ class PolicyManager {
           browser: {
             whitelistActive: whitelistActive,
             whitelistedDomains: domainList.success ? domainList.domains : [],
-            domainCount: domainList.success ? domainList.count : 0
+            domainCount: domainList.success ? domainList.count : 0,
+            blocklistActive: blockedList.success && blockedList.count > 0,
+            blockedDomains: blockedList.success ? blockedList.domains : [],
+            internalPagesBlocked: internalPages.success && internalPages.blocked,
+            error: [domainList, blockedList, internalPages].filter(result => !result.success).map(result => result.error)[0] || null
           }
         }
       };
@@ -136,6 +251,305 @@ class PolicyManager {
     }
   }
 
+  /**
+   * Choose which browsers website policies are applied to
+   * @param {Array<string>|null} browserIds - Browser ids, or null for every browser
+   * @returns {Object} Result object with the targeted browser ids
+   */
+  setTargetBrowsers(browserIds) {
+    return this.browserPolicy.setTargetBrowsers(browserIds);
+  }
+
+  /**
+   * Get the ids of the browsers website policies are applied to
+   * @returns {Array<string>} Browser ids
+   */
+  getTargetBrowsers() {
+    return this.browserPolicy.getTargetBrowsers();
+  }
+
+  /**
+   * Compare a desired policy state with the live registry
+   * @param {Object} desired - Desired policy state (see DriftDetector)
+   * @returns {Promise<Object>} Result with per-browser discrepancies and the live state
+   */
+  async detectDrift(desired) {
+    return await this.driftDetector.detect(desired);
+  }
+
+  /**
+   * Get the website policy state of each supported browser
+   * @returns {Promise<Object>} Result object with per-browser status
+   */
+  async getBrowserStatus() {
+    try {
+      return await this.browserPolicy.getBrowserStatus();
+    } catch (error) {
+      Logger.error('Error retrieving browser status', error, 'PolicyManager');
+      return {
+        success: false,
+        error: {
+          code: 'STATUS_RETRIEVAL_ERROR',
+          message: 'Failed to retrieve browser status',
+          details: error.message || 'An unexpected error occurred while retrieving browser status',
+          recoverable: true,
+          originalError: error.toString()
+        }
+      };
+    }
+  }
+
+  /**
+   * Create a policy manager that works on an in-memory copy of snapshotted keys
+   * Privileges are checked by the caller before anything is written to the real registry
+   * @private
+   * @param {RegistrySnapshot} snapshot - Snapshot the sandbox registry is seeded with
+   * @returns {PolicyManager} Sandbox policy manager targeting the same browsers
+   */
+  _createSandbox(snapshot) {
+    const sandbox = new PolicyManager({
+      browsers: this.browserPolicy.browsers,
+      registry: new MemoryRegistry({ data: snapshot.toRegistryData() }),
+      privilegeChecker: {
+        verifyPrivilegesForOperation: async () => ({ success: true })
+      }
+    });
+    sandbox.setTargetBrowsers(this.getTargetBrowsers());
+    return sandbox;
+  }
+
+  /**
+   * Run a policy operation in a sandbox and write the resulting registry changes as one batch
+   * An operation that fails in the sandbox never touches the registry; if a batch step
+   * fails, the keys are restored from the snapshot. The sandbox doesn't write Firefox's
+   * policies.json: it's updated from the registry after the batch succeeded, and put
+   * back along with the keys if that fails
+   * @private
+   * @param {RegistrySnapshot} snapshot - Snapshot of every key the operation may modify
+   * @param {Function} operation - Async function receiving the sandbox PolicyManager and returning a result object
+   * @param {string} description - Operation description used in rollback messages
+   * @returns {Promise<Object>} Operation result with the batch result ({ success, results, durationMs })
+   */
+  async _runBatched(snapshot, operation, description) {
+    const sandbox = this._createSandbox(snapshot);
+    const result = await operation(sandbox);
+    if (!result.success) {
+      return result;
+    }
+
+    const firefoxRoot = this._getFirefoxPoliciesRoot(snapshot);
+    const policiesFile = firefoxRoot ? await this.browserPolicy.firefoxWriter.readPoliciesFile() : null;
+
+    const after = await RegistrySnapshot.capture(sandbox.registry, snapshot.getKeyPaths());
+    const batch = await runBatch(this.registry, buildBatchSteps(snapshot.diff(after)));
+    if (batch.success) {
+      try {
+        if (firefoxRoot) {
+          await this.browserPolicy.firefoxWriter.syncPoliciesFile(firefoxRoot);
+        }
+        return { ...result, batch: batch };
+      } catch (error) {
+        try {
+          await this.browserPolicy.firefoxWriter.restorePoliciesFile(policiesFile);
+        } catch (restoreError) {
+          Logger.error('Failed to restore the Firefox policies file', restoreError, 'PolicyManager');
+        }
+        return await this._rollback(snapshot, {
+          ...result,
+          success: false,
+          error: {
+            code: 'POLICIES_FILE_FAILED',
+            message: 'Failed to write the Firefox policies file',
+            details: error.message,
+            recoverable: true
+          },
+          batch: batch
+        }, description);
+      }
+    }
+
+    const failed = batch.results.filter(step => !step.success);
+    return await this._rollback(snapshot, {
+      ...result,
+      success: false,
+      error: {
+        code: 'REGISTRY_BATCH_FAILED',
+        message: 'Failed to write policy changes to the registry',
+        details: failed.map(step => `${step.path}: ${step.error}`).join('; '),
+        recoverable: true
+      },
+      batch: batch
+    }, description);
+  }
+
+  /**
+   * Get the Firefox policy root whose policies.json has to follow an operation
+   * @private
+   * @param {RegistrySnapshot} snapshot - Snapshot of every key the operation may modify
+   * @returns {string|null} Firefox policy root, or null if no policies.json is configured or the keys aren't affected
+   */
+  _getFirefoxPoliciesRoot(snapshot) {
+    const firefoxRoot = this.browserPolicy.browserPaths.firefox;
+    if (!this.firefoxPoliciesPath || !firefoxRoot) {
+      return null;
+    }
+    return snapshot.getKeyPaths().includes(firefoxRoot) ? firefoxRoot : null;
+  }
+
+  /**
+   * Run the policy operation for a policy type
+   * @private
+   * @param {string} policyType - Type of policy
+   * @param {Object} settings - Policy-specific settings
+   * @returns {Promise<{action: string, result: Object}>} Logged action name and policy result
+   */
+  async _executePolicy(policyType, settings) {
+    switch (policyType) {
+      case 'drive':
+        return {
+          action: settings.blockWriteAccess ? 'block' : 'allow',
+          result: await this._applyDrivePolicy(settings)
+        };
+
+      case 'browser':
+        return {
+          action: settings.blockAllWebsites ? 'block' : 'unblock',
+          result: await this._applyBrowserPolicy(settings)
+        };
+
+      case 'whitelist':
+        return {
+          action: settings.enabled ? 'enable' : 'disable',
+          result: await this._applyWhitelistPolicy(settings)
+        };
+
+      case 'domain':
+        return {
+          action: settings.action,
+          result: await this._applyDomainPolicy(settings)
+        };
+
+      case 'blocklist':
+        return {
+          action: settings.enabled ? 'enable' : 'disable',
+          result: await this._applyBlocklistPolicy(settings)
+        };
+
+      case 'blockedDomain':
+        return {
+          action: settings.action,
+          result: await this._applyBlockedDomainPolicy(settings)
+        };
+
+      case 'internalPages':
+        return {
+          action: settings.enabled ? 'block' : 'unblock',
+          result: await this._applyInternalPagesPolicy(settings)
+        };
+
+      case 'clearBrowsers':
+        return {
+          action: 'clear',
+          result: await this._applyClearBrowsersPolicy(settings)
+        };
+
+      case 'desiredState':
+        return {
+          action: settings.action || 'reapply',
+          result: await this._applyDesiredStatePolicy(settings)
+        };
+
+      default:
+        return {
+          action: 'apply',
+          result: {
+            success: false,
+            error: {
+              code: 'INVALID_POLICY_TYPE',
+              message: 'Invalid policy type',
+              details: `Unknown policy type: ${policyType}. Valid types are: drive, browser, whitelist, domain, blocklist, blockedDomain, internalPages, clearBrowsers, desiredState`,
+              recoverable: false
+            }
+          }
+        };
+    }
+  }
+
+  /**
+   * Get the registry keys a policy type may modify
+   * @private
+   * @param {string} policyType - Type of policy
+   * @returns {Array<string>} Registry key paths
+   */
+  _getAffectedKeys(policyType) {
+    switch (policyType) {
+      case 'drive':
+        return this.drivePolicy.getPolicyKeys();
+      case 'desiredState':
+        return [...this.drivePolicy.getPolicyKeys(), ...this.browserPolicy.getPolicyKeys()];
+      case 'browser':
+      case 'whitelist':
+      case 'domain':
+      case 'blocklist':
+      case 'blockedDomain':
+      case 'internalPages':
+      case 'clearBrowsers':
+        return this.browserPolicy.getPolicyKeys();
+      default:
+        return [];
+    }
+  }
+
+  /**
+   * Restore a registry snapshot after a failed policy change
+   * @private
+   * @param {RegistrySnapshot} snapshot - Snapshot taken before the change
+   * @param {Object} result - Failed result from the policy operation
+   * @param {string} operation - Description of the operation that failed
+   * @returns {Promise<Object>} Failed result annotated with rollback details
+   */
+  async _rollback(snapshot, result, operation) {
+    Logger.warn(`Rolling back ${operation} after failure`, result.error || result.results, 'PolicyManager');
+
+    const restore = await snapshot.restore();
+    const rollback = {
+      performed: true,
+      success: restore.success,
+      restoredKeys: restore.restoredKeys,
+      failedKeys: restore.failedKeys,
+      message: restore.success
+        ? `Rolled back changes to ${restore.restoredKeys.length} registry keys`
+        : `Rollback failed for ${restore.failedKeys.length} registry keys`
+    };
+
+    if (!restore.success) {
+      return {
+        ...result,
+        success: false,
+        error: {
+          code: 'ROLLBACK_FAILED',
+          message: 'Failed to roll back policy changes',
+          details: `Cannot apply ${operation} and the previous state could not be fully restored. Affected keys: ${restore.failedKeys.map(k => k.path).join(', ')}`,
+          recoverable: false,
+          originalError: result.error || null
+        },
+        rollback: rollback
+      };
+    }
+
+    return {
+      ...result,
+      success: false,
+      error: result.error || {
+        code: 'POLICY_ROLLED_BACK',
+        message: 'Policy could not be fully applied',
+        details: `${result.message || `Cannot apply ${operation}`}. All changes were rolled back to the previous state.`,
+        recoverable: true
+      },
+      rollback: rollback
+    };
+  }
+
   /**
    * Apply drive policy settings
    * @private
@@ -170,6 +584,7 @@ class PolicyManager {
    * @private
    * @param {Object} settings - Browser policy settings
    * @param {boolean} settings.blockAllWebsites - Whether to block all websites
+   * @param {boolean} settings.blockInternalPages - Also block browser internal pages when blocking
    * @returns {Promise<Object>} Result object
    */
   async _applyBrowserPolicy(settings) {
@@ -188,7 +603,8 @@ class PolicyManager {
     }
 
     if (blockAllWebsites) {
-      return await this.browserPolicy.blockAllWebsites();
+      const result = await this.browserPolicy.blockAllWebsites();
+      return await this._applyInternalPagesLockdown(result, settings);
     } else {
       return await this.browserPolicy.unblockAllWebsites();
     }
@@ -200,6 +616,7 @@ class PolicyManager {
    * @param {Object} settings - Whitelist policy settings
    * @param {boolean} settings.enabled - Whether to enable whitelist mode
    * @param {Array<string>} settings.domains - Array of domains to whitelist (required if enabled)
+   * @param {boolean} settings.blockInternalPages - Also block browser internal pages when enabling
    * @returns {Promise<Object>} Result object
    */
   async _applyWhitelistPolicy(settings) {
@@ -242,35 +659,53 @@ class PolicyManager {
         };
       }
 
-      return await this.browserPolicy.enableWhitelist(domains);
+      const result = await this.browserPolicy.enableWhitelist(domains);
+      return await this._applyInternalPagesLockdown(result, settings);
     } else {
       return await this.browserPolicy.disableWhitelist();
     }
   }
 
   /**
-   * Apply domain policy (add/remove individual domains)
+   * Apply domain policy (add/remove individual domains, or add a batch at once)
    * @private
    * @param {Object} settings - Domain policy settings
-   * @param {string} settings.action - Action to perform ('add' or 'remove')
+   * @param {string} settings.action - Action to perform ('add', 'addMany' or 'remove')
    * @param {string} settings.domain - Domain to add or remove
+   * @param {Array<string>} settings.domains - Domains to add (for 'addMany')
    * @returns {Promise<Object>} Result object
    */
   async _applyDomainPolicy(settings) {
-    const { action, domain } = settings;
+    const { action, domain, domains } = settings;
 
-    if (!action || !['add', 'remove'].includes(action)) {
+    if (!action || !['add', 'addMany', 'remove'].includes(action)) {
       return {
         success: false,
         error: {
           code: 'INVALID_SETTINGS',
           message: 'Invalid domain policy settings',
-          details: 'action must be either "add" or "remove"',
+          details: 'action must be "add", "addMany" or "remove"',
           recoverable: false
         }
       };
     }
 
+    if (action === 'addMany') {
+      if (!Array.isArray(domains) || domains.length === 0) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_SETTINGS',
+            message: 'Invalid domain policy settings',
+            details: 'domains must be a non-empty array',
+            recoverable: false
+          }
+        };
+      }
+
+      return await this.browserPolicy.addDomains(domains);
+    }
+
     if (!domain || typeof domain !== 'string') {
       return {
         success: false,
@@ -290,6 +725,237 @@ class PolicyManager {
     }
   }
 
+  /**
+   * Apply blocklist policy settings (enable/disable blocking of specific domains)
+   * @private
+   * @param {Object} settings - Blocklist policy settings
+   * @param {boolean} settings.enabled - Whether to enable blocklist mode
+   * @param {Array<string>} settings.domains - Array of domains to block (required if enabled)
+   * @returns {Promise<Object>} Result object
+   */
+  async _applyBlocklistPolicy(settings) {
+    const { enabled, domains } = settings;
+
+    if (typeof enabled !== 'boolean') {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_SETTINGS',
+          message: 'Invalid blocklist policy settings',
+          details: 'enabled must be a boolean value',
+          recoverable: false
+        }
+      };
+    }
+
+    if (enabled) {
+      if (!Array.isArray(domains)) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_SETTINGS',
+            message: 'Invalid blocklist policy settings',
+            details: 'domains must be an array when enabling blocklist',
+            recoverable: false
+          }
+        };
+      }
+
+      if (domains.length === 0) {
+        return {
+          success: false,
+          error: {
+            code: 'INVALID_SETTINGS',
+            message: 'Invalid blocklist policy settings',
+            details: 'At least one domain must be provided when enabling blocklist',
+            recoverable: false
+          }
+        };
+      }
+
+      return await this.browserPolicy.enableBlocklist(domains);
+    } else {
+      return await this.browserPolicy.disableBlocklist();
+    }
+  }
+
+  /**
+   * Apply blocked domain policy (add/remove individual blocked domains)
+   * @private
+   * @param {Object} settings - Blocked domain policy settings
+   * @param {string} settings.action - Action to perform ('add' or 'remove')
+   * @param {string} settings.domain - Domain to add or remove
+   * @returns {Promise<Object>} Result object
+   */
+  async _applyBlockedDomainPolicy(settings) {
+    const { action, domain } = settings;
+
+    if (!action || !['add', 'remove'].includes(action)) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_SETTINGS',
+          message: 'Invalid blocked domain policy settings',
+          details: 'action must be either "add" or "remove"',
+          recoverable: false
+        }
+      };
+    }
+
+    if (!domain || typeof domain !== 'string') {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_SETTINGS',
+          message: 'Invalid blocked domain policy settings',
+          details: 'domain must be a non-empty string',
+          recoverable: false
+        }
+      };
+    }
+
+    if (action === 'add') {
+      return await this.browserPolicy.addBlockedDomain(domain);
+    } else {
+      return await this.browserPolicy.removeBlockedDomain(domain);
+    }
+  }
+
+  /**
+   * Apply internal page policy settings (block/unblock browser internal pages)
+   * @private
+   * @param {Object} settings - Internal page policy settings
+   * @param {boolean} settings.enabled - Whether to block internal pages
+   * @returns {Promise<Object>} Result object
+   */
+  async _applyInternalPagesPolicy(settings) {
+    const { enabled } = settings;
+
+    if (typeof enabled !== 'boolean') {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_SETTINGS',
+          message: 'Invalid internal pages policy settings',
+          details: 'enabled must be a boolean value',
+          recoverable: false
+        }
+      };
+    }
+
+    if (enabled) {
+      return await this.browserPolicy.blockInternalPages();
+    } else {
+      return await this.browserPolicy.unblockInternalPages();
+    }
+  }
+
+  /**
+   * Apply clear browsers policy (remove website policies from specific browsers)
+   * @private
+   * @param {Object} settings - Clear browsers policy settings
+   * @param {Array<string>} settings.browsers - Browser ids to clear
+   * @returns {Promise<Object>} Result object
+   */
+  async _applyClearBrowsersPolicy(settings) {
+    const { browsers } = settings;
+
+    if (!Array.isArray(browsers) || browsers.length === 0) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_SETTINGS',
+          message: 'Invalid clear browsers policy settings',
+          details: 'browsers must be a non-empty array of browser ids',
+          recoverable: false
+        }
+      };
+    }
+
+    return await this.browserPolicy.clearBrowsers(browsers);
+  }
+
+  /**
+   * Apply a complete desired policy state (drive and website policies)
+   * The targeted browsers' website policies are cleared first, then the active modes
+   * are written to them, so hand edits and stale entries are removed. Browsers that
+   * aren't targeted are left alone (see policy:setTargetBrowsers for dropped browsers)
+   * @private
+   * @param {Object} settings - Desired policy state (see DriftDetector)
+   * @returns {Promise<Object>} Result object
+   */
+  async _applyDesiredStatePolicy(settings) {
+    const blockInternalPages = settings.internalPagesLockdown !== false;
+    const whitelistedDomains = settings.whitelistedDomains || [];
+    const blockedDomains = settings.blockedDomains || [];
+
+    const drive = await this._applyDrivePolicy({ blockWriteAccess: !!settings.driveBlock });
+    if (!drive.success) {
+      return drive;
+    }
+
+    const cleared = await this.browserPolicy.clearBrowsers(this.getTargetBrowsers());
+    if (!cleared.success) {
+      return cleared;
+    }
+
+    let website = null;
+    if (settings.whitelist && whitelistedDomains.length > 0) {
+      website = await this._applyWhitelistPolicy({ enabled: true, domains: whitelistedDomains, blockInternalPages });
+    } else if (settings.websiteBlock) {
+      website = await this._applyBrowserPolicy({ blockAllWebsites: true, blockInternalPages });
+    } else if (settings.blocklist && blockedDomains.length > 0) {
+      website = await this._applyBlocklistPolicy({ enabled: true, domains: blockedDomains });
+    }
+
+    if (website && !website.success) {
+      return website;
+    }
+
+    return {
+      success: true,
+      message: 'Stored policy state has been applied',
+      status: 'state_applied'
+    };
+  }
+
+  /**
+   * Block browser internal pages after websites were blocked, if requested
+   * A lockdown failure fails the whole operation so it is rolled back
+   * @private
+   * @param {Object} result - Result of blocking websites or enabling the whitelist
+   * @param {Object} settings - Policy settings
+   * @param {boolean} settings.blockInternalPages - Whether to block internal pages
+   * @returns {Promise<Object>} Result object
+   */
+  async _applyInternalPagesLockdown(result, settings) {
+    if (!result.success || !settings.blockInternalPages) {
+      return result;
+    }
+
+    const internalPages = await this.browserPolicy.blockInternalPages();
+    if (!internalPages.success) {
+      return {
+        ...internalPages,
+        message: internalPages.message || 'Websites were blocked but browser internal pages could not be blocked'
+      };
+    }
+
+    return {
+      ...result,
+      internalPagesBlocked: true
+    };
+  }
+
+  /**
+   * Validate a domain using the browser policy rules
+   * @param {string} domain - Domain to validate
+   * @returns {boolean} True if domain is valid
+   */
+  validateDomain(domain) {
+    return this.browserPolicy.validateDomain(domain);
+  }
+
   /**
    * Synchronize policy states with actual Group Policy settings
    * This method queries the actual registry settings and returns the true state
@@ -302,13 +968,27 @@ class PolicyManager {
       // Get actual policy status from the system
       const driveStatus = await this.drivePolicy.getWriteAccessStatus();
       const domainList = await this.browserPolicy.getDomainList();
+      const blockedList = await this.browserPolicy.getBlockedDomainList();
+      const browserStatus = await this.browserPolicy.getBrowserStatus();
+
+      // Don't report policies as off when they couldn't be read
+      for (const list of [domainList, blockedList]) {
+        if (!list.success) {
+          return list;
+        }
+      }
+
+      // Block-all without an allowlist is "block all websites"; with one it is the whitelist
+      const primary = browserStatus.browsers.find(b => b.id === this.getTargetBrowsers()[0]);
+      const whitelistActive = domainList.success && domainList.count > 0;
 
       const syncedStates = {
         success: true,
         states: {
           driveBlock: driveStatus.success ? driveStatus.isBlocked : false,
-          websiteBlock: false, // Website blocking is determined by whitelist presence
-          whitelist: domainList.success && domainList.count > 0,
+          websiteBlock: !!(primary && primary.allBlocked) && !whitelistActive,
+          whitelist: whitelistActive,
+          blocklist: blockedList.success && blockedList.count > 0,
           lastSynced: new Date().toISOString()
         },
         timestamp: new Date().toISOString()
@@ -340,59 +1020,67 @@ class PolicyManager {
       Logger.info('Resetting all policies to default state', null, 'PolicyManager');
 
       // Verify administrator privileges
-      const privilegeCheck = await PrivilegeChecker.verifyPrivilegesForOperation('Reset all policies');
+      const privilegeCheck = await this.privilegeChecker.verifyPrivilegesForOperation('Reset all policies');
       if (!privilegeCheck.success) {
         Logger.warn('Privilege check failed for reset all policies', privilegeCheck.error, 'PolicyManager');
         return privilegeCheck;
       }
 
-      const results = {
-        drive: null,
-        browser: null,
-        whitelist: null
-      };
+      // Snapshot every policy key so a partial reset can be rolled back
+      const snapshot = await RegistrySnapshot.capture(this.registry, [
+        ...this.drivePolicy.getPolicyKeys(),
+        ...this.browserPolicy.getPolicyKeys()
+      ]);
 
-      // Reset drive policy
-      results.drive = await this.drivePolicy.allowWriteAccess();
-      if (!results.drive.success) {
-        Logger.warn('Failed to reset drive policy', results.drive.error, 'PolicyManager');
-      }
+      return await this._runBatched(snapshot, async (sandbox) => {
+        const results = {
+          drive: null,
+          browser: null,
+          whitelist: null
+        };
 
-      // Reset browser policy
-      results.browser = await this.browserPolicy.unblockAllWebsites();
-      if (!results.browser.success) {
-        Logger.warn('Failed to reset browser policy', results.browser.error, 'PolicyManager');
-      }
+        // Reset drive policy
+        results.drive = await sandbox.drivePolicy.allowWriteAccess();
+        if (!results.drive.success) {
+          Logger.warn('Failed to reset drive policy', results.drive.error, 'PolicyManager');
+        }
 
-      // Reset whitelist
-      results.whitelist = await this.browserPolicy.disableWhitelist();
-      if (!results.whitelist.success) {
-        Logger.warn('Failed to reset whitelist policy', results.whitelist.error, 'PolicyManager');
-      }
+        // Reset browser policy
+        results.browser = await sandbox.browserPolicy.unblockAllWebsites();
+        if (!results.browser.success) {
+          Logger.warn('Failed to reset browser policy', results.browser.error, 'PolicyManager');
+        }
+
+        // Reset whitelist
+        results.whitelist = await sandbox.browserPolicy.disableWhitelist();
+        if (!results.whitelist.success) {
+          Logger.warn('Failed to reset whitelist policy', results.whitelist.error, 'PolicyManager');
+        }
+
+        // Check if all operations succeeded
+        const allSucceeded = results.drive.success && results.browser.success && results.whitelist.success;
 
-      // Check if all operations succeeded
-      const allSucceeded = results.drive.success && results.browser.success && results.whitelist.success;
+        if (!allSucceeded) {
+          Logger.warn('Some policies failed to reset', results, 'PolicyManager');
+          return {
+            success: false,
+            error: {
+              code: 'RESET_ROLLED_BACK',
+              message: 'Policies could not be reset',
+              details: 'One or more policy reset operations failed. No changes were made.',
+              recoverable: true
+            },
+            results: results
+          };
+        }
 
-      if (allSucceeded) {
         Logger.info('All policies reset successfully', null, 'PolicyManager');
         return {
           success: true,
           message: 'All policies have been reset to default state',
           results: results
         };
-      } else {
-        Logger.warn('Some policies failed to reset', results, 'PolicyManager');
-        return {
-          success: false,
-          error: {
-            code: 'PARTIAL_RESET_FAILURE',
-            message: 'Some policies could not be reset',
-            details: 'One or more policy reset operations failed. Check individual results for details.',
-            recoverable: true
-          },
-          results: results
-        };
-      }
+      }, 'policy reset');
     } catch (error) {
       Logger.error('Error resetting policies', error, 'PolicyManager');
       return {
@@ -407,6 +1095,326 @@ class PolicyManager {
       };
     }
   }
+
+  /**
+   * Get the stored policy profiles
+   * The active profile is reported as modified when the stored settings no longer match it
+   * @returns {Promise<Object>} Result with profiles, activeProfileId and activeProfileModified
+   */
+  async getProfiles() {
+    try {
+      const storeError = this._checkProfileStore();
+      if (storeError) {
+        return storeError;
+      }
+
+      const profiles = await this.dataStore.getProfiles();
+      const settings = await this.dataStore.getSettings();
+      const active = profiles.find(p => p.id === settings.activeProfileId) || null;
+
+      return {
+        success: true,
+        profiles: profiles,
+        activeProfileId: active ? active.id : null,
+        activeProfileModified: active ? !this._profileMatchesSettings(active, settings) : false
+      };
+    } catch (error) {
+      return this._handleProfileError(error, 'load profiles');
+    }
+  }
+
+  /**
+   * Create a profile
+   * @param {string} name - Profile name
+   * @param {Object} state - Policy state to bundle ({ driveBlock, websiteBlock, whitelist, whitelistedDomains, blocklist, blockedDomains })
+   * @returns {Promise<Object>} Result with the created profile
+   */
+  async createProfile(name, state) {
+    try {
+      const storeError = this._checkProfileStore();
+      if (storeError) {
+        return storeError;
+      }
+
+      const profiles = await this.dataStore.getProfiles();
+      const profile = new PolicyProfile({
+        ...state,
+        id: crypto.randomUUID(),
+        name: typeof name === 'string' ? name.trim() : name
+      });
+
+      const validationError = this._validateProfile(profile, profiles);
+      if (validationError) {
+        return validationError;
+      }
+
+      await this.dataStore.updateProfiles([...profiles, profile.toJSON()]);
+      Logger.info(`Profile "${profile.name}" created`, profile.toJSON(), 'PolicyManager');
+
+      return {
+        success: true,
+        message: `Profile "${profile.name}" created`,
+        profile: profile.toJSON()
+      };
+    } catch (error) {
+      return this._handleProfileError(error, 'create profile');
+    }
+  }
+
+  /**
+   * Rename a profile
+   * @param {string} profileId - Profile id
+   * @param {string} name - New profile name
+   * @returns {Promise<Object>} Result with the renamed profile
+   */
+  async renameProfile(profileId, name) {
+    try {
+      const storeError = this._checkProfileStore();
+      if (storeError) {
+        return storeError;
+      }
+
+      const profiles = await this.dataStore.getProfiles();
+      const existing = profiles.find(p => p.id === profileId);
+      if (!existing) {
+        return this._profileNotFound(profileId);
+      }
+
+      const profile = new PolicyProfile({
+        ...existing,
+        name: typeof name === 'string' ? name.trim() : name,
+        lastModified: new Date().toISOString()
+      });
+
+      const validationError = this._validateProfile(profile, profiles);
+      if (validationError) {
+        return validationError;
+      }
+
+      await this.dataStore.updateProfiles(profiles.map(p => (p.id === profileId ? profile.toJSON() : p)));
+      Logger.info(`Profile "${existing.name}" renamed to "${profile.name}"`, null, 'PolicyManager');
+
+      return {
+        success: true,
+        message: `Profile renamed to "${profile.name}"`,
+        profile: profile.toJSON()
+      };
+    } catch (error) {
+      return this._handleProfileError(error, 'rename profile');
+    }
+  }
+
+  /**
+   * Delete a profile
+   * Deleting the active profile leaves the applied policies in place
+   * @param {string} profileId - Profile id
+   * @returns {Promise<Object>} Result object
+   */
+  async deleteProfile(profileId) {
+    try {
+      const storeError = this._checkProfileStore();
+      if (storeError) {
+        return storeError;
+      }
+
+      const profiles = await this.dataStore.getProfiles();
+      const existing = profiles.find(p => p.id === profileId);
+      if (!existing) {
+        return this._profileNotFound(profileId);
+      }
+
+      await this.dataStore.updateProfiles(profiles.filter(p => p.id !== profileId));
+
+      const settings = await this.dataStore.getSettings();
+      if (settings.activeProfileId === profileId) {
+        await this.dataStore.updateSettings({ activeProfileId: null });
+      }
+
+      Logger.info(`Profile "${existing.name}" deleted`, null, 'PolicyManager');
+
+      return {
+        success: true,
+        message: `Profile "${existing.name}" deleted`
+      };
+    } catch (error) {
+      return this._handleProfileError(error, 'delete profile');
+    }
+  }
+
+  /**
+   * Activate a profile: apply its whole bundle at once and store it as the current settings
+   * @param {string} profileId - Profile id
+   * @returns {Promise<Object>} Result object
+   */
+  async activateProfile(profileId) {
+    try {
+      const storeError = this._checkProfileStore();
+      if (storeError) {
+        return storeError;
+      }
+
+      const profiles = await this.dataStore.getProfiles();
+      const existing = profiles.find(p => p.id === profileId);
+      if (!existing) {
+        return this._profileNotFound(profileId);
+      }
+
+      const profile = PolicyProfile.fromJSON(existing);
+      const state = profile.toState();
+      const settings = await this.dataStore.getSettings();
+
+      const result = await this.applyPolicy('desiredState', {
+        ...state,
+        internalPagesLockdown: settings.internalPagesLockdown !== false,
+        action: 'activateProfile'
+      });
+
+      if (!result.success) {
+        return result;
+      }
+
+      await this.dataStore.updateSettings({
+        driveBlockEnabled: state.driveBlock,
+        websiteBlockEnabled: state.websiteBlock,
+        whitelistEnabled: state.whitelist,
+        whitelistedDomains: state.whitelistedDomains,
+        blocklistEnabled: state.blocklist,
+        blockedDomains: state.blockedDomains,
+        activeProfileId: profile.id
+      });
+
+      await this.dataStore.updateToggleStates({
+        driveBlock: state.driveBlock,
+        websiteBlock: state.websiteBlock,
+        whitelist: state.whitelist,
+        blocklist: state.blocklist,
+        lastSynced: new Date().toISOString()
+      });
+
+      Logger.info(`Profile "${profile.name}" activated`, state, 'PolicyManager');
+
+      return {
+        success: true,
+        message: `Profile "${profile.name}" activated`,
+        profile: profile.toJSON()
+      };
+    } catch (error) {
+      return this._handleProfileError(error, 'activate profile');
+    }
+  }
+
+  /**
+   * Check that a DataStore was provided for profile operations
+   * @private
+   * @returns {Object|null} Error result, or null if profiles can be used
+   */
+  _checkProfileStore() {
+    if (this.dataStore) {
+      return null;
+    }
+
+    return {
+      success: false,
+      error: {
+        code: 'PROFILE_STORE_UNAVAILABLE',
+        message: 'Profiles are not available',
+        details: 'PolicyManager was created without a data store',
+        recoverable: false
+      }
+    };
+  }
+
+  /**
+   * Validate a profile and check that its name is unique
+   * @private
+   * @param {PolicyProfile} profile - Profile to validate
+   * @param {Array<Object>} profiles - Stored profiles
+   * @returns {Object|null} Error result, or null if the profile is valid
+   */
+  _validateProfile(profile, profiles) {
+    try {
+      profile.validate();
+    } catch (error) {
+      return {
+        success: false,
+        error: {
+          code: 'INVALID_PROFILE',
+          message: 'Invalid profile',
+          details: error.message,
+          recoverable: true
+        }
+      };
+    }
+
+    const name = profile.name.toLowerCase();
+    if (profiles.some(p => p.id !== profile.id && p.name.toLowerCase() === name)) {
+      return {
+        success: false,
+        error: {
+          code: 'DUPLICATE_PROFILE_NAME',
+          message: 'Profile name already in use',
+          details: `A profile named "${profile.name}" already exists`,
+          recoverable: true
+        }
+      };
+    }
+
+    return null;
+  }
+
+  /**
+   * Check whether the stored settings still match a profile
+   * @private
+   * @param {Object} profile - Stored profile
+   * @param {Object} settings - Stored settings
+   * @returns {boolean} True if applying the profile would not change the settings
+   */
+  _profileMatchesSettings(profile, settings) {
+    const sameList = (a, b) => [...(a || [])].sort().join(',') === [...(b || [])].sort().join(',');
+
+    return profile.driveBlock === !!settings.driveBlockEnabled &&
+      profile.websiteBlock === !!settings.websiteBlockEnabled &&
+      profile.whitelist === !!settings.whitelistEnabled &&
+      profile.blocklist === !!settings.blocklistEnabled &&
+      sameList(profile.whitelistedDomains, settings.whitelistedDomains) &&
+      sameList(profile.blockedDomains, settings.blockedDomains);
+  }
+
+  /**
+   * @private
+   * @param {string} profileId - Profile id that was not found
+   * @returns {Object} Error result
+   */
+  _profileNotFound(profileId) {
+    return {
+      success: false,
+      error: {
+        code: 'PROFILE_NOT_FOUND',
+        message: 'Profile not found',
+        details: `No profile with id ${profileId}`,
+        recoverable: true
+      }
+    };
+  }
+
+  /**
+   * @private
+   * @param {Error} error - Error thrown by a profile operation
+   * @param {string} operation - Description of the operation
+   * @returns {Object} Error result
+   */
+  _handleProfileError(error, operation) {
+    Logger.error(`Failed to ${operation}`, error, 'PolicyManager');
+    return {
+      success: false,
+      error: {
+        code: 'PROFILE_ERROR',
+        message: `Failed to ${operation}`,
+        details: error.message,
+        recoverable: true
+      }
+    };
+  }
 }
 
 module.exports = PolicyManager;
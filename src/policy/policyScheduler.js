@@ -0,0 +1,283 @@
+const Logger = require('../utils/logger');
+const UrlPattern = require('../utils/urlPattern');
+
+const MINUTES_PER_DAY = 24 * 60;
+const MINUTES_PER_WEEK = 7 * MINUTES_PER_DAY;
+
+// Schedule policy types that own the browsers' website lists
+const WEBSITE_POLICY_TYPES = ['browser', 'whitelist', 'blocklist'];
+
+/**
+ * Convert an HH:MM time to minutes after midnight
+ * @param {string} time - Time in 24-hour HH:MM format
+ * @returns {number} Minutes after midnight
+ */
+function toMinutes(time) {
+  const [hours, minutes] = time.split(':').map(Number);
+  return hours * 60 + minutes;
+}
+
+/**
+ * PolicyScheduler - Switches policies on and off from recurring schedule rules
+ * Rules are evaluated in local time; while a rule is active its policy is layered
+ * on top of the stored settings and the combined state is applied at every boundary
+ */
+class PolicyScheduler {
+  /**
+   * @param {Object} options - Scheduler options
+   * @param {Object} options.policyManager - PolicyManager used to apply policies
+   * @param {Function} options.getRules - Async function returning the stored schedule rules
+   * @param {Function} options.getDesiredState - Async function returning the desired policy state
+   *   (stored settings with the active rules applied, see applyActiveRules)
+   * @param {number} options.checkIntervalSeconds - Seconds between boundary checks (default 30)
+   */
+  constructor(options) {
+    this.policyManager = options.policyManager;
+    this.getRules = options.getRules;
+    this.getDesiredState = options.getDesiredState;
+    this.checkIntervalSeconds = options.checkIntervalSeconds || 30;
+    this.timer = null;
+    this.evaluating = false;
+    this.activeRuleIds = null;
+  }
+
+  /**
+   * Start checking for schedule boundaries
+   * The current schedule is applied right away so rules survive app restarts
+   * @returns {Promise<Object>} Result of the initial evaluation
+   */
+  async start() {
+    this.stop();
+    this.timer = setInterval(() => this.evaluate(), this.checkIntervalSeconds * 1000);
+
+    // Don't keep the process alive just for schedules
+    if (this.timer.unref) {
+      this.timer.unref();
+    }
+
+    Logger.info('Policy scheduler started', null, 'PolicyScheduler');
+    return await this.evaluate();
+  }
+
+  /**
+   * Stop checking for schedule boundaries
+   */
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+      Logger.info('Policy scheduler stopped', null, 'PolicyScheduler');
+    }
+  }
+
+  /**
+   * Apply the desired state if the set of active rules changed since the last run
+   * @param {boolean} force - Apply even if no boundary was crossed (e.g. after a rule was edited)
+   * @returns {Promise<Object>} Result with the active rule ids
+   */
+  async evaluate(force = false) {
+    if (this.evaluating) {
+      return { success: true, skipped: true };
+    }
+
+    this.evaluating = true;
+
+    try {
+      const rules = await this.getRules();
+      const active = PolicyScheduler.getActiveRules(rules, new Date());
+      const activeIds = active.map(rule => rule.id).sort();
+
+      // Nothing has ever been scheduled, leave the registry alone on startup
+      if (this.activeRuleIds === null && !force && !rules.some(rule => rule.enabled !== false)) {
+        this.activeRuleIds = [];
+      }
+
+      const previousIds = this.activeRuleIds || [];
+      const changed = this.activeRuleIds === null || previousIds.join(',') !== activeIds.join(',');
+
+      if (!changed && !force) {
+        return { success: true, changed: false, activeRuleIds: activeIds };
+      }
+
+      for (const rule of active.filter(r => !previousIds.includes(r.id))) {
+        Logger.info(`Schedule "${rule.name}" started`, { id: rule.id, policyType: rule.policyType }, 'PolicyScheduler');
+      }
+      for (const id of previousIds.filter(i => !activeIds.includes(i))) {
+        Logger.info('Schedule ended', { id }, 'PolicyScheduler');
+      }
+
+      const desired = await this.getDesiredState();
+      const result = await this.policyManager.applyPolicy('desiredState', { ...desired, action: 'scheduled' });
+
+      // On failure the boundary is retried on the next check
+      if (result.success) {
+        this.activeRuleIds = activeIds;
+      } else {
+        Logger.warn('Failed to apply scheduled policies', result.error, 'PolicyScheduler');
+      }
+
+      return { ...result, changed: true, activeRuleIds: activeIds };
+    } catch (error) {
+      Logger.error('Schedule evaluation failed', error, 'PolicyScheduler');
+      return {
+        success: false,
+        error: {
+          code: 'SCHEDULE_ERROR',
+          message: 'Failed to apply scheduled policies',
+          details: error.message,
+          recoverable: true
+        }
+      };
+    } finally {
+      this.evaluating = false;
+    }
+  }
+
+  /**
+   * Get the weekly time windows of a rule in minutes since Sunday 00:00
+   * Windows of rules that run past midnight end after the start of the next day
+   * @param {Object} rule - Schedule rule
+   * @returns {Array<Array<number>>} [start, end) pairs
+   */
+  static getWindows(rule) {
+    const start = toMinutes(rule.start);
+    const duration = (toMinutes(rule.end) - start + MINUTES_PER_DAY) % MINUTES_PER_DAY;
+
+    return rule.days.map(day => {
+      const windowStart = day * MINUTES_PER_DAY + start;
+      return [windowStart, windowStart + duration];
+    });
+  }
+
+  /**
+   * Check whether a rule is active at the given time
+   * @param {Object} rule - Schedule rule
+   * @param {Date} date - Point in time (local time is used)
+   * @returns {boolean} True if the rule is enabled and inside one of its windows
+   */
+  static isActive(rule, date) {
+    if (rule.enabled === false) {
+      return false;
+    }
+
+    const minute = date.getDay() * MINUTES_PER_DAY + date.getHours() * 60 + date.getMinutes();
+
+    // A Saturday window running past midnight covers the start of the week too
+    return PolicyScheduler.getWindows(rule).some(([start, end]) =>
+      (minute >= start && minute < end) ||
+      (minute + MINUTES_PER_WEEK >= start && minute + MINUTES_PER_WEEK < end));
+  }
+
+  /**
+   * Get the rules active at the given time
+   * @param {Array<Object>} rules - Schedule rules
+   * @param {Date} date - Point in time
+   * @returns {Array<Object>} Active rules
+   */
+  static getActiveRules(rules, date) {
+    return rules.filter(rule => PolicyScheduler.isActive(rule, date));
+  }
+
+  /**
+   * Layer the active rules on top of a desired policy state
+   * A scheduled website mode replaces the stored website mode while it is active
+   * @param {Object} state - Desired policy state built from the stored settings
+   * @param {Array<Object>} activeRules - Active schedule rules
+   * @returns {Object} Desired policy state with the schedules applied
+   */
+  static applyActiveRules(state, activeRules) {
+    const next = { ...state };
+
+    if (activeRules.some(rule => rule.policyType === 'drive')) {
+      next.driveBlock = true;
+    }
+
+    // Overlapping website rules are rejected as conflicts, so at most one applies
+    const website = activeRules.find(rule => WEBSITE_POLICY_TYPES.includes(rule.policyType));
+    if (website) {
+      next.websiteBlock = website.policyType === 'browser';
+      next.whitelist = website.policyType === 'whitelist';
+      next.blocklist = website.policyType === 'blocklist';
+
+      if (website.policyType === 'whitelist') {
+        next.whitelistedDomains = [...website.settings.domains];
+      }
+      if (website.policyType === 'blocklist') {
+        next.blockedDomains = [...website.settings.domains];
+      }
+    }
+
+    return next;
+  }
+
+  /**
+   * Find overlapping rules that switch on different website modes
+   * Drive rules never conflict, and identical website rules only repeat each other
+   * @param {Array<Object>} rules - Schedule rules
+   * @returns {Array<Object>} Conflicts ({ ruleId, ruleName, otherRuleId, otherRuleName, message })
+   */
+  static findConflicts(rules) {
+    const website = rules.filter(rule =>
+      rule.enabled !== false && WEBSITE_POLICY_TYPES.includes(rule.policyType));
+    const conflicts = [];
+
+    for (let i = 0; i < website.length; i++) {
+      for (let j = i + 1; j < website.length; j++) {
+        const a = website[i];
+        const b = website[j];
+
+        if (PolicyScheduler._isSamePolicy(a, b) || !PolicyScheduler._overlaps(a, b)) {
+          continue;
+        }
+
+        conflicts.push({
+          ruleId: a.id,
+          ruleName: a.name,
+          otherRuleId: b.id,
+          otherRuleName: b.name,
+          message: `"${a.name}" and "${b.name}" overlap and apply different website policies`
+        });
+      }
+    }
+
+    return conflicts;
+  }
+
+  /**
+   * Check whether two rules have overlapping windows
+   * @private
+   * @param {Object} a - Schedule rule
+   * @param {Object} b - Schedule rule
+   * @returns {boolean} True if the rules are ever active at the same time
+   */
+  static _overlaps(a, b) {
+    const windowsB = PolicyScheduler.getWindows(b);
+
+    return PolicyScheduler.getWindows(a).some(([startA, endA]) =>
+      windowsB.some(([startB, endB]) =>
+        [-MINUTES_PER_WEEK, 0, MINUTES_PER_WEEK].some(shift =>
+          startA < endB + shift && startB + shift < endA)));
+  }
+
+  /**
+   * Check whether two rules switch on the same website policy
+   * @private
+   * @param {Object} a - Schedule rule
+   * @param {Object} b - Schedule rule
+   * @returns {boolean} True if policy type and domains match
+   */
+  static _isSamePolicy(a, b) {
+    if (a.policyType !== b.policyType) {
+      return false;
+    }
+
+    const normalize = rule => (rule.settings.domains || [])
+      .map(domain => UrlPattern.normalize(domain) || domain)
+      .sort()
+      .join(',');
+
+    return normalize(a) === normalize(b);
+  }
+}
+
+module.exports = PolicyScheduler;
@@ -0,0 +1,271 @@
+const fs = require('fs').promises;
+
+/**
+ * MemoryRegistry - In-memory registry implementation with optional JSON file persistence
+ * Mirrors the PowerShellRegistry interface so policy logic can run off Windows
+ * (e.g. on Linux CI) without touching the real registry
+ */
+class MemoryRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {string} options.filePath - Optional JSON file used to load and persist registry contents
+   * @param {Object} options.data - Optional initial contents ({ keyPath: { valueName: { type, data } } })
+   */
+  constructor(options = {}) {
+    this.filePath = options.filePath || null;
+    this.keys = new Map();
+    this.loaded = !this.filePath;
+
+    if (options.data) {
+      this._import(options.data);
+    }
+  }
+
+  /**
+   * Check whether a registry key exists
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<boolean>} True if the key exists
+   */
+  async keyExists(keyPath) {
+    await this._ensureLoaded();
+    return this.keys.has(this._normalizePath(keyPath));
+  }
+
+  /**
+   * Create a registry key (and any missing parent keys) if it doesn't exist
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<void>}
+   */
+  async createKey(keyPath) {
+    await this._ensureLoaded();
+    this._createKey(keyPath);
+    await this._persist();
+  }
+
+  /**
+   * Delete a registry key and all of its subkeys if it exists
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<void>}
+   */
+  async deleteKey(keyPath) {
+    await this._ensureLoaded();
+    const normalized = this._normalizePath(keyPath);
+
+    for (const key of [...this.keys.keys()]) {
+      if (key === normalized || key.startsWith(`${normalized}\\`)) {
+        this.keys.delete(key);
+      }
+    }
+
+    await this._persist();
+  }
+
+  /**
+   * Read a single registry value
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @returns {Promise<string|number|null>} Value data, or null if the key or value doesn't exist
+   */
+  async getValue(keyPath, name) {
+    await this._ensureLoaded();
+    const key = this.keys.get(this._normalizePath(keyPath));
+    if (!key) {
+      return null;
+    }
+
+    const entry = key.values.get(name.toLowerCase());
+    return entry ? entry.data : null;
+  }
+
+  /**
+   * Write a single registry value, creating the key if needed
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @param {string|number} value - Value data
+   * @param {string} type - Registry value type ('String' or 'DWord')
+   * @returns {Promise<void>}
+   */
+  async setValue(keyPath, name, value, type = 'String') {
+    await this._ensureLoaded();
+    const key = this._createKey(keyPath);
+    const data = type === 'DWord' ? Number(value) : String(value);
+
+    key.values.set(String(name).toLowerCase(), { name: String(name), type, data });
+    await this._persist();
+  }
+
+  /**
+   * Delete a single registry value if it exists
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @returns {Promise<void>}
+   */
+  async deleteValue(keyPath, name) {
+    await this._ensureLoaded();
+    const key = this.keys.get(this._normalizePath(keyPath));
+    if (key) {
+      key.values.delete(String(name).toLowerCase());
+      await this._persist();
+    }
+  }
+
+  /**
+   * Write and delete several values of a key in one batch, creating the key if needed
+   * @param {string} keyPath - Registry key path
+   * @param {Object} changes - Value changes
+   * @param {Array<Object>} changes.set - Values to write ({ name, value, type })
+   * @param {Array<string>} changes.delete - Names of values to delete
+   * @returns {Promise<void>}
+   */
+  async updateValues(keyPath, changes) {
+    await this._ensureLoaded();
+    const key = this._createKey(keyPath);
+
+    for (const name of changes.delete || []) {
+      key.values.delete(String(name).toLowerCase());
+    }
+
+    for (const { name, value, type = 'String' } of changes.set || []) {
+      const data = type === 'DWord' ? Number(value) : String(value);
+      key.values.set(String(name).toLowerCase(), { name: String(name), type, data });
+    }
+
+    await this._persist();
+  }
+
+  /**
+   * Enumerate all values of a registry key
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<Object>} Map of value name to value data (empty if the key doesn't exist)
+   */
+  async getValues(keyPath) {
+    await this._ensureLoaded();
+    const key = this.keys.get(this._normalizePath(keyPath));
+    const values = {};
+
+    if (key) {
+      for (const entry of key.values.values()) {
+        values[entry.name] = entry.data;
+      }
+    }
+
+    return values;
+  }
+
+  /**
+   * Export registry contents as a plain object
+   * @returns {Object} Registry contents ({ keyPath: { valueName: { type, data } } })
+   */
+  toJSON() {
+    const result = {};
+
+    for (const key of this.keys.values()) {
+      const values = {};
+      for (const entry of key.values.values()) {
+        values[entry.name] = { type: entry.type, data: entry.data };
+      }
+      result[key.path] = values;
+    }
+
+    return result;
+  }
+
+  /**
+   * Create a key and its parents in memory
+   * @private
+   * @param {string} keyPath - Registry key path
+   * @returns {Object} The key entry
+   */
+  _createKey(keyPath) {
+    const segments = this._normalizePath(keyPath).split('\\');
+    const originalSegments = this._canonicalPath(keyPath).split('\\');
+    let key = null;
+
+    for (let i = 1; i <= segments.length; i++) {
+      const normalized = segments.slice(0, i).join('\\');
+      key = this.keys.get(normalized);
+
+      if (!key) {
+        key = { path: originalSegments.slice(0, i).join('\\'), values: new Map() };
+        this.keys.set(normalized, key);
+      }
+    }
+
+    return key;
+  }
+
+  /**
+   * Load contents from a plain object
+   * @private
+   * @param {Object} data - Registry contents ({ keyPath: { valueName: { type, data } } })
+   */
+  _import(data) {
+    for (const [keyPath, values] of Object.entries(data)) {
+      const key = this._createKey(keyPath);
+      for (const [name, entry] of Object.entries(values || {})) {
+        key.values.set(name.toLowerCase(), { name, type: entry.type || 'String', data: entry.data });
+      }
+    }
+  }
+
+  /**
+   * Load contents from the backing JSON file on first access
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _ensureLoaded() {
+    if (this.loaded) {
+      return;
+    }
+
+    try {
+      const content = await fs.readFile(this.filePath, 'utf8');
+      this._import(JSON.parse(content));
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to load registry file: ${error.message}`);
+      }
+    }
+
+    this.loaded = true;
+  }
+
+  /**
+   * Write contents to the backing JSON file, if one is configured
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _persist() {
+    if (!this.filePath) {
+      return;
+    }
+
+    await fs.writeFile(this.filePath, JSON.stringify(this.toJSON(), null, 2), 'utf8');
+  }
+
+  /**
+   * Convert a path to the canonical PowerShell provider form (HKLM:\...)
+   * @private
+   * @param {string} keyPath - Registry key path
+   * @returns {string} Canonical path
+   */
+  _canonicalPath(keyPath) {
+    return String(keyPath)
+      .replace(/^HKEY_LOCAL_MACHINE(?=\\|$)/i, 'HKLM:')
+      .replace(/^HKEY_CURRENT_USER(?=\\|$)/i, 'HKCU:')
+      .replace(/^(HKLM|HKCU)(?=\\|$)/i, '$1:')
+      .replace(/\\+$/, '');
+  }
+
+  /**
+   * Normalize a path for case-insensitive lookups
+   * @private
+   * @param {string} keyPath - Registry key path
+   * @returns {string} Normalized path
+   */
+  _normalizePath(keyPath) {
+    return this._canonicalPath(keyPath).toLowerCase();
+  }
+}
+
+module.exports = MemoryRegistry;
@@ -0,0 +1,151 @@
+/**
+ * PowerShell command builder - Turns registry operations into PowerShell statements
+ * Every piece of data (key paths, value names, value data) is emitted as a quoted
+ * literal, never spliced into the script as code, and paths are passed with
+ * -LiteralPath so wildcard characters aren't expanded
+ */
+
+// PowerShell treats the typographic single quotes like ' when parsing string literals
+const SINGLE_QUOTES = /['\u2018\u2019\u201a\u201b]/g;
+
+// Characters that can't appear inside a single-quoted literal on one script line
+const CONTROL_CHARACTERS = /[\u0000-\u001f\u007f]/;
+
+const VALUE_TYPES = ['String', 'DWord'];
+
+/**
+ * Quote a string as a PowerShell literal
+ * Control characters (e.g. line breaks) are emitted as [char] codes so the
+ * result always fits on one line
+ * @param {string} value - Value to quote
+ * @returns {string} PowerShell expression evaluating to the value
+ */
+function quote(value) {
+  const text = String(value);
+
+  if (!CONTROL_CHARACTERS.test(text)) {
+    return `'${text.replace(SINGLE_QUOTES, match => match + match)}'`;
+  }
+
+  const parts = [];
+  let literal = '';
+  for (const char of text) {
+    if (CONTROL_CHARACTERS.test(char)) {
+      if (literal) {
+        parts.push(quote(literal));
+        literal = '';
+      }
+      parts.push(`[char]${char.charCodeAt(0)}`);
+    } else {
+      literal += char;
+    }
+  }
+  if (literal) {
+    parts.push(quote(literal));
+  }
+
+  return `(${parts.join(' + ')})`;
+}
+
+/**
+ * Format value data for Set-ItemProperty
+ * @param {string|number} value - Value data
+ * @param {string} type - Registry value type ('String' or 'DWord')
+ * @returns {string} PowerShell expression for the data
+ */
+function valueData(value, type) {
+  if (!VALUE_TYPES.includes(type)) {
+    throw new Error(`Unsupported registry value type: ${type}`);
+  }
+
+  if (type === 'DWord') {
+    const number = Number(value);
+    if (!Number.isInteger(number) || number < 0 || number > 0xffffffff) {
+      throw new Error(`Invalid DWord value: ${value}`);
+    }
+    return String(number);
+  }
+
+  return quote(value);
+}
+
+/**
+ * @param {string} keyPath - Registry key path
+ * @returns {string} Statement creating the key (and its parents) if it doesn't exist
+ */
+function createKey(keyPath) {
+  const path = quote(keyPath);
+  return `if (-not (Test-Path -LiteralPath ${path})) { New-Item -Path ${path} -Force | Out-Null }`;
+}
+
+/**
+ * @param {string} keyPath - Registry key path
+ * @returns {string} Statement deleting the key and its subkeys if it exists
+ */
+function deleteKey(keyPath) {
+  const path = quote(keyPath);
+  return `if (Test-Path -LiteralPath ${path}) { Remove-Item -LiteralPath ${path} -Recurse -Force }`;
+}
+
+/**
+ * @param {string} keyPath - Registry key path
+ * @param {string} name - Value name
+ * @param {string|number} value - Value data
+ * @param {string} type - Registry value type ('String' or 'DWord')
+ * @returns {string} Statement writing the value (the key must exist)
+ */
+function setValue(keyPath, name, value, type = 'String') {
+  return `Set-ItemProperty -LiteralPath ${quote(keyPath)} -Name ${quote(name)} ` +
+    `-Value ${valueData(value, type)} -Type ${type} -Force`;
+}
+
+/**
+ * @param {string} keyPath - Registry key path
+ * @param {string} name - Value name
+ * @returns {string} Statement deleting the value if it exists
+ */
+function deleteValue(keyPath, name) {
+  const path = quote(keyPath);
+  return `if (Test-Path -LiteralPath ${path}) { ` +
+    `Remove-ItemProperty -LiteralPath ${path} -Name ${quote(name)} -Force -ErrorAction SilentlyContinue }`;
+}
+
+/**
+ * Compile a batch step (see registryBatch) to a single line of PowerShell
+ * @param {Object} step - Batch step
+ * @returns {string} PowerShell statements
+ */
+function compileStep(step) {
+  if (step.operation === 'deleteKey') {
+    return deleteKey(step.path);
+  }
+  if (step.operation !== 'updateValues') {
+    throw new Error(`Unsupported batch operation: ${step.operation}`);
+  }
+
+  return [
+    createKey(step.path),
+    ...(step.delete || []).map(name => deleteValue(step.path, name)),
+    ...(step.set || []).map(({ name, value, type = 'String' }) => setValue(step.path, name, value, type))
+  ].join('; ');
+}
+
+/**
+ * Encode a script for powershell.exe -EncodedCommand (base64 of UTF-16LE)
+ * @param {string} script - PowerShell script
+ * @returns {string} Encoded command
+ */
+function encodeCommand(script) {
+  return Buffer.from(script, 'utf16le').toString('base64');
+}
+
+module.exports = {
+  quote,
+  valueData,
+  createKey,
+  deleteKey,
+  setValue,
+  deleteValue,
+  compileStep,
+  encodeCommand
+};
@@ -0,0 +1,287 @@
+const { execFile, spawn } = require('child_process');
+const { promisify } = require('util');
+const Logger = require('../utils/logger');
+const PowerShellCommand = require('./powerShellCommand');
+
+const execFileAsync = promisify(execFile);
+
+// Batch scripts are too long for the command line, so they're piped to the process
+// encoded like -EncodedCommand (base64 of UTF-16LE) and run by this fixed bootstrap.
+// Stdin then only carries base64 characters: the console code page can't change the
+// script, and PowerShell doesn't parse it line by line as it does with -Command -
+const BATCH_BOOTSTRAP =
+  '$script = [Text.Encoding]::Unicode.GetString([Convert]::FromBase64String([Console]::In.ReadToEnd().Trim())); ' +
+  '& ([ScriptBlock]::Create($script))';
+const POWERSHELL_ARGS = [
+  '-NoProfile',
+  '-NonInteractive',
+  '-ExecutionPolicy',
+  'Bypass',
+  '-EncodedCommand',
+  PowerShellCommand.encodeCommand(BATCH_BOOTSTRAP)
+];
+
+/**
+ * PowerShellRegistry - Windows Registry access backed by PowerShell commands
+ * Paths use the PowerShell provider format (e.g. HKLM:\SOFTWARE\Policies\...)
+ */
+class PowerShellRegistry {
+  /**
+   * Check whether a registry key exists
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<boolean>} True if the key exists
+   */
+  async keyExists(keyPath) {
+    const { stdout } = await this._run(`Test-Path -LiteralPath ${PowerShellCommand.quote(keyPath)}`);
+    return stdout.trim().toLowerCase() === 'true';
+  }
+
+  /**
+   * Create a registry key (and any missing parent keys) if it doesn't exist
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<void>}
+   */
+  async createKey(keyPath) {
+    await this._run(PowerShellCommand.createKey(keyPath));
+  }
+
+  /**
+   * Delete a registry key and all of its subkeys if it exists
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<void>}
+   */
+  async deleteKey(keyPath) {
+    await this._run(PowerShellCommand.deleteKey(keyPath));
+  }
+
+  /**
+   * Read a single registry value
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @returns {Promise<string|number|null>} Value data, or null if the key or value doesn't exist
+   */
+  async getValue(keyPath, name) {
+    const quotedName = PowerShellCommand.quote(name);
+    const { stdout } = await this._run(
+      `try { ` +
+      `$key = Get-Item -LiteralPath ${PowerShellCommand.quote(keyPath)} -ErrorAction Stop; ` +
+      `if ($key.GetValueNames() -contains ${quotedName}) { ` +
+      `$key.GetValueKind(${quotedName}).ToString() + '|' + $key.GetValue(${quotedName}); ` +
+      `} ` +
+      `} catch { }`
+    );
+
+    const line = stdout.trim();
+    if (!line) {
+      return null;
+    }
+
+    const [kind, ...rest] = line.split('|');
+    return this._parseValue(kind, rest.join('|'));
+  }
+
+  /**
+   * Write a single registry value, creating the key if needed
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @param {string|number} value - Value data
+   * @param {string} type - Registry value type ('String' or 'DWord')
+   * @returns {Promise<void>}
+   */
+  async setValue(keyPath, name, value, type = 'String') {
+    await this._run(
+      `${PowerShellCommand.createKey(keyPath)}; ` +
+      PowerShellCommand.setValue(keyPath, name, value, type)
+    );
+  }
+
+  /**
+   * Delete a single registry value if it exists
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @returns {Promise<void>}
+   */
+  async deleteValue(keyPath, name) {
+    await this._run(PowerShellCommand.deleteValue(keyPath, name));
+  }
+
+  /**
+   * Write and delete several values of a key in one batch, creating the key if needed
+   * @param {string} keyPath - Registry key path
+   * @param {Object} changes - Value changes
+   * @param {Array<Object>} changes.set - Values to write ({ name, value, type })
+   * @param {Array<string>} changes.delete - Names of values to delete
+   * @returns {Promise<void>}
+   */
+  async updateValues(keyPath, changes) {
+    const [result] = await this.runBatch([{ operation: 'updateValues', path: keyPath, ...changes }]);
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+  }
+
+  /**
+   * Run batch steps (see registryBatch) in a single PowerShell process
+   * Each step runs in its own try/catch and reports its outcome and duration,
+   * so a failing step doesn't stop the others
+   * @param {Array<Object>} steps - Batch steps
+   * @returns {Promise<Array<Object>>} Per-step results ({ index, operation, path, success, durationMs, error })
+   */
+  async runBatch(steps) {
+    const lines = steps.map((step, index) =>
+      `try { $sw = [Diagnostics.Stopwatch]::StartNew(); ${PowerShellCommand.compileStep(step)}; ` +
+      `'STEP|${index}|OK|' + $sw.ElapsedMilliseconds } ` +
+      `catch { 'STEP|${index}|ERROR|' + $sw.ElapsedMilliseconds + '|' + ($_.Exception.Message -replace '[\\r\\n]+', ' ') }`
+    );
+
+    const { stdout } = await this._runScript(["$ErrorActionPreference = 'Stop'", ...lines]);
+
+    const reported = new Map();
+    for (const line of stdout.split('\n').map(l => l.trim())) {
+      const match = /^STEP\|(\d+)\|(OK|ERROR)\|(\d+)(?:\|(.*))?$/.exec(line);
+      if (match) {
+        reported.set(Number(match[1]), { success: match[2] === 'OK', durationMs: Number(match[3]), error: match[4] || null });
+      }
+    }
+
+    return steps.map((step, index) => ({
+      index: index,
+      operation: step.operation,
+      path: step.path,
+      ...(reported.get(index) || { success: false, durationMs: 0, error: 'Step did not report a result' })
+    }));
+  }
+
+  /**
+   * Read several keys in a single PowerShell process
+   * @param {Array<string>} keyPaths - Registry key paths
+   * @returns {Promise<Array<Object>>} Key states ({ path, exists, values }) in the given order
+   */
+  async readKeys(keyPaths) {
+    const lines = keyPaths.map((keyPath, index) =>
+      `try { $key = Get-Item -LiteralPath ${PowerShellCommand.quote(keyPath)} -ErrorAction Stop; 'KEY|${index}'; ` +
+      `$key.GetValueNames() | ForEach-Object { 'VALUE|${index}|' + $key.GetValueKind($_).ToString() + '|' + $_ + '|' + $key.GetValue($_) } ` +
+      `} catch { }`
+    );
+
+    const { stdout } = await this._runScript(lines);
+    const keys = keyPaths.map(keyPath => ({ path: keyPath, exists: false, values: {} }));
+
+    for (const line of stdout.split('\n').map(l => l.trim()).filter(l => l.length > 0)) {
+      const [tag, index, kind, name, ...rest] = line.split('|');
+      const key = keys[Number(index)];
+      if (!key) {
+        continue;
+      }
+
+      if (tag === 'KEY') {
+        key.exists = true;
+      } else if (tag === 'VALUE') {
+        key.values[name] = this._parseValue(kind, rest.join('|'));
+      }
+    }
+
+    return keys;
+  }
+
+  /**
+   * Enumerate all values of a registry key
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<Object>} Map of value name to value data (empty if the key doesn't exist)
+   */
+  async getValues(keyPath) {
+    const { stdout } = await this._run(
+      `try { ` +
+      `$key = Get-Item -LiteralPath ${PowerShellCommand.quote(keyPath)} -ErrorAction Stop; ` +
+      `$key.GetValueNames() | ForEach-Object { ` +
+      `$key.GetValueKind($_).ToString() + '|' + $_ + '|' + $key.GetValue($_) ` +
+      `} ` +
+      `} catch { }`
+    );
+
+    const values = {};
+    stdout
+      .split('\n')
+      .map(line => line.trim())
+      .filter(line => line.length > 0)
+      .forEach(line => {
+        const [kind, name, ...rest] = line.split('|');
+        values[name] = this._parseValue(kind, rest.join('|'));
+      });
+
+    return values;
+  }
+
+  /**
+   * Convert PowerShell output to a typed value
+   * @private
+   * @param {string} kind - Registry value kind reported by PowerShell
+   * @param {string} data - Raw value data
+   * @returns {string|number} Typed value
+   */
+  _parseValue(kind, data) {
+    if (kind === 'DWord' || kind === 'QWord') {
+      return parseInt(data, 10);
+    }
+    return data;
+  }
+
+  /**
+   * Execute a multi-statement script in one PowerShell process, piped through stdin
+   * (encoded, see BATCH_BOOTSTRAP) so the script length isn't limited by the command line
+   * @private
+   * @param {Array<string>} lines - Script lines, each a complete statement
+   * @returns {Promise<{stdout: string, stderr: string}>} Process output
+   */
+  _runScript(lines) {
+    return new Promise((resolve, reject) => {
+      const started = Date.now();
+      const child = spawn('powershell.exe', POWERSHELL_ARGS, { windowsHide: true });
+      let stdout = '';
+      let stderr = '';
+
+      child.stdout.on('data', chunk => { stdout += chunk; });
+      child.stderr.on('data', chunk => { stderr += chunk; });
+      child.on('error', reject);
+      child.on('close', code => {
+        Logger.debug(`PowerShell script finished in ${Date.now() - started} ms`, { lines: lines.length, exitCode: code }, 'Registry');
+
+        if (stderr) {
+          Logger.warn(`PowerShell stderr: ${stderr}`, null, 'Registry');
+        }
+        if (code !== 0) {
+          reject(new Error(`PowerShell exited with code ${code}: ${stderr.trim()}`));
+          return;
+        }
+        resolve({ stdout, stderr });
+      });
+
+      child.stdin.end(PowerShellCommand.encodeCommand(lines.join('\n')));
+    });
+  }
+
+  /**
+   * Execute a PowerShell script
+   * The script is passed with -EncodedCommand and powershell.exe is started without
+   * a shell, so no command line quoting applies to it
+   * @private
+   * @param {string} script - PowerShell script to execute
+   * @returns {Promise<{stdout: string, stderr: string}>} Process output
+   */
+  async _run(script) {
+    const { stdout, stderr } = await execFileAsync('powershell.exe', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-EncodedCommand',
+      PowerShellCommand.encodeCommand(script)
+    ], { windowsHide: true });
+
+    if (stderr) {
+      Logger.warn(`PowerShell stderr: ${stderr}`, null, 'Registry');
+    }
+
+    return { stdout, stderr };
+  }
+}
+
+module.exports = PowerShellRegistry;
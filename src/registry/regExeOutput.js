@@ -0,0 +1,165 @@
+/**
+ * Helpers for talking to reg.exe - key path conversion and output parsing
+ * Kept free of process spawning so the parsers can run on any platform against
+ * captured reg.exe output (see test/fixtures/regExe), e.g.:
+ *
+ *   (blank line)
+ *   HKEY_LOCAL_MACHINE\SOFTWARE\Policies\Google\Chrome\URLBlocklist
+ *       1    REG_SZ    *
+ *       2    REG_SZ    example.com
+ *   (blank line)
+ *   HKEY_LOCAL_MACHINE\SOFTWARE\Policies\Google\Chrome\URLBlocklist\Subkey
+ *
+ * Value lines are indented by four spaces and their columns (name, type, data) are
+ * separated by four spaces; subkeys of the queried key are listed as bare key paths.
+ * The queried key itself is only printed if it has values, so a key without values
+ * lists just its subkeys (or nothing)
+ *
+ * reg.exe error messages are localized, so they're never parsed: whether a key or value
+ * exists is read from these listings instead (hasSubkey, hasValue)
+ */
+
+// Root keys as written by the PowerShell provider and as printed by reg.exe
+const ROOT_KEYS = [
+  { short: 'HKLM', long: 'HKEY_LOCAL_MACHINE' },
+  { short: 'HKCU', long: 'HKEY_CURRENT_USER' },
+  { short: 'HKCR', long: 'HKEY_CLASSES_ROOT' },
+  { short: 'HKU', long: 'HKEY_USERS' },
+  { short: 'HKCC', long: 'HKEY_CURRENT_CONFIG' }
+];
+
+const KEY_LINE = /^HKEY_[A-Z_]+(?:\\.*)?$/;
+const VALUE_LINE = /^ {4}(.+?) {4}(REG_[A-Z0-9_]+)(?: {4}(.*))?$/;
+
+// reg.exe lists the unnamed default value under this name
+const DEFAULT_VALUE_NAME = '(Default)';
+
+/**
+ * Convert a PowerShell provider path (HKLM:\SOFTWARE\...) to the form reg.exe expects (HKLM\SOFTWARE\...)
+ * Trailing backslashes are dropped
+ * @param {string} keyPath - Registry key path
+ * @returns {string} reg.exe key path
+ */
+function toRegPath(keyPath) {
+  const match = /^([A-Za-z_]+):?(\\.*)?$/.exec(keyPath);
+  const root = match && ROOT_KEYS.find(entry =>
+    entry.short === match[1].toUpperCase() || entry.long === match[1].toUpperCase());
+
+  if (!root) {
+    throw new Error(`Unsupported registry key path: ${keyPath}`);
+  }
+
+  return `${root.short}${(match[2] || '').replace(/\\+$/, '')}`;
+}
+
+/**
+ * Convert a key path printed by reg.exe (HKEY_LOCAL_MACHINE\SOFTWARE\...) to the PowerShell provider form
+ * @param {string} regPath - reg.exe key path
+ * @returns {string} Registry key path (HKLM:\SOFTWARE\...)
+ */
+function fromRegPath(regPath) {
+  const separator = regPath.indexOf('\\');
+  const rootName = separator >= 0 ? regPath.slice(0, separator) : regPath;
+  const root = ROOT_KEYS.find(entry => entry.long === rootName.toUpperCase() || entry.short === rootName.toUpperCase());
+
+  if (!root) {
+    throw new Error(`Unsupported registry key path: ${regPath}`);
+  }
+
+  return `${root.short}:${separator >= 0 ? regPath.slice(separator) : '\\'}`;
+}
+
+/**
+ * Parse the output of `reg query <key>`
+ * @param {string} stdout - reg.exe output
+ * @returns {Array<Object>} Keys in output order ({ path, values }): the queried key if it has values,
+ *   followed by its subkeys (listed without values)
+ */
+function parseQuery(stdout) {
+  const keys = [];
+  let current = null;
+
+  for (const line of stdout.split(/\r?\n/)) {
+    if (KEY_LINE.test(line)) {
+      current = { path: fromRegPath(line), values: {} };
+      keys.push(current);
+      continue;
+    }
+
+    const match = VALUE_LINE.exec(line);
+    if (match && current) {
+      const [, name, type, data = ''] = match;
+      if (name !== DEFAULT_VALUE_NAME) {
+        current.values[name] = parseValue(type, data);
+      }
+    }
+  }
+
+  return keys;
+}
+
+/**
+ * Convert a value printed by reg.exe to a typed value
+ * DWORD and QWORD data is printed in hexadecimal (0x...)
+ * @param {string} type - reg.exe value type (e.g. REG_SZ, REG_DWORD)
+ * @param {string} data - Raw value data
+ * @returns {string|number} Typed value
+ */
+function parseValue(type, data) {
+  if (type === 'REG_DWORD' || type === 'REG_QWORD') {
+    return parseInt(data, 16);
+  }
+  return data;
+}
+
+/**
+ * Get the parent of a key
+ * @param {string} keyPath - Registry key path
+ * @returns {string|null} Parent key path (HKLM:\SOFTWARE\...), or null for a root key
+ */
+function getParentPath(keyPath) {
+  const regPath = toRegPath(keyPath);
+  const separator = regPath.lastIndexOf('\\');
+  return separator >= 0 ? fromRegPath(regPath.slice(0, separator)) : null;
+}
+
+/**
+ * Check whether `reg query` output of a key lists a subkey
+ * @param {Array<Object>} keys - Parsed output of the parent key (see parseQuery)
+ * @param {string} keyPath - Subkey path
+ * @returns {boolean} True if the subkey is listed
+ */
+function hasSubkey(keys, keyPath) {
+  const wanted = normalizeRegPath(keyPath);
+  return keys.some(key => normalizeRegPath(key.path) === wanted);
+}
+
+/**
+ * Check whether `reg query` output of a key lists a value (names are case-insensitive)
+ * @param {Array<Object>} keys - Parsed output of the key (see parseQuery)
+ * @param {string} name - Value name
+ * @returns {boolean} True if the value is listed
+ */
+function hasValue(keys, name) {
+  const wanted = String(name).toLowerCase();
+  // Only the queried key is listed with values
+  return keys.some(key => Object.keys(key.values).some(valueName => valueName.toLowerCase() === wanted));
+}
+
+/**
+ * @param {string} keyPath - Registry key path in either form
+ * @returns {string} Lowercase reg.exe path, for comparisons
+ */
+function normalizeRegPath(keyPath) {
+  return toRegPath(keyPath).toLowerCase();
+}
+
+module.exports = {
+  toRegPath,
+  fromRegPath,
+  parseQuery,
+  parseValue,
+  getParentPath,
+  hasSubkey,
+  hasValue
+};
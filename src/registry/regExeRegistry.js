@@ -0,0 +1,240 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const { toRegPath, parseQuery, getParentPath, hasSubkey, hasValue } = require('./regExeOutput');
+const Logger = require('../utils/logger');
+
+const execFileAsync = promisify(execFile);
+
+// reg.exe type names of the value types used by the policies
+const REG_TYPES = {
+  String: 'REG_SZ',
+  DWord: 'REG_DWORD'
+};
+
+// Exit code of every failed reg.exe operation (missing key, access denied, ...)
+const REG_FAILURE = 1;
+
+/**
+ * RegExeRegistry - Windows Registry access backed by reg.exe
+ * Mirrors the PowerShellRegistry interface (paths use the PowerShell provider format)
+ * but doesn't depend on PowerShell, so it works where PowerShell is slow to start or
+ * runs in constrained language mode. reg.exe is started without a shell and every
+ * argument is passed separately. Output parsing lives in regExeOutput.
+ */
+class RegExeRegistry {
+  /**
+   * @param {Object} options - Registry options
+   * @param {Function} options.execFile - Runs reg.exe (promisified child_process.execFile signature);
+   *   replaced with captured output in tests
+   */
+  constructor(options = {}) {
+    this.execFile = options.execFile || execFileAsync;
+  }
+
+  /**
+   * Check whether a registry key exists
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<boolean>} True if the key exists
+   */
+  async keyExists(keyPath) {
+    return (await this._query(keyPath)) !== null;
+  }
+
+  /**
+   * Create a registry key (and any missing parent keys) if it doesn't exist
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<void>}
+   */
+  async createKey(keyPath) {
+    await this._run(['add', toRegPath(keyPath), '/f']);
+  }
+
+  /**
+   * Delete a registry key and all of its subkeys if it exists
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<void>}
+   */
+  async deleteKey(keyPath) {
+    await this._run(['delete', toRegPath(keyPath), '/f'], { ifMissing: { keyPath } });
+  }
+
+  /**
+   * Read a single registry value
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @returns {Promise<string|number|null>} Value data, or null if the key or value doesn't exist
+   */
+  async getValue(keyPath, name) {
+    const values = await this.getValues(keyPath);
+    return Object.prototype.hasOwnProperty.call(values, name) ? values[name] : null;
+  }
+
+  /**
+   * Write a single registry value, creating the key if needed
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @param {string|number} value - Value data
+   * @param {string} type - Registry value type ('String' or 'DWord')
+   * @returns {Promise<void>}
+   */
+  async setValue(keyPath, name, value, type = 'String') {
+    await this._run(['add', toRegPath(keyPath), '/v', name, '/t', REG_TYPES[type],
+      '/d', this._formatData(value, type), '/f']);
+  }
+
+  /**
+   * Delete a single registry value if it exists
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name
+   * @returns {Promise<void>}
+   */
+  async deleteValue(keyPath, name) {
+    await this._run(['delete', toRegPath(keyPath), '/v', name, '/f'], { ifMissing: { keyPath, name } });
+  }
+
+  /**
+   * Write and delete several values of a key, creating the key if needed
+   * reg.exe changes one value per call, so the changes are applied one by one
+   * @param {string} keyPath - Registry key path
+   * @param {Object} changes - Value changes
+   * @param {Array<Object>} changes.set - Values to write ({ name, value, type })
+   * @param {Array<string>} changes.delete - Names of values to delete
+   * @returns {Promise<void>}
+   */
+  async updateValues(keyPath, changes) {
+    await this.createKey(keyPath);
+
+    for (const name of changes.delete || []) {
+      await this.deleteValue(keyPath, name);
+    }
+    for (const { name, value, type = 'String' } of changes.set || []) {
+      await this.setValue(keyPath, name, value, type);
+    }
+  }
+
+  /**
+   * Enumerate all values of a registry key
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<Object>} Map of value name to value data (empty if the key doesn't exist)
+   */
+  async getValues(keyPath) {
+    const key = await this._query(keyPath);
+    return key ? key.values : {};
+  }
+
+  /**
+   * Query a key
+   * @private
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<Object|null>} Key ({ path, values }), or null if it doesn't exist
+   */
+  async _query(keyPath) {
+    const output = await this._run(['query', toRegPath(keyPath)], { ifMissing: { keyPath } });
+    if (!output) {
+      return null;
+    }
+
+    // A key without values is listed without its own header line
+    const [key] = parseQuery(output.stdout).filter(entry => Object.keys(entry.values).length > 0);
+    return { path: keyPath, values: key ? key.values : {} };
+  }
+
+  /**
+   * Format value data for reg add
+   * @private
+   * @param {string|number} value - Value data
+   * @param {string} type - Registry value type ('String' or 'DWord')
+   * @returns {string} Data argument
+   */
+  _formatData(value, type) {
+    if (!REG_TYPES[type]) {
+      throw new Error(`Unsupported registry value type: ${type}`);
+    }
+
+    if (type === 'DWord') {
+      const number = Number(value);
+      if (!Number.isInteger(number) || number < 0 || number > 0xffffffff) {
+        throw new Error(`Invalid DWord value: ${value}`);
+      }
+      return String(number);
+    }
+
+    return String(value);
+  }
+
+  /**
+   * Check whether a key, or a value of it, doesn't exist
+   * Used after a reg.exe call on it failed: reg.exe exits with the same code for every
+   * failure and its messages are localized, so the key is looked up in the listing of
+   * its parent (and the value in the listing of the key) instead
+   * @private
+   * @param {string} keyPath - Registry key path
+   * @param {string} name - Value name (optional)
+   * @returns {Promise<boolean>} True if the key or value is missing
+   */
+  async _isMissing(keyPath, name) {
+    if (name !== undefined) {
+      const output = await this._tryQuery(keyPath);
+      if (output !== null) {
+        return !hasValue(parseQuery(output), name);
+      }
+    }
+
+    const parentPath = getParentPath(keyPath);
+    if (!parentPath) {
+      return false;
+    }
+
+    const output = await this._tryQuery(parentPath);
+    if (output === null) {
+      // The parent can't be listed either: the key is missing if its parent is
+      return this._isMissing(parentPath);
+    }
+    return !hasSubkey(parseQuery(output), keyPath);
+  }
+
+  /**
+   * Query a key without logging failures
+   * @private
+   * @param {string} keyPath - Registry key path
+   * @returns {Promise<string|null>} reg.exe output, or null if the query failed
+   */
+  async _tryQuery(keyPath) {
+    try {
+      const { stdout } = await this.execFile('reg.exe', ['query', toRegPath(keyPath)], { windowsHide: true });
+      return stdout;
+    } catch (error) {
+      if (error.code === REG_FAILURE) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Execute reg.exe
+   * @private
+   * @param {Array<string>} args - reg.exe arguments
+   * @param {Object} options - Run options
+   * @param {Object} options.ifMissing - Key ({ keyPath }) or value ({ keyPath, name }) the call works on;
+   *   resolve with null instead of failing if it doesn't exist
+   * @returns {Promise<{stdout: string, stderr: string}|null>} Process output
+   */
+  async _run(args, options = {}) {
+    try {
+      return await this.execFile('reg.exe', args, { windowsHide: true });
+    } catch (error) {
+      const stderr = (error.stderr || '').trim();
+
+      if (options.ifMissing && error.code === REG_FAILURE &&
+          await this._isMissing(options.ifMissing.keyPath, options.ifMissing.name)) {
+        return null;
+      }
+
+      Logger.warn(`reg ${args[0]} failed: ${stderr || error.message}`, { args: args, exitCode: error.code }, 'Registry');
+      throw new Error(stderr || error.message);
+    }
+  }
+}
+
+module.exports = RegExeRegistry;
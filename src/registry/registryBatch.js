@@ -0,0 +1,103 @@
+const Logger = require('../utils/logger');
+
+/**
+ * Helpers for applying a whole policy change as one batch of registry steps
+ * A step is { operation: 'deleteKey', path } or
+ * { operation: 'updateValues', path, set: [{ name, value, type }], delete: [names] }
+ * (updateValues creates the key if it doesn't exist)
+ */
+
+/**
+ * Turn the changes between two snapshots of the same keys into batch steps
+ * @param {Array<Object>} changes - Changed keys from RegistrySnapshot.diff
+ * @returns {Array<Object>} Batch steps, in snapshot order (parent keys before subkeys)
+ */
+function buildBatchSteps(changes) {
+  return changes.map(change => {
+    if (change.action === 'delete') {
+      return { operation: 'deleteKey', path: change.path };
+    }
+
+    return {
+      operation: 'updateValues',
+      path: change.path,
+      set: change.values
+        .filter(value => value.action !== 'remove')
+        .map(value => ({ name: value.name, value: value.to, type: typeof value.to === 'number' ? 'DWord' : 'String' })),
+      delete: change.values
+        .filter(value => value.action === 'remove')
+        .map(value => value.name)
+    };
+  });
+}
+
+/**
+ * Run batch steps against a registry backend
+ * Backends with a runBatch method execute the whole batch at once (PowerShellRegistry
+ * uses a single process); other backends run the steps one by one
+ * @param {Object} registry - Registry backend
+ * @param {Array<Object>} steps - Batch steps
+ * @returns {Promise<Object>} { success, results: [{ index, operation, path, success, durationMs, error }], durationMs }
+ */
+async function runBatch(registry, steps) {
+  if (steps.length === 0) {
+    return { success: true, results: [], durationMs: 0 };
+  }
+
+  const started = Date.now();
+  const results = typeof registry.runBatch === 'function'
+    ? await registry.runBatch(steps)
+    : await runStepsSequentially(registry, steps);
+  const durationMs = Date.now() - started;
+
+  const failed = results.filter(result => !result.success);
+  const metrics = {
+    steps: steps.length,
+    values: steps.reduce((count, step) => count + (step.set || []).length + (step.delete || []).length, 0),
+    failed: failed.length,
+    durationMs: durationMs,
+    stepDurationMs: results.reduce((total, result) => total + (result.durationMs || 0), 0)
+  };
+
+  if (failed.length > 0) {
+    Logger.warn('Registry batch completed with failures', { ...metrics, failures: failed }, 'RegistryBatch');
+  } else {
+    Logger.info(`Registry batch applied: ${steps.length} steps in ${durationMs} ms`, metrics, 'RegistryBatch');
+  }
+
+  return { success: failed.length === 0, results, durationMs };
+}
+
+/**
+ * Run batch steps one by one through the individual backend methods
+ * @param {Object} registry - Registry backend
+ * @param {Array<Object>} steps - Batch steps
+ * @returns {Promise<Array<Object>>} Per-step results
+ */
+async function runStepsSequentially(registry, steps) {
+  const results = [];
+
+  for (let index = 0; index < steps.length; index++) {
+    const step = steps[index];
+    const started = Date.now();
+
+    try {
+      if (step.operation === 'deleteKey') {
+        await registry.deleteKey(step.path);
+      } else {
+        await registry.updateValues(step.path, { set: step.set || [], delete: step.delete || [] });
+      }
+      results.push({ index, operation: step.operation, path: step.path, success: true, durationMs: Date.now() - started, error: null });
+    } catch (error) {
+      results.push({ index, operation: step.operation, path: step.path, success: false, durationMs: Date.now() - started, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+module.exports = {
+  buildBatchSteps,
+  runBatch,
+  runStepsSequentially
+};
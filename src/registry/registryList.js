@@ -0,0 +1,102 @@
+/**
+ * Helpers for registry keys that hold numbered list values (1, 2, 3, ...)
+ * Browser policies such as URLBlocklist and WebsiteFilter\Block use this layout
+ */
+
+/**
+ * Read the entries of a numbered list key in numeric order
+ * @param {Object} registry - Registry backend
+ * @param {string} keyPath - Registry key path
+ * @returns {Promise<Array<string>>} List entries (empty if the key doesn't exist)
+ */
+async function readNumberedList(registry, keyPath) {
+  const values = await registry.getValues(keyPath);
+
+  return Object.keys(values)
+    .filter(name => /^\d+$/.test(name))
+    .sort((a, b) => Number(a) - Number(b))
+    .map(name => String(values[name]).trim())
+    .filter(entry => entry.length > 0);
+}
+
+/**
+ * Replace the contents of a numbered list key
+ * Only changed values are written, in a single registry batch: entries that are
+ * already in the list keep their number, new entries fill the free numbers and
+ * values numbered past the end of the new list are deleted, so the list is always
+ * numbered 1..N without gaps. Browsers don't depend on the order of these lists
+ * @param {Object} registry - Registry backend
+ * @param {string} keyPath - Registry key path
+ * @param {Array<string>} entries - List entries to write
+ * @returns {Promise<Object>} Changes made ({ set, delete }, see planNumberedList)
+ */
+async function writeNumberedList(registry, keyPath, entries) {
+  const values = await registry.getValues(keyPath);
+  const changes = planNumberedList(values, entries);
+
+  // getValues can't tell an empty key from a missing one, so empty lists are always written
+  if (changes.set.length === 0 && changes.delete.length === 0 && Object.keys(values).length > 0) {
+    return changes;
+  }
+
+  await registry.updateValues(keyPath, changes);
+  return changes;
+}
+
+/**
+ * Work out the value changes that turn the current list values into the given entries
+ * @param {Object} values - Current values of the list key (name to data)
+ * @param {Array<string>} entries - List entries to write
+ * @returns {Object} { set: [{ name, value, type }], delete: [names] }
+ */
+function planNumberedList(values, entries) {
+  const wanted = new Map();
+  for (const entry of entries) {
+    wanted.set(entry, (wanted.get(entry) || 0) + 1);
+  }
+
+  const slots = new Array(entries.length + 1).fill(null);
+  const remove = [];
+
+  const numbered = Object.keys(values)
+    .filter(name => /^\d+$/.test(name))
+    .sort((a, b) => Number(a) - Number(b));
+
+  // Keep entries that are already in place
+  for (const name of numbered) {
+    const number = Number(name);
+    const value = String(values[name]).trim();
+    const canonical = String(number) === name;
+
+    if (canonical && number >= 1 && number <= entries.length && wanted.get(value) > 0) {
+      slots[number] = value;
+      wanted.set(value, wanted.get(value) - 1);
+    } else if (!canonical || number < 1 || number > entries.length) {
+      remove.push(name);
+    }
+  }
+
+  // Fill the remaining numbers with the entries that still need a slot
+  const pending = entries.filter(entry => {
+    if (wanted.get(entry) > 0) {
+      wanted.set(entry, wanted.get(entry) - 1);
+      return true;
+    }
+    return false;
+  });
+
+  const set = [];
+  for (let number = 1; number <= entries.length; number++) {
+    if (slots[number] === null) {
+      set.push({ name: String(number), value: pending.shift(), type: 'String' });
+    }
+  }
+
+  return { set, delete: remove };
+}
+
+module.exports = {
+  readNumberedList,
+  writeNumberedList,
+  planNumberedList
+};
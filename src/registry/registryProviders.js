@@ -0,0 +1,60 @@
+const PowerShellRegistry = require('./powerShellRegistry');
+const RegExeRegistry = require('./regExeRegistry');
+
+/**
+ * Registry providers - the backends the application can use to access the real
+ * Windows Registry, selected in the settings (registryProvider)
+ */
+
+const DEFAULT_REGISTRY_PROVIDER = 'powershell';
+
+const PROVIDERS = [
+  {
+    id: 'powershell',
+    name: 'PowerShell',
+    description: 'Registry access through PowerShell; applies policy changes as a single batch',
+    create: () => new PowerShellRegistry()
+  },
+  {
+    id: 'reg',
+    name: 'reg.exe',
+    description: 'Registry access through reg.exe; faster to start and works where PowerShell is restricted',
+    create: () => new RegExeRegistry()
+  }
+];
+
+/**
+ * Get the available registry providers
+ * @returns {Array<Object>} Providers ({ id, name, description })
+ */
+function getRegistryProviders() {
+  return PROVIDERS.map(({ id, name, description }) => ({ id, name, description }));
+}
+
+/**
+ * Get the ids of the available registry providers
+ * @returns {Array<string>} Provider ids
+ */
+function getRegistryProviderIds() {
+  return PROVIDERS.map(provider => provider.id);
+}
+
+/**
+ * Create a registry backend
+ * @param {string} providerId - Provider id (defaults to PowerShell)
+ * @returns {Object} Registry backend
+ */
+function createRegistry(providerId = DEFAULT_REGISTRY_PROVIDER) {
+  const provider = PROVIDERS.find(entry => entry.id === providerId);
+  if (!provider) {
+    throw new Error(`Unknown registry provider: ${providerId}`);
+  }
+  return provider.create();
+}
+
+module.exports = {
+  DEFAULT_REGISTRY_PROVIDER,
+  getRegistryProviders,
+  getRegistryProviderIds,
+  createRegistry
+};
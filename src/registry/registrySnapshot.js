@@ -0,0 +1,203 @@
+const Logger = require('../utils/logger');
+
+/**
+ * RegistrySnapshot - Point-in-time copy of a set of registry keys
+ * Used to roll back policy changes that fail part-way through
+ */
+class RegistrySnapshot {
+  /**
+   * @param {Object} registry - Registry backend the snapshot was taken from
+   * @param {Array<Object>} entries - Captured keys ({ path, exists, values })
+   */
+  constructor(registry, entries) {
+    this.registry = registry;
+    this.entries = entries;
+  }
+
+  /**
+   * Capture the current state of the given registry keys
+   * Parent keys should be listed before their subkeys. Backends with a readKeys
+   * method read every key at once (PowerShellRegistry uses a single process)
+   * @param {Object} registry - Registry backend
+   * @param {Array<string>} keyPaths - Registry key paths to capture
+   * @returns {Promise<RegistrySnapshot>} The captured snapshot
+   */
+  static async capture(registry, keyPaths) {
+    const uniquePaths = [...new Set(keyPaths)];
+    let entries = [];
+
+    if (typeof registry.readKeys === 'function') {
+      entries = await registry.readKeys(uniquePaths);
+    } else {
+      for (const keyPath of uniquePaths) {
+        const exists = await registry.keyExists(keyPath);
+        const values = exists ? await registry.getValues(keyPath) : {};
+        entries.push({ path: keyPath, exists, values });
+      }
+    }
+
+    Logger.debug(`Captured registry snapshot of ${entries.length} keys`, null, 'RegistrySnapshot');
+    return new RegistrySnapshot(registry, entries);
+  }
+
+  /**
+   * Get the registry key paths covered by this snapshot
+   * @returns {Array<string>} Registry key paths
+   */
+  getKeyPaths() {
+    return this.entries.map(entry => entry.path);
+  }
+
+  /**
+   * Export the captured keys in the format accepted by MemoryRegistry
+   * @returns {Object} Registry contents ({ keyPath: { valueName: { type, data } } })
+   */
+  toRegistryData() {
+    const data = {};
+
+    for (const entry of this.entries.filter(e => e.exists)) {
+      data[entry.path] = {};
+      for (const [name, value] of Object.entries(entry.values)) {
+        data[entry.path][name] = { type: typeof value === 'number' ? 'DWord' : 'String', data: value };
+      }
+    }
+
+    return data;
+  }
+
+  /**
+   * Compare this snapshot with a later snapshot of the same keys
+   * @param {RegistrySnapshot} other - Snapshot taken after the change
+   * @returns {Array<Object>} Changed keys ({ path, action, values: [{ name, action, from, to }] })
+   */
+  diff(other) {
+    const changes = [];
+    const afterByPath = new Map(other.entries.map(entry => [entry.path, entry]));
+
+    for (const before of this.entries) {
+      const after = afterByPath.get(before.path) || { exists: false, values: {} };
+
+      if (!before.exists && !after.exists) {
+        continue;
+      }
+
+      const values = [];
+      const beforeValues = before.exists ? before.values : {};
+      const afterValues = after.exists ? after.values : {};
+
+      for (const [name, value] of Object.entries(afterValues)) {
+        if (!(name in beforeValues)) {
+          values.push({ name, action: 'add', from: null, to: value });
+        } else if (beforeValues[name] !== value) {
+          values.push({ name, action: 'change', from: beforeValues[name], to: value });
+        }
+      }
+
+      for (const [name, value] of Object.entries(beforeValues)) {
+        if (!(name in afterValues)) {
+          values.push({ name, action: 'remove', from: value, to: null });
+        }
+      }
+
+      let action = null;
+      if (!before.exists) {
+        action = 'create';
+      } else if (!after.exists) {
+        action = 'delete';
+      } else if (values.length > 0) {
+        action = 'modify';
+      }
+
+      if (action) {
+        changes.push({ path: before.path, action, values });
+      }
+    }
+
+    return changes;
+  }
+
+  /**
+   * Restore every captured key to its snapshot state
+   * Only keys that differ from the snapshot are modified
+   * @returns {Promise<Object>} Restore result with restored and failed key lists
+   */
+  async restore() {
+    const restoredKeys = [];
+    const failedKeys = [];
+
+    // Restore subkeys before their parents so removing a parent never hides a failure
+    for (const entry of [...this.entries].reverse()) {
+      try {
+        const changed = entry.exists
+          ? await this._restoreValues(entry)
+          : await this._restoreMissing(entry);
+
+        if (changed) {
+          restoredKeys.push(entry.path);
+        }
+      } catch (error) {
+        Logger.error(`Failed to restore registry key: ${entry.path}`, error, 'RegistrySnapshot');
+        failedKeys.push({ path: entry.path, error: error.message });
+      }
+    }
+
+    const success = failedKeys.length === 0;
+    if (success) {
+      Logger.info(`Registry snapshot restored (${restoredKeys.length} keys changed)`, { restoredKeys }, 'RegistrySnapshot');
+    } else {
+      Logger.warn('Registry snapshot partially restored', { restoredKeys, failedKeys }, 'RegistrySnapshot');
+    }
+
+    return {
+      success: success,
+      restoredKeys: restoredKeys,
+      failedKeys: failedKeys
+    };
+  }
+
+  /**
+   * Remove a key that did not exist when the snapshot was taken
+   * @private
+   * @param {Object} entry - Snapshot entry
+   * @returns {Promise<boolean>} True if the registry was changed
+   */
+  async _restoreMissing(entry) {
+    if (!(await this.registry.keyExists(entry.path))) {
+      return false;
+    }
+
+    await this.registry.deleteKey(entry.path);
+    return true;
+  }
+
+  /**
+   * Bring the values of an existing key back to their snapshot state
+   * @private
+   * @param {Object} entry - Snapshot entry
+   * @returns {Promise<boolean>} True if the registry was changed
+   */
+  async _restoreValues(entry) {
+    let changed = false;
+
+    if (!(await this.registry.keyExists(entry.path))) {
+      await this.registry.createKey(entry.path);
+      changed = true;
+    }
+
+    const current = await this.registry.getValues(entry.path);
+
+    const set = Object.entries(entry.values)
+      .filter(([name, value]) => current[name] !== value)
+      .map(([name, value]) => ({ name, value, type: typeof value === 'number' ? 'DWord' : 'String' }));
+    const remove = Object.keys(current).filter(name => !(name in entry.values));
+
+    if (set.length > 0 || remove.length > 0) {
+      await this.registry.updateValues(entry.path, { set, delete: remove });
+      changed = true;
+    }
+
+    return changed;
+  }
+}
+
+module.exports = RegistrySnapshot;
@@ -0,0 +1,294 @@
+const crypto = require('crypto');
+const { PolicyProfile } = require('./models');
+
+// Identifies configuration files written by this application
+const FORMAT = 'gpm-config';
+const VERSION = 1;
+
+// Settings that are exported; everything else (credentials, developer key,
+// machine-specific state) never leaves the machine
+const SETTING_TYPES = {
+  driveBlockEnabled: 'boolean',
+  websiteBlockEnabled: 'boolean',
+  whitelistEnabled: 'boolean',
+  whitelistedDomains: 'domains',
+  blocklistEnabled: 'boolean',
+  blockedDomains: 'domains',
+  internalPagesLockdown: 'boolean',
+  targetBrowsers: 'browsers',
+  enforcementEnabled: 'boolean',
+  enforcementIntervalMinutes: 'interval'
+};
+
+const MIN_PASSPHRASE_LENGTH = 8;
+const SALT_BYTES = 16;
+const KEY_BYTES = 32;
+
+/**
+ * ConfigTransfer - Builds and verifies signed configuration export files
+ * Files are signed with HMAC-SHA256 using a key derived (scrypt) from a passphrase
+ * the administrator enters on export and again on every machine that imports the file
+ */
+class ConfigTransfer {
+  /**
+   * Build a signed export of the settings and profiles
+   * @param {Object} settings - Stored settings
+   * @param {Array<Object>} profiles - Stored profiles
+   * @param {string} passphrase - Passphrase used to sign the file
+   * @returns {Object} Result with the export file object
+   */
+  static createExport(settings, profiles, passphrase) {
+    const passphraseError = ConfigTransfer._checkPassphrase(passphrase);
+    if (passphraseError) {
+      return passphraseError;
+    }
+
+    const exportedSettings = {};
+    for (const key of Object.keys(SETTING_TYPES)) {
+      if (settings[key] !== undefined) {
+        exportedSettings[key] = settings[key];
+      }
+    }
+
+    const payload = {
+      format: FORMAT,
+      version: VERSION,
+      exportedAt: new Date().toISOString(),
+      config: {
+        settings: exportedSettings,
+        profiles: profiles.map(profile => PolicyProfile.fromJSON(profile).toJSON())
+      }
+    };
+
+    const salt = crypto.randomBytes(SALT_BYTES);
+
+    return {
+      success: true,
+      file: {
+        ...payload,
+        signature: {
+          algorithm: 'HMAC-SHA256',
+          kdf: 'scrypt',
+          salt: salt.toString('hex'),
+          value: ConfigTransfer._sign(payload, passphrase, salt)
+        }
+      }
+    };
+  }
+
+  /**
+   * Parse, verify and validate an export file
+   * @param {string} content - File content
+   * @param {string} passphrase - Passphrase the file was signed with
+   * @param {Object} validators - Checks that depend on the running application
+   * @param {Function} validators.isValidDomain - Returns true for an acceptable domain
+   * @param {Array<string>} validators.browserIds - Known browser ids
+   * @returns {Object} Result with the verified configuration ({ settings, profiles }) and export metadata
+   */
+  static parseImport(content, passphrase, validators) {
+    const passphraseError = ConfigTransfer._checkPassphrase(passphrase);
+    if (passphraseError) {
+      return passphraseError;
+    }
+
+    let file;
+    try {
+      file = JSON.parse(content);
+    } catch (error) {
+      return ConfigTransfer._error('INVALID_CONFIG_FILE', 'The file is not valid JSON', error.message);
+    }
+
+    if (!ConfigTransfer._isObject(file) || file.format !== FORMAT) {
+      return ConfigTransfer._error('INVALID_CONFIG_FILE', 'The file is not a Group Policy Manager configuration export');
+    }
+
+    if (!Number.isInteger(file.version) || file.version > VERSION) {
+      return ConfigTransfer._error('UNSUPPORTED_CONFIG_VERSION', 'The configuration file version is not supported',
+        `File version ${file.version}, supported up to version ${VERSION}`);
+    }
+
+    const signature = file.signature;
+    if (!ConfigTransfer._isObject(signature) || signature.algorithm !== 'HMAC-SHA256' || signature.kdf !== 'scrypt' ||
+        !/^[0-9a-f]+$/i.test(signature.salt || '') || !/^[0-9a-f]{64}$/i.test(signature.value || '')) {
+      return ConfigTransfer._error('INVALID_SIGNATURE', 'The configuration file is not signed');
+    }
+
+    const payload = {
+      format: file.format,
+      version: file.version,
+      exportedAt: file.exportedAt,
+      config: file.config
+    };
+
+    const expected = Buffer.from(ConfigTransfer._sign(payload, passphrase, Buffer.from(signature.salt, 'hex')), 'hex');
+    if (!crypto.timingSafeEqual(expected, Buffer.from(signature.value, 'hex'))) {
+      return ConfigTransfer._error('INVALID_SIGNATURE', 'Signature verification failed',
+        'The passphrase is wrong or the file was modified after it was exported');
+    }
+
+    const schemaErrors = ConfigTransfer.validateConfig(file.config, validators);
+    if (schemaErrors.length > 0) {
+      return ConfigTransfer._error('INVALID_CONFIG_SCHEMA', 'The configuration file contains invalid values', schemaErrors.join('; '));
+    }
+
+    return {
+      success: true,
+      exportedAt: file.exportedAt,
+      version: file.version,
+      config: file.config
+    };
+  }
+
+  /**
+   * Validate the configuration section of an export file
+   * @param {Object} config - Configuration ({ settings, profiles })
+   * @param {Object} validators - See parseImport
+   * @returns {Array<string>} Validation errors (empty if the configuration is valid)
+   */
+  static validateConfig(config, validators) {
+    const errors = [];
+
+    if (!ConfigTransfer._isObject(config) || !ConfigTransfer._isObject(config.settings) || !Array.isArray(config.profiles)) {
+      return ['Configuration must contain a settings object and a profiles list'];
+    }
+
+    for (const [key, value] of Object.entries(config.settings)) {
+      const type = SETTING_TYPES[key];
+      if (!type) {
+        errors.push(`Unknown setting: ${key}`);
+      } else if (!ConfigTransfer._isValidSetting(type, value, validators)) {
+        errors.push(`Invalid value for ${key}`);
+      }
+    }
+
+    const settings = config.settings;
+    if (settings.blocklistEnabled && (settings.websiteBlockEnabled || settings.whitelistEnabled)) {
+      errors.push('Blocking specific websites cannot be combined with blocking all websites');
+    }
+
+    const names = new Set();
+    config.profiles.forEach((data, index) => {
+      const profile = PolicyProfile.fromJSON(ConfigTransfer._isObject(data) ? data : {});
+      const label = profile.name ? `Profile "${profile.name}"` : `Profile ${index + 1}`;
+
+      try {
+        profile.validate();
+      } catch (error) {
+        errors.push(`${label}: ${error.message}`);
+        return;
+      }
+
+      const domains = [...profile.whitelistedDomains, ...profile.blockedDomains];
+      if (!domains.every(domain => typeof domain === 'string' && validators.isValidDomain(domain))) {
+        errors.push(`${label}: invalid domain`);
+      }
+
+      if (names.has(profile.name.toLowerCase())) {
+        errors.push(`${label}: duplicate profile name`);
+      }
+      names.add(profile.name.toLowerCase());
+    });
+
+    return errors;
+  }
+
+  /**
+   * Compute the HMAC of a payload
+   * @private
+   * @param {Object} payload - Signed part of the file
+   * @param {string} passphrase - Signing passphrase
+   * @param {Buffer} salt - Key derivation salt
+   * @returns {string} Hex encoded HMAC
+   */
+  static _sign(payload, passphrase, salt) {
+    const key = crypto.scryptSync(passphrase, salt, KEY_BYTES);
+    return crypto.createHmac('sha256', key).update(ConfigTransfer._canonicalize(payload)).digest('hex');
+  }
+
+  /**
+   * Serialize a value as JSON with object keys sorted, so the signature
+   * doesn't depend on key order after the file is re-saved by an editor
+   * @private
+   * @param {*} value - Value to serialize
+   * @returns {string} Canonical JSON
+   */
+  static _canonicalize(value) {
+    if (Array.isArray(value)) {
+      return `[${value.map(item => ConfigTransfer._canonicalize(item)).join(',')}]`;
+    }
+    if (ConfigTransfer._isObject(value)) {
+      const entries = Object.keys(value)
+        .filter(key => value[key] !== undefined)
+        .sort()
+        .map(key => `${JSON.stringify(key)}:${ConfigTransfer._canonicalize(value[key])}`);
+      return `{${entries.join(',')}}`;
+    }
+    return JSON.stringify(value === undefined ? null : value);
+  }
+
+  /**
+   * @private
+   * @param {string} type - Setting type from SETTING_TYPES
+   * @param {*} value - Setting value
+   * @param {Object} validators - See parseImport
+   * @returns {boolean} True if the value is valid for the type
+   */
+  static _isValidSetting(type, value, validators) {
+    switch (type) {
+      case 'boolean':
+        return typeof value === 'boolean';
+      case 'domains':
+        return Array.isArray(value) && value.every(d => typeof d === 'string' && validators.isValidDomain(d));
+      case 'browsers':
+        return value === null || (Array.isArray(value) && value.length > 0 &&
+          value.every(id => validators.browserIds.includes(id)));
+      case 'interval':
+        return Number.isInteger(value) && value >= 1 && value <= 1440;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * @private
+   * @param {string} passphrase - Passphrase to check
+   * @returns {Object|null} Error result, or null if the passphrase is acceptable
+   */
+  static _checkPassphrase(passphrase) {
+    if (typeof passphrase !== 'string' || passphrase.length < MIN_PASSPHRASE_LENGTH) {
+      return ConfigTransfer._error('INVALID_PASSPHRASE', 'Invalid passphrase',
+        `The passphrase must be at least ${MIN_PASSPHRASE_LENGTH} characters long`);
+    }
+    return null;
+  }
+
+  /**
+   * @private
+   * @param {*} value - Value to check
+   * @returns {boolean} True for plain objects
+   */
+  static _isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+  }
+
+  /**
+   * @private
+   * @param {string} code - Error code
+   * @param {string} message - Error message
+   * @param {string} details - Error details
+   * @returns {Object} Error result
+   */
+  static _error(code, message, details = null) {
+    return {
+      success: false,
+      error: {
+        code: code,
+        message: message,
+        details: details || message,
+        recoverable: true
+      }
+    };
+  }
+}
+
+module.exports = ConfigTransfer;
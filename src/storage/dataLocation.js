@@ -0,0 +1,258 @@
+const fs = require('fs').promises;
+const { constants } = require('fs');
+const path = require('path');
+const os = require('os');
+const Logger = require('../utils/logger');
+const { WRITE_RIGHTS, getUntrustedAccounts, hasTrustedOwner, readWindowsAcl, restrictWindowsAcl } = require('./windowsAcl');
+
+/**
+ * Data location - where the DataStore keeps its files
+ * The data file is machine-wide, so every administrator of the machine sees the same
+ * credentials and settings: %ProgramData%\GroupPolicyManager on Windows and
+ * /var/lib/group-policy-manager elsewhere. The directory can be overridden with the
+ * --data-dir command line option or the GPM_DATA_DIR environment variable.
+ * Earlier versions kept the data file in the home directory of the user; it's moved
+ * to the machine-wide directory the first time that is empty.
+ */
+
+const DATA_FILE_NAME = '.gpm-data.enc';
+const DATA_DIR_OPTION = '--data-dir';
+const DATA_DIR_VARIABLE = 'GPM_DATA_DIR';
+
+/**
+ * Get the machine-wide data directory
+ * @param {string} platform - Platform (defaults to process.platform)
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {string} Directory path
+ */
+function getDefaultDataDirectory(platform = process.platform, env = process.env) {
+  if (platform === 'win32') {
+    return path.win32.join(env.ProgramData || env.ALLUSERSPROFILE || 'C:\\ProgramData', 'GroupPolicyManager');
+  }
+  return '/var/lib/group-policy-manager';
+}
+
+/**
+ * Get the path of the data file, applying the command line and environment overrides
+ * @param {Object} options - Resolution options
+ * @param {Array<string>} options.argv - Command line (defaults to process.argv)
+ * @param {Object} options.env - Environment variables (defaults to process.env)
+ * @param {string} options.platform - Platform (defaults to process.platform)
+ * @returns {Object} { dataPath, source: 'cli' | 'env' | 'default' }
+ * @throws {Error} If --data-dir is given without a directory
+ */
+function resolveDataPath(options = {}) {
+  const argv = options.argv || process.argv;
+  const env = options.env || process.env;
+
+  let directory = null;
+  let source = 'default';
+
+  const index = argv.findIndex(arg => arg === DATA_DIR_OPTION || arg.startsWith(`${DATA_DIR_OPTION}=`));
+  if (index !== -1) {
+    directory = argv[index] === DATA_DIR_OPTION ? argv[index + 1] : argv[index].slice(DATA_DIR_OPTION.length + 1);
+    if (!directory || directory.startsWith('--')) {
+      throw new Error(`${DATA_DIR_OPTION} requires a directory`);
+    }
+    source = 'cli';
+  } else if (env[DATA_DIR_VARIABLE] && env[DATA_DIR_VARIABLE].trim()) {
+    directory = env[DATA_DIR_VARIABLE].trim();
+    source = 'env';
+  }
+
+  const dataDirectory = directory ? path.resolve(directory) : getDefaultDataDirectory(options.platform, env);
+  return { dataPath: path.join(dataDirectory, DATA_FILE_NAME), source: source };
+}
+
+/**
+ * Get the path of the key file that belongs to a data file
+ * @param {string} dataPath - Path of the data file
+ * @returns {string} Key file path (the data file name with a .key extension)
+ */
+function getKeyPath(dataPath) {
+  return path.join(path.dirname(dataPath), `${path.basename(dataPath, '.enc')}.key`);
+}
+
+/**
+ * Get the per-user data file path used by earlier versions
+ * @param {string} homeDirectory - Home directory (defaults to the current user's)
+ * @returns {string} Data file path
+ */
+function getUserDataPath(homeDirectory = os.homedir()) {
+  return path.join(homeDirectory, DATA_FILE_NAME);
+}
+
+/**
+ * Create the data directory if needed and make sure only administrators can change it
+ * A new directory is restricted to SYSTEM and Administrators on Windows (no inherited
+ * entries) and to its owner elsewhere
+ * @param {string} directory - Data directory
+ * @param {Object} options - Options
+ * @param {string} options.platform - Platform (defaults to process.platform)
+ * @returns {Promise<void>}
+ * @throws {Error} If the directory can be changed by other accounts
+ */
+async function prepareDataDirectory(directory, options = {}) {
+  const platform = options.platform || process.platform;
+
+  const created = await fs.mkdir(directory, { recursive: true, mode: 0o700 });
+  if (created) {
+    if (platform === 'win32') {
+      await restrictWindowsAcl(directory, { directory: true });
+    }
+    Logger.info('Created data directory', { path: directory }, 'DataLocation');
+  }
+
+  await checkDataDirectory(directory, { platform });
+}
+
+/**
+ * Make sure only administrators (or the current user) can change the data directory
+ * and the data file in it
+ * @param {string} directory - Data directory
+ * @param {Object} options - Options
+ * @param {string} options.platform - Platform (defaults to process.platform)
+ * @returns {Promise<void>}
+ * @throws {Error} If the directory or data file can be changed by other accounts
+ */
+async function checkDataDirectory(directory, options = {}) {
+  const platform = options.platform || process.platform;
+
+  if (platform === 'win32') {
+    await checkWindowsAcl(directory);
+    return;
+  }
+
+  await checkPosixPermissions(directory, 'Data directory');
+  try {
+    await checkPosixPermissions(path.join(directory, DATA_FILE_NAME), 'Data file');
+  } catch (error) {
+    if (error.code !== 'ENOENT') {
+      throw error;
+    }
+  }
+}
+
+/**
+ * Move the per-user data file of an earlier version to the machine-wide location
+ * Only happens while the machine-wide location has no data file. The data and key
+ * files are copied and the originals renamed (.migrated-<timestamp>), so they are
+ * neither used nor migrated again
+ * @param {string} dataPath - Machine-wide data file path
+ * @param {Object} options - Options
+ * @param {string} options.userDataPath - Per-user data file path (defaults to getUserDataPath())
+ * @returns {Promise<string|null>} Path the data file was migrated from, or null
+ */
+async function migrateUserData(dataPath, options = {}) {
+  const userDataPath = options.userDataPath || getUserDataPath();
+  if (path.resolve(userDataPath) === path.resolve(dataPath) || !(await exists(userDataPath))) {
+    return null;
+  }
+
+  if (await exists(dataPath)) {
+    Logger.warn('Ignoring the per-user data file of an earlier version, the machine-wide data file already exists', {
+      userDataPath: userDataPath,
+      dataPath: dataPath
+    }, 'DataLocation');
+    return null;
+  }
+
+  const files = [[userDataPath, dataPath]];
+  if (await exists(getKeyPath(userDataPath))) {
+    files.push([getKeyPath(userDataPath), getKeyPath(dataPath)]);
+  }
+
+  const copied = [];
+  try {
+    for (const [source, target] of files) {
+      await fs.copyFile(source, target, constants.COPYFILE_EXCL);
+      copied.push(target);
+      await fs.chmod(target, 0o600);
+    }
+  } catch (error) {
+    // Don't leave half a migration behind
+    await Promise.all(copied.map(target => fs.unlink(target).catch(() => {})));
+    throw new Error(`Failed to move the data file to ${path.dirname(dataPath)}: ${error.message}`);
+  }
+
+  const suffix = `.migrated-${Date.now()}`;
+  for (const [source] of files) {
+    try {
+      await fs.rename(source, `${source}${suffix}`);
+    } catch (error) {
+      Logger.warn(`Failed to rename the migrated file ${source}: ${error.message}`, null, 'DataLocation');
+    }
+  }
+
+  Logger.info('Moved the per-user data file to the machine-wide location', {
+    from: userDataPath,
+    to: dataPath
+  }, 'DataLocation');
+  return userDataPath;
+}
+
+/**
+ * Check whether a file exists
+ * @private
+ * @param {string} filePath - File path
+ * @returns {Promise<boolean>} True if it exists
+ */
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Make sure a file or directory is owned by root or the current user and can't be
+ * written by group or others
+ * @private
+ * @param {string} filePath - Path to check
+ * @param {string} description - Name used in error messages
+ * @returns {Promise<void>}
+ */
+async function checkPosixPermissions(filePath, description) {
+  const stat = await fs.stat(filePath);
+  const uid = typeof process.getuid === 'function' ? process.getuid() : null;
+
+  if (stat.uid !== 0 && stat.uid !== uid) {
+    throw new Error(`${description} ${filePath} must be owned by root or the current user`);
+  }
+  if ((stat.mode & 0o022) !== 0) {
+    throw new Error(`${description} ${filePath} must not be writable by other users (chmod go-w)`);
+  }
+}
+
+/**
+ * Make sure only trusted accounts own or can change a directory on Windows
+ * @private
+ * @param {string} directory - Directory
+ * @returns {Promise<void>}
+ */
+async function checkWindowsAcl(directory) {
+  const acl = await readWindowsAcl(directory);
+
+  if (!hasTrustedOwner(acl)) {
+    throw new Error(`Data directory ${directory} must be owned by Administrators, SYSTEM or the current user (owner: ${acl.owner})`);
+  }
+
+  const untrusted = getUntrustedAccounts(acl, WRITE_RIGHTS);
+  if (untrusted.length > 0) {
+    throw new Error(`Data directory ${directory} can be changed by accounts other than administrators ` +
+      `(${untrusted.join(', ')}); remove their write access or choose another directory with ${DATA_DIR_OPTION}`);
+  }
+}
+
+module.exports = {
+  DATA_FILE_NAME,
+  getDefaultDataDirectory,
+  resolveDataPath,
+  getKeyPath,
+  getUserDataPath,
+  prepareDataDirectory,
+  checkDataDirectory,
+  migrateUserData
+};
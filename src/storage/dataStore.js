@@ -3,84 +3,667 @@ const fs = require('fs').promises;
 const path = require('path');
 const os = require('os');
 const bcrypt = require('bcrypt');
+const KeyFile = require('./keyFile');
+const { resolveDataPath, getKeyPath } = require('./dataLocation');
+const { generateDataKey, deriveFromSecret, deriveFromPassphrase, createSlot, openSlot } = require('./keyWrap');
+const { CURRENT_SCHEMA_VERSION, getSchemaVersion, needsMigration, migrate } = require('./migrations');
+const Logger = require('../utils/logger');
+
+// Envelope of the encrypted data file; version 3 added the wrapped data key slots
+const FILE_FORMAT = 'gpm-gcm';
+const FILE_VERSION = 3;
+const SUPPORTED_FILE_VERSIONS = [2, 3];
+
+// Recovery files exported for the recoveryFile key slot
+const RECOVERY_FILE_FORMAT = 'gpm-recovery';
+
+// HKDF info strings, so the file and string keys derived from the data key differ
+const FILE_KEY_INFO = 'gpm-datastore-file';
+const STRING_KEY_INFO = 'gpm-datastore-string';
+
+// Prefix of strings encrypted with AES-256-GCM (legacy CBC strings are "iv:data")
+const STRING_PREFIX = 'v2';
+
+// Number of last-known-good copies of the data file kept by default
+const DEFAULT_BACKUP_COUNT = 3;
 
 class DataStore {
-  constructor(dataPath = null) {
-    this.dataPath = dataPath || path.join(os.homedir(), '.gpm-data.enc');
-    this.encryptionKey = this.generateMachineKey();
-    this.algorithm = 'aes-256-cbc';
+  /**
+   * @param {string} dataPath - Path of the encrypted data file (defaults to the machine-wide location, see dataLocation.js)
+   * @param {Object} options - Store options
+   * @param {string} options.keyPath - Path of the key file (defaults to the data file name with a .key extension)
+   * @param {Object} options.keyFile - Key file providing the machine secret (defaults to a KeyFile at keyPath)
+   * @param {number} options.backupCount - Number of last-known-good copies kept (.1.bak is the newest)
+   */
+  constructor(dataPath = null, options = {}) {
+    this.dataPath = dataPath || resolveDataPath().dataPath;
+    this.keyFile = options.keyFile || new KeyFile(options.keyPath || getKeyPath(this.dataPath));
+    this.secret = null;
+    this.dataKey = null;
+    this.keySlots = [];
+    this.algorithm = 'aes-256-gcm';
+    this.backupCount = options.backupCount !== undefined ? options.backupCount : DEFAULT_BACKUP_COUNT;
     this.data = null;
+    this.lock = null;
+    this.recovery = null;
+    this.skipRotation = false;
+    this.saveQueue = Promise.resolve();
+  }
+
+  /**
+   * Read the secret of this machine's key file (see KeyFile)
+   */
+  async getMachineSecret() {
+    if (!this.secret) {
+      this.secret = await this.keyFile.getSecret();
+    }
+    return this.secret;
+  }
+
+  /**
+   * Derive a 256-bit key from the data key with HKDF-SHA256
+   */
+  deriveKey(salt, info) {
+    if (!this.dataKey) {
+      throw new Error('Data store is locked');
+    }
+    return Buffer.from(crypto.hkdfSync('sha256', this.dataKey, salt, info, 32));
   }
 
   /**
-   * Generate a machine-specific encryption key based on hardware identifiers
+   * Generate the key of legacy AES-256-CBC files
+   * It's derived from the host name, platform and architecture only, so it's used
+   * for nothing but reading files written before the move to AES-256-GCM
    */
-  generateMachineKey() {
-    const machineId = os.hostname() + os.platform() + os.arch();
+  generateLegacyKey(hostname = os.hostname()) {
+    const machineId = hostname + os.platform() + os.arch();
     return crypto.createHash('sha256').update(machineId).digest();
   }
 
   /**
-   * Encrypt data using AES-256-CBC
+   * Encrypt data using AES-256-GCM
+   * Every save uses a new salt (and so a new key) and IV; the envelope header is
+   * authenticated along with the data. The wrapped data key slots are stored with it
    */
   encrypt(data) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(this.algorithm, this.encryptionKey, iv);
-    
-    let encrypted = cipher.update(JSON.stringify(data), 'utf8', 'hex');
-    encrypted += cipher.final('hex');
-    
-    return iv.toString('hex') + ':' + encrypted;
+    const salt = crypto.randomBytes(16);
+    const iv = crypto.randomBytes(12);
+    const header = this.createHeader(FILE_VERSION, salt.toString('base64'), iv.toString('base64'));
+
+    const cipher = crypto.createCipheriv(this.algorithm, this.deriveKey(salt, FILE_KEY_INFO), iv);
+    cipher.setAAD(Buffer.from(JSON.stringify(header), 'utf8'));
+    const encrypted = Buffer.concat([cipher.update(JSON.stringify(data), 'utf8'), cipher.final()]);
+
+    return JSON.stringify({
+      ...header,
+      keys: this.keySlots,
+      tag: cipher.getAuthTag().toString('base64'),
+      data: encrypted.toString('base64')
+    });
+  }
+
+  /**
+   * Parse the envelope of an AES-256-GCM data file
+   */
+  parseEnvelope(encryptedData) {
+    let envelope;
+    try {
+      envelope = JSON.parse(encryptedData);
+    } catch (error) {
+      throw this.corruptedError('Data file is corrupted');
+    }
+    if (envelope === null || typeof envelope !== 'object' || envelope.format !== FILE_FORMAT) {
+      throw this.corruptedError('Data file is corrupted');
+    }
+    if (!SUPPORTED_FILE_VERSIONS.includes(envelope.version) || envelope.kdf !== 'hkdf-sha256') {
+      throw new Error('Unsupported data file format');
+    }
+    return envelope;
+  }
+
+  /**
+   * Decrypt data using AES-256-GCM
+   * Uses the data key (see openDataKey)
+   */
+  decrypt(envelope) {
+    const header = this.createHeader(envelope.version, envelope.salt, envelope.iv);
+    const key = this.deriveKey(Buffer.from(envelope.salt, 'base64'), FILE_KEY_INFO);
+    const decipher = crypto.createDecipheriv(this.algorithm, key, Buffer.from(envelope.iv, 'base64'));
+    decipher.setAAD(Buffer.from(JSON.stringify(header), 'utf8'));
+    decipher.setAuthTag(Buffer.from(envelope.tag || '', 'base64'));
+
+    let decrypted;
+    try {
+      decrypted = Buffer.concat([decipher.update(Buffer.from(envelope.data || '', 'base64')), decipher.final()]);
+    } catch (error) {
+      throw this.corruptedError('Data file failed the integrity check (it was modified or the key does not match)');
+    }
+
+    try {
+      return JSON.parse(decrypted.toString('utf8'));
+    } catch (error) {
+      throw this.corruptedError('Data file is corrupted');
+    }
+  }
+
+  /**
+   * Create the error thrown when the contents of a data file can't be parsed or
+   * decrypted; only these (and a missing file) make load fall back to a backup
+   */
+  corruptedError(message) {
+    const error = new Error(message);
+    error.code = 'DATA_CORRUPTED';
+    return error;
+  }
+
+  /**
+   * Build the authenticated header of the data file envelope
+   */
+  createHeader(version, salt, iv) {
+    return { format: FILE_FORMAT, version: version, kdf: 'hkdf-sha256', salt: salt, iv: iv };
+  }
+
+  /**
+   * Get the data key of a data file
+   * Without a credential the machine key slot is opened with this machine's key file;
+   * a credential ({ method: 'developerKey' | 'recoveryFile', value }) opens the
+   * corresponding slot instead. Version 2 files have no slots and used the machine
+   * secret itself as the data key.
+   * @throws {Error} DATA_LOCKED error if the machine slot can't be opened
+   */
+  async openDataKey(envelope, credential = null) {
+    if (envelope.version === 2) {
+      return await this.getMachineSecret();
+    }
+
+    const slots = Array.isArray(envelope.keys) ? envelope.keys : [];
+
+    if (!credential) {
+      const slot = slots.find(entry => entry.type === 'machine');
+      let secret;
+      try {
+        secret = await this.getMachineSecret();
+      } catch (error) {
+        throw this.lockedError(slots, `The key file of this machine could not be read (${error.message})`);
+      }
+      try {
+        if (!slot) {
+          throw new Error('The data file has no machine key');
+        }
+        return openSlot(slot, salt => deriveFromSecret(secret, salt));
+      } catch (error) {
+        throw this.lockedError(slots, 'The data file was encrypted on another machine or with a different key file');
+      }
+    }
+
+    if (credential.method === 'developerKey') {
+      const slot = slots.find(entry => entry.type === 'developer');
+      if (!slot) {
+        throw new Error('The data file has no developer key slot');
+      }
+      return openSlot(slot, salt => deriveFromPassphrase(String(credential.value), salt));
+    }
+
+    if (credential.method === 'recoveryFile') {
+      const recoveryFile = this.parseRecoveryFile(credential.value);
+      const slot = slots.find(entry => entry.type === 'recoveryFile' && entry.id === recoveryFile.id);
+      if (!slot) {
+        throw new Error('This recovery file does not belong to the data file (or a newer one was created)');
+      }
+      return openSlot(slot, salt => deriveFromSecret(Buffer.from(recoveryFile.secret, 'base64'), salt));
+    }
+
+    throw new Error(`Unsupported recovery method: ${credential.method}`);
   }
 
   /**
-   * Decrypt data using AES-256-CBC
+   * Create the error thrown when the data file can't be opened on this machine
+   * and remember which recovery methods can open it (see getLockStatus)
    */
-  decrypt(encryptedData) {
-    const parts = encryptedData.split(':');
+  lockedError(slots, reason) {
+    const methods = [];
+    if (slots === 'legacy') {
+      methods.push('previousHostname');
+    } else {
+      if (slots.some(slot => slot.type === 'developer')) {
+        methods.push('developerKey');
+      }
+      if (slots.some(slot => slot.type === 'recoveryFile')) {
+        methods.push('recoveryFile');
+      }
+    }
+
+    this.lock = { reason: reason, methods: methods };
+    const error = new Error(`The data file is locked: ${reason}`);
+    error.code = 'DATA_LOCKED';
+    return error;
+  }
+
+  /**
+   * Get why the data file couldn't be opened and how it can be recovered,
+   * or null if it isn't locked
+   * @returns {Object|null} { reason, methods: ['developerKey' | 'recoveryFile' | 'previousHostname'] }
+   */
+  getLockStatus() {
+    return this.lock ? { ...this.lock, methods: [...this.lock.methods] } : null;
+  }
+
+  /**
+   * Make sure the data key is wrapped for this machine and for the developer key
+   * @returns {Promise<boolean>} True if a slot was added
+   */
+  async ensureKeySlots(data) {
+    let changed = false;
+
+    if (!this.keySlots.some(slot => slot.type === 'machine')) {
+      await this.wrapForMachine();
+      changed = true;
+    }
+    if (!this.keySlots.some(slot => slot.type === 'developer') && data.developerKey) {
+      this.wrapForDeveloperKey(this.decryptString(data.developerKey));
+      changed = true;
+    }
+
+    return changed;
+  }
+
+  /**
+   * Wrap the data key with this machine's key file, replacing the machine slot
+   * If the key file can't be read it's set aside and a new one is created
+   */
+  async wrapForMachine() {
+    let secret;
+    try {
+      secret = await this.getMachineSecret();
+    } catch (error) {
+      Logger.warn(`Key file is unusable, creating a new one: ${error.message}`, null, 'DataStore');
+      this.secret = await this.keyFile.replace();
+      secret = this.secret;
+    }
+
+    this.keySlots = [
+      ...this.keySlots.filter(slot => slot.type !== 'machine'),
+      createSlot('machine', this.dataKey, salt => deriveFromSecret(secret, salt))
+    ];
+  }
+
+  /**
+   * Wrap the data key with the developer key, replacing the developer slot
+   */
+  wrapForDeveloperKey(developerKey) {
+    this.keySlots = [
+      ...this.keySlots.filter(slot => slot.type !== 'developer'),
+      createSlot('developer', this.dataKey, salt => deriveFromPassphrase(developerKey, salt))
+    ];
+  }
+
+  /**
+   * Parse and check the contents of a recovery file
+   */
+  parseRecoveryFile(content) {
+    let recoveryFile;
+    try {
+      recoveryFile = typeof content === 'string' ? JSON.parse(content) : content;
+    } catch (error) {
+      throw new Error('The recovery file is not valid JSON');
+    }
+    if (!recoveryFile || recoveryFile.format !== RECOVERY_FILE_FORMAT || recoveryFile.version !== 1 ||
+        typeof recoveryFile.id !== 'string' || typeof recoveryFile.secret !== 'string') {
+      throw new Error('The file is not a Group Policy Manager recovery file');
+    }
+    return recoveryFile;
+  }
+
+  /**
+   * Check whether file contents are in the legacy AES-256-CBC format ("iv:data" in hex)
+   */
+  isLegacyFormat(encryptedData) {
+    return /^[0-9a-f]{32}:[0-9a-f]+$/i.test(encryptedData.trim());
+  }
+
+  /**
+   * Decrypt a legacy AES-256-CBC value ("iv:data" in hex)
+   */
+  decryptLegacy(encryptedStr, key) {
+    const parts = encryptedStr.trim().split(':');
     const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
-    
-    const decipher = crypto.createDecipheriv(this.algorithm, this.encryptionKey, iv);
-    
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    const decipher = crypto.createDecipheriv('aes-256-cbc', key, iv);
+
+    let decrypted = decipher.update(parts[1], 'hex', 'utf8');
     decrypted += decipher.final('utf8');
-    
-    return JSON.parse(decrypted);
+
+    return decrypted;
+  }
+
+  /**
+   * Convert a legacy AES-256-CBC data file to the current format
+   * The file and the encrypted strings inside it (developer key, security question)
+   * are decrypted with the legacy key and the strings re-encrypted with a new data key.
+   * The legacy key depends on the computer name; after a rename the previous name
+   * can be given as a credential ({ method: 'previousHostname', value })
+   */
+  migrateLegacyData(encryptedData, credential = null) {
+    const hostname = credential && credential.method === 'previousHostname' ? String(credential.value).trim() : undefined;
+    const legacyKey = this.generateLegacyKey(hostname);
+
+    let data;
+    try {
+      data = JSON.parse(this.decryptLegacy(encryptedData, legacyKey));
+    } catch (error) {
+      if (hostname !== undefined) {
+        throw new Error('The data file was not written on a computer with this name');
+      }
+      throw this.lockedError('legacy', 'The data file was written by an earlier version on a computer with a different name');
+    }
+
+    this.dataKey = generateDataKey();
+    this.keySlots = [];
+
+    if (data.developerKey) {
+      data.developerKey = this.encryptString(this.decryptLegacy(data.developerKey, legacyKey));
+    }
+    if (data.credentials && data.credentials.securityQuestion) {
+      data.credentials.securityQuestion = this.encryptString(
+        this.decryptLegacy(data.credentials.securityQuestion, legacyKey));
+    }
+
+    return data;
   }
 
   /**
    * Load encrypted data from file
+   * Legacy AES-256-CBC files and payloads with an older schema version are migrated
+   * (see migrations.js) and saved in the current format; the original file is
+   * backed up first. If the file is missing or can't be parsed or decrypted, the newest
+   * valid backup is loaded instead (see getRecoveryStatus); other read errors (e.g. access
+   * denied) are thrown, since the file itself may be fine. If the data key can't be opened
+   * on this machine the store stays locked until unlockWith succeeds (see getLockStatus)
    */
   async load() {
     try {
-      const encryptedData = await fs.readFile(this.dataPath, 'utf8');
-      this.data = this.decrypt(encryptedData);
-      return this.data;
+      this.lock = null;
+
+      let source;
+      try {
+        source = await this.readDataFile(this.dataPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT' && error.code !== 'DATA_CORRUPTED') {
+          throw error;
+        }
+        source = await this.recoverFromBackup(error);
+        // A backup that's locked as well doesn't make the (missing or damaged) data file unlockable
+        this.lock = null;
+        if (!source) {
+          if (error.code === 'ENOENT') {
+            // File doesn't exist, initialize with default data
+            this.dataKey = generateDataKey();
+            this.keySlots = [];
+            this.data = await this.initializeDefaultData();
+            await this.ensureKeySlots(this.data);
+            await this.save(this.data);
+            return this.data;
+          }
+          throw error;
+        }
+      }
+
+      return await this.openSource(source, !!this.recovery);
+    } catch (error) {
+      const loadError = new Error(`Failed to load data: ${error.message}`);
+      loadError.code = error.code;
+      throw loadError;
+    }
+  }
+
+  /**
+   * Open a locked data file with a recovery credential and re-wrap its data key for
+   * this machine (e.g. after new hardware, a reinstall or a computer rename)
+   * @param {string} method - 'developerKey', 'recoveryFile' (value is the file contents) or 'previousHostname'
+   * @param {string} value - Credential
+   * @returns {Promise<Object>} Loaded data
+   */
+  async unlockWith(method, value) {
+    const source = await this.readDataFile(this.dataPath, { method, value });
+
+    await this.wrapForMachine();
+    const data = await this.openSource(source, true);
+
+    this.lock = null;
+    Logger.info(`Data file unlocked with ${method} and re-wrapped for this machine`, null, 'DataStore');
+    return data;
+  }
+
+  /**
+   * Finish loading decrypted data: check the schema version, migrate and add missing
+   * key slots, saving the result if anything changed
+   */
+  async openSource(source, forceSave) {
+    const { encryptedData, data, legacyFormat } = source;
+    const version = getSchemaVersion(data);
+    if (version > CURRENT_SCHEMA_VERSION) {
+      throw new Error(`The data file was written by a newer version of the application (schema version ${version})`);
+    }
+
+    const slotsAdded = await this.ensureKeySlots(data);
+
+    if (legacyFormat || needsMigration(data)) {
+      const backupPath = await this.writeBackup(encryptedData, version);
+      const { from, to, applied } = migrate(data);
+      await this.save(data);
+      Logger.info(`Data file migrated from schema version ${from} to ${to}`, {
+        encryption: legacyFormat ? 'AES-256-CBC to AES-256-GCM' : null,
+        applied: applied,
+        backupPath: backupPath
+      }, 'DataStore');
+    } else if (forceSave || slotsAdded) {
+      // Put recovered data back in place of the damaged file, or store the new key slots
+      await this.save(data);
+    }
+
+    this.data = data;
+    return this.data;
+  }
+
+  /**
+   * Read and decrypt a data file (current or legacy format)
+   * @returns {Promise<Object>} { encryptedData, data, legacyFormat }
+   */
+  async readDataFile(filePath, credential = null) {
+    const encryptedData = await fs.readFile(filePath, 'utf8');
+
+    if (this.isLegacyFormat(encryptedData)) {
+      const data = this.migrateLegacyData(encryptedData, credential);
+      return { encryptedData, data, legacyFormat: true };
+    }
+
+    const envelope = this.parseEnvelope(encryptedData);
+    const dataKey = await this.openDataKey(envelope, credential && credential.method !== 'previousHostname' ? credential : null);
+
+    const previousKey = this.dataKey;
+    this.dataKey = dataKey;
+    try {
+      const data = this.decrypt(envelope);
+      this.keySlots = Array.isArray(envelope.keys) ? envelope.keys : [];
+      return { encryptedData, data, legacyFormat: false };
     } catch (error) {
-      if (error.code === 'ENOENT') {
-        // File doesn't exist, initialize with default data
-        this.data = await this.initializeDefaultData();
-        await this.save(this.data);
-        return this.data;
+      this.dataKey = previousKey;
+      throw error;
+    }
+  }
+
+  /**
+   * Load the newest valid backup after the data file failed to load
+   * The damaged file is kept next to the backups (.corrupt-<timestamp>) for inspection
+   * @returns {Promise<Object|null>} Same as readDataFile, or null if no backup is usable
+   */
+  async recoverFromBackup(loadError) {
+    for (const backupPath of this.getBackupPaths()) {
+      let source;
+      try {
+        source = await this.readDataFile(backupPath);
+      } catch (error) {
+        if (error.code !== 'ENOENT') {
+          Logger.warn(`Backup ${backupPath} is not usable: ${error.message}`, null, 'DataStore');
+        }
+        continue;
       }
-      throw new Error(`Failed to load data: ${error.message}`);
+
+      let corruptPath = null;
+      if (loadError.code !== 'ENOENT') {
+        corruptPath = `${this.dataPath}.corrupt-${Date.now()}`;
+        try {
+          await fs.rename(this.dataPath, corruptPath);
+        } catch (error) {
+          Logger.warn(`Failed to set the damaged data file aside: ${error.message}`, null, 'DataStore');
+          corruptPath = null;
+          // Don't let the next save rotate the damaged file into the backups
+          this.skipRotation = true;
+        }
+      }
+
+      this.recovery = {
+        backupPath: backupPath,
+        corruptPath: corruptPath,
+        reason: loadError.code === 'ENOENT' ? 'The data file was missing' : loadError.message,
+        backupModified: (await fs.stat(backupPath)).mtime.toISOString(),
+        recoveredAt: new Date().toISOString()
+      };
+      Logger.warn('Data file could not be loaded, restored the newest valid backup', this.recovery, 'DataStore');
+      return source;
     }
+
+    return null;
+  }
+
+  /**
+   * Get details of the backup restored by the last load, or null if the data file loaded normally
+   * @returns {Object|null} { backupPath, corruptPath, reason, backupModified, recoveredAt }
+   */
+  getRecoveryStatus() {
+    return this.recovery ? { ...this.recovery } : null;
+  }
+
+  /**
+   * Forget the recovery status once the user has been told about it
+   */
+  clearRecoveryStatus() {
+    this.recovery = null;
   }
 
   /**
    * Save encrypted data to file
+   * The file is replaced atomically and the previous version is kept as the newest
+   * backup; saves are written one at a time
    */
   async save(data) {
     try {
       this.data = data;
       const encryptedData = this.encrypt(data);
-      await fs.writeFile(this.dataPath, encryptedData, 'utf8');
+
+      const write = this.saveQueue.then(async () => {
+        await this.rotateBackups();
+        await this.writeAtomic(this.dataPath, encryptedData);
+      });
+      this.saveQueue = write.catch(() => {});
+      await write;
     } catch (error) {
       throw new Error(`Failed to save data: ${error.message}`);
     }
   }
 
+  /**
+   * Get the paths of the last-known-good backups, newest first
+   */
+  getBackupPaths() {
+    return Array.from({ length: this.backupCount }, (_, index) => `${this.dataPath}.${index + 1}.bak`);
+  }
+
+  /**
+   * Shift the backups by one and copy the current data file to the newest slot
+   * A failure here is logged but doesn't stop the save
+   */
+  async rotateBackups() {
+    const backupPaths = this.getBackupPaths();
+    if (backupPaths.length === 0 || this.skipRotation) {
+      this.skipRotation = false;
+      return;
+    }
+
+    try {
+      await fs.access(this.dataPath);
+    } catch (error) {
+      return;
+    }
+
+    try {
+      for (let index = backupPaths.length - 1; index > 0; index--) {
+        try {
+          await fs.rename(backupPaths[index - 1], backupPaths[index]);
+        } catch (error) {
+          if (error.code !== 'ENOENT') {
+            throw error;
+          }
+        }
+      }
+      await fs.copyFile(this.dataPath, backupPaths[0]);
+    } catch (error) {
+      Logger.warn(`Failed to rotate data file backups: ${error.message}`, null, 'DataStore');
+    }
+  }
+
+  /**
+   * Write a file so that it's either fully replaced or left unchanged
+   * The content goes to a temporary file that is flushed to disk and renamed over the
+   * target; the directory is flushed too where the platform allows it
+   */
+  async writeAtomic(filePath, content) {
+    const tempPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+
+    try {
+      const handle = await fs.open(tempPath, 'w', 0o600);
+      try {
+        await handle.writeFile(content, 'utf8');
+        await handle.sync();
+      } finally {
+        await handle.close();
+      }
+      await fs.rename(tempPath, filePath);
+    } catch (error) {
+      await fs.unlink(tempPath).catch(() => {});
+      throw error;
+    }
+
+    await this.syncDirectory(path.dirname(filePath));
+  }
+
+  /**
+   * Flush a directory entry to disk so a rename survives a power cut
+   * Directories can't be opened for flushing on Windows, where this is skipped
+   */
+  async syncDirectory(dirPath) {
+    let handle = null;
+    try {
+      handle = await fs.open(dirPath, 'r');
+      await handle.sync();
+    } catch (error) {
+      // Not supported on this platform
+    } finally {
+      if (handle) {
+        await handle.close();
+      }
+    }
+  }
+
+  /**
+   * Write a copy of the data file as it was before a migration
+   * The copy is named after the schema version it holds (e.g. .gpm-data.enc.v3.bak)
+   */
+  async writeBackup(encryptedData, version) {
+    const backupPath = `${this.dataPath}.v${version}.bak`;
+    await this.writeAtomic(backupPath, encryptedData);
+    return backupPath;
+  }
+
   /**
    * Initialize default data with admin/admin credentials
    */
@@ -93,6 +676,7 @@ class DataStore {
     const encryptedDeveloperKey = this.encryptString(developerKey);
     
     return {
+      schemaVersion: CURRENT_SCHEMA_VERSION,
       credentials: {
         username: 'admin',
         passwordHash: passwordHash,
@@ -107,28 +691,39 @@ class DataStore {
         websiteBlockEnabled: false,
         whitelistEnabled: false,
         whitelistedDomains: [],
+        blocklistEnabled: false,
+        blockedDomains: [],
+        internalPagesLockdown: true,
+        targetBrowsers: null,
+        enforcementEnabled: false,
+        enforcementIntervalMinutes: 5,
+        registryProvider: 'powershell',
+        activeProfileId: null,
         lastUpdated: new Date().toISOString()
       },
       toggleStates: {
         driveBlock: false,
         websiteBlock: false,
         whitelist: false,
+        blocklist: false,
         lastSynced: null
-      }
+      },
+      schedules: [],
+      profiles: []
     };
   }
 
   /**
-   * Encrypt a single string value
+   * Encrypt a single string value using AES-256-GCM
    */
   encryptString(str) {
-    const iv = crypto.randomBytes(16);
-    const cipher = crypto.createCipheriv(this.algorithm, this.encryptionKey, iv);
+    const iv = crypto.randomBytes(12);
+    const cipher = crypto.createCipheriv(this.algorithm, this.deriveKey(Buffer.alloc(0), STRING_KEY_INFO), iv);
     
     let encrypted = cipher.update(str, 'utf8', 'hex');
     encrypted += cipher.final('hex');
     
-    return iv.toString('hex') + ':' + encrypted;
+    return [STRING_PREFIX, iv.toString('hex'), cipher.getAuthTag().toString('hex'), encrypted].join(':');
   }
 
   /**
@@ -136,12 +731,14 @@ class DataStore {
    */
   decryptString(encryptedStr) {
     const parts = encryptedStr.split(':');
-    const iv = Buffer.from(parts[0], 'hex');
-    const encrypted = parts[1];
+    if (parts.length !== 4 || parts[0] !== STRING_PREFIX) {
+      throw new Error('Unsupported encrypted value format');
+    }
     
-    const decipher = crypto.createDecipheriv(this.algorithm, this.encryptionKey, iv);
+    const decipher = crypto.createDecipheriv(this.algorithm, this.deriveKey(Buffer.alloc(0), STRING_KEY_INFO), Buffer.from(parts[1], 'hex'));
+    decipher.setAuthTag(Buffer.from(parts[2], 'hex'));
     
-    let decrypted = decipher.update(encrypted, 'hex', 'utf8');
+    let decrypted = decipher.update(parts[3], 'hex', 'utf8');
     decrypted += decipher.final('utf8');
     
     return decrypted;
@@ -215,9 +812,41 @@ class DataStore {
       await this.load();
     }
     this.data.developerKey = this.encryptString(newKey);
+    this.wrapForDeveloperKey(newKey);
     await this.save(this.data);
   }
 
+  /**
+   * Create a recovery file that can re-open the data file on another machine
+   * The data key is wrapped with the file's secret; a new recovery file replaces
+   * any earlier one
+   * @returns {Promise<Object>} Recovery file contents
+   */
+  async createRecoveryFile() {
+    if (!this.data) {
+      await this.load();
+    }
+
+    const secret = crypto.randomBytes(32);
+    const recoveryFile = {
+      format: RECOVERY_FILE_FORMAT,
+      version: 1,
+      id: crypto.randomUUID(),
+      createdAt: new Date().toISOString(),
+      secret: secret.toString('base64')
+    };
+
+    this.keySlots = [
+      ...this.keySlots.filter(slot => slot.type !== 'recoveryFile'),
+      createSlot('recoveryFile', this.dataKey, salt => deriveFromSecret(secret, salt),
+        { id: recoveryFile.id, createdAt: recoveryFile.createdAt })
+    ];
+    await this.save(this.data);
+
+    Logger.info('Recovery file created', { id: recoveryFile.id }, 'DataStore');
+    return recoveryFile;
+  }
+
   /**
    * Get toggle states
    */
@@ -225,15 +854,6 @@ class DataStore {
     if (!this.data) {
       await this.load();
     }
-    // Ensure toggleStates exists for backward compatibility
-    if (!this.data.toggleStates) {
-      this.data.toggleStates = {
-        driveBlock: false,
-        websiteBlock: false,
-        whitelist: false,
-        lastSynced: null
-      };
-    }
     return this.data.toggleStates;
   }
 
@@ -250,6 +870,48 @@ class DataStore {
     };
     await this.save(this.data);
   }
+
+  /**
+   * Get schedule rules
+   */
+  async getSchedules() {
+    if (!this.data) {
+      await this.load();
+    }
+    return this.data.schedules;
+  }
+
+  /**
+   * Replace schedule rules
+   */
+  async updateSchedules(schedules) {
+    if (!this.data) {
+      await this.load();
+    }
+    this.data.schedules = schedules;
+    await this.save(this.data);
+  }
+
+  /**
+   * Get policy profiles
+   */
+  async getProfiles() {
+    if (!this.data) {
+      await this.load();
+    }
+    return this.data.profiles;
+  }
+
+  /**
+   * Replace policy profiles
+   */
+  async updateProfiles(profiles) {
+    if (!this.data) {
+      await this.load();
+    }
+    this.data.profiles = profiles;
+    await this.save(this.data);
+  }
 }
 
 module.exports = DataStore;
@@ -0,0 +1,207 @@
+const crypto = require('crypto');
+const fs = require('fs').promises;
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const PowerShellCommand = require('../registry/powerShellCommand');
+const Logger = require('../utils/logger');
+const { READ_RIGHTS, WRITE_RIGHTS, getUntrustedAccounts, hasTrustedOwner, readWindowsAcl, restrictWindowsAcl } = require('./windowsAcl');
+
+const execFileAsync = promisify(execFile);
+
+const SECRET_LENGTH = 32;
+
+/**
+ * KeyFile - Holds the random secret the DataStore encryption keys are derived from
+ * On Windows the secret is protected with DPAPI (machine scope, so every administrator
+ * of the machine can open the store); elsewhere, or if DPAPI is unavailable, it's kept
+ * in a file that only its owner (root or the current user) can read. DPAPI machine scope
+ * lets every account on the machine unprotect the secret, so on Windows the key file
+ * gets its own ACL (SYSTEM and Administrators only) as well
+ *
+ * File format (JSON): { version: 1, protection: 'dpapi' | 'file', secret: base64 }
+ */
+class KeyFile {
+  /**
+   * @param {string} keyPath - Path of the key file
+   * @param {Object} options - Key file options
+   * @param {string} options.platform - Platform the protection is chosen for (defaults to process.platform)
+   */
+  constructor(keyPath, options = {}) {
+    this.keyPath = keyPath;
+    this.platform = options.platform || process.platform;
+  }
+
+  /**
+   * Read the secret, creating the key file with a new secret if it doesn't exist
+   * @returns {Promise<Buffer>} Secret
+   */
+  async getSecret() {
+    let content;
+    try {
+      content = await fs.readFile(this.keyPath, 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return await this._create();
+      }
+      throw new Error(`Failed to read key file: ${error.message}`);
+    }
+
+    await this._checkPermissions();
+
+    let keyData;
+    try {
+      keyData = JSON.parse(content);
+    } catch (error) {
+      throw new Error('Key file is corrupted');
+    }
+
+    const stored = Buffer.from(keyData.secret || '', 'base64');
+    const secret = keyData.protection === 'dpapi' ? await this._unprotect(stored) : stored;
+    if (secret.length !== SECRET_LENGTH) {
+      throw new Error('Key file is corrupted');
+    }
+
+    return secret;
+  }
+
+  /**
+   * Set an unusable key file aside (.old-<timestamp>) and create a new one
+   * Only call this once the data key has been opened another way, or the data
+   * wrapped with the old secret can't be read any more
+   * @returns {Promise<Buffer>} New secret
+   */
+  async replace() {
+    const oldPath = `${this.keyPath}.old-${Date.now()}`;
+    try {
+      await fs.rename(this.keyPath, oldPath);
+      Logger.warn('Set the previous key file aside', { path: oldPath }, 'KeyFile');
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Failed to replace key file: ${error.message}`);
+      }
+    }
+    return await this._create();
+  }
+
+  /**
+   * Create the key file with a new random secret
+   * @private
+   * @returns {Promise<Buffer>} Secret
+   */
+  async _create() {
+    const secret = crypto.randomBytes(SECRET_LENGTH);
+    let protection = 'file';
+    let stored = secret;
+
+    if (this.platform === 'win32') {
+      try {
+        stored = await this._protect(secret);
+        protection = 'dpapi';
+      } catch (error) {
+        Logger.warn('DPAPI is unavailable, storing the data key in a protected file', error, 'KeyFile');
+      }
+    }
+
+    const keyData = { version: 1, protection: protection, secret: stored.toString('base64') };
+    await fs.writeFile(this.keyPath, JSON.stringify(keyData), { encoding: 'utf8', mode: 0o600, flag: 'wx' });
+
+    if (this.platform === 'win32') {
+      try {
+        await restrictWindowsAcl(this.keyPath);
+      } catch (error) {
+        await fs.unlink(this.keyPath).catch(() => {});
+        throw new Error(`Failed to restrict access to the key file: ${error.message}`);
+      }
+    }
+
+    Logger.info(`Created key file (${protection} protection)`, { path: this.keyPath }, 'KeyFile');
+    return secret;
+  }
+
+  /**
+   * Make sure no other user can read or change the key file
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _checkPermissions() {
+    if (this.platform === 'win32') {
+      await this._checkWindowsAcl();
+      return;
+    }
+
+    const stat = await fs.stat(this.keyPath);
+    const uid = typeof process.getuid === 'function' ? process.getuid() : null;
+
+    if (stat.uid !== 0 && stat.uid !== uid) {
+      throw new Error(`Key file ${this.keyPath} must be owned by root or the current user`);
+    }
+    if ((stat.mode & 0o077) !== 0) {
+      throw new Error(`Key file ${this.keyPath} must not be accessible by other users (chmod 600)`);
+    }
+  }
+
+  /**
+   * Make sure only administrators (or the current user) can read or change the key file on Windows
+   * @private
+   * @returns {Promise<void>}
+   */
+  async _checkWindowsAcl() {
+    const acl = await readWindowsAcl(this.keyPath);
+
+    if (!hasTrustedOwner(acl)) {
+      throw new Error(`Key file ${this.keyPath} must be owned by Administrators, SYSTEM or the current user (owner: ${acl.owner})`);
+    }
+
+    const untrusted = getUntrustedAccounts(acl, READ_RIGHTS | WRITE_RIGHTS);
+    if (untrusted.length > 0) {
+      throw new Error(`Key file ${this.keyPath} can be read or changed by accounts other than administrators ` +
+        `(${untrusted.join(', ')}); remove their access to the file`);
+    }
+  }
+
+  /**
+   * Protect data with DPAPI (machine scope)
+   * @private
+   * @param {Buffer} data - Data to protect
+   * @returns {Promise<Buffer>} Protected data
+   */
+  async _protect(data) {
+    return await this._runDpapi('Protect', data);
+  }
+
+  /**
+   * Unprotect data with DPAPI (machine scope)
+   * @private
+   * @param {Buffer} data - Protected data
+   * @returns {Promise<Buffer>} Data
+   */
+  async _unprotect(data) {
+    return await this._runDpapi('Unprotect', data);
+  }
+
+  /**
+   * Run a DPAPI operation through PowerShell
+   * @private
+   * @param {string} operation - 'Protect' or 'Unprotect'
+   * @param {Buffer} data - Input data
+   * @returns {Promise<Buffer>} Output data
+   */
+  async _runDpapi(operation, data) {
+    const script =
+      `Add-Type -AssemblyName System.Security; ` +
+      `$data = [Convert]::FromBase64String(${PowerShellCommand.quote(data.toString('base64'))}); ` +
+      `[Convert]::ToBase64String([Security.Cryptography.ProtectedData]::${operation}(` +
+      `$data, $null, [Security.Cryptography.DataProtectionScope]::LocalMachine))`;
+
+    const { stdout } = await execFileAsync('powershell.exe', [
+      '-NoProfile',
+      '-NonInteractive',
+      '-EncodedCommand',
+      PowerShellCommand.encodeCommand(script)
+    ], { windowsHide: true });
+
+    return Buffer.from(stdout.trim(), 'base64');
+  }
+}
+
+module.exports = KeyFile;
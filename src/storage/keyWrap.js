@@ -0,0 +1,97 @@
+const crypto = require('crypto');
+
+/**
+ * Key wrapping for the DataStore
+ * The data file is encrypted with a random data key that never changes. The data
+ * key is stored in the file several times, each copy ("key slot") wrapped
+ * (AES-256-GCM) with a different key-encryption key:
+ *   machine      - derived (HKDF) from the KeyFile secret of this machine
+ *   developer    - derived (scrypt) from the developer key
+ *   recoveryFile - derived (HKDF) from the secret in an exported recovery file
+ * Any one of them opens the store, so a slot whose key is lost (new hardware,
+ * reinstalled Windows) can be re-wrapped after opening the store with another.
+ */
+
+const KEY_BYTES = 32;
+const WRAP_INFO = 'gpm-datastore-wrap';
+
+/**
+ * Generate a new data key
+ * @returns {Buffer} Data key
+ */
+function generateDataKey() {
+  return crypto.randomBytes(KEY_BYTES);
+}
+
+/**
+ * Derive a key-encryption key from a random secret (machine secret, recovery file secret)
+ * @param {Buffer} secret - Secret
+ * @param {Buffer} salt - Slot salt
+ * @returns {Buffer} Key-encryption key
+ */
+function deriveFromSecret(secret, salt) {
+  return Buffer.from(crypto.hkdfSync('sha256', secret, salt, WRAP_INFO, KEY_BYTES));
+}
+
+/**
+ * Derive a key-encryption key from a key typed by the user (developer key)
+ * @param {string} passphrase - Key as entered
+ * @param {Buffer} salt - Slot salt
+ * @returns {Buffer} Key-encryption key
+ */
+function deriveFromPassphrase(passphrase, salt) {
+  return crypto.scryptSync(passphrase.trim(), salt, KEY_BYTES);
+}
+
+/**
+ * Create a key slot
+ * @param {string} type - Slot type ('machine', 'developer' or 'recoveryFile')
+ * @param {Buffer} dataKey - Data key to wrap
+ * @param {Function} deriveKey - Receives the slot salt and returns the key-encryption key
+ * @param {Object} extra - Additional slot properties (e.g. the recovery file id)
+ * @returns {Object} Key slot ({ type, ...extra, salt, iv, tag, key })
+ */
+function createSlot(type, dataKey, deriveKey, extra = {}) {
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+
+  const cipher = crypto.createCipheriv('aes-256-gcm', deriveKey(salt), iv);
+  cipher.setAAD(Buffer.from(type, 'utf8'));
+  const wrapped = Buffer.concat([cipher.update(dataKey), cipher.final()]);
+
+  return {
+    type: type,
+    ...extra,
+    salt: salt.toString('base64'),
+    iv: iv.toString('base64'),
+    tag: cipher.getAuthTag().toString('base64'),
+    key: wrapped.toString('base64')
+  };
+}
+
+/**
+ * Unwrap the data key from a key slot
+ * @param {Object} slot - Key slot
+ * @param {Function} deriveKey - Receives the slot salt and returns the key-encryption key
+ * @returns {Buffer} Data key
+ * @throws {Error} If the key-encryption key doesn't match the slot
+ */
+function openSlot(slot, deriveKey) {
+  try {
+    const decipher = crypto.createDecipheriv('aes-256-gcm', deriveKey(Buffer.from(slot.salt, 'base64')),
+      Buffer.from(slot.iv, 'base64'));
+    decipher.setAAD(Buffer.from(slot.type, 'utf8'));
+    decipher.setAuthTag(Buffer.from(slot.tag, 'base64'));
+    return Buffer.concat([decipher.update(Buffer.from(slot.key, 'base64')), decipher.final()]);
+  } catch (error) {
+    throw new Error(`The ${slot.type} key does not open this data file`);
+  }
+}
+
+module.exports = {
+  generateDataKey,
+  deriveFromSecret,
+  deriveFromPassphrase,
+  createSlot,
+  openSlot
+};
@@ -0,0 +1,127 @@
+/**
+ * Schema migrations for the DataStore payload
+ * The payload records its schemaVersion; files written before versioning have none
+ * and count as version 0. Each migration upgrades the payload from the previous
+ * version to its own, so they must stay in order and must never be changed once
+ * released - add a new migration instead.
+ *
+ * Versions 1 to 5 were introduced together with versioning and name the changes
+ * made to the payload before it; no file was ever written with those versions.
+ * A version 0 file can have the shape of any earlier release (test/fixtures/dataStore),
+ * so these migrations only fill in what's missing and keep existing values.
+ */
+
+/**
+ * Fill in a missing property
+ * @param {Object} target - Object to update
+ * @param {string} key - Property name
+ * @param {*} value - Default value
+ */
+function setDefault(target, key, value) {
+  if (target[key] === undefined) {
+    target[key] = value;
+  }
+}
+
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Add policy toggle states',
+    migrate(data) {
+      setDefault(data, 'toggleStates', {
+        driveBlock: false,
+        websiteBlock: false,
+        whitelist: false,
+        lastSynced: null
+      });
+    }
+  },
+  {
+    version: 2,
+    description: 'Add blocklist mode',
+    migrate(data) {
+      setDefault(data.settings, 'blocklistEnabled', false);
+      setDefault(data.settings, 'blockedDomains', []);
+      setDefault(data.toggleStates, 'blocklist', false);
+    }
+  },
+  {
+    version: 3,
+    description: 'Add browser internal page lockdown and target browsers',
+    migrate(data) {
+      setDefault(data.settings, 'internalPagesLockdown', true);
+      setDefault(data.settings, 'targetBrowsers', null);
+    }
+  },
+  {
+    version: 4,
+    description: 'Add enforcement, schedules and profiles',
+    migrate(data) {
+      setDefault(data.settings, 'enforcementEnabled', false);
+      setDefault(data.settings, 'enforcementIntervalMinutes', 5);
+      setDefault(data.settings, 'activeProfileId', null);
+      setDefault(data, 'schedules', []);
+      setDefault(data, 'profiles', []);
+    }
+  },
+  {
+    version: 5,
+    description: 'Add registry provider setting',
+    migrate(data) {
+      setDefault(data.settings, 'registryProvider', 'powershell');
+    }
+  }
+];
+
+const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Get the schema version of a payload
+ * @param {Object} data - DataStore payload
+ * @returns {number} Schema version (0 for payloads written before versioning)
+ */
+function getSchemaVersion(data) {
+  return Number.isInteger(data.schemaVersion) ? data.schemaVersion : 0;
+}
+
+/**
+ * Check whether a payload needs to be migrated
+ * @param {Object} data - DataStore payload
+ * @returns {boolean} True if the payload is older than the current schema
+ */
+function needsMigration(data) {
+  return getSchemaVersion(data) < CURRENT_SCHEMA_VERSION;
+}
+
+/**
+ * Upgrade a payload to the current schema version
+ * The payload is changed in place
+ * @param {Object} data - DataStore payload
+ * @returns {Object} { data, from, to, applied: [{ version, description }] }
+ * @throws {Error} If the payload was written by a newer version of the application
+ */
+function migrate(data) {
+  const from = getSchemaVersion(data);
+  if (from > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`Data schema version ${from} is newer than the supported version ${CURRENT_SCHEMA_VERSION}`);
+  }
+
+  data.settings = data.settings || {};
+
+  const applied = [];
+  for (const migration of MIGRATIONS.filter(entry => entry.version > from)) {
+    migration.migrate(data);
+    data.schemaVersion = migration.version;
+    applied.push({ version: migration.version, description: migration.description });
+  }
+
+  return { data, from, to: getSchemaVersion(data), applied };
+}
+
+module.exports = {
+  CURRENT_SCHEMA_VERSION,
+  MIGRATIONS,
+  getSchemaVersion,
+  needsMigration,
+  migrate
+};
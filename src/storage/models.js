@@ -1,6 +1,6 @@
 /**
  * Data Models for Group Policy Manager
- * Defines the structure for User Credentials and Application Settings
+ * Defines the structure for User Credentials, Application Settings, Schedule Rules and Policy Profiles
  */
 
 /**
@@ -62,6 +62,14 @@ class ApplicationSettings {
     this.websiteBlockEnabled = data.websiteBlockEnabled || false;
     this.whitelistEnabled = data.whitelistEnabled || false;
     this.whitelistedDomains = data.whitelistedDomains || [];
+    this.blocklistEnabled = data.blocklistEnabled || false;
+    this.blockedDomains = data.blockedDomains || [];
+    this.internalPagesLockdown = data.internalPagesLockdown !== false;
+    this.targetBrowsers = data.targetBrowsers || null;
+    this.enforcementEnabled = data.enforcementEnabled || false;
+    this.enforcementIntervalMinutes = data.enforcementIntervalMinutes || 5;
+    this.registryProvider = data.registryProvider || 'powershell';
+    this.activeProfileId = data.activeProfileId || null;
     this.lastUpdated = data.lastUpdated || new Date().toISOString();
   }
 
@@ -81,6 +89,30 @@ class ApplicationSettings {
     if (!Array.isArray(this.whitelistedDomains)) {
       throw new Error('Invalid whitelistedDomains value');
     }
+    if (typeof this.blocklistEnabled !== 'boolean') {
+      throw new Error('Invalid blocklistEnabled value');
+    }
+    if (!Array.isArray(this.blockedDomains)) {
+      throw new Error('Invalid blockedDomains value');
+    }
+    if (typeof this.internalPagesLockdown !== 'boolean') {
+      throw new Error('Invalid internalPagesLockdown value');
+    }
+    if (this.targetBrowsers !== null && !Array.isArray(this.targetBrowsers)) {
+      throw new Error('Invalid targetBrowsers value');
+    }
+    if (typeof this.enforcementEnabled !== 'boolean') {
+      throw new Error('Invalid enforcementEnabled value');
+    }
+    if (typeof this.enforcementIntervalMinutes !== 'number' || this.enforcementIntervalMinutes <= 0) {
+      throw new Error('Invalid enforcementIntervalMinutes value');
+    }
+    if (typeof this.registryProvider !== 'string' || this.registryProvider.length === 0) {
+      throw new Error('Invalid registryProvider value');
+    }
+    if (this.activeProfileId !== null && typeof this.activeProfileId !== 'string') {
+      throw new Error('Invalid activeProfileId value');
+    }
     return true;
   }
 
@@ -105,6 +137,27 @@ class ApplicationSettings {
     }
   }
 
+  /**
+   * Add domain to blocklist
+   */
+  addBlockedDomain(domain) {
+    if (!this.blockedDomains.includes(domain)) {
+      this.blockedDomains.push(domain);
+      this.lastUpdated = new Date().toISOString();
+    }
+  }
+
+  /**
+   * Remove domain from blocklist
+   */
+  removeBlockedDomain(domain) {
+    const index = this.blockedDomains.indexOf(domain);
+    if (index > -1) {
+      this.blockedDomains.splice(index, 1);
+      this.lastUpdated = new Date().toISOString();
+    }
+  }
+
   /**
    * Convert to plain object for storage
    */
@@ -114,6 +167,14 @@ class ApplicationSettings {
       websiteBlockEnabled: this.websiteBlockEnabled,
       whitelistEnabled: this.whitelistEnabled,
       whitelistedDomains: [...this.whitelistedDomains],
+      blocklistEnabled: this.blocklistEnabled,
+      blockedDomains: [...this.blockedDomains],
+      internalPagesLockdown: this.internalPagesLockdown,
+      targetBrowsers: this.targetBrowsers ? [...this.targetBrowsers] : null,
+      enforcementEnabled: this.enforcementEnabled,
+      enforcementIntervalMinutes: this.enforcementIntervalMinutes,
+      registryProvider: this.registryProvider,
+      activeProfileId: this.activeProfileId,
       lastUpdated: this.lastUpdated
     };
   }
@@ -126,6 +187,193 @@ class ApplicationSettings {
   }
 }
 
+/**
+ * Schedule Rule Model
+ * A recurring time window during which a policy is switched on
+ */
+class ScheduleRule {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.days = data.days || []; // 0 = Sunday ... 6 = Saturday
+    this.start = data.start || null; // HH:MM, local time
+    this.end = data.end || null; // HH:MM, ends the next day if not after start
+    this.policyType = data.policyType || null;
+    this.settings = data.settings || {};
+    this.enabled = data.enabled !== false;
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.lastModified = data.lastModified || new Date().toISOString();
+  }
+
+  /**
+   * Validate rule structure
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string') {
+      throw new Error('Invalid schedule id');
+    }
+    if (!this.name || typeof this.name !== 'string' || this.name.trim().length === 0) {
+      throw new Error('Schedule name is required');
+    }
+    if (!Array.isArray(this.days) || this.days.length === 0 ||
+        !this.days.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      throw new Error('Select at least one weekday');
+    }
+    if (ScheduleRule.parseTime(this.start) === null) {
+      throw new Error('Invalid start time');
+    }
+    if (ScheduleRule.parseTime(this.end) === null) {
+      throw new Error('Invalid end time');
+    }
+    if (this.start === this.end) {
+      throw new Error('Start and end time must differ');
+    }
+    if (!ScheduleRule.POLICY_TYPES.includes(this.policyType)) {
+      throw new Error('Invalid schedule policy type');
+    }
+    if (typeof this.settings !== 'object' || this.settings === null || Array.isArray(this.settings)) {
+      throw new Error('Invalid schedule settings');
+    }
+    if (this.settings.domains !== undefined && !Array.isArray(this.settings.domains)) {
+      throw new Error('Invalid schedule domains');
+    }
+    if ((this.policyType === 'whitelist' || this.policyType === 'blocklist') &&
+        (!this.settings.domains || this.settings.domains.length === 0)) {
+      throw new Error('Whitelist and blocklist schedules need at least one domain');
+    }
+    if (typeof this.enabled !== 'boolean') {
+      throw new Error('Invalid enabled value');
+    }
+    return true;
+  }
+
+  /**
+   * Convert an HH:MM time to minutes after midnight
+   * @param {string} time - Time in 24-hour HH:MM format
+   * @returns {number|null} Minutes after midnight, or null if the time is invalid
+   */
+  static parseTime(time) {
+    const match = /^([01]\d|2[0-3]):([0-5]\d)$/.exec(typeof time === 'string' ? time : '');
+    return match ? Number(match[1]) * 60 + Number(match[2]) : null;
+  }
+
+  /**
+   * Convert to plain object for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      days: [...this.days].sort(),
+      start: this.start,
+      end: this.end,
+      policyType: this.policyType,
+      settings: {
+        ...this.settings,
+        ...(this.settings.domains ? { domains: [...this.settings.domains] } : {})
+      },
+      enabled: this.enabled,
+      createdAt: this.createdAt,
+      lastModified: this.lastModified
+    };
+  }
+
+  /**
+   * Create from plain object
+   */
+  static fromJSON(data) {
+    return new ScheduleRule(data);
+  }
+}
+
+// Policies a schedule can switch on
+ScheduleRule.POLICY_TYPES = ['drive', 'browser', 'whitelist', 'blocklist'];
+
+/**
+ * Policy Profile Model
+ * A named bundle of drive and website settings that is applied as a whole
+ */
+class PolicyProfile {
+  constructor(data = {}) {
+    this.id = data.id || null;
+    this.name = data.name || '';
+    this.driveBlock = data.driveBlock || false;
+    this.websiteBlock = data.websiteBlock || false;
+    this.whitelist = data.whitelist || false;
+    this.whitelistedDomains = data.whitelistedDomains || [];
+    this.blocklist = data.blocklist || false;
+    this.blockedDomains = data.blockedDomains || [];
+    this.createdAt = data.createdAt || new Date().toISOString();
+    this.lastModified = data.lastModified || new Date().toISOString();
+  }
+
+  /**
+   * Validate profile structure
+   */
+  validate() {
+    if (!this.id || typeof this.id !== 'string') {
+      throw new Error('Invalid profile id');
+    }
+    if (typeof this.name !== 'string' || this.name.trim().length === 0) {
+      throw new Error('Profile name is required');
+    }
+    if (this.name.length > PolicyProfile.MAX_NAME_LENGTH) {
+      throw new Error(`Profile name must be at most ${PolicyProfile.MAX_NAME_LENGTH} characters`);
+    }
+    for (const key of ['driveBlock', 'websiteBlock', 'whitelist', 'blocklist']) {
+      if (typeof this[key] !== 'boolean') {
+        throw new Error(`Invalid ${key} value`);
+      }
+    }
+    if (!Array.isArray(this.whitelistedDomains)) {
+      throw new Error('Invalid whitelistedDomains value');
+    }
+    if (!Array.isArray(this.blockedDomains)) {
+      throw new Error('Invalid blockedDomains value');
+    }
+    if (this.blocklist && (this.websiteBlock || this.whitelist)) {
+      throw new Error('A profile cannot block specific websites while blocking all websites');
+    }
+    return true;
+  }
+
+  /**
+   * Get the policy state this profile applies (see DriftDetector)
+   */
+  toState() {
+    return {
+      driveBlock: this.driveBlock,
+      websiteBlock: this.websiteBlock,
+      whitelist: this.whitelist,
+      whitelistedDomains: [...this.whitelistedDomains],
+      blocklist: this.blocklist,
+      blockedDomains: [...this.blockedDomains]
+    };
+  }
+
+  /**
+   * Convert to plain object for storage
+   */
+  toJSON() {
+    return {
+      id: this.id,
+      name: this.name,
+      ...this.toState(),
+      createdAt: this.createdAt,
+      lastModified: this.lastModified
+    };
+  }
+
+  /**
+   * Create from plain object
+   */
+  static fromJSON(data) {
+    return new PolicyProfile(data);
+  }
+}
+
+PolicyProfile.MAX_NAME_LENGTH = 50;
+
 /**
  * Policy Status Model
  * Represents the current state of applied policies
@@ -136,6 +384,9 @@ class PolicyStatus {
     this.allWebsitesBlocked = data.allWebsitesBlocked || false;
     this.whitelistActive = data.whitelistActive || false;
     this.activeDomains = data.activeDomains || [];
+    this.blocklistActive = data.blocklistActive || false;
+    this.blockedDomains = data.blockedDomains || [];
+    this.internalPagesBlocked = data.internalPagesBlocked || false;
   }
 
   /**
@@ -146,7 +397,10 @@ class PolicyStatus {
       driveWriteBlocked: this.driveWriteBlocked,
       allWebsitesBlocked: this.allWebsitesBlocked,
       whitelistActive: this.whitelistActive,
-      activeDomains: [...this.activeDomains]
+      activeDomains: [...this.activeDomains],
+      blocklistActive: this.blocklistActive,
+      blockedDomains: [...this.blockedDomains],
+      internalPagesBlocked: this.internalPagesBlocked
     };
   }
 
@@ -161,5 +415,7 @@ class PolicyStatus {
 module.exports = {
   UserCredentials,
   ApplicationSettings,
+  ScheduleRule,
+  PolicyProfile,
   PolicyStatus
 };
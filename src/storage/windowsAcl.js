@@ -0,0 +1,121 @@
+const { execFile } = require('child_process');
+const { promisify } = require('util');
+const PowerShellCommand = require('../registry/powerShellCommand');
+
+const execFileAsync = promisify(execFile);
+
+/**
+ * Windows ACL helpers for the data directory and the key file
+ * ACLs are read through PowerShell (Get-Acl) with SIDs instead of account names, so
+ * the checks don't depend on the language of the system, and set with icacls
+ */
+
+// Accounts that may access the data directory and key file on Windows (besides the
+// current user): SYSTEM, Administrators, TrustedInstaller and CREATOR OWNER
+const TRUSTED_SIDS = [
+  'S-1-5-18',
+  'S-1-5-32-544',
+  'S-1-5-80-956008885-3418522649-1831038044-1853292631-2271478464',
+  'S-1-3-0'
+];
+
+// FileSystemRights that let an account change a directory or the files in it
+const WRITE_RIGHTS =
+  0x2 |        // WriteData / CreateFiles
+  0x4 |        // AppendData / CreateDirectories
+  0x10 |       // WriteExtendedAttributes
+  0x40 |       // DeleteSubdirectoriesAndFiles
+  0x100 |      // WriteAttributes
+  0x10000 |    // Delete
+  0x40000 |    // ChangePermissions
+  0x80000 |    // TakeOwnership
+  0x10000000 | // GenericAll
+  0x40000000;  // GenericWrite
+
+// FileSystemRights that let an account read the content of a file
+const READ_RIGHTS =
+  0x1 |        // ReadData / ListDirectory
+  0x10000000 | // GenericAll
+  0x80000000;  // GenericRead
+
+/**
+ * Get the accounts an ACL grants any of the given rights to, other than the trusted
+ * accounts and the current user
+ * @param {Object} acl - ACL from readWindowsAcl
+ * @param {number} rights - FileSystemRights mask (WRITE_RIGHTS, READ_RIGHTS)
+ * @returns {Array<string>} SIDs of the untrusted accounts
+ */
+function getUntrustedAccounts(acl, rights) {
+  const trusted = [...TRUSTED_SIDS, acl.user];
+
+  const sids = acl.access
+    .filter(entry => entry.type === 'Allow' && !trusted.includes(entry.sid) && (entry.rights & rights) !== 0)
+    .map(entry => entry.sid);
+  return [...new Set(sids)];
+}
+
+/**
+ * Check whether an ACL is owned by a trusted account or the current user
+ * @param {Object} acl - ACL from readWindowsAcl
+ * @returns {boolean} True if the owner is trusted
+ */
+function hasTrustedOwner(acl) {
+  return [...TRUSTED_SIDS, acl.user].includes(acl.owner);
+}
+
+/**
+ * Read the owner and access entries of a file or directory
+ * @param {string} filePath - File or directory
+ * @returns {Promise<Object>} { owner, user, access: [{ sid, rights, type }] } (SIDs)
+ */
+async function readWindowsAcl(filePath) {
+  const script =
+    `$acl = Get-Acl -LiteralPath ${PowerShellCommand.quote(filePath)}; ` +
+    `$access = @($acl.Access | ForEach-Object { @{ ` +
+    `sid = $_.IdentityReference.Translate([Security.Principal.SecurityIdentifier]).Value; ` +
+    `rights = [int]$_.FileSystemRights; type = [string]$_.AccessControlType } }); ` +
+    `ConvertTo-Json -Compress -Depth 3 -InputObject @{ ` +
+    `owner = $acl.GetOwner([Security.Principal.SecurityIdentifier]).Value; ` +
+    `user = [Security.Principal.WindowsIdentity]::GetCurrent().User.Value; access = $access }`;
+
+  const { stdout } = await execFileAsync('powershell.exe', [
+    '-NoProfile',
+    '-NonInteractive',
+    '-EncodedCommand',
+    PowerShellCommand.encodeCommand(script)
+  ], { windowsHide: true });
+
+  const acl = JSON.parse(stdout);
+  return { owner: acl.owner, user: acl.user, access: Array.isArray(acl.access) ? acl.access : [] };
+}
+
+/**
+ * Restrict a file or directory to SYSTEM and Administrators
+ * Inherited entries (e.g. Users on ProgramData) are removed; a directory passes the
+ * entries on to the files and directories created in it
+ * @param {string} filePath - File or directory
+ * @param {Object} options - Options
+ * @param {boolean} options.directory - True for a directory
+ * @returns {Promise<void>}
+ */
+async function restrictWindowsAcl(filePath, options = {}) {
+  const inherit = options.directory ? '(OI)(CI)' : '';
+
+  await execFileAsync('icacls.exe', [
+    filePath,
+    '/inheritance:r',
+    '/grant:r',
+    `*S-1-5-18:${inherit}F`,
+    `*S-1-5-32-544:${inherit}F`
+  ], { windowsHide: true });
+}
+
+module.exports = {
+  TRUSTED_SIDS,
+  WRITE_RIGHTS,
+  READ_RIGHTS,
+  getUntrustedAccounts,
+  hasTrustedOwner,
+  readWindowsAcl,
+  restrictWindowsAcl
+};
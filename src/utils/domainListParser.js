@@ -0,0 +1,209 @@
+const UrlPattern = require('./urlPattern');
+
+/**
+ * Domain list parser - Extracts domains from pasted or imported lists
+ * Supports plain lists (one domain or URL pattern per line), CSV files with a
+ * domain column and hosts files ("0.0.0.0 example.com")
+ */
+
+const FORMATS = ['auto', 'text', 'csv', 'hosts'];
+
+// CSV header names recognized as the domain column
+const DOMAIN_COLUMNS = ['domain', 'domains', 'host', 'hostname', 'url', 'website', 'site'];
+
+// Names found in every hosts file that are not websites
+const HOSTS_IGNORED = ['localhost', 'localhost.localdomain', 'local', 'broadcasthost', 'ip6-localhost', 'ip6-loopback'];
+
+// Leading IP address of a hosts file line
+const HOSTS_LINE = /^(\d{1,3}(?:\.\d{1,3}){3}|[0-9a-f]*:[0-9a-f:]*)\s+(.+)$/i;
+
+/**
+ * Parse a domain list
+ * @param {string} text - List content
+ * @param {Object} options - Parser options
+ * @param {string} options.format - 'auto' (default), 'text', 'csv' or 'hosts'
+ * @param {Function} options.validateDomain - Returns true for an acceptable domain
+ * @returns {Object} { format, domains, invalid: [{ line, value }], duplicates }
+ */
+function parseDomainList(text, options = {}) {
+  const lines = String(text).split(/\r?\n/);
+  const format = options.format && options.format !== 'auto' ? options.format : detectFormat(lines);
+  const validateDomain = options.validateDomain || (() => true);
+
+  let entries;
+  switch (format) {
+    case 'csv':
+      entries = extractCsvEntries(lines);
+      break;
+    case 'hosts':
+      entries = extractHostsEntries(lines);
+      break;
+    default:
+      entries = extractTextEntries(lines);
+  }
+
+  const seen = new Set();
+  const domains = [];
+  const invalid = [];
+  let duplicates = 0;
+
+  for (const entry of entries) {
+    const domain = normalizeDomain(entry.value);
+
+    if (!domain || !validateDomain(domain)) {
+      invalid.push(entry);
+    } else if (seen.has(domain)) {
+      duplicates++;
+    } else {
+      seen.add(domain);
+      domains.push(domain);
+    }
+  }
+
+  return { format, domains, invalid, duplicates };
+}
+
+/**
+ * Guess the format of a list from its content
+ * @param {Array<string>} lines - List lines
+ * @returns {string} 'hosts', 'csv' or 'text'
+ */
+function detectFormat(lines) {
+  const content = lines.map(stripComment).filter(line => line.length > 0);
+
+  if (content.some(line => HOSTS_LINE.test(line))) {
+    return 'hosts';
+  }
+  if (content.some(line => /[,;\t]/.test(line))) {
+    return 'csv';
+  }
+  return 'text';
+}
+
+/**
+ * Reduce a list entry to a canonical whitelist entry
+ * URLs keep their scheme, port and path; query strings and fragments are dropped
+ * @param {string} value - Domain, URL or host
+ * @returns {string} Canonical entry, or an empty string if the entry is invalid
+ */
+function normalizeDomain(value) {
+  const entry = String(value)
+    .trim()
+    .replace(/^["']|["']$/g, '')
+    .replace(/[?#].*$/, '')
+    .replace(/\.$/, '');
+
+  return UrlPattern.normalize(entry) || '';
+}
+
+/**
+ * @param {Array<string>} lines - List lines
+ * @returns {Array<Object>} Entries ({ line, value })
+ */
+function extractTextEntries(lines) {
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    const content = stripComment(line);
+    if (content) {
+      entries.push({ line: index + 1, value: content });
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Use the domain column if the first row is a header, otherwise the first column
+ * @param {Array<string>} lines - List lines
+ * @returns {Array<Object>} Entries ({ line, value })
+ */
+function extractCsvEntries(lines) {
+  const rows = [];
+  lines.forEach((line, index) => {
+    if (line.trim() && !/^\s*#/.test(line)) {
+      rows.push({ line: index + 1, cells: splitCsvLine(line) });
+    }
+  });
+
+  if (rows.length === 0) {
+    return [];
+  }
+
+  const header = rows[0].cells.map(cell => cell.toLowerCase());
+  const column = header.findIndex(cell => DOMAIN_COLUMNS.includes(cell));
+  const dataRows = column >= 0 ? rows.slice(1) : rows;
+
+  return dataRows
+    .map(row => ({ line: row.line, value: row.cells[Math.max(column, 0)] || '' }))
+    .filter(entry => entry.value.length > 0);
+}
+
+/**
+ * @param {Array<string>} lines - List lines
+ * @returns {Array<Object>} Entries ({ line, value })
+ */
+function extractHostsEntries(lines) {
+  const entries = [];
+
+  lines.forEach((line, index) => {
+    const match = HOSTS_LINE.exec(stripComment(line));
+    if (!match) {
+      return;
+    }
+
+    for (const host of match[2].split(/\s+/)) {
+      if (!HOSTS_IGNORED.includes(host.toLowerCase())) {
+        entries.push({ line: index + 1, value: host });
+      }
+    }
+  });
+
+  return entries;
+}
+
+/**
+ * Split a CSV line, honouring double-quoted cells
+ * @param {string} line - CSV line
+ * @returns {Array<string>} Trimmed cells
+ */
+function splitCsvLine(line) {
+  const delimiter = line.includes('\t') ? '\t' : (line.includes(';') && !line.includes(',') ? ';' : ',');
+  const cells = [];
+  let current = '';
+  let quoted = false;
+
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+
+    if (char === '"' && quoted && line[i + 1] === '"') {
+      current += '"';
+      i++;
+    } else if (char === '"') {
+      quoted = !quoted;
+    } else if (char === delimiter && !quoted) {
+      cells.push(current.trim());
+      current = '';
+    } else {
+      current += char;
+    }
+  }
+
+  cells.push(current.trim());
+  return cells;
+}
+
+/**
+ * Remove a trailing # comment and surrounding whitespace
+ * @param {string} line - List line
+ * @returns {string} Line content
+ */
+function stripComment(line) {
+  return line.replace(/#.*$/, '').trim();
+}
+
+module.exports = {
+  FORMATS,
+  parseDomainList,
+  normalizeDomain
+};
@@ -1,7 +1,14 @@
 const winston = require('winston');
 const path = require('path');
 const fs = require('fs');
-const { app } = require('electron');
+
+// Electron is unavailable when policy logic runs outside the app (e.g. on Linux CI)
+let app = null;
+try {
+  ({ app } = require('electron'));
+} catch (error) {
+  app = null;
+}
 
 /**
  * Logger utility class using Winston for comprehensive logging
@@ -25,8 +32,8 @@ class Logger {
     const isDev = process.env.NODE_ENV === 'development' || process.argv.includes('--dev');
     let logDir;
 
-    if (isDev) {
-      // Development: use ./logs/ in project directory
+    if (isDev || !app) {
+      // Development (or outside Electron): use ./logs/ in project directory
       logDir = path.join(process.cwd(), 'logs');
     } else {
       // Production: use app data directory
@@ -185,7 +192,7 @@ class Logger {
 
   /**
    * Log policy change
-   * @param {string} policyType - Type of policy (drive, browser, whitelist, domain)
+   * @param {string} policyType - Type of policy (drive, browser, whitelist, domain, blocklist, blockedDomain)
    * @param {string} action - Action performed (block, allow, enable, disable, add, remove)
    * @param {boolean} success - Whether the operation succeeded
    * @param {object} details - Optional additional details
@@ -246,6 +253,10 @@ class Logger {
       case 'browser':
       case 'whitelist':
       case 'domain':
+      case 'blocklist':
+      case 'blockedDomain':
+      case 'internalPages':
+      case 'clearBrowsers':
         return 'BrowserPolicy';
       default:
         return 'PolicyManager';
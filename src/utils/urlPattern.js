@@ -0,0 +1,491 @@
+/**
+ * URL pattern - Parses, validates and translates whitelist/blocklist entries
+ * Entries use the Chromium URL filter format: [scheme://][.|*.]host[:port][/path]
+ *   example.com                 example.com and its subdomains, any scheme, port and path
+ *   *.school.edu                same as school.edu (Chromium matches subdomains by default)
+ *   .example.com                example.com only, no subdomains
+ *   https://example.com         HTTPS only
+ *   example.com:8080            port 8080 only
+ *   docs.google.com/forms       paths starting with /forms only
+ *
+ * Hosts are stored in lowercase punycode (bücher.de becomes xn--bcher-kva.de) and shown
+ * in Unicode with toDisplay. A trailing dot is dropped. A leading "www." is kept, since
+ * dropping it would widen the entry to every subdomain, but www.example.com and
+ * example.com count as the same entry when looking for duplicates (equals, unique)
+ *
+ * This file is loaded by the main process (require) and by the renderer (script tag,
+ * exposed as window.UrlPattern), so it must not depend on Node or DOM APIs
+ */
+(function (root, factory) {
+  if (typeof module === 'object' && module.exports) {
+    module.exports = factory();
+  } else {
+    root.UrlPattern = factory();
+  }
+})(typeof self !== 'undefined' ? self : this, function () {
+  // Schemes a website entry may be restricted to
+  const SCHEMES = ['http', 'https', 'ftp', 'ws', 'wss'];
+
+  const MAX_LENGTH = 2048;
+
+  const HOST_LABEL = /^[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?$/;
+  const IPV4 = /^\d{1,3}(?:\.\d{1,3}){3}$/;
+
+  // Top-level domains are letters only, or an internationalized TLD in punycode
+  const TLD = /^(?:[a-z]{2,63}|xn--[a-z0-9-]{1,59})$/;
+
+  // Second-level labels that country-code TLDs register names under (co.uk, com.au,
+  // ac.jp, gob.mx, ...); together with the TLD they form a public suffix
+  const SECOND_LEVEL_SUFFIXES = ['ac', 'co', 'com', 'edu', 'go', 'gob', 'gov', 'ltd', 'mil', 'ne', 'net', 'nic', 'or', 'org', 'plc', 'sch'];
+
+  // Characters the URL parser treats as delimiters or rejects in a host name (userinfo,
+  // backslashes as path separators, percent escapes, IPv6 brackets); checked before an
+  // internationalized host is converted, so "bü.de@evil.com" can't turn into evil.com
+  const FORBIDDEN_HOST_CHARACTERS = /[\u0000-\u0020\u007f#%/:<>?@[\\\]^|]/;
+
+  // Characters that have to be percent-encoded in a path (quotes, shell and script
+  // metacharacters, control characters); they're never needed in a URL filter
+  const UNSAFE_PATH_CHARACTERS = /['"`;<>\\{}|^[\]\u0000-\u001f\u007f]/;
+
+  // RFC 3492 parameters
+  const PUNYCODE = { base: 36, tMin: 1, tMax: 26, skew: 38, damp: 700, initialBias: 72, initialN: 128 };
+
+  /**
+   * Parse an entry
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {Object} { valid: true, pattern: { scheme, host, exactHost, port, path } }
+   *   or { valid: false, error } with a reason suitable for the user
+   */
+  function parse(entry) {
+    if (typeof entry !== 'string' || entry.trim().length === 0) {
+      return invalid('The entry is empty');
+    }
+
+    let rest = entry.trim();
+    if (rest.length > MAX_LENGTH) {
+      return invalid(`The entry is longer than ${MAX_LENGTH} characters`);
+    }
+    if (/\s/.test(rest)) {
+      return invalid('The entry contains spaces');
+    }
+    if (/[?#]/.test(rest)) {
+      return invalid('Query strings and fragments are not supported');
+    }
+
+    let scheme = null;
+    const schemeMatch = /^([a-z][a-z0-9+.-]*):\/\//i.exec(rest);
+    if (schemeMatch) {
+      scheme = schemeMatch[1].toLowerCase();
+      if (!SCHEMES.includes(scheme)) {
+        return invalid(`The scheme "${scheme}" is not supported (use ${SCHEMES.join(', ')})`);
+      }
+      rest = rest.slice(schemeMatch[0].length);
+    }
+
+    let path = null;
+    const slash = rest.indexOf('/');
+    if (slash >= 0) {
+      path = rest.slice(slash);
+      rest = rest.slice(0, slash);
+      if (path.includes('*')) {
+        return invalid('Paths are matched as prefixes and cannot contain "*"');
+      }
+      if (UNSAFE_PATH_CHARACTERS.test(path)) {
+        return invalid('The path contains characters that must be percent-encoded (e.g. quotes, ";", "<", ">" or "\\")');
+      }
+      if (path === '/') {
+        path = null;
+      }
+    }
+
+    let port = null;
+    const portMatch = /:(\d{1,5})$/.exec(rest);
+    if (portMatch) {
+      port = Number(portMatch[1]);
+      if (port < 1 || port > 65535) {
+        return invalid('The port must be between 1 and 65535');
+      }
+      rest = rest.slice(0, portMatch.index);
+    }
+
+    let exactHost = false;
+    if (rest.startsWith('.')) {
+      exactHost = true;
+      rest = rest.slice(1);
+    } else if (rest.startsWith('*.')) {
+      rest = rest.slice(2);
+    }
+
+    if (rest === '*' || rest === '') {
+      return invalid('Every website is covered by the "Block All Websites" setting, enter a host name');
+    }
+
+    const host = toAsciiHost(rest.replace(/\.$/, ''));
+    if (host === null || !isValidHost(host)) {
+      return invalid(`"${rest}" is not a valid host name`);
+    }
+    if (!hasValidTld(host)) {
+      return invalid(`"${rest}" does not end in a valid top-level domain`);
+    }
+
+    return {
+      valid: true,
+      pattern: {
+        scheme: scheme,
+        host: host,
+        // IP addresses have no subdomains
+        exactHost: exactHost && !IPV4.test(host),
+        port: port,
+        path: path
+      }
+    };
+  }
+
+  /**
+   * Check whether an entry is valid
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {boolean} True if the entry can be parsed
+   */
+  function isValid(entry) {
+    return parse(entry).valid;
+  }
+
+  /**
+   * Get the canonical form of an entry (lowercase scheme and host, no "*." prefix)
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {string|null} Canonical entry, or null if the entry is invalid
+   */
+  function normalize(entry) {
+    const result = parse(entry);
+    return result.valid ? format(result.pattern) : null;
+  }
+
+  /**
+   * Build an entry from a parsed pattern
+   * @param {Object} pattern - Parsed pattern (see parse)
+   * @returns {string} Entry in Chromium URL filter format
+   */
+  function format(pattern) {
+    return (pattern.scheme ? `${pattern.scheme}://` : '') +
+      (pattern.exactHost ? '.' : '') +
+      pattern.host +
+      (pattern.port ? `:${pattern.port}` : '') +
+      (pattern.path || '');
+  }
+
+  /**
+   * Format an entry for display, with internationalized host names in Unicode
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {string} Entry with a Unicode host, or the entry unchanged if it can't be parsed
+   */
+  function toDisplay(entry) {
+    const result = parse(entry);
+    if (!result.valid) {
+      return entry;
+    }
+
+    return format({ ...result.pattern, host: toUnicodeHost(result.pattern.host) });
+  }
+
+  /**
+   * Check whether two entries are the same once normalized
+   * A leading "www." is ignored, so www.example.com and example.com are duplicates
+   * @param {string} a - Whitelist or blocklist entry
+   * @param {string} b - Whitelist or blocklist entry
+   * @returns {boolean} True if the entries are duplicates
+   */
+  function equals(a, b) {
+    return duplicateKey(a) === duplicateKey(b);
+  }
+
+  /**
+   * Normalize a list of entries and drop duplicates (see equals), keeping the first occurrence
+   * Entries that can't be parsed are kept unchanged
+   * @param {Array<string>} entries - Whitelist or blocklist entries
+   * @returns {Array<string>} Unique entries
+   */
+  function unique(entries) {
+    const seen = new Set();
+    const result = [];
+
+    for (const entry of entries) {
+      const key = duplicateKey(entry);
+      if (!seen.has(key)) {
+        seen.add(key);
+        result.push(normalize(entry) || entry);
+      }
+    }
+
+    return result;
+  }
+
+  /**
+   * Get the form entries are compared in when looking for duplicates
+   * Drops a leading "www." unless the entry is an exact host (".www.example.com")
+   * or the rest is a bare suffix (www.co.uk)
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {string} Comparison key (the entry unchanged if it can't be parsed)
+   */
+  function duplicateKey(entry) {
+    const result = parse(entry);
+    if (!result.valid) {
+      return entry;
+    }
+
+    const pattern = result.pattern;
+    if (!pattern.exactHost && pattern.host.startsWith('www.') && isRegistrableHost(pattern.host.slice(4))) {
+      return format({ ...pattern, host: pattern.host.slice(4) });
+    }
+    return format(pattern);
+  }
+
+  /**
+   * Translate an entry for the URLBlocklist/URLAllowlist policies of Chromium-based browsers
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {string} Chromium URL filter, or the entry unchanged if it can't be parsed
+   */
+  function toChromium(entry) {
+    return normalize(entry) || entry;
+  }
+
+  /**
+   * Translate an entry to a Firefox WebsiteFilter match pattern
+   * Match patterns can't express ports, so the Firefox rule covers every port
+   * @param {string} entry - Whitelist or blocklist entry
+   * @returns {string} Match pattern (e.g. *://*.example.com/*)
+   */
+  function toFirefox(entry) {
+    const result = parse(entry);
+    if (!result.valid) {
+      return entry;
+    }
+
+    const pattern = result.pattern;
+    const host = pattern.exactHost || IPV4.test(pattern.host) ? pattern.host : `*.${pattern.host}`;
+
+    return `${pattern.scheme || '*'}://${host}${pattern.path || '/'}*`;
+  }
+
+  /**
+   * Convert a match pattern written by toFirefox back to an entry
+   * @param {string} matchPattern - Firefox match pattern
+   * @returns {string} Entry, or the match pattern unchanged if it isn't one of ours
+   */
+  function fromFirefox(matchPattern) {
+    const match = /^(\*|[a-z][a-z0-9+.-]*):\/\/(\*\.)?([^/*]+)(\/[^*]*)\*$/i.exec(String(matchPattern).trim());
+    if (!match || (match[1] !== '*' && !SCHEMES.includes(match[1].toLowerCase()))) {
+      return matchPattern;
+    }
+
+    const host = match[3].toLowerCase();
+    if (!isValidHost(host)) {
+      return matchPattern;
+    }
+
+    return format({
+      scheme: match[1] === '*' ? null : match[1].toLowerCase(),
+      host: host,
+      exactHost: !match[2] && !IPV4.test(host),
+      port: null,
+      path: match[4] === '/' ? null : match[4]
+    });
+  }
+
+  /**
+   * @param {string} host - Lowercase host name or IPv4 address
+   * @returns {boolean} True if the host is valid
+   */
+  function isValidHost(host) {
+    if (IPV4.test(host)) {
+      return host.split('.').every(octet => Number(octet) <= 255);
+    }
+    return host.length <= 253 && host.split('.').every(label => HOST_LABEL.test(label));
+  }
+
+  /**
+   * @param {string} host - Multi-label host name
+   * @returns {boolean} True for IP addresses, single-label (intranet) hosts and hosts with a plausible TLD
+   */
+  function hasValidTld(host) {
+    const labels = host.split('.');
+    return IPV4.test(host) || labels.length === 1 || TLD.test(labels[labels.length - 1]);
+  }
+
+  /**
+   * @param {string} host - Host name
+   * @returns {boolean} True if the host passes the TLD check and is not a bare public
+   *   suffix (com, co.uk, com.au)
+   */
+  function isRegistrableHost(host) {
+    const labels = host.split('.');
+    if (labels.length < 2 || !hasValidTld(host)) {
+      return false;
+    }
+    return !(labels.length === 2 && /^[a-z]{2}$/.test(labels[1]) && SECOND_LEVEL_SUFFIXES.includes(labels[0]));
+  }
+
+  /**
+   * Convert a host name to lowercase punycode
+   * Uses the WHATWG URL parser, which is available in Node and in the renderer. The
+   * parser reads userinfo, ports and paths too, so delimiters are rejected first and
+   * the result has to match the input label for label
+   * @param {string} host - Host name, possibly with Unicode characters
+   * @returns {string|null} ASCII host name, or null if it can't be converted
+   */
+  function toAsciiHost(host) {
+    if (/^[\x21-\x7e]*$/.test(host)) {
+      return host.toLowerCase();
+    }
+    if (FORBIDDEN_HOST_CHARACTERS.test(host)) {
+      return null;
+    }
+
+    let ascii;
+    try {
+      ascii = new URL(`http://${host}/`).hostname;
+    } catch (error) {
+      return null;
+    }
+
+    // ASCII labels stay as they are, the others become punycode labels
+    const labels = host.split('.');
+    const asciiLabels = ascii.split('.');
+    const matches = labels.length === asciiLabels.length && labels.every((label, index) => (/^[\x21-\x7e]*$/.test(label)
+      ? asciiLabels[index] === label.toLowerCase()
+      : asciiLabels[index].startsWith('xn--')));
+
+    return matches ? ascii : null;
+  }
+
+  /**
+   * Convert the punycode labels of a host name to Unicode
+   * @param {string} host - ASCII host name
+   * @returns {string} Host name for display
+   */
+  function toUnicodeHost(host) {
+    return host.split('.').map(label => {
+      if (!label.startsWith('xn--')) {
+        return label;
+      }
+      try {
+        return decodePunycode(label.slice(4));
+      } catch (error) {
+        return label;
+      }
+    }).join('.');
+  }
+
+  /**
+   * Decode a punycode label (RFC 3492) without the "xn--" prefix
+   * @param {string} input - Encoded label
+   * @returns {string} Decoded label
+   */
+  function decodePunycode(input) {
+    const { base, tMin, tMax, initialBias, initialN } = PUNYCODE;
+    const output = [];
+    const delimiter = input.lastIndexOf('-');
+
+    for (let j = 0; j < delimiter; j++) {
+      output.push(input.charCodeAt(j));
+    }
+
+    let n = initialN;
+    let bias = initialBias;
+    let i = 0;
+
+    for (let index = delimiter + 1; index < input.length;) {
+      const previousI = i;
+
+      for (let w = 1, k = base; ; k += base) {
+        if (index >= input.length) {
+          throw new Error('Truncated punycode label');
+        }
+
+        const digit = punycodeDigit(input.charCodeAt(index++));
+        if (digit >= base) {
+          throw new Error('Invalid punycode digit');
+        }
+
+        i += digit * w;
+        const t = k <= bias ? tMin : (k >= bias + tMax ? tMax : k - bias);
+        if (digit < t) {
+          break;
+        }
+        w *= base - t;
+      }
+
+      const length = output.length + 1;
+      bias = adaptBias(i - previousI, length, previousI === 0);
+      n += Math.floor(i / length);
+      i %= length;
+
+      if (n > 0x10ffff) {
+        throw new Error('Invalid punycode code point');
+      }
+      output.splice(i++, 0, n);
+    }
+
+    return String.fromCodePoint(...output);
+  }
+
+  /**
+   * @param {number} code - Character code
+   * @returns {number} Punycode digit value (36 for characters that aren't digits)
+   */
+  function punycodeDigit(code) {
+    if (code >= 48 && code <= 57) {
+      return code - 22;
+    }
+    if (code >= 65 && code <= 90) {
+      return code - 65;
+    }
+    if (code >= 97 && code <= 122) {
+      return code - 97;
+    }
+    return PUNYCODE.base;
+  }
+
+  /**
+   * @param {number} delta - Delta since the last insertion
+   * @param {number} numPoints - Number of code points decoded so far
+   * @param {boolean} firstTime - True for the first insertion
+   * @returns {number} New bias
+   */
+  function adaptBias(delta, numPoints, firstTime) {
+    const { base, tMin, tMax, skew, damp } = PUNYCODE;
+    let k = 0;
+
+    delta = firstTime ? Math.floor(delta / damp) : Math.floor(delta / 2);
+    delta += Math.floor(delta / numPoints);
+
+    while (delta > ((base - tMin) * tMax) / 2) {
+      delta = Math.floor(delta / (base - tMin));
+      k += base;
+    }
+
+    return k + Math.floor(((base - tMin + 1) * delta) / (delta + skew));
+  }
+
+  /**
+   * @param {string} error - Reason the entry is invalid
+   * @returns {Object} Parse result
+   */
+  function invalid(error) {
+    return { valid: false, error: error };
+  }
+
+  return {
+    SCHEMES,
+    MAX_LENGTH,
+    parse,
+    isValid,
+    normalize,
+    format,
+    toDisplay,
+    equals,
+    unique,
+    toChromium,
+    toFirefox,
+    fromFirefox
+  };
+});
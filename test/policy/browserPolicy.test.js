@@ -0,0 +1,134 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const BrowserPolicy = require('../../src/policy/browserPolicy');
+const MemoryRegistry = require('../../src/registry/memoryRegistry');
+
+const CHROME = 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome';
+const FIREFOX = 'HKLM:\\SOFTWARE\\Policies\\Mozilla\\Firefox';
+
+const admin = { verifyPrivilegesForOperation: async () => ({ success: true }) };
+
+/**
+ * Read a numbered list key as an array
+ */
+async function readList(registry, keyPath) {
+  const values = await registry.getValues(keyPath);
+  return Object.keys(values).sort((a, b) => Number(a) - Number(b)).map(name => values[name]);
+}
+
+function createPolicy(registry = new MemoryRegistry()) {
+  return { registry, policy: new BrowserPolicy({ registry, privilegeChecker: admin }) };
+}
+
+test('enableWhitelist blocks everything and allows the given domains in every browser', async () => {
+  const { registry, policy } = createPolicy();
+
+  const result = await policy.enableWhitelist(['example.com', 'docs.google.com/forms']);
+
+  assert.equal(result.success, true);
+  assert.equal(result.domainCount, 2);
+  assert.deepEqual(await readList(registry, `${CHROME}\\URLBlocklist`), ['*']);
+  assert.deepEqual(await readList(registry, `${CHROME}\\URLAllowlist`), ['example.com', 'docs.google.com/forms']);
+  assert.deepEqual(await readList(registry, `${FIREFOX}\\WebsiteFilter\\Block`), ['<all_urls>']);
+  assert.equal((await readList(registry, `${FIREFOX}\\WebsiteFilter\\Exceptions`)).length, 2);
+});
+
+test('enableWhitelist rejects invalid entries without writing anything', async () => {
+  const { registry, policy } = createPolicy();
+
+  const result = await policy.enableWhitelist(['example.com', 'not a domain']);
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, 'INVALID_DOMAIN_FORMAT');
+  assert.deepEqual(result.error.invalidDomains, ['not a domain']);
+  assert.equal(await registry.keyExists(CHROME), false);
+});
+
+test('addDomain and removeDomain update the whitelist', async () => {
+  const { registry, policy } = createPolicy();
+  await policy.enableWhitelist(['example.com']);
+
+  assert.equal((await policy.addDomain('example.org')).success, true);
+  assert.deepEqual((await policy.getDomainList()).domains, ['example.com', 'example.org']);
+
+  // Spelling variants of an entry that's already listed are not added again
+  assert.equal((await policy.addDomain('WWW.Example.com')).status, 'already_exists');
+
+  assert.equal((await policy.removeDomain('example.com')).success, true);
+  assert.deepEqual(await readList(registry, `${CHROME}\\URLAllowlist`), ['example.org']);
+});
+
+test('removing the last whitelisted domain disables the whitelist', async () => {
+  const { registry, policy } = createPolicy();
+  await policy.enableWhitelist(['example.com']);
+
+  const result = await policy.removeDomain('example.com');
+
+  assert.equal(result.status, 'whitelist_disabled');
+  assert.equal(await registry.keyExists(`${CHROME}\\URLBlocklist`), false);
+  assert.equal(await registry.keyExists(`${CHROME}\\URLAllowlist`), false);
+});
+
+test('addDomains adds only new entries with a single rewrite', async () => {
+  const { policy } = createPolicy();
+  await policy.enableWhitelist(['example.com']);
+
+  const result = await policy.addDomains(['example.com', 'example.org', 'example.net']);
+
+  assert.equal(result.success, true);
+  assert.equal(result.added, 2);
+  assert.deepEqual((await policy.getDomainList()).domains, ['example.com', 'example.org', 'example.net']);
+});
+
+test('blocklist mode blocks only the given domains', async () => {
+  const { registry, policy } = createPolicy();
+
+  assert.equal((await policy.enableBlocklist(['example.com'])).success, true);
+  assert.equal((await policy.addBlockedDomain('example.org')).success, true);
+
+  assert.deepEqual((await policy.getBlockedDomainList()).domains, ['example.com', 'example.org']);
+  assert.equal((await readList(registry, `${CHROME}\\URLBlocklist`)).includes('*'), false);
+
+  assert.equal((await policy.disableBlocklist()).success, true);
+  assert.deepEqual((await policy.getBlockedDomainList()).domains, []);
+});
+
+test('only targeted browsers are changed', async () => {
+  const { registry, policy } = createPolicy();
+  assert.equal(policy.setTargetBrowsers(['chrome']).success, true);
+
+  await policy.blockAllWebsites();
+
+  assert.deepEqual(await readList(registry, `${CHROME}\\URLBlocklist`), ['*']);
+  assert.equal(await registry.keyExists(FIREFOX), false);
+});
+
+test('getBrowserStatus reports the policy state of every browser', async () => {
+  const { policy } = createPolicy();
+  await policy.enableWhitelist(['example.com']);
+
+  const { browsers } = await policy.getBrowserStatus();
+  const chrome = browsers.find(browser => browser.id === 'chrome');
+
+  assert.equal(chrome.allBlocked, true);
+  assert.equal(chrome.allowedCount, 1);
+  assert.equal(chrome.error, null);
+});
+
+test('status readers report registry read errors instead of empty policies', async () => {
+  const registry = new MemoryRegistry();
+  registry.getValues = async () => {
+    throw new Error('Registry access is denied');
+  };
+  registry.getValue = registry.getValues;
+  const { policy } = createPolicy(registry);
+
+  for (const result of [
+    await policy.getDomainList(),
+    await policy.getBlockedDomainList(),
+    await policy.getInternalPagesStatus()
+  ]) {
+    assert.equal(result.success, false);
+    assert.equal(result.error.code, 'REGISTRY_ACCESS_DENIED');
+  }
+});
@@ -0,0 +1,63 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PolicyManager = require('../../src/policy/policyManager');
+const MemoryRegistry = require('../../src/registry/memoryRegistry');
+
+const CHROME = 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome';
+const EDGE = 'HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge';
+
+const admin = { verifyPrivilegesForOperation: async () => ({ success: true }) };
+
+const WHITELIST = { driveBlock: false, websiteBlock: false, whitelist: true, whitelistedDomains: ['example.com'], internalPagesLockdown: false };
+
+function createManager(targetBrowsers, data = {}) {
+  const registry = new MemoryRegistry({ data });
+  const manager = new PolicyManager({ registry, privilegeChecker: admin });
+  manager.setTargetBrowsers(targetBrowsers);
+  return { registry, manager };
+}
+
+test('reports no drift right after the desired state was applied', async () => {
+  const { manager } = createManager(['chrome', 'edge']);
+  await manager.applyPolicy('desiredState', WHITELIST);
+
+  const drift = await manager.detectDrift(WHITELIST);
+
+  assert.equal(drift.success, true);
+  assert.equal(drift.hasDrift, false);
+  assert.equal(drift.live.whitelist, true);
+  assert.deepEqual(drift.live.whitelistedDomains, ['example.com']);
+});
+
+test('reports hand edits of a targeted browser', async () => {
+  const { registry, manager } = createManager(['chrome', 'edge']);
+  await manager.applyPolicy('desiredState', WHITELIST);
+  await registry.deleteKey(`${EDGE}\\URLAllowlist`);
+
+  const drift = await manager.detectDrift(WHITELIST);
+
+  assert.equal(drift.hasDrift, true);
+  assert.deepEqual(drift.discrepancies.map(d => [d.scope, d.policy]), [['edge', 'whitelist']]);
+  assert.deepEqual(drift.discrepancies[0].missing, ['example.com']);
+});
+
+test('ignores policies of browsers that are not targeted', async () => {
+  const { manager } = createManager(['edge'], {
+    [`${CHROME}\\URLBlocklist`]: { 1: { type: 'String', data: '*' } }
+  });
+  await manager.applyPolicy('desiredState', WHITELIST);
+
+  const drift = await manager.detectDrift(WHITELIST);
+
+  assert.equal(drift.hasDrift, false);
+  assert.equal(drift.discrepancies.some(d => d.scope === 'chrome'), false);
+});
+
+test('reports removable storage drift', async () => {
+  const { manager } = createManager(['edge']);
+  await manager.applyPolicy('desiredState', WHITELIST);
+
+  const drift = await manager.detectDrift({ ...WHITELIST, driveBlock: true });
+
+  assert.deepEqual(drift.discrepancies.map(d => [d.scope, d.policy, d.expected, d.actual]), [['drive', 'driveBlock', true, false]]);
+});
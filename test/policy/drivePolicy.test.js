@@ -0,0 +1,71 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const DrivePolicy = require('../../src/policy/drivePolicy');
+const MemoryRegistry = require('../../src/registry/memoryRegistry');
+
+const KEY = 'HKLM:\\SYSTEM\\CurrentControlSet\\Control\\StorageDevicePolicies';
+
+const admin = { verifyPrivilegesForOperation: async () => ({ success: true }) };
+const notAdmin = {
+  verifyPrivilegesForOperation: async () => ({
+    success: false,
+    error: { code: 'INSUFFICIENT_PRIVILEGES', message: 'Administrator privileges required' }
+  })
+};
+
+test('reports write access as allowed when the policy key does not exist', async () => {
+  const policy = new DrivePolicy({ registry: new MemoryRegistry(), privilegeChecker: admin });
+
+  const status = await policy.getWriteAccessStatus();
+
+  assert.equal(status.success, true);
+  assert.equal(status.status, 'allowed');
+  assert.equal(status.isBlocked, false);
+});
+
+test('blockWriteAccess sets WriteProtect to 1', async () => {
+  const registry = new MemoryRegistry();
+  const policy = new DrivePolicy({ registry, privilegeChecker: admin });
+
+  const result = await policy.blockWriteAccess();
+
+  assert.equal(result.success, true);
+  assert.equal(result.status, 'blocked');
+  assert.equal(await registry.getValue(KEY, 'WriteProtect'), 1);
+  assert.equal((await policy.getWriteAccessStatus()).isBlocked, true);
+});
+
+test('allowWriteAccess sets WriteProtect to 0', async () => {
+  const registry = new MemoryRegistry({ data: { [KEY]: { WriteProtect: { type: 'DWord', data: 1 } } } });
+  const policy = new DrivePolicy({ registry, privilegeChecker: admin });
+
+  const result = await policy.allowWriteAccess();
+
+  assert.equal(result.success, true);
+  assert.equal(await registry.getValue(KEY, 'WriteProtect'), 0);
+  assert.equal((await policy.getWriteAccessStatus()).status, 'allowed');
+});
+
+test('does not touch the registry without administrator privileges', async () => {
+  const registry = new MemoryRegistry();
+  const policy = new DrivePolicy({ registry, privilegeChecker: notAdmin });
+
+  const result = await policy.blockWriteAccess();
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, 'INSUFFICIENT_PRIVILEGES');
+  assert.equal(await registry.keyExists(KEY), false);
+});
+
+test('reports registry failures as structured errors', async () => {
+  const registry = new MemoryRegistry();
+  registry.setValue = async () => {
+    throw new Error('Requested registry access is not allowed. Access is denied');
+  };
+  const policy = new DrivePolicy({ registry, privilegeChecker: admin });
+
+  const result = await policy.blockWriteAccess();
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, 'REGISTRY_ACCESS_DENIED');
+});
@@ -0,0 +1,72 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const EnforcementScheduler = require('../../src/policy/enforcementScheduler');
+const PolicyManager = require('../../src/policy/policyManager');
+const MemoryRegistry = require('../../src/registry/memoryRegistry');
+
+const CHROME = 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome';
+const EDGE = 'HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge';
+
+const admin = { verifyPrivilegesForOperation: async () => ({ success: true }) };
+
+const BLOCKLIST = { driveBlock: false, websiteBlock: false, whitelist: false, blocklist: true, blockedDomains: ['example.com'] };
+
+/**
+ * Scheduler enforcing the blocklist on Edge, with a Chrome kiosk policy this
+ * application doesn't manage
+ */
+function createScheduler() {
+  const registry = new MemoryRegistry({
+    data: {
+      [`${CHROME}\\URLBlocklist`]: { 1: { type: 'String', data: '*' } },
+      [`${CHROME}\\URLAllowlist`]: { 1: { type: 'String', data: 'kiosk.example' } }
+    }
+  });
+  const manager = new PolicyManager({ registry, privilegeChecker: admin });
+  manager.setTargetBrowsers(['edge']);
+
+  const scheduler = new EnforcementScheduler({ policyManager: manager, getDesiredState: async () => BLOCKLIST });
+  return { registry, manager, scheduler };
+}
+
+test('runOnce re-applies the desired state to the targeted browsers', async () => {
+  const { registry, scheduler } = createScheduler();
+
+  const result = await scheduler.runOnce();
+
+  assert.equal(result.success, true);
+  assert.equal(result.corrected, true);
+  assert.equal(result.discrepancies, 1);
+  assert.equal(await registry.getValue(`${EDGE}\\URLBlocklist`, '1'), 'example.com');
+  assert.deepEqual(scheduler.getStatus().lastRun, result);
+});
+
+test('runOnce leaves policies of browsers that are not targeted alone', async () => {
+  const { registry, scheduler } = createScheduler();
+
+  await scheduler.runOnce();
+  const second = await scheduler.runOnce();
+
+  assert.equal(second.corrected, false);
+  assert.equal(second.discrepancies, 0);
+  assert.deepEqual(await registry.getValues(`${CHROME}\\URLBlocklist`), { 1: '*' });
+  assert.deepEqual(await registry.getValues(`${CHROME}\\URLAllowlist`), { 1: 'kiosk.example' });
+});
+
+test('runOnce corrects hand edits of a targeted browser', async () => {
+  const { registry, scheduler } = createScheduler();
+  await scheduler.runOnce();
+  await registry.setValue(`${EDGE}\\URLBlocklist`, '2', 'extra.example');
+
+  const result = await scheduler.runOnce();
+
+  assert.equal(result.corrected, true);
+  assert.deepEqual(await registry.getValues(`${EDGE}\\URLBlocklist`), { 1: 'example.com' });
+});
+
+test('runOnce skips a run while the previous one is in progress', async () => {
+  const { scheduler } = createScheduler();
+  scheduler.checking = true;
+
+  assert.deepEqual(await scheduler.runOnce(), { success: true, skipped: true });
+});
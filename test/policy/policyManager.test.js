@@ -0,0 +1,162 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const PolicyManager = require('../../src/policy/policyManager');
+const MemoryRegistry = require('../../src/registry/memoryRegistry');
+
+const CHROME = 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome';
+const EDGE = 'HKLM:\\SOFTWARE\\Policies\\Microsoft\\Edge';
+const FIREFOX = 'HKLM:\\SOFTWARE\\Policies\\Mozilla\\Firefox';
+
+const admin = { verifyPrivilegesForOperation: async () => ({ success: true }) };
+
+function createManager(options = {}) {
+  const registry = options.registry || new MemoryRegistry();
+  const manager = new PolicyManager({ registry, privilegeChecker: admin, ...options });
+  return { registry, manager };
+}
+
+function createPoliciesPath(t, content = null) {
+  const directory = fs.mkdtempSync(path.join(os.tmpdir(), 'gpm-policies-'));
+  t.after(() => fs.rmSync(directory, { recursive: true, force: true }));
+
+  const policiesPath = path.join(directory, 'distribution', 'policies.json');
+  if (content !== null) {
+    fs.mkdirSync(path.dirname(policiesPath));
+    fs.writeFileSync(policiesPath, content);
+  }
+  return policiesPath;
+}
+
+test('applyPolicy writes the changes of a successful policy', async () => {
+  const { registry, manager } = createManager();
+
+  const result = await manager.applyPolicy('whitelist', { enabled: true, domains: ['example.com'] });
+
+  assert.equal(result.success, true);
+  assert.equal(result.batch.success, true);
+  assert.equal(await registry.getValue(`${CHROME}\\URLAllowlist`, '1'), 'example.com');
+});
+
+test('applyPolicy restores the snapshot when a registry step fails', async () => {
+  const registry = new MemoryRegistry({ data: { [`${CHROME}\\URLAllowlist`]: { 1: { type: 'String', data: 'old.example' } } } });
+  const updateValues = registry.updateValues.bind(registry);
+  let failFirefox = true;
+  registry.updateValues = async (keyPath, changes) => {
+    if (failFirefox && keyPath.startsWith(FIREFOX)) {
+      throw new Error('Access is denied');
+    }
+    return await updateValues(keyPath, changes);
+  };
+  const { manager } = createManager({ registry });
+
+  const result = await manager.applyPolicy('whitelist', { enabled: true, domains: ['example.com'] });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, 'REGISTRY_BATCH_FAILED');
+  assert.equal(result.rollback.performed, true);
+  failFirefox = false;
+  assert.deepEqual(await registry.getValues(`${CHROME}\\URLAllowlist`), { 1: 'old.example' });
+  assert.equal(await registry.keyExists(`${CHROME}\\URLBlocklist`), false);
+});
+
+test('a dry run changes neither the registry nor policies.json', async (t) => {
+  const policiesPath = createPoliciesPath(t);
+  const { registry, manager } = createManager({ firefoxPoliciesPath: policiesPath });
+
+  const result = await manager.applyPolicy('whitelist', { enabled: true, domains: ['example.com'] }, { dryRun: true });
+
+  assert.equal(result.success, true);
+  assert.ok(result.changes.length > 0);
+  assert.equal(await registry.keyExists(CHROME), false);
+  assert.equal(fs.existsSync(policiesPath), false);
+});
+
+test('policies.json follows the registry after a successful batch', async (t) => {
+  const policiesPath = createPoliciesPath(t, JSON.stringify({ policies: { DisableTelemetry: true } }));
+  const { manager } = createManager({ firefoxPoliciesPath: policiesPath });
+
+  const result = await manager.applyPolicy('whitelist', { enabled: true, domains: ['example.com'] });
+
+  assert.equal(result.success, true);
+  const { policies } = JSON.parse(fs.readFileSync(policiesPath, 'utf8'));
+  assert.equal(policies.DisableTelemetry, true);
+  assert.deepEqual(policies.WebsiteFilter.Block, ['<all_urls>']);
+  assert.deepEqual(policies.WebsiteFilter.Exceptions, ['*://*.example.com/*']);
+});
+
+test('policies.json is left alone when the registry batch fails', async (t) => {
+  const original = JSON.stringify({ policies: { DisableTelemetry: true } });
+  const policiesPath = createPoliciesPath(t, original);
+  const registry = new MemoryRegistry();
+  registry.updateValues = async () => {
+    throw new Error('Access is denied');
+  };
+  const { manager } = createManager({ registry, firefoxPoliciesPath: policiesPath });
+
+  const result = await manager.applyPolicy('whitelist', { enabled: true, domains: ['example.com'] });
+
+  assert.equal(result.success, false);
+  assert.equal(fs.readFileSync(policiesPath, 'utf8'), original);
+});
+
+test('a failed policies.json update rolls the registry and the file back', async (t) => {
+  const original = JSON.stringify({ policies: { DisableTelemetry: true } });
+  const policiesPath = createPoliciesPath(t, original);
+  const { registry, manager } = createManager({ firefoxPoliciesPath: policiesPath });
+  manager.browserPolicy.firefoxWriter.syncPoliciesFile = async () => {
+    fs.writeFileSync(policiesPath, '{"policies":');
+    throw new Error('Disk full');
+  };
+
+  const result = await manager.applyPolicy('whitelist', { enabled: true, domains: ['example.com'] });
+
+  assert.equal(result.success, false);
+  assert.equal(result.error.code, 'POLICIES_FILE_FAILED');
+  assert.equal(result.rollback.success, true);
+  assert.equal(await registry.keyExists(`${CHROME}\\URLBlocklist`), false);
+  assert.equal(fs.readFileSync(policiesPath, 'utf8'), original);
+});
+
+test('applying the desired state leaves browsers that are not targeted alone', async () => {
+  // A kiosk policy on Chrome that this application doesn't manage
+  const registry = new MemoryRegistry({
+    data: {
+      [`${CHROME}\\URLBlocklist`]: { 1: { type: 'String', data: '*' } },
+      [`${CHROME}\\URLAllowlist`]: { 1: { type: 'String', data: 'kiosk.example' } }
+    }
+  });
+  const { manager } = createManager({ registry });
+  manager.setTargetBrowsers(['edge']);
+  const desired = { websiteBlock: false, whitelist: false, blocklist: true, blockedDomains: ['example.com'] };
+
+  const result = await manager.applyPolicy('desiredState', desired);
+
+  assert.equal(result.success, true);
+  assert.equal(await registry.getValue(`${EDGE}\\URLBlocklist`, '1'), 'example.com');
+  assert.deepEqual(await registry.getValues(`${CHROME}\\URLBlocklist`), { 1: '*' });
+  assert.deepEqual(await registry.getValues(`${CHROME}\\URLAllowlist`), { 1: 'kiosk.example' });
+
+  const drift = await manager.driftDetector.detect(desired);
+  assert.equal(drift.success, true);
+  assert.deepEqual(drift.discrepancies, []);
+});
+
+test('previewPolicy can preview a desired state under another browser selection', async () => {
+  const registry = new MemoryRegistry({ data: { [`${CHROME}\\URLBlocklist`]: { 1: { type: 'String', data: 'example.com' } } } });
+  const { manager } = createManager({ registry });
+  manager.setTargetBrowsers(['chrome']);
+
+  const preview = await manager.previewPolicy('desiredState', { blocklist: true, blockedDomains: ['example.com'] }, { targetBrowsers: ['edge'] });
+
+  assert.equal(preview.success, true);
+  const blocklists = preview.changes.filter(c => c.path.endsWith('\\URLBlocklist'));
+  assert.deepEqual(blocklists.map(c => [c.action, c.path]).sort(), [
+    ['create', `${EDGE}\\URLBlocklist`],
+    ['delete', `${CHROME}\\URLBlocklist`]
+  ]);
+  assert.deepEqual(manager.getTargetBrowsers(), ['chrome']);
+  assert.equal(await registry.keyExists(`${EDGE}\\URLBlocklist`), false);
+});
@@ -0,0 +1,204 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PowerShellCommand = require('../../src/registry/powerShellCommand');
+
+// Characters PowerShell accepts as single quotes: ' ‘ ’ ‚ ‛
+const QUOTE_CHARACTERS = "'\u2018\u2019\u201a\u201b";
+
+const HOSTILE = [
+  "it's",
+  "'; Remove-Item C:\\ -Recurse -Force; '",
+  '\u2018; Stop-Computer; \u2019',
+  '\u201a\u201b\u2019\u2018',
+  "''",
+  '$(Stop-Computer)',
+  '$env:USERNAME ${x} @(1)',
+  '`; `$(Stop-Computer)`n',
+  'a; Stop-Computer',
+  'line one\nStop-Computer\r\nline three',
+  'nul\u0000byte',
+  'tab\tand\u001fescape\u007f',
+  '"double" "quotes"',
+  '| & < > # <# #> -- %',
+  ''
+];
+
+/**
+ * Read a PowerShell single-quoted literal the way the PowerShell tokenizer does
+ * @param {string} text - Script text
+ * @param {number} start - Index of the opening quote
+ * @returns {Object} { value, end } with end the index after the closing quote
+ */
+function readLiteral(text, start) {
+  let value = '';
+  let i = start + 1;
+  while (i < text.length) {
+    if (QUOTE_CHARACTERS.includes(text[i])) {
+      if (QUOTE_CHARACTERS.includes(text[i + 1])) {
+        value += text[i];
+        i += 2;
+        continue;
+      }
+      return { value, end: i + 1 };
+    }
+    value += text[i];
+    i++;
+  }
+  throw new Error(`Unterminated literal in: ${text}`);
+}
+
+/**
+ * Read an expression produced by quote(): a literal, or a parenthesized sum of
+ * literals and [char] codes
+ * @param {string} text - Script text
+ * @param {number} start - Index of the expression
+ * @returns {Object|null} { value, end }, or null if there is no quoted expression here
+ */
+function readQuoted(text, start) {
+  if (QUOTE_CHARACTERS.includes(text[start])) {
+    return readLiteral(text, start);
+  }
+
+  const sum = /^\((?:'|\[char\])/.exec(text.slice(start));
+  if (!sum) {
+    return null;
+  }
+
+  let value = '';
+  let i = start + 1;
+  for (;;) {
+    if (QUOTE_CHARACTERS.includes(text[i])) {
+      const literal = readLiteral(text, i);
+      value += literal.value;
+      i = literal.end;
+    } else {
+      const code = /^\[char\](\d+)/.exec(text.slice(i));
+      assert.ok(code, `Unexpected code in quoted expression: ${text.slice(i)}`);
+      value += String.fromCharCode(Number(code[1]));
+      i += code[0].length;
+    }
+
+    if (text[i] === ')') {
+      return { value, end: i + 1 };
+    }
+    assert.equal(text.slice(i, i + 3), ' + ', `Unexpected code in quoted expression: ${text.slice(i)}`);
+    i += 3;
+  }
+}
+
+/**
+ * Split a statement into its code (with every quoted expression replaced by <n>)
+ * and the values of the quoted expressions
+ * @param {string} statement - PowerShell statement
+ * @returns {Object} { code, values }
+ */
+function tokenize(statement) {
+  let code = '';
+  const values = [];
+  let i = 0;
+  while (i < statement.length) {
+    const quoted = readQuoted(statement, i);
+    if (quoted) {
+      code += `<${values.length}>`;
+      values.push(quoted.value);
+      i = quoted.end;
+    } else {
+      code += statement[i];
+      i++;
+    }
+  }
+  return { code, values };
+}
+
+test('quote round-trips hostile strings as a single expression on one line', () => {
+  for (const input of HOSTILE) {
+    const quoted = PowerShellCommand.quote(input);
+    const { code, values } = tokenize(quoted);
+
+    assert.equal(code, '<0>', `quote(${JSON.stringify(input)}) left code outside the literal: ${quoted}`);
+    assert.deepEqual(values, [input]);
+    assert.doesNotMatch(quoted, /[\r\n\u0000]/);
+  }
+});
+
+test('quote doubles every kind of single quote', () => {
+  assert.equal(PowerShellCommand.quote("it's"), "'it''s'");
+  assert.equal(PowerShellCommand.quote('\u2018x\u2019'), "'\u2018\u2018x\u2019\u2019'");
+  assert.equal(PowerShellCommand.quote('\u201a\u201b'), "'\u201a\u201a\u201b\u201b'");
+});
+
+test('quote emits control characters as [char] codes', () => {
+  assert.equal(PowerShellCommand.quote('a\nb'), "('a' + [char]10 + 'b')");
+  assert.equal(PowerShellCommand.quote('\u0000'), '([char]0)');
+  assert.equal(PowerShellCommand.quote('a\r\n'), "('a' + [char]13 + [char]10)");
+});
+
+test('statements keep their code whatever the key path, value name and data', () => {
+  const builders = [
+    (path) => PowerShellCommand.createKey(path),
+    (path) => PowerShellCommand.deleteKey(path),
+    (path, name, data) => PowerShellCommand.setValue(path, name, data),
+    (path, name) => PowerShellCommand.deleteValue(path, name)
+  ];
+
+  for (const build of builders) {
+    const expected = tokenize(build('HKLM:\\SOFTWARE\\Test', 'name', 'data')).code;
+
+    for (const input of HOSTILE) {
+      const path = `HKLM:\\SOFTWARE\\${input}`;
+      const { code, values } = tokenize(build(path, input, input));
+
+      assert.equal(code, expected, `Input ${JSON.stringify(input)} changed the statement`);
+      assert.ok(values.every(value => value === path || value === input));
+    }
+  }
+});
+
+test('compileStep keeps hostile key paths, value names and data in literals', () => {
+  const benign = PowerShellCommand.compileStep({
+    operation: 'updateValues',
+    path: 'HKLM:\\SOFTWARE\\Test',
+    delete: ['old'],
+    set: [{ name: 'new', value: 'data' }, { name: 'flag', value: 1, type: 'DWord' }]
+  });
+
+  for (const input of HOSTILE) {
+    const path = `HKLM:\\SOFTWARE\\${input}`;
+    const compiled = PowerShellCommand.compileStep({
+      operation: 'updateValues',
+      path: path,
+      delete: [input],
+      set: [{ name: input, value: input }, { name: input, value: 1, type: 'DWord' }]
+    });
+    const { code, values } = tokenize(compiled);
+
+    assert.equal(code, tokenize(benign).code, `Input ${JSON.stringify(input)} changed the step`);
+    assert.deepEqual(values, [path, path, path, path, input, path, input, input, path, input]);
+    assert.doesNotMatch(compiled, /[\r\n\u0000]/);
+  }
+
+  for (const input of HOSTILE) {
+    const path = `HKLM:\\SOFTWARE\\${input}`;
+    const { code, values } = tokenize(PowerShellCommand.compileStep({ operation: 'deleteKey', path: path }));
+
+    assert.equal(code, tokenize(PowerShellCommand.deleteKey('x')).code);
+    assert.deepEqual(values, [path, path]);
+  }
+});
+
+test('rejects DWord data and value types that could carry code', () => {
+  for (const value of ['1; Stop-Computer', '$(1)', '-1', '4294967296', '1.5']) {
+    assert.throws(() => PowerShellCommand.setValue('HKLM:\\SOFTWARE\\Test', 'name', value, 'DWord'), /Invalid DWord value/);
+  }
+  assert.throws(() => PowerShellCommand.setValue('HKLM:\\SOFTWARE\\Test', 'name', 'x', 'String; Stop-Computer'),
+    /Unsupported registry value type/);
+  assert.throws(() => PowerShellCommand.compileStep({ operation: 'Stop-Computer', path: 'x' }), /Unsupported batch operation/);
+});
+
+test('encodeCommand produces base64 of UTF-16LE', () => {
+  const script = `Write-Output ${PowerShellCommand.quote('\u2019$(x)\n\u0000')}`;
+  const encoded = PowerShellCommand.encodeCommand(script);
+
+  assert.match(encoded, /^[A-Za-z0-9+/]+=*$/);
+  assert.equal(Buffer.from(encoded, 'base64').toString('utf16le'), script);
+});
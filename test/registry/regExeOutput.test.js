@@ -0,0 +1,92 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RegExeOutput = require('../../src/registry/regExeOutput');
+
+// Output of `reg query <key>`, as printed by reg.exe (CRLF line endings)
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'regExe', name), 'utf8');
+}
+
+test('toRegPath converts provider paths to reg.exe paths', () => {
+  assert.equal(RegExeOutput.toRegPath('HKLM:\\SOFTWARE\\Policies'), 'HKLM\\SOFTWARE\\Policies');
+  assert.equal(RegExeOutput.toRegPath('HKEY_CURRENT_USER\\Software\\'), 'HKCU\\Software');
+  assert.equal(RegExeOutput.toRegPath('hklm:\\'), 'HKLM');
+  assert.throws(() => RegExeOutput.toRegPath('C:\\Windows'), /Unsupported registry key path/);
+});
+
+test('fromRegPath converts reg.exe paths to provider paths', () => {
+  assert.equal(RegExeOutput.fromRegPath('HKEY_LOCAL_MACHINE\\SOFTWARE\\Policies'), 'HKLM:\\SOFTWARE\\Policies');
+  assert.equal(RegExeOutput.fromRegPath('HKEY_LOCAL_MACHINE'), 'HKLM:\\');
+});
+
+test('parseQuery reads typed values and lists subkeys', () => {
+  const keys = RegExeOutput.parseQuery(fixture('chrome.txt'));
+
+  assert.deepEqual(keys.map(key => key.path), [
+    'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome',
+    'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome\\URLAllowlist',
+    'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome\\URLBlocklist'
+  ]);
+  assert.deepEqual(keys[0].values, {
+    BrowserSignin: 0,
+    DeveloperToolsAvailability: 2,
+    HomepageLocation: 'https://intranet.example.com/start page',
+    DownloadDirectory: '%USERPROFILE%\\Downloads'
+  });
+  assert.deepEqual(keys[1].values, {});
+});
+
+test('parseQuery keeps spaces and empty data in string values', () => {
+  const [key] = RegExeOutput.parseQuery(fixture('urlBlocklist.txt'));
+
+  assert.deepEqual(key.values, {
+    1: '*',
+    2: 'chrome://*',
+    10: 'https://example.com/a b',
+    Empty: ''
+  });
+});
+
+test('parseQuery skips the default value and reads QWORDs', () => {
+  const [key, subkey] = RegExeOutput.parseQuery(fixture('defaultValue.txt'));
+
+  assert.deepEqual(key.values, { DisableAppUpdate: 1, CacheLimit: 0x100000000 });
+  assert.equal(subkey.path, 'HKLM:\\SOFTWARE\\Policies\\Mozilla\\Firefox\\WebsiteFilter');
+});
+
+test('parseQuery lists only the subkeys of a key without values', () => {
+  const keys = RegExeOutput.parseQuery(fixture('policies.txt'));
+
+  assert.deepEqual(keys.map(key => key.path), [
+    'HKLM:\\SOFTWARE\\Policies\\Google',
+    'HKLM:\\SOFTWARE\\Policies\\Microsoft',
+    'HKLM:\\SOFTWARE\\Policies\\Mozilla'
+  ]);
+  assert.deepEqual(RegExeOutput.parseQuery(fixture('emptyKey.txt')), []);
+});
+
+test('getParentPath walks up to the root key', () => {
+  assert.equal(RegExeOutput.getParentPath('HKLM:\\SOFTWARE\\Policies\\Google'), 'HKLM:\\SOFTWARE\\Policies');
+  assert.equal(RegExeOutput.getParentPath('HKLM:\\SOFTWARE\\'), 'HKLM:\\');
+  assert.equal(RegExeOutput.getParentPath('HKLM:\\'), null);
+});
+
+test('hasSubkey finds subkeys in the listing of the parent, ignoring case and path form', () => {
+  const keys = RegExeOutput.parseQuery(fixture('policies.txt'));
+
+  assert.equal(RegExeOutput.hasSubkey(keys, 'HKLM:\\SOFTWARE\\Policies\\Mozilla'), true);
+  assert.equal(RegExeOutput.hasSubkey(keys, 'HKEY_LOCAL_MACHINE\\software\\policies\\google\\'), true);
+  assert.equal(RegExeOutput.hasSubkey(keys, 'HKLM:\\SOFTWARE\\Policies\\BraveSoftware'), false);
+  assert.equal(RegExeOutput.hasSubkey(keys, 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome'), false);
+});
+
+test('hasValue finds values in the listing of the key, ignoring case', () => {
+  const keys = RegExeOutput.parseQuery(fixture('chrome.txt'));
+
+  assert.equal(RegExeOutput.hasValue(keys, 'browsersignin'), true);
+  // Subkeys are not values
+  assert.equal(RegExeOutput.hasValue(keys, 'URLBlocklist'), false);
+  assert.equal(RegExeOutput.hasValue(RegExeOutput.parseQuery(fixture('policies.txt')), 'Google'), false);
+});
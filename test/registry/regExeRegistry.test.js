@@ -0,0 +1,118 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const RegExeRegistry = require('../../src/registry/regExeRegistry');
+
+const POLICIES = 'HKLM:\\SOFTWARE\\Policies';
+const CHROME = 'HKLM:\\SOFTWARE\\Policies\\Google\\Chrome';
+
+// reg.exe prints its errors in the language of the system
+const GERMAN_NOT_FOUND = 'FEHLER: Der angegebene Registrierungsschlüssel bzw. Wert wurde nicht gefunden.';
+const GERMAN_ACCESS_DENIED = 'FEHLER: Zugriff verweigert';
+
+function fixture(name) {
+  return fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'regExe', name), 'utf8');
+}
+
+/**
+ * Fake reg.exe answering `reg query` from captured output
+ * Queries of other keys and every other command fail with exit code 1
+ * @param {Object} queries - reg.exe key path to output
+ * @param {Object} options - { succeed: commands that succeed, e.g. ['delete'] }
+ * @returns {Function} execFile replacement recording its calls in .calls
+ */
+function fakeRegExe(queries, options = {}) {
+  const calls = [];
+  const execFile = async (file, args) => {
+    calls.push(args);
+    if (args[0] === 'query' && Object.prototype.hasOwnProperty.call(queries, args[1])) {
+      return { stdout: queries[args[1]], stderr: '' };
+    }
+    if ((options.succeed || []).includes(args[0])) {
+      return { stdout: '', stderr: '' };
+    }
+
+    const error = new Error(`Command failed: reg.exe ${args.join(' ')}`);
+    error.code = 1;
+    error.stderr = options.stderr || GERMAN_NOT_FOUND;
+    throw error;
+  };
+  execFile.calls = calls;
+  return execFile;
+}
+
+test('reads the values of a key from reg query output', async () => {
+  const registry = new RegExeRegistry({ execFile: fakeRegExe({ 'HKLM\\SOFTWARE\\Policies\\Google\\Chrome': fixture('chrome.txt') }) });
+
+  assert.equal(await registry.getValue(CHROME, 'BrowserSignin'), 0);
+  assert.equal(await registry.keyExists(CHROME), true);
+});
+
+test('reads a key without values as existing and empty', async () => {
+  const registry = new RegExeRegistry({ execFile: fakeRegExe({ 'HKLM\\SOFTWARE\\Policies': fixture('policies.txt') }) });
+
+  assert.equal(await registry.keyExists(POLICIES), true);
+  assert.deepEqual(await registry.getValues(POLICIES), {});
+});
+
+test('detects a missing key from the listing of its parent, whatever the language', async () => {
+  const execFile = fakeRegExe({ 'HKLM\\SOFTWARE\\Policies': fixture('policies.txt') });
+  const registry = new RegExeRegistry({ execFile });
+
+  assert.equal(await registry.keyExists(`${POLICIES}\\BraveSoftware`), false);
+  assert.deepEqual(await registry.getValues(`${POLICIES}\\BraveSoftware`), {});
+  assert.deepEqual(execFile.calls.slice(0, 2), [
+    ['query', 'HKLM\\SOFTWARE\\Policies\\BraveSoftware'],
+    ['query', 'HKLM\\SOFTWARE\\Policies']
+  ]);
+});
+
+test('fails when a key that is listed by its parent can not be queried', async () => {
+  const registry = new RegExeRegistry({
+    execFile: fakeRegExe({ 'HKLM\\SOFTWARE\\Policies': fixture('policies.txt') }, { stderr: GERMAN_ACCESS_DENIED })
+  });
+
+  await assert.rejects(registry.keyExists(`${POLICIES}\\Microsoft`), /Zugriff verweigert/);
+});
+
+test('walks up to the first parent that can be listed', async () => {
+  const registry = new RegExeRegistry({ execFile: fakeRegExe({ 'HKLM\\SOFTWARE\\Policies': fixture('policies.txt') }) });
+
+  await registry.deleteKey(`${POLICIES}\\BraveSoftware\\Brave`);
+  assert.equal(await registry.keyExists(`${POLICIES}\\BraveSoftware\\Brave`), false);
+});
+
+test('ignores deleting a value the key does not list', async () => {
+  const execFile = fakeRegExe({ 'HKLM\\SOFTWARE\\Policies\\Google\\Chrome': fixture('chrome.txt') });
+  const registry = new RegExeRegistry({ execFile });
+
+  await registry.deleteValue(CHROME, 'URLBlocklist');
+  assert.deepEqual(execFile.calls, [
+    ['delete', 'HKLM\\SOFTWARE\\Policies\\Google\\Chrome', '/v', 'URLBlocklist', '/f'],
+    ['query', 'HKLM\\SOFTWARE\\Policies\\Google\\Chrome']
+  ]);
+});
+
+test('fails when deleting a listed value fails', async () => {
+  const registry = new RegExeRegistry({
+    execFile: fakeRegExe({ 'HKLM\\SOFTWARE\\Policies\\Google\\Chrome': fixture('chrome.txt') }, { stderr: GERMAN_ACCESS_DENIED })
+  });
+
+  await assert.rejects(registry.deleteValue(CHROME, 'browsersignin'), /Zugriff verweigert/);
+});
+
+test('never treats a failure to start reg.exe as a missing key', async () => {
+  const calls = [];
+  const registry = new RegExeRegistry({
+    execFile: async (file, args) => {
+      calls.push(args);
+      const error = new Error('spawn reg.exe ENOENT');
+      error.code = 'ENOENT';
+      throw error;
+    }
+  });
+
+  await assert.rejects(registry.keyExists(CHROME), /ENOENT/);
+  assert.equal(calls.length, 1);
+});
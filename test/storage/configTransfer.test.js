@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const ConfigTransfer = require('../../src/storage/configTransfer');
+
+const PASSPHRASE = 'correct horse battery';
+
+const validators = {
+  isValidDomain: (domain) => /^[a-z0-9.-]+$/.test(domain),
+  browserIds: ['chrome', 'edge', 'firefox']
+};
+
+const SETTINGS = {
+  whitelistEnabled: true,
+  whitelistedDomains: ['example.com'],
+  targetBrowsers: ['edge'],
+  developerKey: 'never exported'
+};
+
+const PROFILES = [{ id: 'exam', name: 'Exam', whitelist: true, whitelistedDomains: ['exam.example'] }];
+
+function exportFile(settings = SETTINGS) {
+  const result = ConfigTransfer.createExport(settings, PROFILES, PASSPHRASE);
+  assert.equal(result.success, true);
+  return result.file;
+}
+
+test('a signed export verifies after being re-saved with other formatting and key order', () => {
+  const file = exportFile();
+  const { signature, ...rest } = file;
+  const resaved = JSON.stringify({ signature, ...rest, config: { profiles: file.config.profiles, settings: file.config.settings } }, null, 4);
+
+  const parsed = ConfigTransfer.parseImport(resaved, PASSPHRASE, validators);
+
+  assert.equal(parsed.success, true);
+  assert.deepEqual(parsed.config.settings, { whitelistEnabled: true, whitelistedDomains: ['example.com'], targetBrowsers: ['edge'] });
+  assert.equal(parsed.config.profiles[0].name, 'Exam');
+});
+
+test('rejects a file whose settings were changed after the export', () => {
+  const file = exportFile();
+  file.config.settings.whitelistedDomains.push('evil.example');
+
+  const parsed = ConfigTransfer.parseImport(JSON.stringify(file), PASSPHRASE, validators);
+
+  assert.equal(parsed.success, false);
+  assert.equal(parsed.error.code, 'INVALID_SIGNATURE');
+});
+
+test('rejects a file whose export date or signature was changed', () => {
+  const dated = exportFile();
+  dated.exportedAt = new Date(0).toISOString();
+  assert.equal(ConfigTransfer.parseImport(JSON.stringify(dated), PASSPHRASE, validators).error.code, 'INVALID_SIGNATURE');
+
+  const signed = exportFile();
+  signed.signature.value = signed.signature.value.replace(/^./, c => (c === '0' ? '1' : '0'));
+  assert.equal(ConfigTransfer.parseImport(JSON.stringify(signed), PASSPHRASE, validators).error.code, 'INVALID_SIGNATURE');
+});
+
+test('rejects the wrong passphrase and unsigned files', () => {
+  const file = exportFile();
+
+  const wrong = ConfigTransfer.parseImport(JSON.stringify(file), 'wrong passphrase', validators);
+  assert.equal(wrong.error.code, 'INVALID_SIGNATURE');
+
+  delete file.signature;
+  const unsigned = ConfigTransfer.parseImport(JSON.stringify(file), PASSPHRASE, validators);
+  assert.equal(unsigned.error.code, 'INVALID_SIGNATURE');
+  assert.equal(unsigned.error.message, 'The configuration file is not signed');
+});
+
+test('rejects a correctly signed file with invalid values', () => {
+  const file = exportFile({ ...SETTINGS, targetBrowsers: ['netscape'] });
+
+  const parsed = ConfigTransfer.parseImport(JSON.stringify(file), PASSPHRASE, validators);
+
+  assert.equal(parsed.error.code, 'INVALID_CONFIG_SCHEMA');
+  assert.match(parsed.error.details, /targetBrowsers/);
+});
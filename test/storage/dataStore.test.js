@@ -0,0 +1,305 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('../../src/storage/dataStore');
+
+/**
+ * Key file replacement holding the machine secret in memory (see KeyFile)
+ */
+function createKeyFile(secret = crypto.randomBytes(32)) {
+  return {
+    secret: secret,
+    async getSecret() {
+      return this.secret;
+    },
+    async replace() {
+      this.secret = crypto.randomBytes(32);
+      return this.secret;
+    }
+  };
+}
+
+/**
+ * Open a store on a new temporary directory
+ */
+function createStore(t, options = {}) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpm-datastore-'));
+  t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+  const dataPath = path.join(dir, '.gpm-data.enc');
+  const keyFile = options.keyFile || createKeyFile();
+  return { dir, dataPath, keyFile, store: new DataStore(dataPath, { ...options, keyFile }) };
+}
+
+async function readInterval(store, filePath) {
+  const { data } = await store.readDataFile(filePath);
+  return data.settings.enforcementIntervalMinutes;
+}
+
+test('a truncated data file falls back to the newest backup and is set aside', async (t) => {
+  const { dir, dataPath, keyFile, store } = createStore(t);
+  await store.load();
+  await store.updateSettings({ enforcementIntervalMinutes: 10 });
+  await store.updateSettings({ enforcementIntervalMinutes: 20 });
+
+  const content = fs.readFileSync(dataPath, 'utf8');
+  fs.writeFileSync(dataPath, content.slice(0, content.length / 2));
+
+  const reopened = new DataStore(dataPath, { keyFile });
+  const data = await reopened.load();
+
+  assert.equal(data.settings.enforcementIntervalMinutes, 10);
+  const recovery = reopened.getRecoveryStatus();
+  assert.equal(recovery.backupPath, `${dataPath}.1.bak`);
+  assert.equal(recovery.reason, 'Data file is corrupted');
+
+  const corrupt = fs.readdirSync(dir).filter(file => file.startsWith('.gpm-data.enc.corrupt-'));
+  assert.equal(corrupt.length, 1);
+  assert.equal(path.join(dir, corrupt[0]), recovery.corruptPath);
+  assert.equal(fs.readFileSync(recovery.corruptPath, 'utf8'), content.slice(0, content.length / 2));
+
+  // The restored data replaces the damaged file without rotating it into the backups
+  assert.equal(await readInterval(reopened, dataPath), 10);
+  assert.equal(await readInterval(reopened, `${dataPath}.1.bak`), 10);
+});
+
+test('a missing data file is restored from the newest backup', async (t) => {
+  const { dataPath, keyFile, store } = createStore(t);
+  await store.load();
+  await store.updateSettings({ enforcementIntervalMinutes: 10 });
+  fs.unlinkSync(dataPath);
+
+  const reopened = new DataStore(dataPath, { keyFile });
+  const data = await reopened.load();
+
+  assert.equal(data.settings.enforcementIntervalMinutes, 5);
+  assert.equal(reopened.getRecoveryStatus().reason, 'The data file was missing');
+  assert.equal(reopened.getRecoveryStatus().corruptPath, null);
+});
+
+test('read errors other than a missing or damaged file do not fall back to a backup', async (t) => {
+  const { dir, dataPath, keyFile, store } = createStore(t);
+  await store.load();
+  await store.updateSettings({ enforcementIntervalMinutes: 10 });
+  const backup = fs.readFileSync(`${dataPath}.1.bak`, 'utf8');
+
+  // Reading a directory fails the way an access error does: the file itself isn't damaged
+  fs.unlinkSync(dataPath);
+  fs.mkdirSync(dataPath);
+
+  const reopened = new DataStore(dataPath, { keyFile });
+  await assert.rejects(reopened.load(), error => error.code === 'EISDIR');
+
+  assert.equal(reopened.getRecoveryStatus(), null);
+  assert.equal(fs.readFileSync(`${dataPath}.1.bak`, 'utf8'), backup);
+  assert.deepEqual(fs.readdirSync(dir).filter(file => file.includes('.corrupt-')), []);
+});
+
+test('backups are rotated newest first and limited to backupCount', async (t) => {
+  const { dir, dataPath, store } = createStore(t, { backupCount: 2 });
+  await store.load();
+  for (const minutes of [10, 20, 30]) {
+    await store.updateSettings({ enforcementIntervalMinutes: minutes });
+  }
+
+  assert.equal(await readInterval(store, dataPath), 30);
+  assert.equal(await readInterval(store, `${dataPath}.1.bak`), 20);
+  assert.equal(await readInterval(store, `${dataPath}.2.bak`), 10);
+  assert.deepEqual(fs.readdirSync(dir).filter(file => file.endsWith('.bak')).sort(), ['.gpm-data.enc.1.bak', '.gpm-data.enc.2.bak']);
+});
+
+test('skipRotation leaves the backups alone for one save', async (t) => {
+  const { dataPath, store } = createStore(t);
+  await store.load();
+  await store.updateSettings({ enforcementIntervalMinutes: 10 });
+
+  store.skipRotation = true;
+  await store.updateSettings({ enforcementIntervalMinutes: 20 });
+
+  assert.equal(store.skipRotation, false);
+  assert.equal(await readInterval(store, dataPath), 20);
+  assert.equal(await readInterval(store, `${dataPath}.1.bak`), 5);
+  assert.equal(fs.existsSync(`${dataPath}.2.bak`), false);
+
+  await store.updateSettings({ enforcementIntervalMinutes: 30 });
+  assert.equal(await readInterval(store, `${dataPath}.1.bak`), 20);
+  assert.equal(await readInterval(store, `${dataPath}.2.bak`), 5);
+});
+
+/**
+ * Encrypt a value in the AES-256-CBC format of releases before AES-256-GCM ("iv:data" in hex)
+ */
+function encryptLegacy(text, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+}
+
+function readSlotTypes(dataPath) {
+  return JSON.parse(fs.readFileSync(dataPath, 'utf8')).keys.map(slot => slot.type).sort();
+}
+
+test('the data key is wrapped for the machine and the developer key', async (t) => {
+  const { dataPath, keyFile, store } = createStore(t);
+  const data = await store.load();
+
+  assert.deepEqual(readSlotTypes(dataPath), ['developer', 'machine']);
+
+  const reopened = new DataStore(dataPath, { keyFile });
+  assert.deepEqual(await reopened.load(), data);
+  assert.equal(reopened.getLockStatus(), null);
+});
+
+test('a data file is locked when the key file changed', async (t) => {
+  const { dataPath, store } = createStore(t);
+  await store.load();
+
+  const locked = new DataStore(dataPath, { keyFile: createKeyFile() });
+  await assert.rejects(locked.load(), error => error.code === 'DATA_LOCKED');
+  assert.deepEqual(locked.getLockStatus().methods, ['developerKey']);
+
+  // A key file that can't be read locks the store the same way
+  const unreadable = new DataStore(dataPath, {
+    keyFile: { getSecret: async () => { throw new Error('Key file is corrupted'); } }
+  });
+  await assert.rejects(unreadable.load(), error => error.code === 'DATA_LOCKED');
+});
+
+test('the developer key unlocks the data file and re-wraps it for the new key file', async (t) => {
+  const { dataPath, store } = createStore(t);
+  const data = await store.load();
+  const developerKey = await store.getDeveloperKey();
+
+  const keyFile = createKeyFile();
+  const locked = new DataStore(dataPath, { keyFile });
+  await assert.rejects(locked.load(), error => error.code === 'DATA_LOCKED');
+
+  await assert.rejects(locked.unlockWith('developerKey', 'not the developer key'), /does not open this data file/);
+  assert.deepEqual(await locked.unlockWith('developerKey', ` ${developerKey} `), data);
+  assert.equal(locked.getLockStatus(), null);
+
+  const reloaded = new DataStore(dataPath, { keyFile });
+  assert.deepEqual(await reloaded.load(), data);
+});
+
+test('a recovery file unlocks the data file until a newer one is created', async (t) => {
+  const { dataPath, store } = createStore(t);
+  const data = await store.load();
+  const previous = await store.createRecoveryFile();
+  const recoveryFile = await store.createRecoveryFile();
+  assert.deepEqual(readSlotTypes(dataPath), ['developer', 'machine', 'recoveryFile']);
+
+  const keyFile = createKeyFile();
+  const locked = new DataStore(dataPath, { keyFile });
+  await assert.rejects(locked.load(), error => error.code === 'DATA_LOCKED');
+  assert.deepEqual(locked.getLockStatus().methods, ['developerKey', 'recoveryFile']);
+
+  await assert.rejects(locked.unlockWith('recoveryFile', JSON.stringify(previous)), /does not belong to the data file/);
+  await assert.rejects(locked.unlockWith('recoveryFile', '{"format":"something else"}'), /not a Group Policy Manager recovery file/);
+  assert.deepEqual(await locked.unlockWith('recoveryFile', JSON.stringify(recoveryFile)), data);
+
+  const reloaded = new DataStore(dataPath, { keyFile });
+  assert.deepEqual(await reloaded.load(), data);
+  assert.deepEqual(readSlotTypes(dataPath), ['developer', 'machine', 'recoveryFile']);
+});
+
+test('a legacy data file from a renamed computer is unlocked with the previous name', async (t) => {
+  const { dataPath, keyFile, store } = createStore(t);
+  const legacyKey = store.generateLegacyKey('OLD-PC');
+  const payload = {
+    credentials: { username: 'admin', passwordHash: 'hash', securityQuestion: null },
+    developerKey: encryptLegacy('legacy developer key', legacyKey),
+    settings: { enforcementIntervalMinutes: 15 }
+  };
+  fs.writeFileSync(dataPath, encryptLegacy(JSON.stringify(payload), legacyKey));
+
+  await assert.rejects(store.load(), error => error.code === 'DATA_LOCKED');
+  assert.deepEqual(store.getLockStatus().methods, ['previousHostname']);
+
+  await assert.rejects(store.unlockWith('previousHostname', 'OTHER-PC'), /not written on a computer with this name/);
+  const data = await store.unlockWith('previousHostname', 'OLD-PC');
+  assert.equal(data.settings.enforcementIntervalMinutes, 15);
+  assert.equal(await store.getDeveloperKey(), 'legacy developer key');
+
+  const reloaded = new DataStore(dataPath, { keyFile });
+  assert.deepEqual(await reloaded.load(), data);
+  assert.deepEqual(readSlotTypes(dataPath), ['developer', 'machine']);
+});
+
+function flipByte(base64, index = 0) {
+  const bytes = Buffer.from(base64, 'base64');
+  bytes[index] ^= 0x01;
+  return bytes.toString('base64');
+}
+
+/**
+ * Write a data file, change its envelope and open it without backups to fall back to
+ */
+async function openTampered(t, tamper) {
+  const { dataPath, keyFile, store } = createStore(t);
+  await store.load();
+
+  const envelope = JSON.parse(fs.readFileSync(dataPath, 'utf8'));
+  tamper(envelope);
+  fs.writeFileSync(dataPath, JSON.stringify(envelope));
+
+  return new DataStore(dataPath, { keyFile, backupCount: 0 }).load();
+}
+
+const INTEGRITY_ERROR = error => error.code === 'DATA_CORRUPTED' && /failed the integrity check/.test(error.message);
+
+test('rejects a data file with a changed ciphertext byte', async (t) => {
+  await assert.rejects(openTampered(t, envelope => {
+    envelope.data = flipByte(envelope.data, 10);
+  }), INTEGRITY_ERROR);
+});
+
+test('rejects a data file with a changed authentication tag', async (t) => {
+  await assert.rejects(openTampered(t, envelope => {
+    envelope.tag = flipByte(envelope.tag, 15);
+  }), INTEGRITY_ERROR);
+});
+
+test('rejects a data file with a changed header', async (t) => {
+  await assert.rejects(openTampered(t, envelope => {
+    envelope.salt = flipByte(envelope.salt);
+  }), INTEGRITY_ERROR);
+  await assert.rejects(openTampered(t, envelope => {
+    envelope.iv = flipByte(envelope.iv, 11);
+  }), INTEGRITY_ERROR);
+  await assert.rejects(openTampered(t, envelope => {
+    envelope.version = 2;
+  }), INTEGRITY_ERROR);
+});
+
+test('a version 2 data file is upgraded to version 3 with key slots', async (t) => {
+  const { dataPath, keyFile, store } = createStore(t);
+
+  // Version 2 used the machine secret itself as the data key and had no key slots
+  store.dataKey = keyFile.secret;
+  const payload = await store.initializeDefaultData();
+  const developerKey = store.decryptString(payload.developerKey);
+
+  const salt = crypto.randomBytes(16);
+  const iv = crypto.randomBytes(12);
+  const header = store.createHeader(2, salt.toString('base64'), iv.toString('base64'));
+  const cipher = crypto.createCipheriv('aes-256-gcm', store.deriveKey(salt, 'gpm-datastore-file'), iv);
+  cipher.setAAD(Buffer.from(JSON.stringify(header), 'utf8'));
+  const encrypted = Buffer.concat([cipher.update(JSON.stringify(payload), 'utf8'), cipher.final()]);
+  fs.writeFileSync(dataPath, JSON.stringify({ ...header, tag: cipher.getAuthTag().toString('base64'), data: encrypted.toString('base64') }));
+
+  const upgraded = new DataStore(dataPath, { keyFile });
+  assert.deepEqual(await upgraded.load(), payload);
+  assert.equal(await upgraded.getDeveloperKey(), developerKey);
+
+  assert.equal(JSON.parse(fs.readFileSync(dataPath, 'utf8')).version, 3);
+  assert.deepEqual(readSlotTypes(dataPath), ['developer', 'machine']);
+
+  // The upgraded file opens with the developer key on another machine
+  const locked = new DataStore(dataPath, { keyFile: createKeyFile() });
+  await assert.rejects(locked.load(), error => error.code === 'DATA_LOCKED');
+  assert.deepEqual(await locked.unlockWith('developerKey', developerKey), payload);
+});
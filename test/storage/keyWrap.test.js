@@ -0,0 +1,32 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { generateDataKey, deriveFromSecret, deriveFromPassphrase, createSlot, openSlot } = require('../../src/storage/keyWrap');
+
+test('a key slot opens with the key it was wrapped with', () => {
+  const dataKey = generateDataKey();
+  const secret = crypto.randomBytes(32);
+
+  const slot = createSlot('recoveryFile', dataKey, salt => deriveFromSecret(secret, salt), { id: 'abc' });
+
+  assert.equal(slot.type, 'recoveryFile');
+  assert.equal(slot.id, 'abc');
+  assert.deepEqual(openSlot(slot, salt => deriveFromSecret(secret, salt)), dataKey);
+  assert.throws(() => openSlot(slot, salt => deriveFromSecret(crypto.randomBytes(32), salt)),
+    /The recoveryFile key does not open this data file/);
+});
+
+test('developer key slots ignore surrounding whitespace', () => {
+  const dataKey = generateDataKey();
+  const slot = createSlot('developer', dataKey, salt => deriveFromPassphrase('developer key', salt));
+
+  assert.deepEqual(openSlot(slot, salt => deriveFromPassphrase('  developer key\n', salt)), dataKey);
+  assert.throws(() => openSlot(slot, salt => deriveFromPassphrase('Developer key', salt)));
+});
+
+test('the slot type is authenticated along with the wrapped key', () => {
+  const secret = crypto.randomBytes(32);
+  const slot = createSlot('machine', generateDataKey(), salt => deriveFromSecret(secret, salt));
+
+  assert.throws(() => openSlot({ ...slot, type: 'recoveryFile' }, salt => deriveFromSecret(secret, salt)));
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const DataStore = require('../../src/storage/dataStore');
+const { CURRENT_SCHEMA_VERSION, migrate } = require('../../src/storage/migrations');
+
+// Payloads as written by earlier releases, none of which recorded a schemaVersion.
+// developerKey and credentials.securityQuestion are stored in plain text here and
+// encrypted the way those releases did when the data file is written
+const FIXTURES = [
+  'baseline.json', // drive and whitelist settings only
+  'blocklist.json', // blocklist mode, security question set
+  'internalPages.json', // browser internal page lockdown turned off
+  'profiles.json', // target browsers, enforcement, schedules and profiles
+  'registryProvider.json' // reg.exe registry provider selected
+];
+
+function readFixture(name) {
+  return JSON.parse(fs.readFileSync(path.join(__dirname, '..', 'fixtures', 'dataStore', name), 'utf8'));
+}
+
+/**
+ * Encrypt a value in the AES-256-CBC format of releases before AES-256-GCM ("iv:data" in hex)
+ */
+function encryptLegacy(text, key) {
+  const iv = crypto.randomBytes(16);
+  const cipher = crypto.createCipheriv('aes-256-cbc', key, iv);
+  return iv.toString('hex') + ':' + cipher.update(text, 'utf8', 'hex') + cipher.final('hex');
+}
+
+/**
+ * Write a fixture as a data file of an earlier release and open a store on it
+ */
+function createLegacyStore(fixture) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'gpm-migrations-'));
+  const dataPath = path.join(dir, '.gpm-data.enc');
+  const store = new DataStore(dataPath);
+  const key = store.generateLegacyKey();
+
+  const payload = JSON.parse(JSON.stringify(fixture));
+  payload.developerKey = encryptLegacy(payload.developerKey, key);
+  if (payload.credentials.securityQuestion) {
+    payload.credentials.securityQuestion = encryptLegacy(payload.credentials.securityQuestion, key);
+  }
+
+  const encryptedData = encryptLegacy(JSON.stringify(payload), key);
+  fs.writeFileSync(dataPath, encryptedData, 'utf8');
+  return { dir, dataPath, store, encryptedData };
+}
+
+for (const name of FIXTURES) {
+  test(`loads a version 0 data file (${name}) and migrates it to the current schema`, async (t) => {
+    const fixture = readFixture(name);
+    const { dir, dataPath, store, encryptedData } = createLegacyStore(fixture);
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+    const data = await store.load();
+    const defaults = await store.initializeDefaultData();
+
+    assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+    assert.deepEqual(Object.keys(data).sort(), Object.keys(defaults).sort());
+    assert.deepEqual(Object.keys(data.settings).sort(), Object.keys(defaults.settings).sort());
+    assert.deepEqual(Object.keys(data.toggleStates).sort(), Object.keys(defaults.toggleStates).sort());
+
+    // Values of the earlier release are kept, everything else gets the defaults
+    assert.deepEqual(data.settings, { ...defaults.settings, ...fixture.settings });
+    assert.deepEqual(data.toggleStates, { ...defaults.toggleStates, ...fixture.toggleStates });
+    assert.deepEqual(data.schedules, fixture.schedules || []);
+    assert.deepEqual(data.profiles, fixture.profiles || []);
+    assert.deepEqual({ ...data.credentials, securityQuestion: null }, { ...fixture.credentials, securityQuestion: null });
+    assert.equal(await store.getDeveloperKey(), fixture.developerKey);
+    if (fixture.credentials.securityQuestion) {
+      assert.equal(store.decryptString(data.credentials.securityQuestion), fixture.credentials.securityQuestion);
+    }
+
+    // The file as it was before the migration is kept
+    assert.equal(fs.readFileSync(`${dataPath}.v0.bak`, 'utf8'), encryptedData);
+    assert.notEqual(fs.readFileSync(dataPath, 'utf8'), encryptedData);
+
+    // The migrated file loads without another migration
+    const reopened = new DataStore(dataPath);
+    assert.deepEqual(await reopened.load(), data);
+    assert.deepEqual(fs.readdirSync(dir).filter(file => /\.v\d+\.bak$/.test(file)), ['.gpm-data.enc.v0.bak']);
+  });
+}
+
+test('migrate runs every migration on payloads without a schema version', () => {
+  const { data, from, to, applied } = migrate(readFixture('baseline.json'));
+
+  assert.equal(from, 0);
+  assert.equal(to, CURRENT_SCHEMA_VERSION);
+  assert.deepEqual(applied.map(entry => entry.version), [1, 2, 3, 4, 5]);
+  assert.equal(data.schemaVersion, CURRENT_SCHEMA_VERSION);
+});
+
+test('migrate keeps values that a version 0 payload already has', () => {
+  const { data } = migrate(readFixture('registryProvider.json'));
+
+  assert.equal(data.settings.registryProvider, 'reg');
+  assert.equal(data.settings.enforcementIntervalMinutes, 10);
+  assert.deepEqual(data.settings.targetBrowsers, ['chrome', 'edge', 'firefox']);
+});
+
+test('migrate rejects payloads from a newer version', () => {
+  assert.throws(() => migrate({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, settings: {} }), /newer than the supported version/);
+});
@@ -0,0 +1,47 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { READ_RIGHTS, WRITE_RIGHTS, getUntrustedAccounts, hasTrustedOwner } = require('../../src/storage/windowsAcl');
+
+const USER = 'S-1-5-21-1004336348-1177238915-682003330-1001';
+const USERS = 'S-1-5-32-545';
+const AUTHENTICATED_USERS = 'S-1-5-11';
+
+// ACL as read by Get-Acl; rights are FileSystemRights cast to a signed 32-bit int
+function createAcl(access, owner = 'S-1-5-32-544') {
+  return { owner, user: USER, access };
+}
+
+test('administrators, SYSTEM and the current user are trusted', () => {
+  const acl = createAcl([
+    { sid: 'S-1-5-18', rights: 2032127, type: 'Allow' },
+    { sid: 'S-1-5-32-544', rights: 2032127, type: 'Allow' },
+    { sid: USER, rights: 2032127, type: 'Allow' }
+  ], USER);
+
+  assert.equal(hasTrustedOwner(acl), true);
+  assert.deepEqual(getUntrustedAccounts(acl, READ_RIGHTS | WRITE_RIGHTS), []);
+});
+
+test('read access of other accounts counts for the key file but not as write access', () => {
+  const acl = createAcl([
+    { sid: USERS, rights: 1179817, type: 'Allow' }, // ReadAndExecute, Synchronize
+    { sid: AUTHENTICATED_USERS, rights: -2147483648, type: 'Allow' } // GenericRead
+  ]);
+
+  assert.deepEqual(getUntrustedAccounts(acl, WRITE_RIGHTS), []);
+  assert.deepEqual(getUntrustedAccounts(acl, READ_RIGHTS), [USERS, AUTHENTICATED_USERS]);
+});
+
+test('reports each account with write access once and ignores deny entries', () => {
+  const acl = createAcl([
+    { sid: USERS, rights: 0x2, type: 'Allow' },
+    { sid: USERS, rights: 0x4, type: 'Allow' },
+    { sid: AUTHENTICATED_USERS, rights: 2032127, type: 'Deny' }
+  ]);
+
+  assert.deepEqual(getUntrustedAccounts(acl, WRITE_RIGHTS), [USERS]);
+});
+
+test('an owner other than administrators, SYSTEM or the current user is not trusted', () => {
+  assert.equal(hasTrustedOwner(createAcl([], USERS)), false);
+});
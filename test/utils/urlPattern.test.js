@@ -0,0 +1,36 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const UrlPattern = require('../../src/utils/urlPattern');
+
+test('keeps a leading www. so entries are not widened to every subdomain', () => {
+  assert.equal(UrlPattern.normalize('www.example.com'), 'www.example.com');
+  assert.equal(UrlPattern.normalize('https://WWW.Example.com/path'), 'https://www.example.com/path');
+  assert.equal(UrlPattern.normalize('www.bücher.de.'), 'www.xn--bcher-kva.de');
+  assert.equal(UrlPattern.normalize('.www.example.com'), '.www.example.com');
+});
+
+test('treats www. and bare entries as duplicates', () => {
+  assert.equal(UrlPattern.equals('www.example.com', 'example.com'), true);
+  assert.equal(UrlPattern.equals('www.bbc.co.uk', 'bbc.co.uk'), true);
+  assert.deepEqual(UrlPattern.unique(['www.example.com', 'Example.com', '.www.example.com']), ['www.example.com', '.www.example.com']);
+});
+
+test('does not treat www. on a bare suffix or an exact host as a duplicate', () => {
+  assert.equal(UrlPattern.equals('www.co.uk', 'co.uk'), false);
+  assert.equal(UrlPattern.equals('www.com.au', 'com.au'), false);
+  assert.equal(UrlPattern.equals('www.intranet', 'intranet'), false);
+  assert.equal(UrlPattern.equals('.www.example.com', 'example.com'), false);
+});
+
+test('converts internationalized hosts to punycode label for label', () => {
+  assert.equal(UrlPattern.normalize('Bücher.DE'), 'xn--bcher-kva.de');
+  assert.equal(UrlPattern.normalize('https://exämple.com:8080/path'), 'https://xn--exmple-cua.com:8080/path');
+});
+
+test('rejects internationalized hosts that the URL parser would read as another host', () => {
+  assert.equal(UrlPattern.normalize('bü.de@evil.com'), null);
+  assert.equal(UrlPattern.normalize('exämple.com\\admin'), null);
+  assert.equal(UrlPattern.normalize('bü%2e.de'), null);
+  assert.equal(UrlPattern.normalize('[bü.de]'), null);
+  assert.equal(UrlPattern.isValid('bü.de@evil.com'), false);
+});